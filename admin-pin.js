@@ -0,0 +1,120 @@
+/* =========================================================
+   MOCHI CRUSH — staff PIN
+   Decides whether a PIN opens the staff admin panel. The
+   leaderboard server's --admin-pin wins when it can be asked;
+   then config.admin.pin from window.MOCHI_CONFIG; then a PIN
+   kept on this kiosk. A kiosk with neither a server nor a
+   configured PIN takes the first PIN entered as its own, and a
+   PIN the server accepts is remembered for when it is offline.
+   The kiosk PIN is kept only as a salted PBKDF2 hash, which
+   needs WebCrypto (https:// or http://localhost pages). Loaded as
+   window.MochiAdminPin in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiAdminPin = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const STORAGE_KEY = 'mochiAdminPin';
+  const ITERATIONS = 100000;
+  const PIN_PATTERN = /^\d{4,8}$/;
+
+  function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(text) {
+    return new Uint8Array(text.match(/../g).map(h => parseInt(h, 16)));
+  }
+
+  async function hashPin(subtle, pin, salt, iterations) {
+    const key = await subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    return toHex(await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256));
+  }
+
+  /**
+   * The PIN kept on this kiosk. opts: { storage, subtle, crypto } default
+   * to the page's. Without WebCrypto nothing can be set or checked.
+   */
+  function createKioskPin(opts) {
+    opts = opts || {};
+    const storage = opts.storage || localStorage;
+    const cryptoApi = opts.crypto || (typeof crypto !== 'undefined' ? crypto : null);
+    const subtle = opts.subtle || (cryptoApi && cryptoApi.subtle);
+
+    function load() {
+      try {
+        const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+        return saved && typeof saved.hash === 'string' && typeof saved.salt === 'string' ? saved : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /** Whether a PIN is kept here. */
+    function isSet() {
+      return load() !== null;
+    }
+
+    /** Keep `pin` (4–8 digits) as this kiosk's PIN; false if it can't be. */
+    async function set(pin) {
+      if (!subtle || !PIN_PATTERN.test(pin)) return false;
+      const salt = cryptoApi.getRandomValues(new Uint8Array(16));
+      const hash = await hashPin(subtle, pin, salt, ITERATIONS);
+      try {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ salt: toHex(salt), iterations: ITERATIONS, hash }));
+        return true;
+      } catch (e) {
+        console.warn('Could not keep the staff PIN on this kiosk:', e.message);
+        return false;
+      }
+    }
+
+    /** Whether `pin` is the one kept here. */
+    async function check(pin) {
+      const saved = load();
+      if (!saved || !subtle) return false;
+      return await hashPin(subtle, String(pin), fromHex(saved.salt), saved.iterations || ITERATIONS) === saved.hash;
+    }
+
+    return { isSet, set, check, canSet: !!subtle };
+  }
+
+  /** Whether the panel would take the next PIN entered as this kiosk's own. */
+  function needsSetup(opts) {
+    return !opts.hasServer && (opts.configPin === null || opts.configPin === undefined) && !opts.kioskPin.isSet();
+  }
+
+  /**
+   * Whether `pin` opens the panel. opts: { server, configPin, kioskPin,
+   * hasServer, allowSetup } — server is leaderboard.checkPin's answer (true,
+   * false, or null when it can't be asked), configPin is config.admin.pin,
+   * kioskPin a createKioskPin(), hasServer whether a leaderboard endpoint is
+   * configured and allowSetup whether a first PIN may be taken here.
+   * Resolves to { ok, firstRun } where firstRun means `pin` has just become
+   * this kiosk's PIN.
+   */
+  async function checkStaffPin(pin, opts) {
+    const { server, configPin, kioskPin, hasServer, allowSetup } = opts;
+    if (server === true) {
+      /* remembered so the panel still opens while the server is down */
+      if (!await kioskPin.check(pin)) await kioskPin.set(pin);
+      return { ok: true, firstRun: false };
+    }
+    if (server === false) return { ok: false, firstRun: false };
+    if (configPin !== null && configPin !== undefined) return { ok: pin === configPin, firstRun: false };
+    if (kioskPin.isSet()) return { ok: await kioskPin.check(pin), firstRun: false };
+    if (hasServer || !allowSetup) return { ok: false, firstRun: false };
+    return { ok: await kioskPin.set(pin), firstRun: true };
+  }
+
+  return {
+    STORAGE_KEY,
+    PIN_PATTERN,
+    createKioskPin,
+    needsSetup,
+    checkStaffPin,
+  };
+});
@@ -0,0 +1,266 @@
+/* =========================================================
+   MOCHI CRUSH — analytics
+   Structured events about sessions and games (who played, for
+   how long, where they dropped off) written to pluggable sinks:
+   the console, a localStorage ring buffer the admin panel
+   exports, and batched HTTP to server/server.js. Loaded as
+   window.MochiAnalytics in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiAnalytics = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const BUFFER_KEY = 'mochiAnalytics';
+  const MAX_BATCH = 500;
+
+  /*
+   * An event is { id, type, at, kioskId, eventId, ...data }: `id` is unique
+   * per kiosk page load ("<page>-<n>"), `at` a ms timestamp. Types game.js
+   * sends:
+   *   screen_view        { screen }
+   *   nickname_rejected  { reason }
+   *   session_start      { mode }                 a player left the start page
+   *   session_end        { reason, screen, durationMs, games }
+   *                      reason 'quit' or 'idle'; screen is where they left
+   *   game_start         { mode, level?, seed }
+   *   game_end           game summary, see game.js gameSummary()
+   *   game_abandon       game summary of a game nobody finished
+   *   game_pause         { reason }               'button', 'hidden' (tab hidden) or 'admin'
+   *   game_resume        { pausedMs }
+   *   versus_match       { matchId }              paired with another kiosk, see versus.js
+   *   versus_result      { matchId, outcome, forfeit }   'win', 'lose' or 'draw'
+   *   lead_submit        { consents }             consent box name → ticked; never the details
+   *   lead_skip          { reason }               'skip', or 'idle' when the form timed out
+   *   prize_award        { tier, score }
+   *   prize_sold_out     { score }                reached a tier, but its stock was gone
+   *   prize_redeem       { tier, waitMs }         staff took the code; waitMs since the award
+   * A sink is { write(event), flush?() }.
+   */
+
+  /** Error message for a malformed event, or null. Shared with the server. */
+  function validateEvent(event) {
+    if (event === null || typeof event !== 'object' || Array.isArray(event)) return 'event must be an object';
+    if (typeof event.type !== 'string' || !/^[a-z_]{1,40}$/.test(event.type)) return 'type must be a snake_case name';
+    if (!Number.isInteger(event.at) || event.at < 0) return 'at must be a timestamp in ms';
+    return null;
+  }
+
+  /* ---------- tracker ---------- */
+
+  /**
+   * Analytics tracker. opts: { sinks, context } where `context` (kioskId,
+   * eventId…) is stamped on every event. track() never throws: a failing
+   * sink is logged and the others still get the event.
+   */
+  function createAnalytics(opts) {
+    const sinks = opts.sinks || [];
+    const context = opts.context || {};
+    const page = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    let seq = 0;
+
+    function track(type, data) {
+      const event = Object.assign({ id: `${page}-${++seq}`, type, at: Date.now() }, context, data);
+      for (const sink of sinks) {
+        try {
+          sink.write(event);
+        } catch (e) {
+          console.error('[analytics] sink failed:', e);
+        }
+      }
+      return event;
+    }
+
+    /** Push out anything sinks are holding back (before the page goes away). */
+    function flush() {
+      return Promise.all(sinks.map(sink => sink.flush ? sink.flush() : null));
+    }
+
+    return { track, flush };
+  }
+
+  /* ---------- sinks ---------- */
+
+  function createConsoleSink() {
+    return { write: event => console.info('[analytics]', event.type, event) };
+  }
+
+  const isQuotaError = e => e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+
+  /**
+   * The last `size` events in `storage`, oldest dropped first. They are read
+   * once and saved together, `batchSize` writes at a time or `flushMs` after
+   * the first unsaved one, and by flush(); events() includes the unsaved
+   * ones for export and clear() empties the buffer. When storage is full the
+   * oldest half goes, so analytics gives way before the kiosk's other stores.
+   */
+  function createBufferSink(opts) {
+    const storage = opts.storage;
+    const size = opts.size || 2000;
+    const batchSize = opts.batchSize || 20;
+    const flushMs = opts.flushMs || 5000;
+    let list = null;
+    let unsaved = 0;
+    let timer = null;
+
+    function load() {
+      if (list) return list;
+      try {
+        const saved = JSON.parse(storage.getItem(BUFFER_KEY) || '[]');
+        list = Array.isArray(saved) ? saved : [];
+      } catch (e) {
+        list = [];
+      }
+      return list;
+    }
+
+    function events() {
+      return load().slice();
+    }
+
+    function write(event) {
+      load().push(event);
+      if (list.length > size) list.splice(0, list.length - size);
+      if (++unsaved >= batchSize) flush();
+      else if (!timer) timer = setTimeout(flush, flushMs);
+    }
+
+    function flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (unsaved === 0) return;
+      unsaved = 0;
+      for (;;) {
+        try {
+          storage.setItem(BUFFER_KEY, JSON.stringify(list));
+          return;
+        } catch (e) {
+          if (!isQuotaError(e) || list.length <= 1) {
+            console.warn('[analytics] could not save the event buffer:', e.message);
+            return;
+          }
+          list.splice(0, Math.ceil(list.length / 2));
+        }
+      }
+    }
+
+    function clear() {
+      clearTimeout(timer);
+      timer = null;
+      list = [];
+      unsaved = 0;
+      storage.removeItem(BUFFER_KEY);
+    }
+
+    return { write, flush, events, clear };
+  }
+
+  /**
+   * Batched POSTs of { id, events } to `endpoint`: a batch goes out once it
+   * holds `batchSize` events or `flushMs` after its first one. A batch that
+   * can't be delivered is handed to `outbox` (see outbox.js), which retries
+   * it through post(). opts: { endpoint, batchSize, flushMs, timeoutMs,
+   * fetch, outbox }.
+   */
+  function createHttpSink(opts) {
+    const batchSize = Math.min(opts.batchSize || 20, MAX_BATCH);
+    const flushMs = opts.flushMs || 15000;
+    const timeoutMs = opts.timeoutMs || 4000;
+    const fetchFn = opts.fetch || (typeof fetch !== 'undefined' ? fetch.bind(null) : null);
+    let pending = [];
+    let timer = null;
+
+    function write(event) {
+      pending.push(event);
+      if (pending.length >= batchSize) flush();
+      else if (!timer) timer = setTimeout(flush, flushMs);
+    }
+
+    async function flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (pending.length === 0) return;
+      const batch = { id: 'batch-' + pending[0].id, events: pending };
+      pending = [];
+      try {
+        await post(batch);
+      } catch (e) {
+        if (!opts.outbox) {
+          console.warn('Analytics batch dropped:', e.message);
+        } else {
+          await opts.outbox.add(batch).catch(err => console.error('[analytics] could not queue batch:', err));
+        }
+      }
+    }
+
+    /** Raw POST for the outbox: rejects on failure (err.permanent for 4xx). */
+    async function post(batch) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchFn(opts.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(batch),
+          signal: controller.signal,
+          keepalive: true,   // let a batch flushed on pagehide finish
+        });
+        if (!response.ok) {
+          const err = new Error('HTTP ' + response.status);
+          err.permanent = response.status >= 400 && response.status < 500 &&
+            response.status !== 408 && response.status !== 429;
+          throw err;
+        }
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+
+    return { write, flush, post };
+  }
+
+  /* ---------- export ---------- */
+
+  /** Flatten nested objects to dotted keys: { fired: { bomb: 2 } } → { 'fired.bomb': 2 }. */
+  function flatten(obj, prefix, out) {
+    for (const [key, value] of Object.entries(obj)) {
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) flatten(value, name, out);
+      else out[name] = Array.isArray(value) ? value.join(' ') : value;
+    }
+    return out;
+  }
+
+  function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    /* keep spreadsheets from running a cell as a formula */
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /** Events as CSV, one row each, with a column for every (flattened) key any event has. */
+  function toCsv(events) {
+    const rows = events.map(event => flatten(event, '', {}));
+    const columns = [];
+    for (const row of rows) {
+      for (const key of Object.keys(row)) if (!columns.includes(key)) columns.push(key);
+    }
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) lines.push(columns.map(key => csvCell(row[key])).join(','));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  return {
+    BUFFER_KEY,
+    MAX_BATCH,
+    validateEvent,
+    createAnalytics,
+    createConsoleSink,
+    createBufferSink,
+    createHttpSink,
+    toCsv,
+  };
+});
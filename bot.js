@@ -0,0 +1,180 @@
+/* =========================================================
+   MOCHI CRUSH — autoplayer
+   Picks moves with the board engine for the attract-mode demo,
+   and plays whole games headlessly for balance testing (see
+   tools/simulate.js). Loaded as window.MochiBot in the browser
+   and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.MochiBot = factory(root.MochiEngine);
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+  'use strict';
+
+  /*
+   *   greedy     the move that scores most right now, cascades included
+   *   lookahead  the best pair of this move and the best greedy reply
+   *   random     any legal move, like a player who just swipes
+   */
+  const STRATEGIES = ['greedy', 'lookahead', 'random'];
+
+  const LOOKAHEAD_WIDTH = 6;   // best first moves whose replies are explored
+  const LOOKAHEAD_DISCOUNT = 0.9;   // the reply's refills are a guess, so it counts a bit less
+
+  /* ---------- candidates ---------- */
+
+  /**
+   * Every legal move on `board` as { r1, c1, r2, c2, value }, best estimate
+   * first (see Engine.findMoves). With `taps`, each power-up on the board is
+   * also a candidate, as a tap with r1,c1 === r2,c2.
+   */
+  function candidateMoves(board, rules, taps) {
+    const moves = Engine.findMoves(board, rules);
+    if (taps) {
+      for (let r = 0; r < board.rows; r++)
+        for (let c = 0; c < board.cols; c++)
+          if (Engine.isPiece(board, r, c) && board.powerUps[r][c] !== Engine.POWERUP_NONE) {
+            moves.push({ r1: r, c1: c, r2: r, c2: c, value: 0 });
+          }
+    }
+    return moves;
+  }
+
+  /**
+   * Play `move` on `board` with a private rng seeded by `seed`, so trying a
+   * move never disturbs the game's own random sequence and every candidate
+   * sees the same refills.
+   */
+  function tryMove(board, move, rules, seed) {
+    const opts = { rng: Engine.createRng(seed), rules };
+    return Engine.isTap(board, move.r1, move.c1, move.r2, move.c2)
+      ? Engine.resolveTap(board, move.r1, move.c1, opts)
+      : Engine.resolveSwap(board, move.r1, move.c1, move.r2, move.c2, opts);
+  }
+
+  /* ---------- strategies ---------- */
+
+  /** Every candidate with the score it makes now, best first. */
+  function scoredMoves(board, rules, taps, seed) {
+    const scored = [];
+    for (const move of candidateMoves(board, rules, taps)) {
+      const result = tryMove(board, move, rules, seed);
+      if (result.valid) scored.push({ move, result });
+    }
+    return scored.sort((a, b) => b.result.score - a.result.score);
+  }
+
+  function greedy(board, rules, taps, seed) {
+    const [best] = scoredMoves(board, rules, taps, seed);
+    return best ? best.move : null;
+  }
+
+  function lookahead(board, rules, taps, seed) {
+    const top = scoredMoves(board, rules, taps, seed).slice(0, LOOKAHEAD_WIDTH);
+    let best = null, bestValue = -Infinity;
+    for (const { move, result } of top) {
+      const [reply] = scoredMoves(result.board, rules, taps, seed + 1);
+      const value = result.score + LOOKAHEAD_DISCOUNT * (reply ? reply.result.score : 0);
+      if (value > bestValue) {
+        best = move;
+        bestValue = value;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pick a move for `board`: { r1, c1, r2, c2, value } (a tap when
+   * r1,c1 === r2,c2), or null when there is none. opts:
+   *   strategy   one of STRATEGIES (default 'greedy')
+   *   rules      engine rules
+   *   taps       whether tapping a power-up is allowed
+   *   rng        rng(max) for the bot's own choices; never the game's rng
+   */
+  function chooseMove(board, opts) {
+    opts = opts || {};
+    const rules = Engine.resolveRules(opts.rules);
+    const rng = opts.rng || Engine.defaultRng;
+    const strategy = opts.strategy || 'greedy';
+    if (strategy === 'random') {
+      const moves = candidateMoves(board, rules, opts.taps);
+      return moves.length > 0 ? moves[rng(moves.length)] : null;
+    }
+    const seed = rng(0x100000000);
+    if (strategy === 'lookahead') return lookahead(board, rules, opts.taps, seed);
+    if (strategy === 'greedy') return greedy(board, rules, opts.taps, seed);
+    throw new Error(`unknown strategy "${strategy}"`);
+  }
+
+  /* ---------- headless games ---------- */
+
+  /**
+   * Roughly how long game.js takes to play `events` back, in ms, from the
+   * anim timings in config: the swap, each pop (after a power-up effect when
+   * one fired that round), each fall and the pause between cascade rounds.
+   */
+  function playbackMs(events, anim, isSwap) {
+    let ms = isSwap ? anim.swap + 20 : 0;
+    let hasActivation = false;
+    for (const ev of events) {
+      if (ev.type === 'match') hasActivation = false;
+      else if (ev.type === 'combo') {
+        hasActivation = false;
+        if (ev.kind === 'bombStorm' || ev.kind === 'lineStorm') ms += anim.powerup;
+      } else if (ev.type === 'activate') hasActivation = true;
+      else if (ev.type === 'destroy') ms += (hasActivation ? anim.powerup : 0) + anim.pop;
+      else if (ev.type === 'fall') ms += anim.fall + 60 + anim.cascade;
+    }
+    return ms;
+  }
+
+  /**
+   * Play one timed game with no UI. opts:
+   *   seed, rows, cols, rules, layout   as for a live game
+   *   strategy, taps                    see chooseMove
+   *   timeMs       game length (config.gameTime × 1000)
+   *   timeBonus    config.timeBonus; when enabled, big plays extend timeMs
+   *   thinkMs      time the "player" spends per move on top of the animations
+   *   anim         config.anim, for playbackMs
+   *   botSeed      seed for the bot's own choices
+   * Returns the game's Engine.createMoveStats totals.
+   */
+  function simulateGame(opts) {
+    const rules = Engine.resolveRules(opts.rules);
+    const rng = Engine.createRng(opts.seed);
+    const botRng = Engine.createRng(opts.botSeed !== undefined ? opts.botSeed : rng.seed ^ 0x5bd1e995);
+    let board = Engine.createBoard(opts.rows || 8, opts.cols || 6, { rng, numColors: rules.numColors, layout: opts.layout });
+    const stats = Engine.createMoveStats();
+
+    const bonus = opts.timeBonus && opts.timeBonus.enabled ? opts.timeBonus : null;
+    let bonusMs = 0;
+    let elapsed = 0;
+    while (elapsed < opts.timeMs + bonusMs) {
+      const move = chooseMove(board, { strategy: opts.strategy, rules, taps: opts.taps, rng: botRng });
+      if (!move) break;   // finishMove reshuffles stuck boards, so this is a bot with nothing it likes
+      const isSwap = !Engine.isTap(board, move.r1, move.c1, move.r2, move.c2);
+      const result = isSwap
+        ? Engine.resolveSwap(board, move.r1, move.c1, move.r2, move.c2, { rng, rules })
+        : Engine.resolveTap(board, move.r1, move.c1, { rng, rules });
+      elapsed += (opts.thinkMs || 0) + playbackMs(result.events, opts.anim, isSwap);
+      if (!result.valid) continue;
+
+      board = result.board;
+      Engine.tallyMove(stats, result);
+      if (bonus) {
+        const earned = result.events.reduce((sum, ev) => sum + Engine.eventTimeBonus(ev, bonus), 0);
+        bonusMs = Math.min(bonus.maxSeconds * 1000, bonusMs + earned * 1000);
+      }
+    }
+    return stats;
+  }
+
+  return {
+    STRATEGIES,
+    candidateMoves,
+    chooseMove,
+    playbackMs,
+    simulateGame,
+  };
+});
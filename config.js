@@ -0,0 +1,471 @@
+/* =========================================================
+   MOCHI CRUSH — game configuration
+   Defaults, validation and loading for config.json. Loaded as
+   window.MochiConfig in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./levels.js'), require('./leads.js'), require('./prizes.js'));
+  else root.MochiConfig = factory(root.MochiEngine, root.MochiLevels, root.MochiLeads, root.MochiPrizes);
+})(typeof self !== 'undefined' ? self : this, function (Engine, Levels, Leads, Prizes) {
+  'use strict';
+
+  /* ---------- defaults ---------- */
+  const DEFAULTS = {
+    board: {
+      cols: 6,
+      rows: 8,
+      numColors: 3,        // how many entries of `colors` are in play
+      layout: null,        // optional stone/jelly layout, see engine.js
+    },
+    /* colour/asset manifest — one entry per mochi SKU, in colour-index order */
+    colors: [
+      { name: 'yellow', sprite: 'assets/YELLOW.png', product: 'assets/Product-YELLOW.png', particle: '#FFD93D' },
+      { name: 'pink',   sprite: 'assets/PINK.png',   product: 'assets/Product-PINK.png',   particle: '#FF6B9D' },
+      { name: 'blue',   sprite: 'assets/BLUE.png',   product: 'assets/Product-BLUE.png',   particle: '#4FC3F7' },
+    ],
+    gameTime: 45,          // seconds
+    /* timed games only: big plays add seconds to the clock, see Engine.eventTimeBonus */
+    timeBonus: {
+      enabled: false,
+      powerUps: { bomb: 2, line: 3, zap: 5 },   // per power-up that goes off (line is the rainbow)
+      chains: { 5: 2 },    // cascade chain reached → seconds, once per move; 0 turns one off
+      maxSeconds: 15,      // the most bonus time one game can earn
+    },
+    controls: {
+      tapToActivate: 'tap',  // tapping a power-up sets it off: 'tap', 'double' (double-tap) or 'off'
+    },
+    hints: {
+      enabled: true,       // turn off for competitive events
+      idleSeconds: 5,      // idle time before the best move is shown
+    },
+    leaderboard: {
+      endpoint: null,      // e.g. "http://10.0.0.2:8080/api/leaderboard" (server/server.js); null = this kiosk only
+      size: 5,             // entries per list
+      timeoutMs: 4000,     // give up on the server and show local scores after this
+      windows: ['today', 'event', 'all'],   // lists offered, first is the default
+      eventId: 'default',  // activation id; "This event" lists scores tagged with it
+      kioskId: null,       // null = generated once per kiosk and kept in localStorage
+      cycleSeconds: 6,     // attract-screen leaderboard: time per list
+    },
+    nickname: {
+      maxLength: 12,
+      blocklist: [],       // extra words to refuse anywhere in a name, on top of nickname.js DEFAULT_BLOCKLIST
+      allowlist: [],       // names that contain a blocked word but are fine ("Hancock")
+    },
+    /*
+     * With a leaderboard server, staff PINs are checked against its
+     * --admin-pin. pin is only for kiosks without one (or while it can't be
+     * reached): set it in window.MOCHI_CONFIG on the kiosk itself, never in
+     * config.json, which the server hands to anyone on the LAN. A kiosk with
+     * neither takes the first PIN entered in its admin panel (admin-pin.js);
+     * setting pin here later replaces it.
+     */
+    admin: {
+      pin: null,           // e.g. "2468"
+    },
+    sound: {
+      enabled: true,       // music and effects; staff can mute from the admin panel
+    },
+    analytics: {
+      sinks: ['buffer'],   // any of 'console', 'buffer' (kept on the kiosk, exported from the admin panel), 'http'
+      endpoint: null,      // 'http' sink target, e.g. "http://10.0.0.2:8080/api/analytics" (server/server.js)
+      bufferSize: 2000,    // events the 'buffer' sink keeps; the oldest go first
+      batchSize: 20,       // 'http' sink: events per POST…
+      flushSeconds: 15,    // …or this long after the first unsent one
+    },
+    /* optional opt-in form after a game, asked once per session; see leads.js */
+    leads: {
+      enabled: false,
+      publicKey: null,     // from `node tools/lead-keys.js generate`; leads are encrypted with it
+      endpoint: null,      // e.g. "http://10.0.0.2:8080/api/leads"; null = kept on the kiosk for export
+      title: 'WANT A FREE SAMPLE?',
+      intro: 'Leave your details and we will send you a Garnier Mochi Bar. Totally optional.',
+      fields: [            // type: 'text', 'email', 'tel' or 'consent' (a checkbox)
+        { name: 'email', label: 'Email', type: 'email', required: true },
+        { name: 'phone', label: 'Mobile (optional)', type: 'tel' },
+        { name: 'marketing', label: 'Send me news and offers from Garnier', type: 'consent' },
+        { name: 'privacy', label: 'I have read and accept the privacy notice', type: 'consent', required: true },
+      ],
+    },
+    /* what a timed game's score wins at the booth; see prizes.js */
+    prizes: {
+      enabled: false,
+      display: 'qr',       // redemption code as 'text', or as a 'qr' code with the text under it
+      endpoint: null,      // e.g. "http://10.0.0.2:8080/api/prizes" for one stock and codes any kiosk redeems; null = this kiosk only
+      tiers: [             // the best tier reached wins; one out of stock falls back to the tier below
+        /* tools/simulate.js shows which scores are realistic for the current rules */
+        { id: 'sample', name: 'Free sample', minScore: 5000, dailyCap: 200 },
+        { id: 'fullsize', name: 'Full-size Mochi Bar', minScore: 15000, dailyCap: 20 },   // dailyCap null = no cap
+      ],
+    },
+    /* head-to-head races between two kiosks; see versus.js and server/relay.js */
+    versus: {
+      enabled: false,
+      endpoint: null,      // e.g. "ws://10.0.0.2:8080/ws/versus" (server/server.js); both kiosks use the same relay
+      room: 'booth',       // kiosks in the same room race each other
+      miniBoard: true,     // show the opponent's board under their score
+      waitSeconds: 90,     // lobby with no opponent → start page; 0 waits forever
+    },
+    /* wall screens mirroring this kiosk's games (index.html?spectator); see spectator.js */
+    spectator: {
+      enabled: false,      // publish games for spectators; screens on this machine need nothing more
+      endpoint: null,      // e.g. "ws://10.0.0.2:8080/ws/spectate" (server/server.js) for screens on the LAN
+      channel: 'booth',    // screens follow the kiosk on their channel (?spectator=<channel>)
+      finalSeconds: 8,     // final score on the wall screen before the leaderboard comes back
+      sound: false,        // the wall screen plays the game's sounds too
+    },
+    /* walk-away handling; any time set to 0 never fires */
+    idle: {
+      gameplaySeconds: 20, // no touch mid-game → "Still playing?"
+      countdownSeconds: 10, // …then the game is abandoned
+      screenSeconds: 30,   // result, instructions and leaderboard screens → start page
+      attractSeconds: 60,  // start page → attract loop (demo, leaderboard, previews)
+      demoSeconds: 30,     // self-playing demo slot in the loop
+      demoStrategy: 'greedy', // how the demo picks moves, see bot.js STRATEGIES
+      previewSeconds: 5,   // per product image in the loop
+      previews: [
+        'assets/Preview/Garnier_MochiBar-MochiCrush-01.jpg',
+        'assets/Preview/Garnier_MochiBar-MochiCrush-02.jpg',
+        'assets/Preview/Garnier_MochiBar-MochiCrush-03.jpg',
+      ],
+    },
+    anim: {
+      swap:    250,        // ms
+      pop:     320,
+      fall:    200,
+      spawn:   200,
+      cascade: 120,        // pause between cascade rounds
+      powerup: 450,        // power-up activation effect
+    },
+    rules: {
+      bombRun: 4,          // run ≥ 4 (or any L/T shape) → bomb
+      rainbowRun: 6,       // run ≥ 6 → rainbow
+      rainbowShapeSize: 6, // L/T shape of ≥ 6 cells → rainbow
+      zapChains: [8, 12, 16],
+      pointsPerCell: 10,
+      chainBonus: 0.5,     // score × (1 + (chain - 1) × chainBonus)
+      swapActivates: false, // swapping a power-up without a match sets it off
+      comboMultipliers: {  // two power-ups swapped together, see engine.js COMBOS
+        blast: 2,          // bomb + bomb
+        cross: 2,          // bomb + rainbow
+        doubleLine: 2,     // rainbow + rainbow
+        bombStorm: 3,      // zap + bomb
+        lineStorm: 3,      // zap + rainbow
+        clearAll: 4,       // zap + zap
+      },
+    },
+    /* level mode sequence, see levels.js for the format */
+    levels: [
+      { name: 'Warm Up', moves: 15, goals: [{ type: 'score', target: 1000 }] },
+      { name: 'Pink Party', moves: 20, goals: [{ type: 'clear', target: 30, color: 'pink' }] },
+      { name: 'Bomb Squad', moves: 20, goals: [
+        { type: 'trigger', target: 2, powerUp: 'bomb' },
+        { type: 'score', target: 2000 },
+      ] },
+      { name: 'Jelly Jam', moves: 25, goals: [{ type: 'jelly', target: 12 }, { type: 'stone', target: 4 }],
+        layout: [
+          '......',
+          '.S..S.',
+          '......',
+          '.1221.',
+          '.1221.',
+          '......',
+          '.S..S.',
+          '......',
+        ] },
+    ],
+  };
+
+  /* ---------- validation ---------- */
+
+  const int = (lo, hi) => v =>
+    Number.isInteger(v) && v >= lo && v <= hi ? null : `must be an integer from ${lo} to ${hi}`;
+  const num = (lo, hi) => v =>
+    typeof v === 'number' && Number.isFinite(v) && v >= lo && v <= hi ? null : `must be a number from ${lo} to ${hi}`;
+  const intList = (lo, hi) => v =>
+    Array.isArray(v) && v.every(n => Number.isInteger(n) && n >= lo && n <= hi)
+      ? null : `must be a list of integers from ${lo} to ${hi}`;
+  const bool = () => v => typeof v === 'boolean' ? null : 'must be true or false';
+  const oneOf = (...options) => v =>
+    options.includes(v) ? null : `must be one of ${options.join(', ')}`;
+  const str = (lo, hi) => v =>
+    typeof v === 'string' && v.length >= lo && v.length <= hi ? null : `must be a string of ${lo} to ${hi} characters`;
+  const subsetList = (...options) => v =>
+    Array.isArray(v) && v.length > 0 && v.every(x => options.includes(x)) && new Set(v).size === v.length
+      ? null : `must be a non-empty list of distinct values from ${options.join(', ')}`;
+  const listOf = (...options) => v =>
+    Array.isArray(v) && v.every(x => options.includes(x)) && new Set(v).size === v.length
+      ? null : `must be a list of distinct values from ${options.join(', ')}`;
+  const stringList = (maxLength) => v =>
+    Array.isArray(v) && v.every(x => typeof x === 'string' && x !== '' && x.length <= maxLength)
+      ? null : `must be a list of strings of up to ${maxLength} characters`;
+  const digits = (lo, hi) => v =>
+    typeof v === 'string' && new RegExp(`^\\d{${lo},${hi}}$`).test(v) ? null : `must be a string of ${lo} to ${hi} digits`;
+  const slug = (lo, hi) => v =>
+    typeof v === 'string' && new RegExp(`^[A-Za-z0-9_-]{${lo},${hi}}$`).test(v) ? null : `must be ${lo} to ${hi} letters, digits, - or _`;
+  const optionalDigits = (lo, hi) => v => (v === null ? null : digits(lo, hi)(v));
+  const optionalString = () => v =>
+    v === null || (typeof v === 'string' && v !== '') ? null : 'must be a non-empty string or null';
+  const chainBonuses = () => v =>
+    isPlainObject(v) && Object.entries(v).every(([chain, s]) => /^\d+$/.test(chain) && Number(chain) >= 2 && typeof s === 'number' && s >= 0 && s <= 60)
+      ? null : 'must map chain lengths (2 or more) to seconds from 0 to 60';
+  const colorList = (lo, hi) => v => {
+    if (!Array.isArray(v) || v.length < lo || v.length > hi) return `must list ${lo} to ${hi} colours`;
+    for (const [i, entry] of v.entries()) {
+      if (!isPlainObject(entry)) return `[${i}] must be an object`;
+      if (typeof entry.name !== 'string' || !/^[a-z0-9-]+$/.test(entry.name)) return `[${i}].name must be a lowercase slug`;
+      for (const key of ['sprite', 'product', 'particle']) {
+        if (typeof entry[key] !== 'string' || entry[key] === '') return `[${i}].${key} must be a non-empty string`;
+      }
+    }
+    if (new Set(v.map(e => e.name)).size !== v.length) return 'names must be unique';
+    return null;
+  };
+
+  /** Dotted path → validator returning an error message or null. */
+  const SCHEMA = {
+    'board.cols':             int(4, 12),
+    'board.rows':             int(4, 14),
+    'board.numColors':        int(3, 8),
+    'colors':                 colorList(3, 8),
+    'gameTime':               int(5, 600),
+    'timeBonus.enabled':      bool(),
+    'timeBonus.powerUps.bomb': num(0, 60),
+    'timeBonus.powerUps.line': num(0, 60),
+    'timeBonus.powerUps.zap':  num(0, 60),
+    'timeBonus.chains':       chainBonuses(),
+    'timeBonus.maxSeconds':   int(0, 600),
+    'controls.tapToActivate': oneOf('tap', 'double', 'off'),
+    'hints.enabled':          bool(),
+    'hints.idleSeconds':      num(1, 120),
+    'leaderboard.endpoint':   optionalString(),
+    'leaderboard.size':       int(1, 50),
+    'leaderboard.timeoutMs':  int(500, 30000),
+    'leaderboard.windows':    subsetList('today', 'event', 'all'),
+    'leaderboard.eventId':    str(1, 64),
+    'leaderboard.kioskId':    optionalString(),
+    'leaderboard.cycleSeconds': num(1, 120),
+    'nickname.maxLength':     int(3, 24),
+    'nickname.blocklist':     stringList(40),
+    'nickname.allowlist':     stringList(40),
+    'admin.pin':              optionalDigits(4, 8),
+    'sound.enabled':          bool(),
+    'analytics.sinks':        listOf('console', 'buffer', 'http'),
+    'analytics.endpoint':     optionalString(),
+    'analytics.bufferSize':   int(100, 50000),
+    'analytics.batchSize':    int(1, 500),
+    'analytics.flushSeconds': num(1, 3600),
+    'leads.enabled':          bool(),
+    'leads.publicKey':        optionalString(),
+    'leads.endpoint':         optionalString(),
+    'leads.title':            str(1, 80),
+    'leads.intro':            str(0, 400),
+    'leads.fields':           Leads.validateFields,
+    'prizes.enabled':         bool(),
+    'prizes.display':         oneOf('text', 'qr'),
+    'prizes.endpoint':        optionalString(),
+    'prizes.tiers':           Prizes.validateTiers,
+    'versus.enabled':         bool(),
+    'versus.endpoint':        optionalString(),
+    'versus.room':            slug(1, 32),
+    'versus.miniBoard':       bool(),
+    'versus.waitSeconds':     int(0, 3600),
+    'spectator.enabled':      bool(),
+    'spectator.endpoint':     optionalString(),
+    'spectator.channel':      slug(1, 32),
+    'spectator.finalSeconds': int(1, 120),
+    'spectator.sound':        bool(),
+    'idle.gameplaySeconds':   int(0, 3600),
+    'idle.countdownSeconds':  int(1, 60),
+    'idle.screenSeconds':     int(0, 3600),
+    'idle.attractSeconds':    int(0, 3600),
+    'idle.demoSeconds':       int(5, 600),
+    'idle.demoStrategy':      oneOf('greedy', 'lookahead', 'random'),
+    'idle.previewSeconds':    int(1, 60),
+    'idle.previews':          stringList(200),
+    'anim.swap':              int(0, 5000),
+    'anim.pop':               int(0, 5000),
+    'anim.fall':              int(0, 5000),
+    'anim.spawn':             int(0, 5000),
+    'anim.cascade':           int(0, 5000),
+    'anim.powerup':           int(0, 5000),
+    'rules.bombRun':          int(3, 14),
+    'rules.rainbowRun':       int(3, 14),
+    'rules.rainbowShapeSize': int(5, 40),
+    'rules.zapChains':        intList(1, 100),
+    'rules.pointsPerCell':    num(0, 1000),
+    'rules.chainBonus':       num(0, 10),
+    'rules.swapActivates':    bool(),
+    'rules.comboMultipliers.blast':      num(0, 20),
+    'rules.comboMultipliers.cross':      num(0, 20),
+    'rules.comboMultipliers.doubleLine': num(0, 20),
+    'rules.comboMultipliers.bombStorm':  num(0, 20),
+    'rules.comboMultipliers.lineStorm':  num(0, 20),
+    'rules.comboMultipliers.clearAll':   num(0, 20),
+  };
+
+  function getPath(obj, path) {
+    return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  }
+
+  function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((o, k) => (o[k] = o[k] || {}), obj);
+    target[last] = value;
+  }
+
+  function clone(v) { return JSON.parse(JSON.stringify(v)); }
+
+  function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  /** Recursively merge `src` onto `dest`; arrays and scalars replace. */
+  function deepMerge(dest, src) {
+    for (const key of Object.keys(src)) {
+      if (isPlainObject(src[key]) && isPlainObject(dest[key])) deepMerge(dest[key], src[key]);
+      else dest[key] = clone(src[key]);
+    }
+    return dest;
+  }
+
+  /**
+   * Merge config layers (later wins) over DEFAULTS and validate the result.
+   * Invalid values are reported and replaced by their defaults, so a typo in
+   * config.json degrades one setting instead of breaking the kiosk.
+   * Returns { config, errors }.
+   */
+  function resolveConfig(...layers) {
+    const config = clone(DEFAULTS);
+    const errors = [];
+
+    for (const layer of layers) {
+      if (layer == null) continue;
+      if (!isPlainObject(layer)) { errors.push('config layer must be an object'); continue; }
+      for (const key of Object.keys(layer)) {
+        if (!(key in DEFAULTS)) errors.push(`unknown key "${key}"`);
+      }
+      deepMerge(config, layer);
+    }
+
+    for (const path of Object.keys(SCHEMA)) {
+      const err = SCHEMA[path](getPath(config, path));
+      if (err) {
+        errors.push(`${path} ${err}`);
+        setPath(config, path, clone(getPath(DEFAULTS, path)));
+      }
+    }
+
+    if (config.board.numColors > config.colors.length) {
+      errors.push(`board.numColors (${config.board.numColors}) exceeds the ${config.colors.length} colours in the manifest`);
+      config.board.numColors = Math.min(DEFAULTS.board.numColors, config.colors.length);
+    }
+
+    if (config.board.layout !== null) {
+      const err = Engine.validateLayout(config.board.layout, config.board.rows, config.board.cols);
+      if (err) {
+        errors.push('board.layout ' + err);
+        config.board.layout = null;
+      }
+    }
+
+    if (config.analytics.sinks.includes('http') && !config.analytics.endpoint) {
+      errors.push('analytics.sinks includes "http" but analytics.endpoint is not set');
+      config.analytics.sinks = config.analytics.sinks.filter(sink => sink !== 'http');
+    }
+
+    if (config.leads.enabled && !config.leads.publicKey) {
+      errors.push('leads.enabled needs leads.publicKey (see tools/lead-keys.js); the form stays off');
+      config.leads.enabled = false;
+    }
+
+    if (config.rules.rainbowRun <= config.rules.bombRun) {
+      errors.push('rules.rainbowRun must be greater than rules.bombRun');
+      config.rules.bombRun = DEFAULTS.rules.bombRun;
+      config.rules.rainbowRun = DEFAULTS.rules.rainbowRun;
+    }
+
+    /* bad levels are dropped one by one so the rest of the sequence still ships */
+    if (!Array.isArray(config.levels)) {
+      errors.push('levels must be a list');
+      config.levels = clone(DEFAULTS.levels);
+    }
+    const colorNames = config.colors.slice(0, config.board.numColors).map(col => col.name);
+    config.levels = config.levels.filter((level, i) => {
+      const err = Levels.validateLevel(level, colorNames, config.board);
+      if (err) errors.push(`levels[${i}] ${err}`);
+      return !err;
+    });
+
+    return { config, errors };
+  }
+
+  /** Error message if `value` can't be used for setting `path`, or null. */
+  function validateSetting(path, value) {
+    return SCHEMA[path] ? SCHEMA[path](value) : 'is not a setting';
+  }
+
+  /** Rules object in the shape MochiEngine expects. */
+  function engineRules(config) {
+    const tapActivates = config.controls.tapToActivate !== 'off';
+    return Object.assign({ numColors: config.board.numColors, tapActivates }, clone(config.rules));
+  }
+
+  /* ---------- loading ---------- */
+
+  /* settings staff changed from the admin panel, kept per kiosk */
+  const OVERRIDES_KEY = 'mochiConfigOverrides';
+
+  /** The saved admin-panel overrides layer, or null. */
+  function loadOverrides(storage) {
+    try {
+      return JSON.parse(storage.getItem(OVERRIDES_KEY) || 'null');
+    } catch (e) {
+      console.error('[config] saved overrides unreadable, ignoring them:', e.message);
+      return null;
+    }
+  }
+
+  /** Persist the admin-panel overrides layer; null or {} removes it. */
+  function saveOverrides(storage, overrides) {
+    if (overrides && Object.keys(overrides).length > 0) storage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+    else storage.removeItem(OVERRIDES_KEY);
+  }
+
+  /**
+   * Browser loader: config.json (if reachable), the optional inline
+   * `window.MOCHI_CONFIG` override and then the admin-panel overrides in
+   * localStorage. Never rejects — falls back to defaults.
+   */
+  async function loadConfig(url) {
+    const layers = [];
+    try {
+      const response = await fetch(url || 'config.json', { cache: 'no-store' });
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      layers.push(await response.json());
+    } catch (e) {
+      console.warn('Failed to load config.json (likely missing or file:// protocol). Using defaults:', e.message);
+    }
+    if (typeof window !== 'undefined' && window.MOCHI_CONFIG) layers.push(window.MOCHI_CONFIG);
+    if (typeof localStorage !== 'undefined') layers.push(loadOverrides(localStorage));
+
+    const { config, errors } = resolveConfig(...layers);
+    errors.forEach(err => console.error('[config] ' + err));
+    return config;
+  }
+
+  return {
+    DEFAULTS,
+    OVERRIDES_KEY,
+    resolveConfig,
+    validateSetting,
+    getPath,
+    setPath,
+    engineRules,
+    loadConfig,
+    loadOverrides,
+    saveOverrides,
+  };
+});
@@ -0,0 +1,129 @@
+/* =========================================================
+   MOCHI CRUSH — device key
+   Each kiosk signs what it posts to the leaderboard server with
+   its own ECDSA P-256 key, made on first run. The private key is
+   kept in IndexedDB as a non-extractable CryptoKey; the server
+   learns the public key (see server/server.js). WebCrypto only
+   exists on https:// and http://localhost pages, so elsewhere a
+   kiosk has no key and posts unsigned. Loaded as
+   window.MochiDeviceKey in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiDeviceKey = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DB_NAME = 'mochiDeviceKey';
+  const STORAGE_KEY = 'mochiDeviceKey';
+  const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+  const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+  const SIGNATURE_HEADER = 'X-Mochi-Signature';
+  const KEY_HEADER = 'X-Mochi-Key';
+
+  function toBase64(bytes) {
+    bytes = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  /* ---------- key storage ---------- */
+
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /** The key pair kept in IndexedDB, made (non-extractable) the first time. */
+  async function idbKeyPair(indexedDB, subtle) {
+    const open = indexedDB.open(DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore('keys');
+    const db = await idbRequest(open);
+    try {
+      const saved = await idbRequest(db.transaction('keys').objectStore('keys').get('device'));
+      if (saved) return saved;
+      const pair = await subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+      await idbRequest(db.transaction('keys', 'readwrite').objectStore('keys').put(pair, 'device'));
+      return pair;
+    } finally {
+      db.close();
+    }
+  }
+
+  /* without IndexedDB the pair is kept as JWK in `storage` — weaker, but it survives a reload */
+  async function storageKeyPair(storage, subtle) {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    if (saved) {
+      return {
+        privateKey: await subtle.importKey('jwk', saved.privateKey, KEY_ALGORITHM, false, ['sign']),
+        publicKey: await subtle.importKey('jwk', saved.publicKey, KEY_ALGORITHM, true, ['verify']),
+      };
+    }
+    const pair = await subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      privateKey: await subtle.exportKey('jwk', pair.privateKey),
+      publicKey: await subtle.exportKey('jwk', pair.publicKey),
+    }));
+    return pair;
+  }
+
+  /* ---------- public ---------- */
+
+  /**
+   * This kiosk's key, made on first use. opts: { indexedDB, storage, subtle }
+   * (default to the browser's). Resolves to { publicKey, sign(text) } —
+   * publicKey is base64 SPKI, sign resolves to a base64 signature — or to
+   * null when there is no WebCrypto. Never rejects.
+   */
+  async function loadDeviceKey(opts) {
+    opts = opts || {};
+    const subtle = opts.subtle || (typeof crypto !== 'undefined' && crypto.subtle);
+    if (!subtle) return null;
+    const indexedDB = opts.indexedDB !== undefined ? opts.indexedDB : typeof self !== 'undefined' ? self.indexedDB : null;
+    try {
+      let pair;
+      try {
+        if (!indexedDB) throw new Error('IndexedDB unavailable');
+        pair = await idbKeyPair(indexedDB, subtle);
+      } catch (e) {
+        console.warn('Device key kept in localStorage instead of IndexedDB:', e.message);
+        pair = await storageKeyPair(opts.storage || localStorage, subtle);
+      }
+      const publicKey = toBase64(await subtle.exportKey('spki', pair.publicKey));
+      const sign = async text =>
+        toBase64(await subtle.sign(SIGN_ALGORITHM, pair.privateKey, new TextEncoder().encode(text)));
+      return { publicKey, sign };
+    } catch (e) {
+      console.error('[device-key] no device key, posting unsigned:', e);
+      return null;
+    }
+  }
+
+  /** Whether `signature` is the holder of `publicKey` signing `text`; both base64. Used by the server. */
+  async function verifySignature(publicKey, signature, text, subtle) {
+    try {
+      const key = await subtle.importKey('spki', fromBase64(publicKey), KEY_ALGORITHM, false, ['verify']);
+      return await subtle.verify(SIGN_ALGORITHM, key, fromBase64(signature), new TextEncoder().encode(text));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  return {
+    SIGNATURE_HEADER,
+    KEY_HEADER,
+    loadDeviceKey,
+    verifySignature,
+  };
+});
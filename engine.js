@@ -0,0 +1,1154 @@
+/* =========================================================
+   MOCHI CRUSH — headless board engine
+   Pure match-3 rules with no DOM, timers or audio. Loaded as
+   window.MochiEngine in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /* ---------- constants ---------- */
+  const EMPTY = -1;
+  const STONE = -2;      // fixed blocker: never falls, can't be swapped or matched
+
+  const POWERUP_NONE = 0;
+  const POWERUP_BOMB = 1;
+  const POWERUP_LINE = 2;
+  const POWERUP_ZAP = 3;
+
+  /** Tunable rules; any subset can be overridden via opts.rules. */
+  const DEFAULT_RULES = {
+    numColors: 3,
+    bombRun: 4,            // straight run that earns a bomb (any L/T shape also does)
+    rainbowRun: 6,         // straight run that earns a rainbow
+    rainbowShapeSize: 6,   // L/T shape size that earns a rainbow
+    zapChains: [8, 12, 16],
+    pointsPerCell: 10,
+    chainBonus: 0.5,       // extra multiplier per cascade round after the first
+    swapActivates: false,  // swapping a power-up with no match sets it off instead of bouncing
+    tapActivates: true,    // the player can tap a power-up to set it off (controls.tapToActivate)
+    comboMultipliers: {    // score multiplier when two power-ups are swapped together
+      blast: 2, cross: 2, doubleLine: 2, bombStorm: 3, lineStorm: 3, clearAll: 4,
+    },
+  };
+
+  /** Combo kind for every unordered pair of power-ups, keyed "low-high". */
+  const COMBOS = {
+    [POWERUP_BOMB + '-' + POWERUP_BOMB]: 'blast',      // 5x5 area
+    [POWERUP_BOMB + '-' + POWERUP_LINE]: 'cross',      // three rows + three columns
+    [POWERUP_LINE + '-' + POWERUP_LINE]: 'doubleLine', // both cells' rows + columns
+    [POWERUP_BOMB + '-' + POWERUP_ZAP]:  'bombStorm',  // one colour turns into bombs
+    [POWERUP_LINE + '-' + POWERUP_ZAP]:  'lineStorm',  // one colour turns into rainbows
+    [POWERUP_ZAP + '-' + POWERUP_ZAP]:   'clearAll',   // the whole board
+  };
+
+  function comboKind(pu1, pu2) {
+    if (pu1 === POWERUP_NONE || pu2 === POWERUP_NONE) return null;
+    return COMBOS[Math.min(pu1, pu2) + '-' + Math.max(pu1, pu2)];
+  }
+
+  function resolveRules(rules) {
+    const resolved = Object.assign({}, DEFAULT_RULES, rules);
+    resolved.comboMultipliers = Object.assign({}, DEFAULT_RULES.comboMultipliers, rules && rules.comboMultipliers);
+    return resolved;
+  }
+
+  function defaultRng(max) { return Math.floor(Math.random() * max); }
+
+  /* =========================================================
+     SEEDED RNG
+     =========================================================
+     Every random choice the rules make (initial board, refills,
+     shuffles, Zap targets, power-up spawn columns) goes through
+     an rng(max) function, so a seed replays a game exactly.   */
+
+  /** Normalise a number or string seed to an unsigned 32-bit integer. */
+  function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    const str = String(seed);
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+    /* FNV-1a so words like "daily-2026-10-19" make stable seeds */
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /** mulberry32 — returns rng(max) → integer in [0, max). */
+  function createRng(seed) {
+    let a = normalizeSeed(seed);
+    const rng = max => {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      const f = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      return Math.floor(f * max);
+    };
+    rng.seed = normalizeSeed(seed);
+    return rng;
+  }
+
+  /* =========================================================
+     BOARD
+     =========================================================
+     A board is { rows, cols, numColors, grid, powerUps, jelly }:
+       grid[row][col]     → colour index (0..numColors-1),
+                            -1 = empty, -2 = stone
+       powerUps[row][col] → POWERUP_* constant
+       jelly[row][col]    → jelly layers left under that cell
+     Cell indices in events are row * cols + col.             */
+
+  function cloneBoard(board) {
+    return {
+      rows: board.rows,
+      cols: board.cols,
+      numColors: board.numColors,
+      grid: board.grid.map(row => row.slice()),
+      powerUps: board.powerUps.map(row => row.slice()),
+      jelly: board.jelly.map(row => row.slice()),
+    };
+  }
+
+  /** True for a swappable, matchable mochi (not a stone or a hole). */
+  function isPiece(board, r, c) {
+    return board.grid[r][c] >= 0;
+  }
+
+  /* ---------- blocker layouts ---------- */
+
+  /*
+   * A layout is one string per row, one character per column:
+   *   .      plain cell
+   *   S      stone — breaks when a match lands next to it or a power-up hits it
+   *   1-3    jelly with that many layers under the mochi; each clear peels one
+   */
+
+  /** Error message for a malformed layout, or null. */
+  function validateLayout(layout, rows, cols) {
+    if (!Array.isArray(layout) || layout.length !== rows) return `must list ${rows} rows`;
+    let stones = 0;
+    for (const [r, line] of layout.entries()) {
+      if (typeof line !== 'string' || line.length !== cols) return `row ${r} must be ${cols} characters`;
+      if (!/^[.S1-3]*$/.test(line)) return `row ${r} may only use . S 1 2 3`;
+      stones += line.split('S').length - 1;
+    }
+    if (stones > rows * cols / 3) return 'may not be more than a third stone';
+    if (moveSpots(rows, cols, (r, c) => layout[r][c] === 'S').length === 0) return 'leaves no room for a move';
+    return null;
+  }
+
+  /**
+   * Every place a move fits between the stones (isStone(r, c)), as
+   * { run, at, from }: three open cells in a line, the one of them (`at`)
+   * that an open neighbour outside the line (`from`) can swap into.
+   */
+  function moveSpots(rows, cols, isStone) {
+    const open = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols && !isStone(r, c);
+    const spots = [];
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        for (const [dr, dc] of [[0, 1], [1, 0]]) {
+          const run = [0, 1, 2].map(k => [r + k * dr, c + k * dc]);
+          if (!run.every(([rr, cc]) => open(rr, cc))) continue;
+          for (const at of run) {
+            for (const [nr, nc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+              const from = [at[0] + nr, at[1] + nc];
+              if (open(from[0], from[1]) && !run.some(([rr, cc]) => rr === from[0] && cc === from[1])) {
+                spots.push({ run, at, from });
+              }
+            }
+          }
+        }
+      }
+    }
+    return spots;
+  }
+
+  function parseLayout(layout, rows, cols) {
+    const stone = Array.from({ length: rows }, () => Array(cols).fill(false));
+    const jelly = Array.from({ length: rows }, () => Array(cols).fill(0));
+    if (!layout) return { stone, jelly };
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const ch = layout[r][c];
+        if (ch === 'S') stone[r][c] = true;
+        else if (ch >= '1' && ch <= '3') jelly[r][c] = Number(ch);
+      }
+    }
+    return { stone, jelly };
+  }
+
+  function colorAt(board, r, c) {
+    if (r < 0 || r >= board.rows || c < 0 || c >= board.cols) return EMPTY;
+    return board.grid[r][c];
+  }
+
+  /** Pick a colour that won't create a match at (r,c) during init. */
+  function safeColor(grid, r, c, numColors, rng) {
+    let avail = allColors(numColors);
+    if (c >= 2 && grid[r][c - 1] === grid[r][c - 2])
+      avail = avail.filter(v => v !== grid[r][c - 1]);
+    if (r >= 2 && grid[r - 1][c] === grid[r - 2][c])
+      avail = avail.filter(v => v !== grid[r - 1][c]);
+    return avail[rng(avail.length)];
+  }
+
+  function allColors(numColors) {
+    return Array.from({ length: numColors }, (_, i) => i);
+  }
+
+  /**
+   * Fresh match-free board that is guaranteed to have a legal move.
+   * opts: { rng, numColors, layout } — see validateLayout for the layout format.
+   */
+  function createBoard(rows, cols, opts) {
+    const rng = (opts && opts.rng) || defaultRng;
+    const numColors = (opts && opts.numColors) || DEFAULT_RULES.numColors;
+    const layout = parseLayout(opts && opts.layout, rows, cols);
+    const board = { rows, cols, numColors, grid: [], powerUps: [], jelly: layout.jelly };
+    for (let r = 0; r < rows; r++) {
+      board.grid[r] = [];
+      board.powerUps[r] = [];
+      for (let c = 0; c < cols; c++) {
+        board.grid[r][c] = layout.stone[r][c] ? STONE : safeColor(board.grid, r, c, numColors, rng);
+        board.powerUps[r][c] = POWERUP_NONE;
+      }
+    }
+    if (!hasValidMoves(board)) shuffleBoard(board, rng);
+    return board;
+  }
+
+  function swapCells(board, r1, c1, r2, c2) {
+    const { grid, powerUps } = board;
+    [grid[r1][c1], grid[r2][c2]] = [grid[r2][c2], grid[r1][c1]];
+    [powerUps[r1][c1], powerUps[r2][c2]] = [powerUps[r2][c2], powerUps[r1][c1]];
+  }
+
+  /* =========================================================
+     MATCH DETECTION
+     ========================================================= */
+
+  /** Simple flat set of matched indices — used by hasValidMoves / shuffleBoard. */
+  function findMatches(board) {
+    const { rows: ROWS, cols: COLS, grid } = board;
+    const matched = new Set();
+
+    for (let r = 0; r < ROWS; r++) {
+      let run = 1;
+      for (let c = 1; c < COLS; c++) {
+        if (grid[r][c] === grid[r][c - 1] && grid[r][c] >= 0) {
+          run++;
+        } else {
+          if (run >= 3) for (let k = c - run; k < c; k++) matched.add(r * COLS + k);
+          run = 1;
+        }
+      }
+      if (run >= 3) for (let k = COLS - run; k < COLS; k++) matched.add(r * COLS + k);
+    }
+
+    for (let c = 0; c < COLS; c++) {
+      let run = 1;
+      for (let r = 1; r < ROWS; r++) {
+        if (grid[r][c] === grid[r - 1][c] && grid[r][c] >= 0) {
+          run++;
+        } else {
+          if (run >= 3) for (let k = r - run; k < r; k++) matched.add(k * COLS + c);
+          run = 1;
+        }
+      }
+      if (run >= 3) for (let k = ROWS - run; k < ROWS; k++) matched.add(k * COLS + c);
+    }
+
+    return matched;   // Set of (row*COLS + col)
+  }
+
+  /** Structured match groups with length and direction, for power-up logic. */
+  function findMatchGroups(board) {
+    const { rows: ROWS, cols: COLS, grid } = board;
+    const groups = [];
+
+    for (let r = 0; r < ROWS; r++) {
+      let runStart = 0;
+      for (let c = 1; c <= COLS; c++) {
+        if (c < COLS && grid[r][c] === grid[r][runStart] && grid[r][c] >= 0) continue;
+        const runLen = c - runStart;
+        if (runLen >= 3) {
+          const cells = new Set();
+          for (let k = runStart; k < c; k++) cells.add(r * COLS + k);
+          groups.push({ cells, length: runLen, horizontal: true, color: grid[r][runStart] });
+        }
+        runStart = c;
+      }
+    }
+
+    for (let c = 0; c < COLS; c++) {
+      let runStart = 0;
+      for (let r = 1; r <= ROWS; r++) {
+        if (r < ROWS && grid[r][c] === grid[runStart][c] && grid[r][c] >= 0) continue;
+        const runLen = r - runStart;
+        if (runLen >= 3) {
+          const cells = new Set();
+          for (let k = runStart; k < r; k++) cells.add(k * COLS + c);
+          groups.push({ cells, length: runLen, horizontal: false, color: grid[runStart][c] });
+        }
+        runStart = r;
+      }
+    }
+
+    return groups;
+  }
+
+  /** Merge groups that share cells (L/T shapes) via iterative flood. */
+  function mergeOverlappingGroups(groups) {
+    let entries = groups.map(g => ({
+      cells: new Set(g.cells),
+      maxRunLength: g.length,
+      hasH: g.horizontal,
+      hasV: !g.horizontal,
+    }));
+
+    let didMerge = true;
+    while (didMerge) {
+      didMerge = false;
+      outer:
+      for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+          let overlap = false;
+          for (const idx of entries[j].cells) {
+            if (entries[i].cells.has(idx)) { overlap = true; break; }
+          }
+          if (overlap) {
+            for (const idx of entries[j].cells) entries[i].cells.add(idx);
+            entries[i].maxRunLength = Math.max(entries[i].maxRunLength, entries[j].maxRunLength);
+            if (entries[j].hasH) entries[i].hasH = true;
+            if (entries[j].hasV) entries[i].hasV = true;
+            entries.splice(j, 1);
+            didMerge = true;
+            break outer;
+          }
+        }
+      }
+    }
+
+    return entries.map(m => ({
+      cells: m.cells,
+      totalSize: m.cells.size,
+      maxRunLength: m.maxRunLength,
+      isLT: m.hasH && m.hasV,
+    }));
+  }
+
+  /* =========================================================
+     VALID-MOVE CHECK & SHUFFLE
+     ========================================================= */
+
+  /**
+   * Call visit(r1, c1, r2, c2) for every adjacent pair of pieces, with the
+   * pair swapped on `board` for the duration of the call. Stops early when
+   * visit returns true; the board is always left as it was.
+   */
+  function forEachSwap(board, visit) {
+    const { rows: ROWS, cols: COLS } = board;
+    for (let r = 0; r < ROWS; r++) {
+      for (let c = 0; c < COLS; c++) {
+        if (!isPiece(board, r, c)) continue;
+        for (const [r2, c2] of [[r, c + 1], [r + 1, c]]) {
+          if (r2 >= ROWS || c2 >= COLS || !isPiece(board, r2, c2)) continue;
+          swapCells(board, r, c, r2, c2);
+          const stop = visit(r, c, r2, c2);
+          swapCells(board, r, c, r2, c2);
+          if (stop) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether the player has a move left: a swap that matches or pairs two
+   * power-ups, a tap on any power-up with rules.tapActivates, or a swap that
+   * moves one with rules.swapActivates.
+   */
+  function hasValidMoves(board, rules) {
+    rules = resolveRules(rules);
+    const hasPowerUp = (r, c) => board.powerUps[r][c] !== POWERUP_NONE;
+    if (rules.tapActivates) {
+      for (let r = 0; r < board.rows; r++)
+        for (let c = 0; c < board.cols; c++)
+          if (isPiece(board, r, c) && hasPowerUp(r, c)) return true;
+    }
+    return forEachSwap(board, (r1, c1, r2, c2) =>
+      !!comboKind(board.powerUps[r1][c1], board.powerUps[r2][c2]) ||
+      (rules.swapActivates && (hasPowerUp(r1, c1) || hasPowerUp(r2, c2))) ||
+      findMatches(board).size > 0);
+  }
+
+  /** Rough number of cells a combo clears, for ranking moves. */
+  function comboReach(board, kind, rules) {
+    const { rows: ROWS, cols: COLS } = board;
+    switch (kind) {
+      case 'blast':      return 25;
+      case 'cross':      return 3 * (ROWS + COLS) - 9;
+      case 'doubleLine': return 2 * (ROWS + COLS) - 4;
+      case 'bombStorm':  return Math.min(ROWS * COLS, 9 * Math.ceil(ROWS * COLS / rules.numColors));
+      case 'lineStorm':  return Math.min(ROWS * COLS, (ROWS + COLS) * Math.ceil(ROWS * COLS / rules.numColors));
+      default:           return ROWS * COLS;
+    }
+  }
+
+  /**
+   * Every legal swap on `board`, best first. Each candidate is
+   * { r1, c1, r2, c2, value } where `value` estimates the opening round's
+   * points: the cells matched, plus what any power-up earned or set off
+   * will clear later. Cascades are not predicted. Does not mutate `board`.
+   */
+  function findMoves(board, rules) {
+    rules = resolveRules(rules);
+    const { rows: ROWS, cols: COLS } = board;
+    const reach = {
+      [POWERUP_BOMB]: 9,
+      [POWERUP_LINE]: ROWS + COLS - 1,
+      [POWERUP_ZAP]: Math.ceil(ROWS * COLS / rules.numColors),
+    };
+    const moves = [];
+    const work = cloneBoard(board);
+
+    forEachSwap(work, (r1, c1, r2, c2) => {
+      const kind = comboKind(work.powerUps[r1][c1], work.powerUps[r2][c2]);
+      let cells = 0;
+      if (kind) {
+        cells = comboReach(work, kind, rules) * rules.comboMultipliers[kind];
+      } else {
+        const groups = mergeOverlappingGroups(findMatchGroups(work));
+        for (const mg of groups) {
+          cells += mg.totalSize;
+          const earned = earnedPowerUp(mg, rules);
+          if (earned !== POWERUP_NONE) cells += reach[earned];
+          for (const idx of mg.cells) {
+            const pu = work.powerUps[Math.floor(idx / COLS)][idx % COLS];
+            if (pu !== POWERUP_NONE) cells += reach[pu];
+          }
+        }
+        if (cells === 0 && rules.swapActivates) {
+          for (const [r, c] of [[r1, c1], [r2, c2]]) {
+            const pu = work.powerUps[r][c];
+            if (pu !== POWERUP_NONE) cells += reach[pu];
+          }
+        }
+        if (cells === 0) return false;
+      }
+      moves.push({ r1, c1, r2, c2, value: Math.round(cells * rules.pointsPerCell) });
+      return false;
+    });
+
+    return moves.sort((a, b) => b.value - a.value);
+  }
+
+  /* random re-rolls a shuffle tries before it builds a move in on purpose */
+  const MAX_SHUFFLE_ROLLS = 1000;
+
+  /**
+   * Shuffle in place until the board has no matches and at least one move.
+   * Stones and jelly stay where they are; only the mochi move. Boards that
+   * rarely roll a move (few colours, many stones) get one planted instead;
+   * a layout with no room for one (validateLayout refuses those) is left
+   * as the last roll made it.
+   */
+  function shuffleBoard(board, rng) {
+    rng = rng || defaultRng;
+    const { rows: ROWS, cols: COLS, grid, powerUps } = board;
+    const cells = [];
+    for (let r = 0; r < ROWS; r++)
+      for (let c = 0; c < COLS; c++)
+        if (grid[r][c] !== STONE) cells.push([r, c]);
+
+    const flat = cells.map(([r, c]) => grid[r][c]);
+    for (let i = flat.length - 1; i > 0; i--) {
+      const j = rng(i + 1);
+      [flat[i], flat[j]] = [flat[j], flat[i]];
+    }
+    cells.forEach(([r, c], i) => { grid[r][c] = flat[i]; });
+
+    for (let r = 0; r < ROWS; r++)
+      for (let c = 0; c < COLS; c++)
+        powerUps[r][c] = POWERUP_NONE;
+
+    let rolls = 0;
+    while (findMatches(board).size > 0 || !hasValidMoves(board)) {
+      if (++rolls > MAX_SHUFFLE_ROLLS) {
+        plantMove(board, cells, rng);
+        return;
+      }
+      for (const [r, c] of cells) grid[r][c] = rng(board.numColors);
+    }
+  }
+
+  /** Colour `cells` around a move at one of the board's moveSpots, with no match standing. */
+  function plantMove(board, cells, rng) {
+    const { rows: ROWS, cols: COLS, grid, numColors } = board;
+    const spots = moveSpots(ROWS, COLS, (r, c) => grid[r][c] === STONE);
+    for (const { run, at, from } of spots) {
+      for (let color = 0; color < numColors; color++) {
+        for (const [r, c] of cells) grid[r][c] = EMPTY;
+        for (const [r, c] of run) grid[r][c] = color;
+        grid[from[0]][from[1]] = color;
+        grid[at[0]][at[1]] = (color + 1) % numColors;
+        for (const [r, c] of cells) {
+          if (grid[r][c] !== EMPTY) continue;
+          const avail = allColors(numColors).filter(v => !completesRun(grid, r, c, v));
+          grid[r][c] = avail.length > 0 ? avail[rng(avail.length)] : rng(numColors);
+        }
+        if (findMatches(board).size === 0 && hasValidMoves(board)) return;
+      }
+    }
+  }
+
+  /** Whether colour `v` at (r, c) would line up three or more with the colours already placed. */
+  function completesRun(grid, r, c, v) {
+    const same = (dr, dc) => {
+      let n = 0;
+      for (let rr = r + dr, cc = c + dc; grid[rr] !== undefined && grid[rr][cc] === v; rr += dr, cc += dc) n++;
+      return n;
+    };
+    return same(0, -1) + same(0, 1) >= 2 || same(-1, 0) + same(1, 0) >= 2;
+  }
+
+  /* =========================================================
+     SWAP + CASCADE RESOLUTION
+     ========================================================= */
+
+  /**
+   * Resolve one player swap against a board without mutating it.
+   * Returns { valid, board, events, score, chain } where `board` is the
+   * settled board and `events` is the ordered list the renderer plays back:
+   *   combo    { chain, kind, row, col, from, cells, targetColor?, converted? }
+   *   match    { chain, cells, groups }
+   *   spawn    { chain, powerUp, col }           power-up earned this round
+   *   activate { chain, row, col, powerUp, targetColor?, targets?, combo? }
+   *   score    { chain, cells, points }
+   *   destroy  { chain, cells, colors }        colors[i] = colour cells[i] had
+   *   blocker  { chain, stones, jelly }         stones broken / jelly layers peeled
+   *   fall     { chain, sourceRow, isNew, board }
+   *   shuffle  { board }                         no moves left afterwards
+   * Swapping two power-ups is always legal: it opens with one combo round
+   * (see resolveCombo) before the usual cascades. With rules.swapActivates,
+   * a power-up swapped without making a match fires where it lands.
+   */
+  function resolveSwap(board, r1, c1, r2, c2, opts) {
+    const rng = (opts && opts.rng) || defaultRng;
+    const rules = resolveRules(opts && opts.rules);
+    if (!isPiece(board, r1, c1) || !isPiece(board, r2, c2)) {
+      return { valid: false, board: cloneBoard(board), events: [], score: 0, chain: 0 };
+    }
+    const next = cloneBoard(board);
+    swapCells(next, r1, c1, r2, c2);
+    const kind = comboKind(next.powerUps[r1][c1], next.powerUps[r2][c2]);
+    const hasMatch = findMatches(next).size > 0;
+    const fired = [[r1, c1], [r2, c2]].filter(([r, c]) => next.powerUps[r][c] !== POWERUP_NONE);
+
+    if (!kind && !hasMatch && !(rules.swapActivates && fired.length > 0)) {
+      return { valid: false, board: cloneBoard(board), events: [], score: 0, chain: 0 };
+    }
+
+    const events = [];
+    if (kind) {
+      const pts = resolveCombo(next, kind, r1, c1, r2, c2, rng, rules, events);
+      return finishMove(next, events, pts, resolveCascades(next, null, rng, rules, events, 1), rng, rules);
+    }
+    if (!hasMatch) {
+      const pts = resolveActivation(next, fired, rng, rules, events);
+      return finishMove(next, events, pts, resolveCascades(next, null, rng, rules, events, 1), rng, rules);
+    }
+    return finishMove(next, events, 0, resolveCascades(next, { r1, c1, r2, c2 }, rng, rules, events, 0), rng, rules);
+  }
+
+  /**
+   * Set off the power-up at (r, c) directly, as a tap. Same chain reaction
+   * and scoring as a power-up caught in a match; invalid on a plain mochi.
+   * Returns the same shape as resolveSwap.
+   */
+  function resolveTap(board, r, c, opts) {
+    const rng = (opts && opts.rng) || defaultRng;
+    const rules = resolveRules(opts && opts.rules);
+    if (!isPiece(board, r, c) || board.powerUps[r][c] === POWERUP_NONE) {
+      return { valid: false, board: cloneBoard(board), events: [], score: 0, chain: 0 };
+    }
+    const next = cloneBoard(board);
+    const events = [];
+    const pts = resolveActivation(next, [[r, c]], rng, rules, events);
+    return finishMove(next, events, pts, resolveCascades(next, null, rng, rules, events, 1), rng, rules);
+  }
+
+  /** Shuffle a board with no move left under `rules` and package a valid move's result. */
+  function finishMove(board, events, openingScore, cascades, rng, rules) {
+    if (!hasValidMoves(board, rules)) {
+      shuffleBoard(board, rng);
+      events.push({ type: 'shuffle', board: cloneBoard(board) });
+    }
+    return {
+      valid: true,
+      board,
+      events,
+      score: openingScore + cascades.score,
+      chain: cascades.chain,
+    };
+  }
+
+  /** Opening round that fires power-ups at `cells` without a match (chain 1). */
+  function resolveActivation(board, cells, rng, rules, events) {
+    const chain = 1;
+    const toDestroy = new Set(cells.map(([r, c]) => r * board.cols + c));
+    for (const act of activatePowerUps(board, toDestroy, rng)) {
+      events.push(Object.assign({ type: 'activate', chain }, act));
+    }
+    const pts = calcScore(toDestroy, chain, rules);
+    clearAndSettle(board, toDestroy, chain, pts, [], rng, events);
+    return pts;
+  }
+
+  /**
+   * Run match → activate → clear → fall rounds on `board` in place.
+   * `chain` counts on from `startChain` (a combo round counts as chain 1).
+   */
+  function resolveCascades(board, swapAt, rng, rules, events, startChain) {
+    const COLS = board.cols;
+    let chain = startChain || 0;
+    let total = 0;
+    let isFirstRound = true;
+
+    for (;;) {
+      const groups = findMatchGroups(board);
+      const allMatched = new Set();
+      for (const g of groups) {
+        for (const idx of g.cells) allMatched.add(idx);
+      }
+      if (allMatched.size === 0) break;
+      chain++;
+
+      /* --- classify matches to earn power-ups --- */
+      const merged = mergeOverlappingGroups(groups);
+      const pendingPowerUps = [];
+
+      if (rules.zapChains.includes(chain)) {
+        let spawnCol = -1;
+        if (isFirstRound && swapAt) {
+          spawnCol = rng(2) === 0 ? swapAt.c1 : swapAt.c2;
+        } else {
+          const arr = [...allMatched];
+          spawnCol = arr[Math.floor(arr.length / 2)] % COLS;
+        }
+        pendingPowerUps.push({ type: POWERUP_ZAP, col: spawnCol });
+      }
+
+      for (const mg of merged) {
+        const puType = earnedPowerUp(mg, rules);
+        if (puType === POWERUP_NONE) continue;
+
+        /* pick a column for the power-up to fall into */
+        let spawnCol = -1;
+        if (isFirstRound && swapAt) {
+          const s1 = swapAt.r1 * COLS + swapAt.c1;
+          const s2 = swapAt.r2 * COLS + swapAt.c2;
+          if (mg.cells.has(s1)) spawnCol = swapAt.c1;
+          else if (mg.cells.has(s2)) spawnCol = swapAt.c2;
+        }
+        if (spawnCol === -1) {
+          const arr = [...mg.cells];
+          spawnCol = arr[Math.floor(arr.length / 2)] % COLS;
+        }
+
+        pendingPowerUps.push({ type: puType, col: spawnCol });
+      }
+
+      events.push({
+        type: 'match',
+        chain,
+        cells: [...allMatched],
+        groups: merged.map(mg => ({
+          cells: [...mg.cells],
+          size: mg.totalSize,
+          maxRunLength: mg.maxRunLength,
+          isLT: mg.isLT,
+        })),
+      });
+      for (const pu of pendingPowerUps) {
+        events.push({ type: 'spawn', chain, powerUp: pu.type, col: pu.col });
+      }
+
+      /* --- all matched cells are destroyed, plus whatever power-ups reach --- */
+      const toDestroy = new Set(allMatched);
+
+      /* --- stones next to a colour match crack (blasts below break the rest) --- */
+      for (const idx of allMatched) {
+        const r = Math.floor(idx / COLS), c = idx % COLS;
+        for (const [nr, nc] of [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]) {
+          if (colorAt(board, nr, nc) === STONE) toDestroy.add(nr * COLS + nc);
+        }
+      }
+      for (const act of activatePowerUps(board, toDestroy, rng)) {
+        events.push(Object.assign({ type: 'activate', chain }, act));
+      }
+
+      /* --- score, clear, fall --- */
+      const pts = calcScore(toDestroy, chain, rules);
+      total += pts;
+      clearAndSettle(board, toDestroy, chain, pts, pendingPowerUps, rng, events);
+
+      isFirstRound = false;
+    }
+
+    return { score: total, chain };
+  }
+
+  /**
+   * Play the combo round for two swapped power-ups, centred on the cell the
+   * player dragged onto (r2, c2). The two sources fire as the combo rather
+   * than individually; anything else caught in the area still chain-reacts.
+   * Returns the points scored, already multiplied by the combo's multiplier.
+   */
+  function resolveCombo(board, kind, r1, c1, r2, c2, rng, rules, events) {
+    const { rows: ROWS, cols: COLS, grid, powerUps } = board;
+    const chain = 1;
+    const inBounds = (r, c) => r >= 0 && r < ROWS && c >= 0 && c < COLS;
+    const toDestroy = new Set([r1 * COLS + c1, r2 * COLS + c2]);
+    const combo = { type: 'combo', chain, kind, row: r2, col: c2, from: [r1, c1] };
+
+    for (const [r, c] of [[r1, c1], [r2, c2]]) {
+      events.push({ type: 'activate', chain, row: r, col: c, powerUp: powerUps[r][c], combo: kind });
+      powerUps[r][c] = POWERUP_NONE;
+    }
+
+    if (kind === 'blast') {
+      for (let dr = -2; dr <= 2; dr++)
+        for (let dc = -2; dc <= 2; dc++)
+          if (inBounds(r2 + dr, c2 + dc)) toDestroy.add((r2 + dr) * COLS + c2 + dc);
+    } else if (kind === 'cross' || kind === 'doubleLine') {
+      const rowSet = kind === 'cross' ? [r2 - 1, r2, r2 + 1] : [r1, r2];
+      const colSet = kind === 'cross' ? [c2 - 1, c2, c2 + 1] : [c1, c2];
+      for (let r = 0; r < ROWS; r++)
+        for (let c = 0; c < COLS; c++)
+          if (rowSet.includes(r) || colSet.includes(c)) toDestroy.add(r * COLS + c);
+    } else if (kind === 'bombStorm' || kind === 'lineStorm') {
+      /* every mochi of one colour becomes a bomb/rainbow, then they all go off */
+      const colorsPresent = [];
+      for (let r = 0; r < ROWS; r++)
+        for (let c = 0; c < COLS; c++)
+          if (grid[r][c] >= 0 && !colorsPresent.includes(grid[r][c])) colorsPresent.push(grid[r][c]);
+      const puType = kind === 'bombStorm' ? POWERUP_BOMB : POWERUP_LINE;
+      combo.targetColor = colorsPresent.length > 0 ? colorsPresent[rng(colorsPresent.length)] : EMPTY;
+      combo.converted = [];
+      for (let r = 0; r < ROWS; r++) {
+        for (let c = 0; c < COLS; c++) {
+          const idx = r * COLS + c;
+          if (grid[r][c] !== combo.targetColor || toDestroy.has(idx)) continue;
+          powerUps[r][c] = puType;
+          combo.converted.push(idx);
+          toDestroy.add(idx);
+        }
+      }
+    } else if (kind === 'clearAll') {
+      for (let idx = 0; idx < ROWS * COLS; idx++) toDestroy.add(idx);
+    }
+
+    combo.cells = [...toDestroy];
+    events.push(combo);
+    for (const act of activatePowerUps(board, toDestroy, rng)) {
+      events.push(Object.assign({ type: 'activate', chain }, act));
+    }
+
+    const pts = Math.round(calcScore(toDestroy, chain, rules) * rules.comboMultipliers[kind]);
+    clearAndSettle(board, toDestroy, chain, pts, [], rng, events);
+    return pts;
+  }
+
+  /** Power-up a merged match group earns, or POWERUP_NONE. */
+  function earnedPowerUp(mg, rules) {
+    if (mg.maxRunLength >= rules.rainbowRun || (mg.isLT && mg.totalSize >= rules.rainbowShapeSize)) {
+      return POWERUP_LINE;
+    }
+    if (mg.isLT || mg.maxRunLength >= rules.bombRun) return POWERUP_BOMB;
+    return POWERUP_NONE;
+  }
+
+  /** Emit score, remove `toDestroy` from the grid, then drop and refill. */
+  function clearAndSettle(board, toDestroy, chain, pts, pendingPowerUps, rng, events) {
+    const COLS = board.cols;
+    events.push({ type: 'score', chain, cells: [...toDestroy], points: pts });
+
+    /* --- remove from grid; every clear also peels one jelly layer --- */
+    const colors = [];
+    const stones = [];
+    const jelly = [];
+    for (const idx of toDestroy) {
+      const r = Math.floor(idx / COLS), c = idx % COLS;
+      colors.push(board.grid[r][c]);
+      if (board.grid[r][c] === STONE) stones.push(idx);
+      if (board.jelly[r][c] > 0) {
+        board.jelly[r][c]--;
+        jelly.push(idx);
+      }
+      board.grid[r][c] = EMPTY;
+      board.powerUps[r][c] = POWERUP_NONE;
+    }
+    events.push({ type: 'destroy', chain, cells: [...toDestroy], colors });
+    if (stones.length > 0 || jelly.length > 0) {
+      events.push({ type: 'blocker', chain, stones, jelly });
+    }
+
+    /* --- gravity + fill (power-ups spawn from the top) --- */
+    const fall = applyGravityAndFill(board, pendingPowerUps, rng);
+    events.push({
+      type: 'fall',
+      chain,
+      sourceRow: fall.sourceRow,
+      isNew: fall.isNew,
+      board: cloneBoard(board),
+    });
+  }
+
+  /**
+   * Chain-react every power-up inside `toDestroy`, growing the set in place.
+   * Returns one activation record per power-up that fired.
+   */
+  function activatePowerUps(board, toDestroy, rng) {
+    const { rows: ROWS, cols: COLS, grid, powerUps } = board;
+    const activated = new Set();
+    const records = [];
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const idx of toDestroy) {
+        if (activated.has(idx)) continue;
+        const r = Math.floor(idx / COLS), c = idx % COLS;
+        const pu = powerUps[r][c];
+        if (pu === POWERUP_NONE) continue;
+        activated.add(idx);
+        const record = { row: r, col: c, powerUp: pu };
+        records.push(record);
+
+        if (pu === POWERUP_BOMB) {
+          for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+              const nr = r + dr, nc = c + dc;
+              if (nr >= 0 && nr < ROWS && nc >= 0 && nc < COLS) {
+                const ni = nr * COLS + nc;
+                if (!toDestroy.has(ni)) {
+                  toDestroy.add(ni);
+                  changed = true;
+                }
+              }
+            }
+          }
+        } else if (pu === POWERUP_LINE) {
+          for (let cc = 0; cc < COLS; cc++) {
+            const ni = r * COLS + cc;
+            if (!toDestroy.has(ni)) {
+              toDestroy.add(ni);
+              changed = true;
+            }
+          }
+          for (let rr = 0; rr < ROWS; rr++) {
+            const ni = rr * COLS + c;
+            if (!toDestroy.has(ni)) {
+              toDestroy.add(ni);
+              changed = true;
+            }
+          }
+        } else if (pu === POWERUP_ZAP) {
+          const colorsPresent = [];
+          for (let rr = 0; rr < ROWS; rr++) {
+            for (let cc = 0; cc < COLS; cc++) {
+              const colIdx = grid[rr][cc];
+              if (colIdx >= 0 && !colorsPresent.includes(colIdx)) {
+                colorsPresent.push(colIdx);
+              }
+            }
+          }
+          if (colorsPresent.length > 0) {
+            const targetColor = colorsPresent[rng(colorsPresent.length)];
+            record.targetColor = targetColor;
+            record.targets = [];
+            for (let rr = 0; rr < ROWS; rr++) {
+              for (let cc = 0; cc < COLS; cc++) {
+                if (grid[rr][cc] === targetColor) {
+                  const ni = rr * COLS + cc;
+                  record.targets.push(ni);
+                  if (!toDestroy.has(ni)) {
+                    toDestroy.add(ni);
+                    changed = true;
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return records;
+  }
+
+  function calcScore(matches, chain, rules) {
+    rules = rules || DEFAULT_RULES;
+    let base = matches.size * rules.pointsPerCell;
+    return Math.round(base * (1 + (chain - 1) * rules.chainBonus));
+  }
+
+  /* ---------- gravity + fill ---------- */
+
+  /**
+   * Drop surviving pieces and refill from the top, in place. Stones split a
+   * column into segments that settle independently; the segment under a
+   * stone refills from just below it. Returns, per target cell, the row each
+   * piece fell from (above the segment = newly spawned) and whether it is
+   * new, so a renderer can animate the fall.
+   */
+  function applyGravityAndFill(board, pendingPowerUps, rng) {
+    const { rows: ROWS, cols: COLS, grid, powerUps } = board;
+    pendingPowerUps = pendingPowerUps || [];
+    rng = rng || defaultRng;
+
+    const newGrid   = Array.from({ length: ROWS }, () => Array(COLS).fill(EMPTY));
+    const newPUGrid = Array.from({ length: ROWS }, () => Array(COLS).fill(POWERUP_NONE));
+    const sourceRow = Array.from({ length: ROWS }, () => Array(COLS).fill(0));
+    const isNew     = Array.from({ length: ROWS }, () => Array(COLS).fill(false));
+
+    /* group pending power-ups by column */
+    const puByCol = {};
+    for (const pu of pendingPowerUps) {
+      puByCol[pu.col] = puByCol[pu.col] || [];
+      puByCol[pu.col].push(pu.type);
+    }
+
+    function safeFillColor(r, c, g) {
+      let avail = allColors(board.numColors);
+      if (c >= 2 && g[r][c - 1] >= 0 && g[r][c - 1] === g[r][c - 2])
+        avail = avail.filter(v => v !== g[r][c - 1]);
+      if (r >= 2 && g[r - 1][c] >= 0 && g[r - 1][c] === g[r - 2][c])
+        avail = avail.filter(v => v !== g[r - 1][c]);
+      if (r >= 1 && r < ROWS - 1 && g[r - 1][c] >= 0 && g[r + 1] && g[r + 1][c] >= 0 && g[r - 1][c] === g[r + 1][c])
+        avail = avail.filter(v => v !== g[r - 1][c]);
+      return avail[rng(avail.length)];
+    }
+
+    for (let c = 0; c < COLS; c++) {
+      const colPUs = puByCol[c] ? puByCol[c].slice() : [];
+
+      /* segments top-down, so earned power-ups land in the highest refill */
+      let top = 0;
+      while (top < ROWS) {
+        if (grid[top][c] === STONE) {
+          newGrid[top][c]   = STONE;
+          sourceRow[top][c] = top;
+          top++;
+          continue;
+        }
+        let bottom = top;
+        while (bottom < ROWS && grid[bottom][c] !== STONE) bottom++;
+        fillSegment(c, top, bottom, colPUs);
+        top = bottom;
+      }
+    }
+
+    /** Settle rows [top, bottom) of column c. */
+    function fillSegment(c, top, bottom, colPUs) {
+      const pieces = [];
+      for (let r = bottom - 1; r >= top; r--) {
+        if (grid[r][c] !== EMPTY) {
+          pieces.push({ color: grid[r][c], pu: powerUps[r][c], fromRow: r });
+        }
+      }
+      pieces.reverse();
+
+      const empty = bottom - top - pieces.length;
+
+      /* place surviving pieces first so safeFillColor can see them */
+      for (let r = top + empty; r < bottom; r++) {
+        const p = pieces[r - top - empty];
+        newGrid[r][c] = p.color;
+      }
+
+      for (let r = top; r < bottom; r++) {
+        if (r < top + empty) {
+          newGrid[r][c]    = safeFillColor(r, c, newGrid);
+          newPUGrid[r][c]  = colPUs.length > 0 ? colPUs.shift() : POWERUP_NONE;
+          sourceRow[r][c]  = r - empty;
+          isNew[r][c]      = true;
+        } else {
+          const p = pieces[r - top - empty];
+          newGrid[r][c]    = p.color;
+          newPUGrid[r][c]  = p.pu;
+          sourceRow[r][c]  = p.fromRow;
+          isNew[r][c]      = false;
+        }
+      }
+    }
+
+    board.grid = newGrid;
+    board.powerUps = newPUGrid;
+    return { sourceRow, isNew };
+  }
+
+  /* =========================================================
+     REPLAY
+     =========================================================
+     A replay log is { v, seed, rows, cols, rules, layout, moves }
+     with each move stored as [t, r1, c1, r2, c2], t = ms since
+     the game timer started. Everything but seed and moves is
+     optional and falls back to the defaults.                  */
+
+  function isInside(board, r, c) {
+    return Number.isInteger(r) && Number.isInteger(c) &&
+      r >= 0 && r < board.rows && c >= 0 && c < board.cols;
+  }
+
+  function isAdjacentSwap(board, r1, c1, r2, c2) {
+    if (!isInside(board, r1, c1) || !isInside(board, r2, c2)) return false;
+    return Math.abs(r1 - r2) + Math.abs(c1 - c2) === 1;
+  }
+
+  /** Move logs record a tap as a "swap" of a cell with itself. */
+  function isTap(board, r1, c1, r2, c2) {
+    return isInside(board, r1, c1) && r1 === r2 && c1 === c2;
+  }
+
+  /**
+   * Re-run a recorded game headlessly from its seed. Moves after
+   * `opts.timeLimitMs` are ignored and malformed moves count as invalid.
+   * `opts.onMove(move, result, isSwap)` sees every move played, with a null
+   * result for a malformed one. Returns { board, score, moves, validMoves,
+   * maxChain }.
+   */
+  function replayGame(replay, opts) {
+    const rng = createRng(replay.seed);
+    const rules = resolveRules(replay.rules);
+    const limit = opts && opts.timeLimitMs !== undefined ? opts.timeLimitMs : Infinity;
+    let board = createBoard(replay.rows || 8, replay.cols || 6, {
+      rng,
+      numColors: rules.numColors,
+      layout: replay.layout,
+    });
+    let score = 0, moves = 0, validMoves = 0, maxChain = 0;
+
+    for (const move of replay.moves || []) {
+      const [t, r1, c1, r2, c2] = move;
+      if (t > limit) break;
+      moves++;
+      let res = null;
+      const isSwap = !isTap(board, r1, c1, r2, c2);
+      if (!isSwap) res = resolveTap(board, r1, c1, { rng, rules });
+      else if (isAdjacentSwap(board, r1, c1, r2, c2)) res = resolveSwap(board, r1, c1, r2, c2, { rng, rules });
+      if (opts && opts.onMove) opts.onMove(move, res, isSwap);
+      if (!res || !res.valid) continue;
+      board = res.board;
+      score += res.score;
+      validMoves++;
+      maxChain = Math.max(maxChain, res.chain);
+    }
+
+    return { board, score, moves, validMoves, maxChain };
+  }
+
+  /* =========================================================
+     MOVE STATS
+     =========================================================
+     Running totals over a game's move results, shared by the
+     live game (analytics) and the headless autoplayer.        */
+
+  const POWERUP_NAMES = { [POWERUP_BOMB]: 'bomb', [POWERUP_LINE]: 'line', [POWERUP_ZAP]: 'zap' };
+
+  /**
+   * Empty totals: { score, moves, maxChain, chains, spawned, fired, combos }.
+   * chains counts moves by their longest cascade, spawned/fired count
+   * power-ups by name ('bomb', 'line', 'zap') and combos by kind.
+   */
+  function createMoveStats() {
+    return {
+      score: 0, moves: 0, maxChain: 0, chains: {},
+      spawned: { bomb: 0, line: 0, zap: 0 }, fired: { bomb: 0, line: 0, zap: 0 }, combos: {},
+    };
+  }
+
+  /** Add one valid resolveSwap/resolveTap result to `stats`. */
+  function tallyMove(stats, result) {
+    stats.score += result.score;
+    stats.moves++;
+    stats.maxChain = Math.max(stats.maxChain, result.chain);
+    stats.chains[result.chain] = (stats.chains[result.chain] || 0) + 1;
+    for (const ev of result.events) {
+      if (ev.type === 'spawn') stats.spawned[POWERUP_NAMES[ev.powerUp]]++;
+      else if (ev.type === 'activate') stats.fired[POWERUP_NAMES[ev.powerUp]]++;
+      else if (ev.type === 'combo') stats.combos[ev.kind] = (stats.combos[ev.kind] || 0) + 1;
+    }
+    return stats;
+  }
+
+  /**
+   * Seconds of extra time one event of a move earns under `bonus`
+   * (config.timeBonus): a power-up going off earns bonus.powerUps[name],
+   * and a cascade reaching a chain listed in bonus.chains earns that
+   * milestone's seconds. Uncapped; callers apply bonus.maxSeconds.
+   */
+  function eventTimeBonus(ev, bonus) {
+    if (ev.type === 'activate') return bonus.powerUps[POWERUP_NAMES[ev.powerUp]] || 0;
+    if (ev.type === 'score') return bonus.chains[ev.chain] || 0;
+    return 0;
+  }
+
+  /* =========================================================
+     EXPORTS
+     ========================================================= */
+
+  return {
+    DEFAULT_RULES,
+    EMPTY,
+    STONE,
+    POWERUP_NONE,
+    POWERUP_BOMB,
+    POWERUP_LINE,
+    POWERUP_ZAP,
+    COMBOS,
+    comboKind,
+    resolveRules,
+    defaultRng,
+    normalizeSeed,
+    randomSeed,
+    createRng,
+    cloneBoard,
+    colorAt,
+    isPiece,
+    validateLayout,
+    createBoard,
+    swapCells,
+    findMatches,
+    findMatchGroups,
+    mergeOverlappingGroups,
+    hasValidMoves,
+    findMoves,
+    shuffleBoard,
+    resolveSwap,
+    resolveTap,
+    resolveCascades,
+    activatePowerUps,
+    calcScore,
+    applyGravityAndFill,
+    isAdjacentSwap,
+    isTap,
+    replayGame,
+    POWERUP_NAMES,
+    eventTimeBonus,
+    createMoveStats,
+    tallyMove,
+  };
+});
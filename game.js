@@ -5,46 +5,91 @@
 (() => {
   'use strict';
 
-  /* ---------- constants ---------- */
-  const COLS = 6;
-  const ROWS = 8;
-  const NUM_COLORS = 3;
-  const GAME_TIME = 45;          // seconds
-  const COLOR_NAMES = ['yellow', 'pink', 'blue'];
-  const PRODUCT_IMGS = [
-    'assets/Product-YELLOW.png',
-    'assets/Product-PINK.png',
-    'assets/Product-BLUE.png',
-  ];
+  const Engine = window.MochiEngine;
+  const MochiConfig = window.MochiConfig;
+  const Levels = window.MochiLevels;
+  const MochiLeaderboard = window.MochiLeaderboard;
+  const MochiOutbox = window.MochiOutbox;
+  const Nickname = window.MochiNickname;
+  const Bot = window.MochiBot;
+  const MochiAnalytics = window.MochiAnalytics;
+  const Leads = window.MochiLeads;
+  const Prizes = window.MochiPrizes;
+  const MochiQR = window.MochiQR;
+  const DeviceKey = window.MochiDeviceKey;
+  const Versus = window.MochiVersus;
+  const Spectator = window.MochiSpectator;
+  const AdminPin = window.MochiAdminPin;
+
+  /* ---------- tuning (set from config.json in init) ---------- */
+  let config;
+  let COLS, ROWS;
+  let GAME_TIME;       // seconds
+  let ANIM;            // ms timings, see MochiConfig.DEFAULTS.anim
+  let RULES;           // engine rules for the current game
+  let COLORS;          // colour/asset manifest entries in play, by colour index
 
-  const POWERUP_NONE = 0;
-  const POWERUP_BOMB = 1;
-  const POWERUP_LINE = 2;
-  const POWERUP_ZAP = 3;
-
-  const ANIM = {
-    swap:    250,   // ms
-    pop:     320,
-    fall:    200,
-    spawn:   200,
-    cascade: 120,   // pause between cascade rounds
-    powerup: 450,   // power-up activation effect
-  };
+  /* ---------- constants ---------- */
+  const { POWERUP_BOMB, POWERUP_LINE, POWERUP_ZAP, STONE } = Engine;
 
   /* ---------- state ---------- */
-  let grid;            // [row][col] → colour index (0-2), -1 = empty
-  let powerUpGrid;     // [row][col] → POWERUP_NONE / POWERUP_BOMB / POWERUP_LINE
+  let board;           // engine board: { rows, cols, grid, powerUps }
   let cellEls;         // [row][col] → DOM .cell element
   let cellSize;        // px, computed on layout
-  let score, timeLeft, timerInterval;
+  let score, timeLeft, timerTimeout;
   let isProcessing;    // block input during animations
+  let playId = 0;      // bumps when a game starts or is dropped, so playback still running from the last one stops
   let gameActive;
   let currentScreen;
   let playerName = '';
+  let gameSeed;        // seed of the current game, shown on the result screen
+  let gameRng;         // seeded rng(max) for everything the rules decide
+  let gameLayout;      // stone/jelly layout of the current game, or null
+  let timerStartedAt;  // performance.now() when the countdown began
+  let paused = null;   // { at, reason, animations } while the game is paused
+  let pausedMs = 0;    // time this game has spent paused, left out of its clock
+  let bonusSeconds = 0; // time bonus earned this game, see config.timeBonus
+  let moveLog;         // [[t, r1, c1, r2, c2], ...] for the current game; a tap has r1,c1 === r2,c2
+  let activeReplay;    // replay log being played back, or null for live play
+  let demoMode = false; // the attract loop's self-playing demo is on screen
+  let gameMode = 'timed';   // 'timed' countdown, 'level' move budget or 'versus' race
+  let levelIndex = 0;       // index into config.levels for level mode
+  let levelProgress;        // MochiLevels progress, or null in timed mode
+  let leaderboard;          // MochiLeaderboard client (server with local fallback)
+  let scoreOutbox = null;   // MochiOutbox for scores the server didn't take, or null without a server
+  let deviceKey;            // promise of this kiosk's MochiDeviceKey signing key, or of null
+  let resultWindow;         // leaderboard window shown on the result screen
+  let leaderboardRequest = 0;      // bumps per fetch so stale answers are dropped
+  let attractLeaderboardTimer = null;
+  let analytics;            // MochiAnalytics tracker
+  let analyticsBuffer = null;   // its localStorage sink, exported from the admin panel
+  let gameStats;            // Engine.createMoveStats totals for the current game
+  let session = null;       // { startedAt, games } from leaving the start page until back on it
+  let prizes;               // MochiPrizes client: the server's stock, or this kiosk's
+  let versusMatch = null;   // the race being played in versus mode, see startVersusRace()
+  let versusLink = null;    // MochiVersus.joinRoom() connection from the lobby until the result
+  let lobbyTimer = null;
+  let spectatorFeed = null; // MochiSpectator feed of this kiosk's games, or null when config.spectator is off
+  let feedGameId = null;    // id the game in play goes out under, or null between games
+  let lastClock = null;     // the HUD clock as last sent to spectators
+  let spectatorView = false; // this page is a wall screen (index.html?spectator)
+  let watching = null;      // wall screen: the kiosk game being mirrored, see watchGame()
 
   /* touch / mouse tracking */
   let pointerDown   = false;
   let startX, startY, startRow, startCol;
+  let armedTap = null;      // { row, col, at } first tap of a double-tap
+  const DOUBLE_TAP_MS = 350;
+
+  /* idle hint */
+  let hintTimer = null;
+  let hintEls = [];
+
+  /* ---------- idle ---------- */
+  let idleTimer = null;
+  let stillPlayingTimer = null;
+  let attractLoop = null;   // { step, timer } while the kiosk plays to itself
+  let previewTimer = null;
 
   /* DOM refs */
   const $ = id => document.getElementById(id);
@@ -115,7 +160,7 @@
   }
 
   function playSfx(src) {
-    if (!AUDIO.unlocked || !AUDIO.buffers[src]) return;
+    if (!config.sound.enabled || demoMode || !AUDIO.unlocked || !AUDIO.buffers[src]) return;
 
     if (AUDIO.buffers[src] === 'fallback') {
       const a = AUDIO.fallbackAudio[src].cloneNode();
@@ -167,7 +212,7 @@
   }
 
   function startBgm() {
-    if (!AUDIO.unlocked || !AUDIO.bgm) return;
+    if (!config.sound.enabled || !AUDIO.unlocked || !AUDIO.bgm) return;
     if (!AUDIO.bgm.paused) return;
     AUDIO.bgm.play().catch(() => {});
   }
@@ -186,41 +231,39 @@
     document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
     $(id).classList.add('active');
     currentScreen = id;
+    if (!attractLoop) analytics.track('screen_view', { screen: id });
+    /* every screen gets its own inactivity timeout */
+    hideStillPlaying();
+    armIdleWatchdog();
   }
 
   /* =========================================================
      GRID HELPERS
      ========================================================= */
 
+  /** Cosmetic randomness only (particles, confetti) — rules use gameRng. */
   function rng(max) { return Math.floor(Math.random() * max); }
 
-  function colorAt(r, c) {
-    if (r < 0 || r >= ROWS || c < 0 || c >= COLS) return -1;
-    return grid[r][c];
-  }
-
-  /** Pick a colour that won't create a match at (r,c) during init. */
-  function safeColor(r, c) {
-    let avail = [0, 1, 2];
-    if (c >= 2 && grid[r][c - 1] === grid[r][c - 2])
-      avail = avail.filter(v => v !== grid[r][c - 1]);
-    if (r >= 2 && grid[r - 1][c] === grid[r - 2][c])
-      avail = avail.filter(v => v !== grid[r - 1][c]);
-    return avail[rng(avail.length)];
+  /** `?seed=123` replays a board; `?seed=daily` gives everyone today's board. */
+  function seedFromUrl() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    if (param === null || param.trim() === '') return null;
+    if (param === 'daily') {
+      const d = new Date();
+      const day = d.getFullYear() + '-' + (d.getMonth() + 1) + '-' + d.getDate();
+      return Engine.normalizeSeed('daily-' + day);
+    }
+    return Engine.normalizeSeed(param.trim());
   }
 
-  function initGrid() {
-    grid = [];
-    powerUpGrid = [];
-    for (let r = 0; r < ROWS; r++) {
-      grid[r] = [];
-      powerUpGrid[r] = [];
-      for (let c = 0; c < COLS; c++) {
-        grid[r][c] = safeColor(r, c);
-        powerUpGrid[r][c] = POWERUP_NONE;
-      }
-    }
-    if (!hasValidMoves()) shuffleGrid();
+  function initGrid(seed, layout) {
+    const urlSeed = seedFromUrl();
+    gameSeed = seed !== undefined ? seed
+             : urlSeed !== null  ? urlSeed
+             : Engine.randomSeed();
+    gameRng  = Engine.createRng(gameSeed);
+    gameLayout = layout || null;
+    board = Engine.createBoard(ROWS, COLS, { rng: gameRng, numColors: RULES.numColors, layout: gameLayout });
   }
 
   /* =========================================================
@@ -240,6 +283,8 @@
     gridEl.style.width  = gridW + 'px';
     gridEl.style.height = (cellSize * ROWS) + 'px';
     gridEl.style.setProperty('--cell-size', cellSize + 'px');
+    gridEl.style.setProperty('--pop-ms', ANIM.pop + 'ms');
+    gridEl.style.setProperty('--spawn-ms', ANIM.spawn + 'ms');
 
     const hudEl = document.querySelector('.hud');
     if (hudEl) hudEl.style.width = gridW + 'px';
@@ -248,18 +293,35 @@
     for (let r = 0; r < ROWS; r++) {
       cellEls[r] = [];
       for (let c = 0; c < COLS; c++) {
-        const cell = makeCell(r, c, grid[r][c]);
+        const cell = makeCell(r, c, board.grid[r][c]);
         gridEl.appendChild(cell);
         cellEls[r][c] = cell;
       }
     }
+    renderJelly();
+  }
+
+  /** Jelly sits on the board, not on the mochi, so it is drawn as its own layer. */
+  function renderJelly() {
+    for (let r = 0; r < ROWS; r++) {
+      for (let c = 0; c < COLS; c++) {
+        const layers = board.jelly[r][c];
+        if (layers === 0) continue;
+        const tile = document.createElement('div');
+        tile.className = 'jelly jelly-' + layers;
+        tile.style.width  = cellSize + 'px';
+        tile.style.height = cellSize + 'px';
+        tile.style.transform = `translate(${c * cellSize}px, ${r * cellSize}px)`;
+        gridEl.appendChild(tile);
+      }
+    }
   }
 
   function makeCell(row, col, colorIdx) {
     const cell = document.createElement('div');
     cell.className = 'cell';
 
-    const pu = powerUpGrid[row][col];
+    const pu = board.powerUps[row][col];
     if (pu === POWERUP_BOMB) cell.classList.add('powerup-bomb');
     else if (pu === POWERUP_LINE) cell.classList.add('powerup-rainbow');
     else if (pu === POWERUP_ZAP) cell.classList.add('powerup-zap');
@@ -269,14 +331,19 @@
     positionCell(cell, row, col, false);
 
     const mochi = document.createElement('div');
-    if (pu === POWERUP_BOMB) {
+    if (colorIdx === STONE) {
+      cell.classList.add('stone');
+      mochi.className = 'mochi mochi-stone';
+    } else if (pu === POWERUP_BOMB) {
       mochi.className = 'mochi mochi-bomb';
     } else if (pu === POWERUP_LINE) {
       mochi.className = 'mochi mochi-rainbow';
     } else if (pu === POWERUP_ZAP) {
       mochi.className = 'mochi mochi-zap';
     } else {
-      mochi.className = 'mochi mochi-' + COLOR_NAMES[colorIdx];
+      const color = COLORS[colorIdx];
+      mochi.className = 'mochi mochi-' + color.name;
+      mochi.style.backgroundImage = `url('${color.sprite}')`;
     }
     cell.appendChild(mochi);
 
@@ -295,196 +362,59 @@
   }
 
   /* =========================================================
-     MATCH DETECTION
-     ========================================================= */
-
-  /** Simple flat set of matched indices — used by hasValidMoves / shuffleGrid. */
-  function findMatches() {
-    const matched = new Set();
-
-    for (let r = 0; r < ROWS; r++) {
-      let run = 1;
-      for (let c = 1; c < COLS; c++) {
-        if (grid[r][c] === grid[r][c - 1] && grid[r][c] !== -1) {
-          run++;
-        } else {
-          if (run >= 3) for (let k = c - run; k < c; k++) matched.add(r * COLS + k);
-          run = 1;
-        }
-      }
-      if (run >= 3) for (let k = COLS - run; k < COLS; k++) matched.add(r * COLS + k);
-    }
-
-    for (let c = 0; c < COLS; c++) {
-      let run = 1;
-      for (let r = 1; r < ROWS; r++) {
-        if (grid[r][c] === grid[r - 1][c] && grid[r][c] !== -1) {
-          run++;
-        } else {
-          if (run >= 3) for (let k = r - run; k < r; k++) matched.add(k * COLS + c);
-          run = 1;
-        }
-      }
-      if (run >= 3) for (let k = ROWS - run; k < ROWS; k++) matched.add(k * COLS + c);
-    }
-
-    return matched;   // Set of (row*COLS + col)
-  }
-
-  /** Structured match groups with length and direction, for power-up logic. */
-  function findMatchGroups() {
-    const groups = [];
-
-    for (let r = 0; r < ROWS; r++) {
-      let runStart = 0;
-      for (let c = 1; c <= COLS; c++) {
-        if (c < COLS && grid[r][c] === grid[r][runStart] && grid[r][c] !== -1) continue;
-        const runLen = c - runStart;
-        if (runLen >= 3) {
-          const cells = new Set();
-          for (let k = runStart; k < c; k++) cells.add(r * COLS + k);
-          groups.push({ cells, length: runLen, horizontal: true, color: grid[r][runStart] });
-        }
-        runStart = c;
-      }
-    }
-
-    for (let c = 0; c < COLS; c++) {
-      let runStart = 0;
-      for (let r = 1; r <= ROWS; r++) {
-        if (r < ROWS && grid[r][c] === grid[runStart][c] && grid[r][c] !== -1) continue;
-        const runLen = r - runStart;
-        if (runLen >= 3) {
-          const cells = new Set();
-          for (let k = runStart; k < r; k++) cells.add(k * COLS + c);
-          groups.push({ cells, length: runLen, horizontal: false, color: grid[runStart][c] });
-        }
-        runStart = r;
-      }
-    }
-
-    return groups;
-  }
-
-  /** Merge groups that share cells (L/T shapes) via iterative flood. */
-  function mergeOverlappingGroups(groups) {
-    let entries = groups.map(g => ({
-      cells: new Set(g.cells),
-      maxRunLength: g.length,
-      hasH: g.horizontal,
-      hasV: !g.horizontal,
-    }));
-
-    let didMerge = true;
-    while (didMerge) {
-      didMerge = false;
-      outer:
-      for (let i = 0; i < entries.length; i++) {
-        for (let j = i + 1; j < entries.length; j++) {
-          let overlap = false;
-          for (const idx of entries[j].cells) {
-            if (entries[i].cells.has(idx)) { overlap = true; break; }
-          }
-          if (overlap) {
-            for (const idx of entries[j].cells) entries[i].cells.add(idx);
-            entries[i].maxRunLength = Math.max(entries[i].maxRunLength, entries[j].maxRunLength);
-            if (entries[j].hasH) entries[i].hasH = true;
-            if (entries[j].hasV) entries[i].hasV = true;
-            entries.splice(j, 1);
-            didMerge = true;
-            break outer;
-          }
-        }
-      }
-    }
-
-    return entries.map(m => ({
-      cells: m.cells,
-      totalSize: m.cells.size,
-      maxRunLength: m.maxRunLength,
-      isLT: m.hasH && m.hasV,
-    }));
-  }
-
-  /* =========================================================
-     VALID-MOVE CHECK & SHUFFLE
-     ========================================================= */
-
-  function hasValidMoves() {
-    for (let r = 0; r < ROWS; r++) {
-      for (let c = 0; c < COLS; c++) {
-        if (c < COLS - 1) {
-          swap(r, c, r, c + 1);
-          if (findMatches().size > 0) { swap(r, c, r, c + 1); return true; }
-          swap(r, c, r, c + 1);
-        }
-        if (r < ROWS - 1) {
-          swap(r, c, r + 1, c);
-          if (findMatches().size > 0) { swap(r, c, r + 1, c); return true; }
-          swap(r, c, r + 1, c);
-        }
-      }
-    }
-    return false;
-  }
-
-  function swap(r1, c1, r2, c2) {
-    [grid[r1][c1], grid[r2][c2]] = [grid[r2][c2], grid[r1][c1]];
-    [powerUpGrid[r1][c1], powerUpGrid[r2][c2]] = [powerUpGrid[r2][c2], powerUpGrid[r1][c1]];
-  }
-
-  function shuffleGrid() {
-    const flat = grid.flat();
-    for (let i = flat.length - 1; i > 0; i--) {
-      const j = rng(i + 1);
-      [flat[i], flat[j]] = [flat[j], flat[i]];
-    }
-    for (let r = 0; r < ROWS; r++)
-      for (let c = 0; c < COLS; c++)
-        grid[r][c] = flat[r * COLS + c];
-
-    for (let r = 0; r < ROWS; r++)
-      for (let c = 0; c < COLS; c++)
-        powerUpGrid[r][c] = POWERUP_NONE;
-
-    while (findMatches().size > 0 || !hasValidMoves()) {
-      for (let r = 0; r < ROWS; r++)
-        for (let c = 0; c < COLS; c++)
-          grid[r][c] = rng(NUM_COLORS);
-    }
-  }
-
-  /* =========================================================
-     SWAP + CASCADE ENGINE
+     SWAP + CASCADE PLAYBACK
      ========================================================= */
 
   async function trySwap(r1, c1, r2, c2) {
     isProcessing = true;
+    if (!activeReplay) recordMove(r1, c1, r2, c2);
 
     /* animate visual swap */
+    const play = playId;
     await animateSwap(r1, c1, r2, c2);
-    swap(r1, c1, r2, c2);
+    if (play !== playId) return;
     syncCellEls(r1, c1, r2, c2);
 
-    const matches = findMatches();
-    if (matches.size === 0) {
+    const result = Engine.resolveSwap(board, r1, c1, r2, c2, { rng: gameRng, rules: RULES });
+    if (!result.valid) {
       /* invalid — swap back */
       await animateSwap(r1, c1, r2, c2);
-      swap(r1, c1, r2, c2);
+      if (play !== playId) return;
       syncCellEls(r1, c1, r2, c2);
       updateCellPositions(false);
       isProcessing = false;
+      scheduleHint();
       return;
     }
 
-    await processCascades(r1, c1, r2, c2);
-    isProcessing = false;
+    await playMove(result);
+  }
 
-    if (!gameActive) return;
-    if (!hasValidMoves()) {
-      shuffleGrid();
-      renderGrid();
+  /** Set off the power-up at (r, c) without a swap. */
+  async function tryTap(r, c) {
+    isProcessing = true;
+    if (!activeReplay) recordMove(r, c, r, c);
+
+    const result = Engine.resolveTap(board, r, c, { rng: gameRng, rules: RULES });
+    if (!result.valid) {
+      isProcessing = false;
+      scheduleHint();
+      return;
     }
+    await playMove(result);
+  }
+
+  /** Spend a move on a valid result and play it out. */
+  async function playMove(result) {
+    Engine.tallyMove(gameStats, result);
+    if (levelProgress) levelProgress.movesLeft--;
+    const play = playId;
+    await playEvents(result.events);
+    if (play !== playId) return;
+    isProcessing = false;
+    reportVersus(true);
+    if (levelProgress) checkLevelEnd();
+    scheduleHint();
   }
 
   /** Keep cellEls[][] in sync after a data swap. */
@@ -500,27 +430,27 @@
         positionCell(cellEls[r][c], r, c, animate);
   }
 
-  function animateSwap(r1, c1, r2, c2) {
-    return new Promise(resolve => {
-      const a = cellEls[r1][c1];
-      const b = cellEls[r2][c2];
-      const t = `transform ${ANIM.swap}ms ease`;
-      a.style.transition = t;
-      b.style.transition = t;
-      a.style.zIndex = 4;
-      b.style.zIndex = 3;
-      a.style.transform = `translate(${c2 * cellSize}px, ${r2 * cellSize}px)`;
-      b.style.transform = `translate(${c1 * cellSize}px, ${r1 * cellSize}px)`;
-      setTimeout(() => {
-        a.style.zIndex = '';
-        b.style.zIndex = '';
-        resolve();
-      }, ANIM.swap + 20);
-    });
+  async function animateSwap(r1, c1, r2, c2) {
+    const a = cellEls[r1][c1];
+    const b = cellEls[r2][c2];
+    const t = `transform ${ANIM.swap}ms ease`;
+    a.style.transition = t;
+    b.style.transition = t;
+    a.style.zIndex = 4;
+    b.style.zIndex = 3;
+    a.style.transform = `translate(${c2 * cellSize}px, ${r2 * cellSize}px)`;
+    b.style.transform = `translate(${c1 * cellSize}px, ${r1 * cellSize}px)`;
+    await delay(ANIM.swap + 20);
+    a.style.zIndex = '';
+    b.style.zIndex = '';
   }
 
   /* ---------- power-up visual effects ---------- */
 
+  function randomProduct() {
+    return COLORS[rng(COLORS.length)].product;
+  }
+
   function showBombEffect(r, c) {
     const cx = c * cellSize + cellSize / 2;
     const cy = r * cellSize + cellSize / 2;
@@ -552,7 +482,7 @@
       p.style.setProperty('--dy', Math.sin(angle) * dist + 'px');
       p.style.setProperty('--rot', (Math.random() * 720 - 360) + 'deg');
       p.style.animationDelay = (Math.random() * 60) + 'ms';
-      const img = PRODUCT_IMGS[rng(PRODUCT_IMGS.length)];
+      const img = randomProduct();
       p.style.backgroundImage = `url('${img}')`;
       gridEl.appendChild(p);
       els.push(p);
@@ -591,13 +521,13 @@
 
     gridEl.classList.add('shake');
 
-    setTimeout(() => {
+    delay(1300).then(() => {
       els.forEach(e => e.remove());
       gridEl.classList.remove('shake');
-    }, 1300);
+    });
   }
 
-  function showZapEffect(r, c, targetColor) {
+  function showZapEffect(r, c, targets, targetColor) {
     const cx = c * cellSize + cellSize / 2;
     const cy = r * cellSize + cellSize / 2;
     const els = [];
@@ -610,47 +540,42 @@
     gridEl.appendChild(flash);
     els.push(flash);
 
-    if (targetColor !== undefined) {
-      for (let rr = 0; rr < ROWS; rr++) {
-        for (let cc = 0; cc < COLS; cc++) {
-          if (grid[rr][cc] === targetColor) {
-            const tcx = cc * cellSize + cellSize / 2;
-            const tcy = rr * cellSize + cellSize / 2;
-            
-            const dx = tcx - cx;
-            const dy = tcy - cy;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            const angle = Math.atan2(dy, dx);
-
-            const zap = document.createElement('div');
-            zap.className = 'zap-line';
-            zap.style.left = cx + 'px';
-            zap.style.top = cy + 'px';
-            zap.style.width = dist + 'px';
-            zap.style.setProperty('--angle', `${angle}rad`);
-            gridEl.appendChild(zap);
-            els.push(zap);
-            
-            const tFlash = document.createElement('div');
-            tFlash.className = 'zap-target-flash';
-            tFlash.style.left = tcx + 'px';
-            tFlash.style.top = tcy + 'px';
-            gridEl.appendChild(tFlash);
-            els.push(tFlash);
-
-            const p = document.createElement('div');
-            p.className = 'zap-product-pop';
-            p.style.left = tcx + 'px';
-            p.style.top  = tcy + 'px';
-            p.style.setProperty('--rot', (Math.random() * 40 - 20) + 'deg');
-            p.style.animationDelay = (Math.random() * 40) + 'ms';
-            const img = PRODUCT_IMGS[rng(PRODUCT_IMGS.length)];
-            p.style.backgroundImage = `url('${img}')`;
-            gridEl.appendChild(p);
-            els.push(p);
-          }
-        }
-      }
+    for (const idx of targets || []) {
+      const rr = Math.floor(idx / COLS), cc = idx % COLS;
+      const tcx = cc * cellSize + cellSize / 2;
+      const tcy = rr * cellSize + cellSize / 2;
+
+      const dx = tcx - cx;
+      const dy = tcy - cy;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      const angle = Math.atan2(dy, dx);
+
+      const zap = document.createElement('div');
+      zap.className = 'zap-line';
+      zap.style.left = cx + 'px';
+      zap.style.top = cy + 'px';
+      zap.style.width = dist + 'px';
+      zap.style.setProperty('--angle', `${angle}rad`);
+      gridEl.appendChild(zap);
+      els.push(zap);
+
+      const tFlash = document.createElement('div');
+      tFlash.className = 'zap-target-flash';
+      tFlash.style.left = tcx + 'px';
+      tFlash.style.top = tcy + 'px';
+      gridEl.appendChild(tFlash);
+      els.push(tFlash);
+
+      const p = document.createElement('div');
+      p.className = 'zap-product-pop';
+      p.style.left = tcx + 'px';
+      p.style.top  = tcy + 'px';
+      p.style.setProperty('--rot', (Math.random() * 40 - 20) + 'deg');
+      p.style.animationDelay = (Math.random() * 40) + 'ms';
+      const img = targetColor !== undefined ? COLORS[targetColor].product : randomProduct();
+      p.style.backgroundImage = `url('${img}')`;
+      gridEl.appendChild(p);
+      els.push(p);
     }
 
     const sparkCount = 20;
@@ -682,7 +607,7 @@
       p.style.setProperty('--dy', Math.sin(angle) * dist + 'px');
       p.style.setProperty('--rot', (Math.random() * 720 - 360) + 'deg');
       p.style.animationDelay = (Math.random() * 60) + 'ms';
-      const img = PRODUCT_IMGS[rng(PRODUCT_IMGS.length)];
+      const img = randomProduct();
       p.style.backgroundImage = `url('${img}')`;
       gridEl.appendChild(p);
       els.push(p);
@@ -690,10 +615,10 @@
 
     gridEl.classList.add('shake');
 
-    setTimeout(() => {
+    delay(1300).then(() => {
       els.forEach(e => e.remove());
       gridEl.classList.remove('shake');
-    }, 1300);
+    });
   }
 
   function showRainbowEffect(r, c) {
@@ -749,290 +674,209 @@
       s.style.setProperty('--dy', dy + 'px');
       s.style.setProperty('--rot', (Math.random() * 720 - 360) + 'deg');
       s.style.animationDelay = (Math.random() * 100) + 'ms';
-      const img = PRODUCT_IMGS[rng(PRODUCT_IMGS.length)];
+      const img = randomProduct();
       s.style.backgroundImage = `url('${img}')`;
       gridEl.appendChild(s);
       els.push(s);
     }
 
-    setTimeout(() => els.forEach(e => e.remove()), 1300);
+    delay(1300).then(() => els.forEach(e => e.remove()));
   }
 
-  /* ---------- cascade loop ---------- */
-
-  async function processCascades(swapR1, swapC1, swapR2, swapC2) {
-    let chain = 0;
-    let isFirstRound = true;
-
-    while (gameActive) {
-      const groups = findMatchGroups();
-      const allMatched = new Set();
-      const matchedColors = new Set();
-      for (const g of groups) {
-        for (const idx of g.cells) allMatched.add(idx);
-        matchedColors.add(g.color);
-      }
-      if (allMatched.size === 0) break;
-      chain++;
-      playPop(chain);
-
-      /* --- classify matches to earn power-ups --- */
-      const merged = mergeOverlappingGroups(groups);
-      const pendingPowerUps = [];
-
-      if (chain === 8 || chain === 12 || chain === 16) {
-        let spawnCol = -1;
-        if (isFirstRound && swapC1 !== undefined) {
-          spawnCol = Math.random() > 0.5 ? swapC1 : swapC2;
-        } else {
-          const arr = [...allMatched];
-          spawnCol = arr[Math.floor(arr.length / 2)] % COLS;
-        }
-        pendingPowerUps.push({ type: POWERUP_ZAP, col: spawnCol });
-      }
-
-      for (const mg of merged) {
-        let puType = POWERUP_NONE;
-        if (mg.maxRunLength >= 6 || (mg.isLT && mg.totalSize >= 6)) {
-          puType = POWERUP_LINE;
-        } else if (mg.isLT || mg.maxRunLength >= 4) {
-          puType = POWERUP_BOMB;
-        }
-        if (puType === POWERUP_NONE) continue;
-
-        /* pick a column for the power-up to fall into */
-        let spawnCol = -1;
-        if (isFirstRound && swapR1 !== undefined) {
-          const s1 = swapR1 * COLS + swapC1;
-          const s2 = swapR2 * COLS + swapC2;
-          if (mg.cells.has(s1)) spawnCol = swapC1;
-          else if (mg.cells.has(s2)) spawnCol = swapC2;
-        }
-        if (spawnCol === -1) {
-          const arr = [...mg.cells];
-          spawnCol = arr[Math.floor(arr.length / 2)] % COLS;
-        }
-
-        pendingPowerUps.push({ type: puType, col: spawnCol });
-      }
-
-      /* --- all matched cells are destroyed --- */
-      const toDestroy = new Set(allMatched);
-
-      /* --- chain-react: activate power-ups caught in the blast --- */
-      const activated = new Set();
-      const zapTargets = new Map();
-      let changed = true;
-      while (changed) {
-        changed = false;
-        for (const idx of toDestroy) {
-          if (activated.has(idx)) continue;
-          const r = Math.floor(idx / COLS), c = idx % COLS;
-          const pu = powerUpGrid[r][c];
-          if (pu === POWERUP_NONE) continue;
-          activated.add(idx);
-
-          if (pu === POWERUP_BOMB) {
-            for (let dr = -1; dr <= 1; dr++) {
-              for (let dc = -1; dc <= 1; dc++) {
-                const nr = r + dr, nc = c + dc;
-                if (nr >= 0 && nr < ROWS && nc >= 0 && nc < COLS) {
-                  const ni = nr * COLS + nc;
-                  if (!toDestroy.has(ni)) {
-                    toDestroy.add(ni);
-                    changed = true;
-                  }
-                }
-              }
-            }
-          } else if (pu === POWERUP_LINE) {
-            for (let cc = 0; cc < COLS; cc++) {
-              const ni = r * COLS + cc;
-              if (!toDestroy.has(ni)) {
-                toDestroy.add(ni);
-                changed = true;
-              }
-            }
-            for (let rr = 0; rr < ROWS; rr++) {
-              const ni = rr * COLS + c;
-              if (!toDestroy.has(ni)) {
-                toDestroy.add(ni);
-                changed = true;
-              }
-            }
-          } else if (pu === POWERUP_ZAP) {
-            const colorsPresent = [];
-            for (let rr = 0; rr < ROWS; rr++) {
-              for (let cc = 0; cc < COLS; cc++) {
-                const colIdx = grid[rr][cc];
-                if (colIdx !== -1 && !colorsPresent.includes(colIdx)) {
-                  colorsPresent.push(colIdx);
-                }
-              }
-            }
-            if (colorsPresent.length > 0) {
-              const targetColor = colorsPresent[rng(colorsPresent.length)];
-              zapTargets.set(idx, targetColor);
-              for (let rr = 0; rr < ROWS; rr++) {
-                for (let cc = 0; cc < COLS; cc++) {
-                  if (grid[rr][cc] === targetColor) {
-                    const ni = rr * COLS + cc;
-                    if (!toDestroy.has(ni)) {
-                      toDestroy.add(ni);
-                      changed = true;
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
+  /* ---------- power-up combo effects ---------- */
 
-      /* --- score --- */
-      const pts = calcScore(toDestroy, chain);
-      score += pts;
-      updateHUD();
-      showScoreFloats(toDestroy, pts);
-      if (chain > 1) showCombo(chain);
-
-      /* --- show power-up activation effects --- */
-      let hasActivation = false;
-      let playedBomb = false;
-      let playedLine = false;
-      let playedZap = false;
-      for (const idx of activated) {
-        const r = Math.floor(idx / COLS), c = idx % COLS;
-        if (powerUpGrid[r][c] === POWERUP_BOMB) {
-          showBombEffect(r, c);
-          hasActivation = true;
-          if (!playedBomb) {
-            playBombSfx();
-            playedBomb = true;
-          }
-        } else if (powerUpGrid[r][c] === POWERUP_LINE) {
-          showRainbowEffect(r, c);
-          hasActivation = true;
-          if (!playedLine) {
-            playLineClearSfx();
-            playedLine = true;
-          }
-        } else if (powerUpGrid[r][c] === POWERUP_ZAP) {
-          const targetColor = zapTargets.get(idx);
-          showZapEffect(r, c, targetColor);
-          hasActivation = true;
-          if (!playedZap) {
-            playZapSfx();
-            playedZap = true;
-          }
-        }
-      }
-      if (hasActivation) await delay(ANIM.powerup);
+  const COMBO_LABELS = {
+    blast: 'MEGA BLAST!',
+    cross: 'CROSS FIRE!',
+    doubleLine: 'DOUBLE RAINBOW!',
+    bombStorm: 'BOMB STORM!',
+    lineStorm: 'RAINBOW STORM!',
+    clearAll: 'MOCHI MELTDOWN!',
+  };
 
-      /* --- pop destroyed cells --- */
-      for (const idx of toDestroy) {
-        const r = Math.floor(idx / COLS), c = idx % COLS;
-        if (cellEls[r] && cellEls[r][c]) cellEls[r][c].classList.add('popping');
-      }
-      await delay(ANIM.pop);
-
-      /* --- remove from grid --- */
-      for (const idx of toDestroy) {
-        const r = Math.floor(idx / COLS), c = idx % COLS;
-        grid[r][c] = -1;
-        powerUpGrid[r][c] = POWERUP_NONE;
-        if (cellEls[r] && cellEls[r][c]) {
-          cellEls[r][c].remove();
-          cellEls[r][c] = null;
-        }
-      }
+  /** Draw the effect for a `combo` event; resolves once it is safe to pop. */
+  async function showComboEffect(ev) {
+    flashComboText(COMBO_LABELS[ev.kind]);
+    playComboSfx();
+    switch (ev.kind) {
+      case 'blast':      showBlastEffect(ev.row, ev.col); break;
+      case 'cross':      showCrossEffect(ev.row, ev.col); break;
+      case 'doubleLine': showDoubleLineEffect(ev.from[0], ev.from[1], ev.row, ev.col); break;
+      case 'bombStorm':
+      case 'lineStorm':  await showStormEffect(ev); break;
+      case 'clearAll':   showClearAllEffect(ev.row, ev.col); break;
+    }
+  }
 
-      /* --- gravity + fill (power-ups spawn from the top) --- */
-      await applyGravityAndFill(pendingPowerUps);
-      await delay(ANIM.cascade);
+  function showBlastEffect(r, c) {
+    showBombEffect(r, c);
+    playBombSfx();
+    const ring = document.createElement('div');
+    ring.className = 'bomb-ring bomb-ring-big';
+    ring.style.left = (c * cellSize + cellSize / 2) + 'px';
+    ring.style.top  = (r * cellSize + cellSize / 2) + 'px';
+    gridEl.appendChild(ring);
+    delay(1300).then(() => ring.remove());
+  }
 
-      isFirstRound = false;
+  function showCrossEffect(r, c) {
+    showBombEffect(r, c);
+    for (let d = -1; d <= 1; d++) {
+      showRainbowEffect(clamp(r + d, 0, ROWS - 1), clamp(c + d, 0, COLS - 1));
     }
+    playBombSfx();
+    playLineClearSfx();
   }
 
-  function calcScore(matches, chain) {
-    let base = matches.size * 10;
-    return Math.round(base * (1 + (chain - 1) * 0.5));
+  function showDoubleLineEffect(r1, c1, r2, c2) {
+    showRainbowEffect(r1, c1);
+    showRainbowEffect(r2, c2);
+    playLineClearSfx();
   }
 
-  /* ---------- gravity + fill ---------- */
-
-  async function applyGravityAndFill(pendingPowerUps) {
-    pendingPowerUps = pendingPowerUps || [];
-
-    const newGrid   = Array.from({ length: ROWS }, () => Array(COLS).fill(-1));
-    const newPUGrid = Array.from({ length: ROWS }, () => Array(COLS).fill(POWERUP_NONE));
-    const sourceRow = Array.from({ length: ROWS }, () => Array(COLS).fill(0));
-    const isNew     = Array.from({ length: ROWS }, () => Array(COLS).fill(false));
-
-    /* group pending power-ups by column (one per column max) */
-    const puByCol = {};
-    for (const pu of pendingPowerUps) {
-      puByCol[pu.col] = puByCol[pu.col] || [];
-      puByCol[pu.col].push(pu.type);
-    }
-
-    function safeFillColor(r, c, g) {
-      let avail = [0, 1, 2];
-      if (c >= 2 && g[r][c - 1] !== -1 && g[r][c - 1] === g[r][c - 2])
-        avail = avail.filter(v => v !== g[r][c - 1]);
-      if (r >= 2 && g[r - 1][c] !== -1 && g[r - 1][c] === g[r - 2][c])
-        avail = avail.filter(v => v !== g[r - 1][c]);
-      if (r >= 1 && r < ROWS - 1 && g[r - 1][c] !== -1 && g[r + 1] && g[r + 1][c] !== -1 && g[r - 1][c] === g[r + 1][c])
-        avail = avail.filter(v => v !== g[r - 1][c]);
-      return avail[rng(avail.length)];
-    }
-
-    for (let c = 0; c < COLS; c++) {
-      const pieces = [];
-      for (let r = ROWS - 1; r >= 0; r--) {
-        if (grid[r][c] !== -1) {
-          pieces.push({ color: grid[r][c], pu: powerUpGrid[r][c], fromRow: r, el: cellEls[r][c] });
-        }
-      }
-      pieces.reverse();
+  /** Zap the target colour, then dress the hit cells as bombs/rainbows before they go off. */
+  async function showStormEffect(ev) {
+    showZapEffect(ev.row, ev.col, ev.converted, ev.targetColor);
+    playZapSfx();
+    const isBomb = ev.kind === 'bombStorm';
+    for (const idx of ev.converted) {
+      const el = cellEls[Math.floor(idx / COLS)][idx % COLS];
+      if (!el) continue;
+      el.classList.add(isBomb ? 'powerup-bomb' : 'powerup-rainbow');
+      const mochi = el.firstChild;
+      mochi.className = 'mochi ' + (isBomb ? 'mochi-bomb' : 'mochi-rainbow');
+      mochi.style.backgroundImage = '';
+    }
+    await delay(ANIM.powerup);
+  }
 
-      const empty = ROWS - pieces.length;
-      const colPUs = puByCol[c] ? puByCol[c].slice() : [];
+  function showClearAllEffect(r, c) {
+    const flash = document.createElement('div');
+    flash.className = 'clear-all-flash';
+    gridEl.appendChild(flash);
+    showBombEffect(r, c);
+    playZapSfx();
+    playBombSfx();
+    delay(1300).then(() => flash.remove());
+  }
 
-      /* place surviving pieces first so safeFillColor can see them */
-      for (let r = empty; r < ROWS; r++) {
-        const p = pieces[r - empty];
-        newGrid[r][c] = p.color;
+  /* ---------- event playback ---------- */
+
+  /**
+   * Play back the events from Engine.resolveSwap on the live grid.
+   * A cascade round that has started always finishes; further rounds
+   * are dropped once the timer has ended the game. Nothing more is played
+   * once the game is dropped or another one starts.
+   */
+  async function playEvents(events) {
+    const play = playId;
+    let hasActivation = false;
+    let playedBomb = false;
+    let playedLine = false;
+    let playedZap = false;
+
+    for (const ev of events) {
+      if (play !== playId) return;
+      if (levelProgress && gameActive) Levels.trackEvents(levelProgress, [ev]);
+      switch (ev.type) {
+        case 'match':
+          if (!gameActive) return;
+          hasActivation = playedBomb = playedLine = playedZap = false;
+          playPop(ev.chain);
+          break;
+
+        case 'combo':
+          if (!gameActive) return;
+          hasActivation = playedBomb = playedLine = playedZap = false;
+          await showComboEffect(ev);
+          break;
+
+        case 'activate':
+          hasActivation = true;
+          addTimeBonus(ev);
+          if (ev.combo) {
+            /* the pair's own effect was drawn by the combo event */
+          } else if (ev.powerUp === POWERUP_BOMB) {
+            showBombEffect(ev.row, ev.col);
+            if (!playedBomb) {
+              playBombSfx();
+              playedBomb = true;
+            }
+          } else if (ev.powerUp === POWERUP_LINE) {
+            showRainbowEffect(ev.row, ev.col);
+            if (!playedLine) {
+              playLineClearSfx();
+              playedLine = true;
+            }
+          } else if (ev.powerUp === POWERUP_ZAP) {
+            showZapEffect(ev.row, ev.col, ev.targets, ev.targetColor);
+            if (!playedZap) {
+              playZapSfx();
+              playedZap = true;
+            }
+          }
+          break;
+
+        case 'score':
+          score += ev.points;
+          addTimeBonus(ev);
+          updateHUD();
+          reportVersus(false);
+          showScoreFloats(ev.cells, ev.points);
+          if (ev.chain > 1) showCombo(ev.chain);
+          break;
+
+        case 'destroy':
+          if (hasActivation) await delay(ANIM.powerup);
+          if (play !== playId) return;
+          await popCells(ev.cells);
+          break;
+
+        case 'fall':
+          board = ev.board;
+          await animateFall(ev.sourceRow, ev.isNew);
+          await delay(ANIM.cascade);
+          break;
+
+        case 'shuffle':
+          if (!gameActive) return;
+          board = ev.board;
+          renderGrid();
+          break;
       }
+    }
+  }
 
-      for (let r = 0; r < ROWS; r++) {
-        if (r < empty) {
-          newGrid[r][c]    = safeFillColor(r, c, newGrid);
-          newPUGrid[r][c]  = colPUs.length > 0 ? colPUs.shift() : POWERUP_NONE;
-          sourceRow[r][c]  = -(empty - r);
-          isNew[r][c]      = true;
-        } else {
-          const p = pieces[r - empty];
-          newGrid[r][c]    = p.color;
-          newPUGrid[r][c]  = p.pu;
-          sourceRow[r][c]  = p.fromRow;
-          isNew[r][c]      = false;
-        }
+  async function popCells(cells) {
+    const play = playId;
+    for (const idx of cells) {
+      const r = Math.floor(idx / COLS), c = idx % COLS;
+      if (cellEls[r] && cellEls[r][c]) cellEls[r][c].classList.add('popping');
+    }
+    await delay(ANIM.pop);
+    if (play !== playId) return;
+
+    for (const idx of cells) {
+      const r = Math.floor(idx / COLS), c = idx % COLS;
+      if (cellEls[r] && cellEls[r][c]) {
+        cellEls[r][c].remove();
+        cellEls[r][c] = null;
       }
     }
+  }
 
-    grid = newGrid;
-    powerUpGrid = newPUGrid;
+  /* ---------- gravity + fill ---------- */
 
-    /* rebuild DOM: place each piece at source position, then animate to target */
+  /** Rebuild the DOM from `board`, starting each piece where it fell from. */
+  async function animateFall(sourceRow, isNew) {
+    const play = playId;
     gridEl.innerHTML = '';
     cellEls = [];
 
     for (let r = 0; r < ROWS; r++) {
       cellEls[r] = [];
       for (let c = 0; c < COLS; c++) {
-        const cell = makeCell(r, c, grid[r][c]);
+        const cell = makeCell(r, c, board.grid[r][c]);
         /* start at the source row (or above grid for new pieces) */
         positionCell(cell, sourceRow[r][c], c, false);
         gridEl.appendChild(cell);
@@ -1041,6 +885,8 @@
       }
     }
 
+    renderJelly();
+
     /* force reflow then animate to real positions */
     void gridEl.offsetHeight;
 
@@ -1049,6 +895,7 @@
         positionCell(cellEls[r][c], r, c, true);
 
     await delay(ANIM.fall + 60);
+    if (play !== playId) return;
 
     /* clean up spawning class */
     for (let r = 0; r < ROWS; r++)
@@ -1077,9 +924,10 @@
   }
 
   function onPointerDown(e) {
-    if (isProcessing || !gameActive) return;
+    if (isProcessing || !gameActive || activeReplay || demoMode) return;
     e.preventDefault();
     unlockAudio();
+    clearHint();
     pointerDown = true;
     const { x, y } = clientXY(e);
     const rect = gridEl.getBoundingClientRect();
@@ -1095,12 +943,17 @@
     if (!pointerDown || isProcessing || !gameActive) return;
     e.preventDefault();
     pointerDown = false;
+    scheduleHint();
 
     const { x, y } = clientXY(e);
     const dx = x - startX;
     const dy = y - startY;
     const threshold = cellSize * 0.15;
-    if (Math.abs(dx) < threshold && Math.abs(dy) < threshold) return; // tap, not swipe
+    if (Math.abs(dx) < threshold && Math.abs(dy) < threshold) {
+      onTap(startRow, startCol);
+      return;
+    }
+    disarmTap();
 
     let tr = startRow, tc = startCol;
     if (Math.abs(dx) > Math.abs(dy)) {
@@ -1110,31 +963,200 @@
     }
 
     if (tr < 0 || tr >= ROWS || tc < 0 || tc >= COLS) return;
+    if (!Engine.isPiece(board, startRow, startCol) || !Engine.isPiece(board, tr, tc)) return;   // stones don't move
     trySwap(startRow, startCol, tr, tc);
   }
 
+  /** Tapping a power-up sets it off, once or twice depending on config.controls. */
+  function onTap(r, c) {
+    const mode = config.controls.tapToActivate;
+    if (mode === 'off' || !Engine.isPiece(board, r, c) || board.powerUps[r][c] === Engine.POWERUP_NONE) {
+      disarmTap();
+      return;
+    }
+    if (mode === 'double') {
+      const now = performance.now();
+      const isSecond = armedTap && armedTap.row === r && armedTap.col === c && now - armedTap.at <= DOUBLE_TAP_MS;
+      if (!isSecond) {
+        disarmTap();
+        armedTap = { row: r, col: c, at: now };
+        cellEls[r][c].classList.add('armed');
+        return;
+      }
+    }
+    disarmTap();
+    tryTap(r, c);
+  }
+
+  function disarmTap() {
+    if (!armedTap) return;
+    const el = cellEls[armedTap.row] && cellEls[armedTap.row][armedTap.col];
+    if (el) el.classList.remove('armed');
+    armedTap = null;
+  }
+
+  /* =========================================================
+     HINTS
+     ========================================================= */
+
+  /** (Re)start the idle countdown; any input or move pushes the hint back. */
+  function scheduleHint() {
+    clearHint();
+    if (!config.hints.enabled || !gameActive || activeReplay || demoMode) return;
+    hintTimer = setTimeout(showHint, config.hints.idleSeconds * 1000);
+  }
+
+  /** Nudge the two cells of the best-ranked move towards each other. */
+  function showHint() {
+    hintTimer = null;
+    if (!gameActive || isProcessing) return;
+    const [best] = Engine.findMoves(board, RULES);
+    if (!best) return;
+    const pairs = [[best.r1, best.c1, best.r2, best.c2], [best.r2, best.c2, best.r1, best.c1]];
+    for (const [r, c, tr, tc] of pairs) {
+      const el = cellEls[r][c];
+      if (!el) continue;
+      el.style.setProperty('--hint-dx', (tc - c) * cellSize * 0.18 + 'px');
+      el.style.setProperty('--hint-dy', (tr - r) * cellSize * 0.18 + 'px');
+      el.classList.add('hint');
+      hintEls.push(el);
+    }
+  }
+
+  function clearHint() {
+    clearTimeout(hintTimer);
+    hintTimer = null;
+    hintEls.forEach(el => el.classList.remove('hint'));
+    hintEls = [];
+  }
+
   /* =========================================================
      HUD + TIMER
      ========================================================= */
 
   function updateHUD() {
     $('score-display').textContent = score;
-    $('timer-display').textContent = timeLeft;
-    const pct = (timeLeft / GAME_TIME) * 100;
+    if (watching) {
+      /* the wall screen's clock is the kiosk's, see showClock() */
+      rollTicker(score);
+      return;
+    }
+    if (levelProgress) {
+      updateLevelHUD();
+      return;
+    }
+    setClock(timeLeft, Math.min(100, (timeLeft / GAME_TIME) * 100), timeLeft <= 10);
+  }
+
+  /** Draw the timer (seconds or moves left) and pass it on to spectators when it changes. */
+  function setClock(value, pct, urgent) {
+    $('timer-display').textContent = value;
     const bar = $('timer-bar');
     bar.style.width = pct + '%';
-    bar.classList.toggle('urgent', timeLeft <= 10);
+    bar.classList.toggle('urgent', urgent);
+    if (!feedGameId || (lastClock && lastClock.value === value)) return;
+    lastClock = { label: $('timer-label').textContent, value, pct, urgent };
+    publishToSpectators('clock', lastClock);
   }
 
   function startTimer() {
-    timerInterval = setInterval(() => {
-      timeLeft--;
-      updateHUD();
-      if (timeLeft <= 0) {
-        clearInterval(timerInterval);
-        if (gameActive) endGame();
-      }
-    }, 1000);
+    timerStartedAt = performance.now();
+    tick();
+  }
+
+  /* the countdown is worked out from game time on each tick, so late timers and pauses never drift it */
+  function tick() {
+    clearTimeout(timerTimeout);
+    const left = (GAME_TIME + bonusSeconds) * 1000 - gameElapsed();
+    timeLeft = Math.max(0, Math.ceil(left / 1000));
+    updateHUD();
+    if (left <= 0) {
+      if (gameActive) endGame();
+      return;
+    }
+    timerTimeout = setTimeout(tick, left % 1000 || 1000);
+  }
+
+  /** Add the seconds `ev` earns (config.timeBonus) to a running countdown, up to the cap. */
+  function addTimeBonus(ev) {
+    const bonus = watching ? watching.timeBonus
+                : versusMatch ? versusMatch.setup.timeBonus
+                : config.timeBonus;
+    if (!bonus.enabled || levelProgress || !gameActive) return;
+    const seconds = Math.min(Engine.eventTimeBonus(ev, bonus), bonus.maxSeconds - bonusSeconds);
+    if (seconds <= 0) return;
+    bonusSeconds += seconds;
+    if (!watching) tick();
+    showTimeBonus(seconds);
+  }
+
+  function showTimeBonus(seconds) {
+    const el = document.createElement('div');
+    el.className = 'time-bonus-float';
+    el.textContent = `+${seconds}s`;
+    document.querySelector('.hud-timer').appendChild(el);
+    delay(950).then(() => el.remove());
+  }
+
+  /** Ms of play since the game began, not counting pauses. */
+  function gameElapsed() {
+    return (paused ? paused.at : performance.now()) - timerStartedAt - pausedMs;
+  }
+
+  /* =========================================================
+     PAUSE
+     The pause button, a hidden tab or staff opening the admin
+     panel freeze the game where it stands: the countdown, any
+     cascade waiting on delay(), CSS animations and the BGM.
+     Resuming picks each of them up exactly where it stopped.
+     ========================================================= */
+
+  /**
+   * `reason` is 'button', 'hidden', 'admin', or 'kiosk' on a wall screen
+   * following a kiosk that paused. The attract demo never pauses, and
+   * neither does a versus race: the other kiosk's clock runs on.
+   */
+  function pauseGame(reason) {
+    if (!gameActive || paused || demoMode || versusMatch || currentScreen !== 'screen-gameplay') return;
+    const screen = $('screen-gameplay');
+    /* getAnimations() covers CSS transitions too, so falling pieces stop mid-air */
+    const animations = screen.getAnimations
+      ? screen.getAnimations({ subtree: true }).filter(a => a.playState === 'running')
+      : [];
+    animations.forEach(a => a.pause());
+    paused = { at: performance.now(), reason, animations };
+    clearTimeout(timerTimeout);
+    holdDelays();
+    clearHint();
+    hideStillPlaying();
+    pointerDown = false;
+    if (AUDIO.bgm) AUDIO.bgm.pause();
+    $('pause-overlay').classList.remove('hidden');
+    armIdleWatchdog();
+    publishToSpectators('pause');
+    if (isTrackedGame()) analytics.track('game_pause', { reason });
+  }
+
+  function resumeGame() {
+    if (!paused) return;
+    const ms = performance.now() - paused.at;
+    endPause();
+    if (!levelProgress && !watching) tick();
+    startBgm();
+    scheduleHint();
+    armIdleWatchdog();
+    publishToSpectators('resume');
+    if (isTrackedGame()) analytics.track('game_resume', { pausedMs: Math.round(ms) });
+  }
+
+  /** Lift the pause without restarting the countdown; also used when a paused game is dropped. */
+  function endPause() {
+    if (!paused) return;
+    pausedMs += performance.now() - paused.at;
+    paused.animations.forEach(a => a.play());
+    paused = null;
+    $('pause-overlay').classList.add('hidden');
+    releaseDelays();
   }
 
   /* =========================================================
@@ -1156,82 +1178,399 @@
     el.style.left = (avgC * cellSize + cellSize / 2) + 'px';
     el.style.top  = (avgR * cellSize) + 'px';
     gridEl.appendChild(el);
-    setTimeout(() => el.remove(), 950);
+    delay(950).then(() => el.remove());
   }
 
   function showCombo(chain) {
-    const el = $('combo-display');
-    el.textContent = chain + 'x COMBO!';
+    flashComboText(chain + 'x COMBO!');
     if (chain % 5 === 0) playComboSfx();
+  }
+
+  function flashComboText(text) {
+    const el = $('combo-display');
+    el.textContent = text;
     el.classList.remove('hidden', 'visible');
     void el.offsetHeight;
     el.classList.add('visible');
-    setTimeout(() => { el.classList.remove('visible'); el.classList.add('hidden'); }, 900);
+    delay(900).then(() => { el.classList.remove('visible'); el.classList.add('hidden'); });
   }
 
   /* =========================================================
      GAME FLOW
      ========================================================= */
 
-  function startGame() {
-    clearInterval(timerInterval);
+  /** Start a live game, or play back a recorded one when `replay` is given. */
+  function startGame(replay) {
+    playId++;
+    clearTimeout(timerTimeout);
     score = 0;
-    timeLeft = GAME_TIME;
     isProcessing = false;
     gameActive = true;
+    armedTap = null;
+    moveLog = [];
+    pausedMs = 0;
+    bonusSeconds = 0;
+    gameStats = Engine.createMoveStats();
+    activeReplay = replay || null;
+    if (activeReplay) gameMode = 'timed';
+    else if (!demoMode) recordPlay();
+    if (gameMode !== 'versus') {
+      leaveVersus();
+      versusMatch = null;
+    }
+    const level = gameMode === 'level' ? config.levels[levelIndex] : null;
+    levelProgress = level ? Levels.createProgress(level, config.colors.map(col => col.name)) : null;
+
+    /* replays keep the board size, rules and time they were recorded with; a race plays the relay's */
+    const recorded = activeReplay || (versusMatch ? versusMatch.setup : {});
+    ROWS  = recorded.rows || config.board.rows;
+    COLS  = recorded.cols || config.board.cols;
+    RULES = recorded.rules ? Engine.resolveRules(recorded.rules) : MochiConfig.engineRules(config);
+    GAME_TIME = recorded.time || config.gameTime;
+    timeLeft = GAME_TIME;
+    COLORS = config.colors.slice(0, RULES.numColors);
     unlockAudio();
     startBgm();
 
-    initGrid();
+    const seed = activeReplay ? activeReplay.seed
+               : versusMatch ? versusMatch.seed
+               : level && level.seed !== undefined ? Engine.normalizeSeed(level.seed)
+               : undefined;
+    const layout = activeReplay ? activeReplay.layout
+                 : versusMatch ? versusMatch.setup.layout
+                 : level && level.layout ? level.layout
+                 : config.board.layout;
+    initGrid(seed, layout);
+    if (isTrackedGame()) analytics.track('game_start', { mode: gameMode, level: level ? level.name : undefined, seed: gameSeed });
     showScreen('screen-gameplay');
+    $('replay-badge').textContent = demoMode ? 'DEMO' : watching ? 'LIVE' : 'REPLAY';
+    $('replay-badge').classList.toggle('hidden', !activeReplay && !demoMode);
+    $('btn-pause').classList.toggle('hidden', demoMode || !!versusMatch);
+    $('versus-hud').classList.toggle('hidden', !versusMatch);
+    $('timer-label').textContent = level ? 'MOVES' : 'TIME';
+    $('level-goals').classList.toggle('hidden', !level);
+    if (spectatorFeed && isTrackedGame()) startFeedGame();
     renderGrid();
     updateHUD();
-    startTimer();
+    /* same seed, same opening board: the opponent starts from ours */
+    if (versusMatch) renderVersusHud(Versus.packGrid(board.grid));
+    if (level || watching) {
+      timerStartedAt = performance.now();   // level mode has no countdown; a wall screen shows the kiosk's
+    } else {
+      startTimer();
+    }
+    if (activeReplay && !watching) playReplay(activeReplay);
+    if (demoMode) playDemo();
+    scheduleHint();
   }
 
-  function saveScore(name, pts) {
-    let leaderboard = JSON.parse(localStorage.getItem('mochiLeaderboard') || '[]');
-    leaderboard.push({ name, score: pts });
-    leaderboard.sort((a, b) => b.score - a.score);
-    leaderboard = leaderboard.slice(0, 5); // Keep top 5
-    localStorage.setItem('mochiLeaderboard', JSON.stringify(leaderboard));
-    return leaderboard;
+  /** Games players actually play; replays and the attract demo are only watched. */
+  function isTrackedGame() {
+    return !activeReplay && !demoMode;
   }
 
-  function renderLeaderboard(leaderboard) {
-    const list = $('leaderboard-list');
-    list.innerHTML = '';
-    leaderboard.forEach((entry, i) => {
-      const li = document.createElement('li');
-      li.innerHTML = `<span class="rank">#${i + 1}</span> <span class="name">${entry.name}</span> <span class="score">${entry.score}</span>`;
-      list.appendChild(li);
-    });
+  /** What analytics records about the current game when it ends or is abandoned. */
+  function gameSummary() {
+    const summary = {
+      mode: gameMode,
+      seed: gameSeed,
+      score,
+      durationMs: Math.round(gameElapsed()),
+      bonusSeconds,
+      moves: gameStats.moves,
+      maxChain: gameStats.maxChain,
+      spawned: gameStats.spawned,
+      fired: gameStats.fired,
+      combos: gameStats.combos,
+    };
+    if (levelProgress) {
+      summary.level = config.levels[levelIndex].name;
+      summary.won = Levels.isComplete(levelProgress);
+    }
+    return summary;
   }
 
-  function endGame() {
-    gameActive = false;
-    clearInterval(timerInterval);
-    stopBgm();
-    playEndSfx();
+  /** List heading for a leaderboard window ('today', 'event' or 'all'). */
+  function windowTitle(window) {
+    if (window === 'today') return `TODAY'S TOP ${config.leaderboard.size}`;
+    if (window === 'event') return 'THIS EVENT';
+    return 'ALL-TIME';
+  }
 
-    const rc = $('screen-result').querySelector('.result-content');
-    rc.className = 'result-content screen-inner';
-    $('result-score').textContent = 'Score: ' + score;
+  /**
+   * Fetch and show the result-screen rankings for `resultWindow`; the list
+   * fills in when the server answers. `pending` is a submit() in flight.
+   */
+  function showLeaderboard(pending) {
+    const request = ++leaderboardRequest;
+    const list = $('leaderboard-list');
+    $('leaderboard-title').textContent = windowTitle(resultWindow);
+    renderLeaderboardTabs();
+    list.replaceChildren();
+    list.classList.add('loading');
+    (pending || leaderboard.top(resultWindow)).then(entries => {
+      if (request !== leaderboardRequest) return;   // a newer tab was picked meanwhile
+      list.classList.remove('loading');
+      if (currentScreen === 'screen-result') renderLeaderboard(list, entries, true);
+    });
+  }
 
-    $('btn-quit').style.display = 'inline-block';
+  function renderLeaderboardTabs() {
+    const tabs = $('leaderboard-tabs');
+    tabs.replaceChildren();
+    if (config.leaderboard.windows.length < 2) return;
+    for (const window of config.leaderboard.windows) {
+      const btn = document.createElement('button');
+      btn.textContent = window === 'today' ? 'TODAY' : window === 'event' ? 'EVENT' : 'ALL-TIME';
+      btn.classList.toggle('active', window === resultWindow);
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        resultWindow = window;
+        showLeaderboard();
+      });
+      tabs.appendChild(btn);
+    }
+  }
 
-    const leaderboard = saveScore(playerName, score);
-    renderLeaderboard(leaderboard);
+  /** Show (or with null, clear) the nickname rejection message. */
+  function showNicknameError(message) {
+    const input = $('nickname-input');
+    $('nickname-error').textContent = message || '';
+    $('nickname-error').classList.toggle('hidden', !message);
+    input.classList.remove('invalid');
+    if (message) {
+      void input.offsetWidth;   // restart the shake
+      input.classList.add('invalid');
+    }
+  }
 
-    showScreen('screen-result');
+  /** Small attract-screen note while scores are waiting to reach the server. */
+  function updateOutboxStatus(count) {
+    const el = $('outbox-status');
+    el.textContent = count === 1 ? '1 score waiting to sync' : count + ' scores waiting to sync';
+    el.classList.toggle('hidden', count === 0);
   }
 
-  function spawnConfetti() {
-    const container = $('result-particles');
-    container.innerHTML = '';
-    const colours = ['var(--c-yellow)', 'var(--c-pink)', 'var(--c-blue)', '#fff', '#c4b5fd'];
-    for (let i = 0; i < 40; i++) {
-      const c = document.createElement('div');
+  function renderLeaderboard(list, entries, withReplays) {
+    list.innerHTML = '';
+    if (entries.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'empty';
+      li.textContent = 'No scores yet — be the first!';
+      list.appendChild(li);
+    }
+    entries.forEach((entry, i) => {
+      const li = document.createElement('li');
+      /* names come from players (and other kiosks): text nodes only, never markup */
+      const span = (className, text) => {
+        const el = document.createElement('span');
+        el.className = className;
+        el.textContent = text;
+        return el;
+      };
+      li.append(span('rank', '#' + (i + 1)), ' ', span('name', entry.name), ' ', span('score', entry.score));
+      if (withReplays && entry.id) onLongPress(li, () => promptHideEntry(entry));
+      if (withReplays && entry.replay) {
+        const btn = document.createElement('button');
+        btn.className = 'replay-btn';
+        btn.textContent = '▶';
+        btn.title = 'Watch replay';
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          unlockAudio();
+          startGame(entry.replay);
+        });
+        li.appendChild(btn);
+      }
+      list.appendChild(li);
+    });
+  }
+
+  /** Staff: long-press a result-screen row, enter the admin PIN, and the entry is hidden. */
+  async function promptHideEntry(entry) {
+    const pin = window.prompt(`Staff PIN to hide "${entry.name}" (${entry.score})`);
+    if (pin === null) return;
+    if (!(await checkAdminPin(pin)).ok) {
+      window.alert('Wrong PIN.');
+      return;
+    }
+    leaderboard.hide(entry.id, pin).then(synced => {
+      if (!synced) window.alert('Hidden on this kiosk, but the leaderboard server could not be reached.');
+      showLeaderboard();
+    });
+  }
+
+  /** Attract-screen leaderboard: show each configured window in turn until tapped away. */
+  function showAttractLeaderboard() {
+    showScreen('screen-leaderboard');
+    const windows = config.leaderboard.windows;
+    let i = 0;
+    const next = () => {
+      if (currentScreen !== 'screen-leaderboard') return;
+      const window = windows[i++ % windows.length];
+      leaderboard.top(window).then(entries => {
+        if (currentScreen !== 'screen-leaderboard') return;
+        $('attract-leaderboard-title').textContent = windowTitle(window);
+        renderLeaderboard($('attract-leaderboard-list'), entries, false);
+        clearTimeout(attractLeaderboardTimer);
+        attractLeaderboardTimer = setTimeout(next, config.leaderboard.cycleSeconds * 1000);
+      });
+    };
+    clearTimeout(attractLeaderboardTimer);
+    next();
+  }
+
+  function endGame() {
+    if (demoMode) {
+      /* the demo's clock ran out before its slot in the attract loop did */
+      abandonGame();
+      nextAttractPhase();
+      return;
+    }
+    const tracked = isTrackedGame();
+    if (tracked) {
+      analytics.track('game_end', gameSummary());
+      if (session) session.games++;
+    }
+    endFeedGame('over');
+    gameActive = false;
+    clearTimeout(timerTimeout);
+    clearHint();
+    stopBgm();
+    playEndSfx();
+
+    const rc = $('screen-result').querySelector('.result-content');
+    rc.className = 'result-content screen-inner';
+    $('result-score').textContent = 'Score: ' + score;
+    $('result-seed').textContent = 'Seed: ' + gameSeed;
+
+    $('btn-quit').style.display = 'inline-block';
+    $('btn-play-again').textContent = 'PLAY AGAIN';
+    $('result-goals').classList.toggle('hidden', !levelProgress);
+    $('result-prize').classList.add('hidden');
+    $('result-versus').classList.add('hidden');
+    document.querySelector('.leaderboard-container').classList.toggle('hidden', !!levelProgress);
+
+    if (levelProgress) {
+      showLevelResult(rc);
+    } else if (activeReplay) {
+      /* replays are watched, never re-scored into the leaderboard */
+      $('result-title').textContent = 'REPLAY';
+      activeReplay = null;
+      showLeaderboard();
+    } else {
+      $('result-title').textContent = "TIME'S UP!";
+      const replay = { v: 1, seed: gameSeed, rows: ROWS, cols: COLS, rules: RULES, time: GAME_TIME, moves: moveLog };
+      if (gameLayout) replay.layout = gameLayout;
+      showLeaderboard(leaderboard.submit({ name: playerName, score, replay }, resultWindow));
+      if (tracked && config.prizes.enabled) awardPrize(replay);
+      if (versusMatch) finishRace();
+    }
+
+    /* the rankings come first; the form is only offered from under them */
+    const offerLead = tracked && shouldAskForLead();
+    $('result-lead').classList.toggle('hidden', !offerLead);
+    if (offerLead) $('result-lead-title').textContent = config.leads.title;
+    showScreen('screen-result');
+  }
+
+  /* =========================================================
+     LEVEL MODE
+     ========================================================= */
+
+  function updateLevelHUD() {
+    const level = config.levels[levelIndex];
+    const left = levelProgress.movesLeft;
+    setClock(left, (left / level.moves) * 100, left <= 3);
+    renderGoals($('level-goals'), levelProgress.goals);
+  }
+
+  function renderGoals(list, goals) {
+    list.innerHTML = '';
+    for (const goal of goals) {
+      const li = document.createElement('li');
+      li.className = 'goal' + (Levels.isGoalMet(goal) ? ' met' : '');
+      const label = document.createElement('span');
+      label.className = 'goal-label';
+      label.textContent = Levels.goalLabel(goal);
+      const count = document.createElement('span');
+      count.className = 'goal-count';
+      count.textContent = Math.min(goal.current, goal.target) + '/' + goal.target;
+      li.append(label, count);
+      list.appendChild(li);
+    }
+  }
+
+  /** End the level as soon as every goal is met or the move budget is spent. */
+  function checkLevelEnd() {
+    if (!gameActive) return;
+    if (Levels.isComplete(levelProgress) || levelProgress.movesLeft <= 0) endGame();
+  }
+
+  function showLevelResult(rc) {
+    const level = config.levels[levelIndex];
+    const won = Levels.isComplete(levelProgress);
+    const hasNext = levelIndex + 1 < config.levels.length;
+
+    rc.classList.add(won ? 'win' : 'lose');
+    $('result-title').textContent = won ? `LEVEL ${levelIndex + 1} CLEAR!` : 'OUT OF MOVES';
+    renderGoals($('result-goals'), levelProgress.goals);
+
+    if (won) {
+      spawnConfetti();
+      if (hasNext) {
+        levelIndex++;
+        saveLevelProgress(playerName, levelIndex);
+        $('btn-play-again').textContent = 'NEXT LEVEL';
+      }
+    } else {
+      $('btn-play-again').textContent = 'TRY AGAIN';
+    }
+    $('result-seed').textContent = level.name;
+  }
+
+  /* returning visitors resume at the furthest level unlocked under their nickname */
+  function loadLevelProgress(name) {
+    const saved = JSON.parse(localStorage.getItem('mochiLevelProgress') || '{}');
+    const idx = saved[name.toLowerCase()] || 0;
+    return Math.min(idx, Math.max(0, config.levels.length - 1));
+  }
+
+  function saveLevelProgress(name, idx) {
+    const saved = JSON.parse(localStorage.getItem('mochiLevelProgress') || '{}');
+    const key = name.toLowerCase();
+    saved[key] = Math.max(saved[key] || 0, idx);
+    localStorage.setItem('mochiLevelProgress', JSON.stringify(saved));
+  }
+
+  /* =========================================================
+     REPLAY
+     ========================================================= */
+
+  function recordMove(r1, c1, r2, c2) {
+    const t = Math.round(gameElapsed());
+    moveLog.push([t, r1, c1, r2, c2]);
+    publishToSpectators('move', { move: [t, r1, c1, r2, c2] });
+  }
+
+  /** Feed a recorded move log back through trySwap/tryTap at its original pace. */
+  async function playReplay(replay) {
+    for (const [t, r1, c1, r2, c2] of replay.moves) {
+      const wait = t - gameElapsed();
+      if (wait > 0) await delay(wait);
+      while (isProcessing && activeReplay === replay) await delay(50);
+      if (!gameActive || activeReplay !== replay) return;
+      if (Engine.isTap(board, r1, c1, r2, c2)) await tryTap(r1, c1);
+      else if (Engine.isAdjacentSwap(board, r1, c1, r2, c2)) await trySwap(r1, c1, r2, c2);
+    }
+  }
+
+  function spawnConfetti() {
+    const container = $('result-particles');
+    container.innerHTML = '';
+    const colours = COLORS.map(col => col.particle).concat(['#fff', '#c4b5fd']);
+    for (let i = 0; i < 40; i++) {
+      const c = document.createElement('div');
       c.className = 'confetti';
       c.style.left = rng(100) + '%';
       c.style.top  = rng(40) + '%';
@@ -1242,20 +1581,1369 @@
     }
   }
 
+  /* =========================================================
+     VERSUS
+     Two kiosks race on one board (config.versus). The lobby
+     joins the relay's room and waits; once paired, both count
+     down and play the seed the relay dealt, each showing the
+     other's score (and board) as it changes. The result screen
+     names the winner once the relay has both scores.
+     ========================================================= */
+
+  /** What this kiosk would race on; the first kiosk into the room decides for both. */
+  function versusSetup() {
+    return {
+      rows: config.board.rows,
+      cols: config.board.cols,
+      rules: MochiConfig.engineRules(config),
+      time: config.gameTime,
+      layout: config.board.layout,
+      timeBonus: config.timeBonus,
+    };
+  }
+
+  /** Show the lobby and wait in config.versus.room for another kiosk. */
+  function findOpponent() {
+    leaveVersus();
+    versusMatch = null;
+    $('lobby-title').textContent = 'FINDING AN OPPONENT…';
+    $('lobby-status').textContent = 'Connecting to the other kiosk…';
+    $('lobby-countdown').classList.add('hidden');
+    $('btn-lobby-cancel').textContent = 'CANCEL';
+    $('btn-lobby-cancel').classList.remove('hidden');
+    showScreen('screen-lobby');
+    const link = Versus.joinRoom({
+      endpoint: config.versus.endpoint,
+      room: config.versus.room,
+      name: playerName,
+      kioskId: leaderboard.kioskId,
+      setup: versusSetup(),
+      onMessage: msg => { if (link === versusLink) onVersusMessage(msg); },
+      onClose: () => { if (link === versusLink) onVersusClosed(); },
+    });
+    versusLink = link;
+  }
+
+  function onVersusMessage(msg) {
+    switch (msg.type) {
+      case 'waiting':
+        $('lobby-title').textContent = 'WAITING FOR AN OPPONENT…';
+        $('lobby-status').textContent = 'Get a friend to tap VERSUS on the other kiosk!';
+        break;
+
+      case 'start':
+        startVersusRace(msg);
+        break;
+
+      case 'opponent':
+        if (!versusMatch) return;
+        versusMatch.opponentScore = msg.score;
+        versusMatch.opponentFinished = !!msg.finished;
+        if (currentScreen === 'screen-gameplay') renderVersusHud(msg.grid);
+        break;
+
+      case 'opponent_left':
+        if (!versusMatch) return;
+        versusMatch.opponentLeft = true;
+        if (currentScreen === 'screen-gameplay') renderVersusHud();
+        break;
+
+      case 'result':
+        if (!versusMatch) return;
+        versusMatch.result = msg;
+        leaveVersus();
+        analytics.track('versus_result', { matchId: versusMatch.id, outcome: msg.outcome, forfeit: msg.forfeit });
+        /* a kiosk still playing when the relay gave up on it sees this once its game ends */
+        if (!gameActive) showVersusResult();
+        break;
+
+      case 'error':
+        console.warn('[versus] relay refused a message:', msg.message);
+        break;
+    }
+  }
+
+  /** The relay went away (or was never there) before the race was decided. */
+  function onVersusClosed() {
+    versusLink = null;
+    if (!versusMatch) {
+      $('lobby-title').textContent = "CAN'T FIND THE OTHER KIOSK";
+      $('lobby-status').textContent = 'Versus is unavailable right now. Ask our staff, or play solo!';
+      $('btn-lobby-cancel').textContent = 'BACK';
+      return;
+    }
+    versusMatch.disconnected = true;
+    if (currentScreen === 'screen-gameplay') renderVersusHud();
+    if (!gameActive) showVersusResult();
+  }
+
+  /** Paired: count down in the lobby, then both kiosks start on the relay's seed and setup. */
+  function startVersusRace(msg) {
+    versusMatch = {
+      id: msg.matchId,
+      seed: msg.seed,
+      setup: msg.setup,
+      opponent: msg.opponent.name,
+      opponentScore: 0,
+      opponentFinished: false,
+      opponentLeft: false,
+      disconnected: false,
+      result: null,
+    };
+    analytics.track('versus_match', { matchId: msg.matchId });
+    $('lobby-title').textContent = `${playerName} VS ${msg.opponent.name}`;
+    $('lobby-status').textContent = 'Get ready…';
+    $('btn-lobby-cancel').classList.add('hidden');
+    $('lobby-countdown').classList.remove('hidden');
+    armIdleWatchdog();
+
+    let left = Math.ceil(msg.startsInMs / 1000);
+    const step = () => {
+      if (currentScreen !== 'screen-lobby') return;
+      if (left <= 0) {
+        startGame();
+        return;
+      }
+      $('lobby-countdown').textContent = left--;
+      lobbyTimer = setTimeout(step, 1000);
+    };
+    step();
+  }
+
+  /** Tell the other kiosk our score and, after a move has settled, our board. */
+  function reportVersus(withBoard) {
+    if (!versusLink || !versusMatch || !gameActive) return;
+    versusLink.progress(score, withBoard ? Versus.packGrid(board.grid) : undefined);
+  }
+
+  /** Opponent strip under the HUD; `grid` is a packed board when one came with the update. */
+  function renderVersusHud(grid) {
+    $('versus-name').textContent = versusMatch.opponent;
+    $('versus-score').textContent = versusMatch.opponentScore;
+    $('versus-status').textContent = versusMatch.disconnected ? 'OFFLINE'
+      : versusMatch.opponentLeft ? 'LEFT'
+      : versusMatch.opponentFinished ? 'DONE'
+      : '';
+    if (grid && config.versus.miniBoard) renderVersusBoard(Versus.unpackGrid(grid));
+  }
+
+  function renderVersusBoard(grid) {
+    const el = $('versus-board');
+    el.style.gridTemplateColumns = `repeat(${grid[0].length}, 1fr)`;
+    el.replaceChildren(...grid.flat().map(v => {
+      const dot = document.createElement('span');
+      if (v === STONE) dot.className = 'stone';
+      else if (v >= 0 && COLORS[v]) dot.style.background = COLORS[v].particle;
+      return dot;
+    }));
+  }
+
+  /** This kiosk's race is over: send the final score and wait on the result screen. */
+  function finishRace() {
+    if (versusLink) versusLink.finish(score);
+    $('btn-play-again').textContent = 'RACE AGAIN';
+    showVersusResult();
+  }
+
+  /** Result-screen verdict: both kiosks name the same winner. */
+  function showVersusResult() {
+    const line = $('result-versus');
+    const result = versusMatch.result;
+    line.classList.remove('hidden');
+    if (!result) {
+      line.textContent = versusMatch.disconnected
+        ? 'Lost touch with the other kiosk, no winner this time.'
+        : `Waiting for ${versusMatch.opponent} to finish…`;
+      return;
+    }
+    const { you, opponent } = result;
+    $('result-title').textContent = result.outcome === 'draw' ? "IT'S A DRAW!"
+      : `${result.outcome === 'win' ? you.name : opponent.name} WINS!`;
+    line.textContent = result.forfeit
+      ? `${opponent.name} left the race.`
+      : `${you.name} ${you.score} · ${opponent.name} ${opponent.score}`;
+    const rc = $('screen-result').querySelector('.result-content');
+    rc.classList.add(result.outcome === 'lose' ? 'lose' : 'win');
+    if (result.outcome === 'win') spawnConfetti();
+  }
+
+  /** Drop the relay connection; a race still running is forfeited to the other kiosk. */
+  function leaveVersus() {
+    clearTimeout(lobbyTimer);
+    if (!versusLink) return;
+    versusLink.leave();
+    versusLink = null;
+  }
+
+  /* =========================================================
+     SPECTATOR
+     A kiosk with config.spectator on publishes each game it
+     plays (spectator.js); index.html?spectator[=channel] is the
+     wall screen that follows it. The screen re-plays the kiosk's
+     moves on its own board, with the same pieces and effects,
+     under a big score ticker, and shows the final score and then
+     the leaderboard between games.
+     ========================================================= */
+
+  const TICKER_ROLL_MS = 600;
+
+  let spectatorLink = null;   // wall screen: MochiSpectator.subscribe() handle
+  let missedGameId = null;    // a game heard of mid-way and already asked for
+  let watchTimer = null;      // final score → leaderboard
+  let tickerShown = 0;        // score the ticker has rolled up to
+  let tickerFrame = null;
+
+  /* ---------- kiosk ---------- */
+
+  function publishToSpectators(type, data) {
+    if (feedGameId) spectatorFeed.publish(Object.assign({ type, gameId: feedGameId }, data));
+  }
+
+  /** Everything a wall screen needs to pick up the game in play, moves so far included. */
+  function spectatorGame() {
+    return {
+      type: 'game',
+      gameId: feedGameId,
+      name: playerName,
+      mode: gameMode,
+      opponent: versusMatch ? versusMatch.opponent : undefined,
+      seed: gameSeed,
+      rows: ROWS,
+      cols: COLS,
+      rules: RULES,
+      time: GAME_TIME,
+      layout: gameLayout,
+      timeBonus: levelProgress ? { enabled: false, maxSeconds: 0 }
+               : versusMatch ? versusMatch.setup.timeBonus
+               : config.timeBonus,
+      moves: moveLog,
+      clock: lastClock,
+      paused: !!paused,
+    };
+  }
+
+  function startFeedGame() {
+    feedGameId = MochiLeaderboard.newId();
+    lastClock = null;
+    spectatorFeed.publish(spectatorGame());
+  }
+
+  /** `reason` is 'over' or 'abandon'. */
+  function endFeedGame(reason) {
+    if (!feedGameId) return;
+    publishToSpectators('end', { score, reason });
+    feedGameId = null;
+  }
+
+  /** A screen that just (re)connected asks for the game in play. */
+  function onSpectatorHello() {
+    if (feedGameId && gameActive) spectatorFeed.publish(spectatorGame());
+  }
+
+  /* ---------- wall screen ---------- */
+
+  /** The channel from `?spectator=<channel>` (config.spectator.channel when bare), or null on a kiosk. */
+  function spectatorChannelFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('spectator')) return null;
+    const channel = params.get('spectator');
+    return channel && !MochiConfig.validateSetting('spectator.channel', channel) ? channel : config.spectator.channel;
+  }
+
+  /** Set the page up as a wall screen: no input, no scores of its own, no admin panel. */
+  function initSpectator(channel) {
+    spectatorView = true;
+    document.body.classList.add('spectator');
+    config.sound.enabled = config.spectator.sound;   // this page only, never saved
+    leaderboard = MochiLeaderboard.createLeaderboard(config.leaderboard);
+    analytics = MochiAnalytics.createAnalytics({ sinks: [] });
+    applyConfigToPage();
+    initAudio();
+    window.addEventListener('resize', () => {
+      if (currentScreen === 'screen-gameplay' && watching) renderGrid();
+    });
+    spectatorLink = Spectator.subscribe({
+      channel,
+      endpoint: config.spectator.endpoint,
+      onMessage: onSpectatorMessage,
+    });
+    showAttractLeaderboard();
+  }
+
+  function onSpectatorMessage(msg) {
+    if (!msg || typeof msg.type !== 'string' || msg.type === 'hello') return;
+    if (msg.type === 'game') {
+      watchGame(msg);
+      return;
+    }
+    if (!watching || msg.gameId !== watching.gameId) {
+      /* a game that started before this screen was listening */
+      if (msg.type !== 'end' && msg.gameId !== missedGameId) {
+        missedGameId = msg.gameId;
+        spectatorLink.hello();
+      }
+      return;
+    }
+    if (msg.type === 'move') {
+      watching.seen++;
+      watching.queue.push(msg.move);
+      pumpWatchedMoves();
+    } else if (msg.type === 'clock') {
+      showClock(msg);
+    } else if (msg.type === 'pause') {
+      pauseGame('kiosk');
+    } else if (msg.type === 'resume') {
+      resumeGame();
+    } else if (msg.type === 'end') {
+      endWatch(msg);
+    }
+  }
+
+  /** Mirror the kiosk game in `msg`, catching up on the moves already made. */
+  function watchGame(msg) {
+    if (watching && watching.gameId === msg.gameId) {
+      /* sent again for another screen, or after a drop that cost this one some moves */
+      if (watching.ended) return;
+      watching.queue.push(...msg.moves.slice(watching.seen));
+      watching.seen = Math.max(watching.seen, msg.moves.length);
+      pumpWatchedMoves();
+      return;
+    }
+    stopWatching();
+    watching = {
+      gameId: msg.gameId,
+      timeBonus: msg.timeBonus,
+      queue: [],
+      seen: msg.moves.length,
+      pumping: false,
+      ended: null,
+    };
+    playerName = msg.name;
+    startGame({ v: 1, seed: msg.seed, rows: msg.rows, cols: msg.cols, rules: msg.rules, time: msg.time, layout: msg.layout, moves: [] });
+
+    /* moves made before this screen joined are settled without the show */
+    for (const [, r1, c1, r2, c2] of msg.moves) {
+      const result = Engine.isTap(board, r1, c1, r2, c2) ? Engine.resolveTap(board, r1, c1, { rng: gameRng, rules: RULES })
+                   : Engine.isAdjacentSwap(board, r1, c1, r2, c2) ? Engine.resolveSwap(board, r1, c1, r2, c2, { rng: gameRng, rules: RULES })
+                   : null;
+      if (!result || !result.valid) continue;
+      board = result.board;
+      score += result.score;
+    }
+
+    tickerShown = score;
+    $('ticker-name').textContent = msg.opponent ? `${msg.name} vs ${msg.opponent}` : msg.name;
+    $('ticker-note').textContent = '';
+    renderGrid();
+    updateHUD();
+    showClock(msg.clock || { label: msg.mode === 'level' ? 'MOVES' : 'TIME', value: msg.time, pct: 100, urgent: false });
+    if (msg.paused) pauseGame('kiosk');
+  }
+
+  /** Play the kiosk's moves one after another, each once the last has settled. */
+  async function pumpWatchedMoves() {
+    const game = watching;
+    if (game.pumping) return;
+    game.pumping = true;
+    while (game.queue.length > 0) {
+      while (isProcessing && watching === game) await delay(50);
+      if (watching !== game || !gameActive) return;
+      const [, r1, c1, r2, c2] = game.queue.shift();
+      if (Engine.isTap(board, r1, c1, r2, c2)) await tryTap(r1, c1);
+      else if (Engine.isAdjacentSwap(board, r1, c1, r2, c2)) await trySwap(r1, c1, r2, c2);
+    }
+    game.pumping = false;
+    if (game.ended && watching === game) showFinalScore();
+  }
+
+  function showClock(clock) {
+    $('timer-label').textContent = clock.label;
+    setClock(clock.value, clock.pct, clock.urgent);
+  }
+
+  /** The kiosk's game is over: finish the moves still on their way, then show how it went. */
+  function endWatch(msg) {
+    watching.ended = msg;
+    if (msg.reason === 'abandon') {
+      /* nobody finished it, so there is no score to show */
+      stopWatching();
+      showAttractLeaderboard();
+      return;
+    }
+    if (!watching.pumping) showFinalScore();
+  }
+
+  function showFinalScore() {
+    gameActive = false;
+    endPause();
+    clearHint();
+    stopBgm();
+    playEndSfx();
+    score = watching.ended.score;
+    $('score-display').textContent = score;
+    rollTicker(score);
+    $('ticker-note').textContent = 'FINAL SCORE';
+    watchTimer = setTimeout(() => {
+      stopWatching();
+      showAttractLeaderboard();
+    }, config.spectator.finalSeconds * 1000);
+  }
+
+  function stopWatching() {
+    clearTimeout(watchTimer);
+    clearTimeout(attractLeaderboardTimer);
+    cancelAnimationFrame(tickerFrame);
+    abandonGame();
+    stopBgm();
+    watching = null;
+  }
+
+  /** Count the ticker up to `target` rather than jump there. */
+  function rollTicker(target) {
+    cancelAnimationFrame(tickerFrame);
+    const from = tickerShown;
+    const start = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / TICKER_ROLL_MS);
+      tickerShown = Math.round(from + (target - from) * t);
+      $('ticker-score').textContent = tickerShown.toLocaleString();
+      if (t < 1) tickerFrame = requestAnimationFrame(step);
+    };
+    tickerFrame = requestAnimationFrame(step);
+  }
+
+  /* =========================================================
+     PRIZES
+     A timed game's score may win a tier from config.prizes; the
+     result screen shows its one-time code (and QR code) for staff
+     to redeem from the admin panel. With config.prizes.endpoint
+     the server holds the stock and codes for every kiosk.
+     ========================================================= */
+
+  /** Ask for the prize the game just played with `replay` won, and show it once known. */
+  async function awardPrize(replay) {
+    const at = Date.now();
+    const { award, soldOut } = await prizes.award(config.prizes.tiers, {
+      id: MochiLeaderboard.newId(),
+      name: playerName,
+      score,
+      at,
+      day: MochiLeaderboard.localDay(at),
+      kioskId: leaderboard.kioskId,
+      eventId: leaderboard.eventId,
+      replay,
+    });
+    if (award) analytics.track('prize_award', { tier: award.tier, score: award.score });
+    else if (soldOut) analytics.track('prize_sold_out', { score });
+    /* by the time the server answers, the next game may have started */
+    if ((!award && !soldOut) || moveLog !== replay.moves) return;
+
+    const tier = award && config.prizes.tiers.find(t => t.id === award.tier);
+    $('result-prize').dataset.tier = award ? award.tier : '';
+    $('prize-badge').textContent = award ? 'YOU WON: ' + tier.name.toUpperCase() : '';
+    $('prize-badge').classList.toggle('hidden', !award);
+    $('prize-code').textContent = award ? award.code : '';
+    renderQr($('prize-qr'), award && config.prizes.display === 'qr' ? award.code : null);
+    $('prize-note').textContent = award
+      ? 'Show this code to our staff to collect your prize.'
+      : "Today's prizes have all been claimed — thanks for playing!";
+    $('result-prize').classList.remove('hidden');
+  }
+
+  /** Draw `text` as a QR code SVG in `container`, or empty it for null. */
+  function renderQr(container, text) {
+    container.replaceChildren();
+    if (!text) return;
+    const qr = MochiQR.encode(text);
+    const quiet = 4;   // blank modules scanners need around the code
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${qr.size + quiet * 2} ${qr.size + quiet * 2}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', 'QR code ' + text);
+    const path = document.createElementNS(ns, 'path');
+    path.setAttribute('d', MochiQR.svgPath(qr, quiet));
+    path.setAttribute('fill', '#2d1b4e');
+    svg.appendChild(path);
+    container.appendChild(svg);
+  }
+
+  /* =========================================================
+     LEAD CAPTURE
+     The optional opt-in form (config.leads), offered once per
+     session after a game. The score has already gone to the
+     leaderboard; the form only decides when the result screen
+     shows. Leads are encrypted before they touch storage.
+     ========================================================= */
+
+  /* on-screen keyboard layout and behaviour per field type */
+  const LEAD_INPUTS = {
+    text:  { type: 'text',  inputmode: 'text',  autocapitalize: 'words' },
+    email: { type: 'email', inputmode: 'email', autocapitalize: 'off', spellcheck: 'false' },
+    tel:   { type: 'tel',   inputmode: 'tel',   autocapitalize: 'off' },
+  };
+
+  let leadOutbox = null;    // MochiOutbox of encrypted leads, or null when the form is off
+  let leadFormDone = null;  // continues to the result screen while the form is up
+
+  /* leads are only ever stored encrypted, and WebCrypto needs https, localhost or file:// */
+  function createLeadOutbox() {
+    if (!window.crypto || !crypto.subtle) {
+      console.error('[leads] WebCrypto is unavailable on this page (serve it over https or from localhost); the opt-in form is off');
+      return null;
+    }
+    const endpoint = config.leads.endpoint;
+    return MochiOutbox.createOutbox({
+      name: 'mochiLeadOutbox',
+      send: endpoint ? lead => Leads.postLead(endpoint, lead) : null,
+    });
+  }
+
+  function shouldAskForLead() {
+    return !!leadOutbox && !!session && !session.leadAsked;
+  }
+
+  /** Show the form; `done` goes back to the result screen once it is sent or skipped. */
+  function showLeadForm(done) {
+    session.leadAsked = true;
+    leadFormDone = done;
+    $('lead-score').textContent = 'Score: ' + score;
+    $('lead-title').textContent = config.leads.title;
+    $('lead-intro').textContent = config.leads.intro;
+    renderLeadForm();
+    showScreen('screen-lead');
+  }
+
+  function renderLeadForm() {
+    const form = $('lead-form');
+    form.replaceChildren();
+    const textFields = config.leads.fields.filter(field => field.type !== 'consent');
+    for (const field of config.leads.fields) {
+      const row = document.createElement('div');
+      row.className = 'lead-field';
+      row.dataset.field = field.name;
+      const input = document.createElement('input');
+      input.id = 'lead-' + field.name;
+      input.name = field.name;
+      input.setAttribute('aria-describedby', input.id + '-error');
+      const text = document.createElement('span');
+      text.className = 'lead-label';
+      text.textContent = field.label;
+      const label = document.createElement('label');
+      label.htmlFor = input.id;
+
+      if (field.type === 'consent') {
+        input.type = 'checkbox';
+        label.className = 'lead-consent';
+        label.append(input, text);
+        row.append(label);
+      } else {
+        for (const [attr, value] of Object.entries(LEAD_INPUTS[field.type])) input.setAttribute(attr, value);
+        input.className = 'nickname-input';
+        input.maxLength = 200;
+        /* Enter on the on-screen keyboard walks through the fields, then sends */
+        const last = field === textFields[textFields.length - 1];
+        input.setAttribute('enterkeyhint', last ? 'send' : 'next');
+        input.addEventListener('keydown', (e) => {
+          if (e.key !== 'Enter' || last) return;
+          e.preventDefault();
+          form.elements[textFields[textFields.indexOf(field) + 1].name].focus();
+        });
+        /* keep the field above the keyboard once it has slid up */
+        input.addEventListener('focus', () => setTimeout(() => input.scrollIntoView({ block: 'center' }), 300));
+        label.append(text);
+        row.append(label, input);
+      }
+      const error = document.createElement('span');
+      error.className = 'lead-error';
+      error.id = input.id + '-error';
+      row.append(error);
+      form.appendChild(row);
+    }
+  }
+
+  function submitLead(e) {
+    e.preventDefault();
+    if (!leadFormDone) return;
+    const form = $('lead-form');
+    const raw = {};
+    for (const field of config.leads.fields) {
+      const input = form.elements[field.name];
+      raw[field.name] = field.type === 'consent' ? input.checked : input.value;
+    }
+    const { values, errors } = Leads.validateLead(config.leads.fields, raw);
+
+    let firstInvalid = null;
+    form.querySelectorAll('.lead-field').forEach(row => {
+      const message = errors[row.dataset.field] || '';
+      const input = form.elements[row.dataset.field];
+      row.querySelector('.lead-error').textContent = message;
+      row.classList.remove('invalid');
+      input.classList.remove('invalid');
+      if (!message) return;
+      void row.offsetWidth;   // restart the shake
+      row.classList.add('invalid');
+      if (input.type !== 'checkbox') input.classList.add('invalid');
+      firstInvalid = firstInvalid || input;
+    });
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return;
+    }
+
+    /* not awaited: storing the lead never holds the player up */
+    saveLead(values);
+    const consents = {};
+    for (const field of config.leads.fields) if (field.type === 'consent') consents[field.name] = values[field.name];
+    const done = closeLeadForm();
+    analytics.track('lead_submit', { consents });
+    done();
+  }
+
+  async function saveLead(values) {
+    const at = Date.now();
+    const lead = { values, name: playerName, score, at };
+    try {
+      const envelope = await Leads.encryptLead(lead, config.leads.publicKey, crypto.subtle);
+      await leadOutbox.add({
+        id: 'lead-' + at.toString(36) + '-' + Math.random().toString(36).slice(2, 10),
+        at,
+        kioskId: leaderboard.kioskId,
+        eventId: leaderboard.eventId,
+        envelope,
+      });
+    } catch (e) {
+      console.error('[leads] could not store a lead:', e);
+    }
+  }
+
+  /** `reason` 'skip' moves on to the result screen; 'idle' and 'quit' leave that to the caller. */
+  function skipLead(reason) {
+    const done = closeLeadForm();
+    if (!done) return;
+    analytics.track('lead_skip', { reason });
+    if (reason === 'skip') done();
+  }
+
+  /** Take the form down, wiping what was typed; returns its `done` if it was up. */
+  function closeLeadForm() {
+    const done = leadFormDone;
+    leadFormDone = null;
+    $('lead-form').replaceChildren();
+    return done;
+  }
+
+  /* =========================================================
+     IDLE WATCHDOG + ATTRACT LOOP
+     Each screen times out when nobody touches it: a live game
+     asks "Still playing?" first, other screens go straight back
+     to the start page, and an idle start page runs the attract
+     loop (demo → leaderboard → product previews) until tapped.
+     ========================================================= */
+
+  const ATTRACT_PHASES = ['demo', 'leaderboard', 'previews'];
+  const DEMO_MOVE_MS = 900;   // pause between the demo's moves so it reads as play
+
+  function addIdleListeners() {
+    const onActivity = () => {
+      hideStillPlaying();
+      armIdleWatchdog();
+    };
+    document.addEventListener('pointerdown', onActivity, true);
+    document.addEventListener('keydown', onActivity, true);
+    document.addEventListener('input', onActivity, true);   // on-screen keyboards don't always send keydown
+    /* any tap ends the attract loop, and does nothing else */
+    document.addEventListener('click', (e) => {
+      if (!attractLoop) return;
+      e.stopPropagation();
+      e.preventDefault();
+      unlockAudio();
+      returnToStart();
+    }, true);
+  }
+
+  /** Seconds `screen` may sit untouched, or 0 when it has no timeout. */
+  function idleSecondsFor(screen) {
+    if (attractLoop || spectatorView) return 0;
+    if (screen === 'screen-attract') return config.idle.attractSeconds;
+    if (screen === 'screen-gameplay' && paused) return config.idle.screenSeconds;
+    if (screen === 'screen-lobby') return versusMatch ? 0 : config.versus.waitSeconds;
+    if (screen === 'screen-gameplay') return gameActive && !activeReplay && !demoMode ? config.idle.gameplaySeconds : 0;
+    return config.idle.screenSeconds;
+  }
+
+  function armIdleWatchdog() {
+    clearTimeout(idleTimer);
+    const seconds = idleSecondsFor(currentScreen);
+    idleTimer = seconds ? setTimeout(onIdle, seconds * 1000) : null;
+  }
+
+  function onIdle() {
+    idleTimer = null;
+    if (currentScreen === 'screen-gameplay' && !paused) showStillPlaying();
+    else if (currentScreen === 'screen-attract') startAttractLoop();
+    else returnToStart('idle');
+  }
+
+  function showStillPlaying() {
+    let left = config.idle.countdownSeconds;
+    $('still-playing-count').textContent = left;
+    $('still-playing').classList.remove('hidden');
+    clearHint();
+    stillPlayingTimer = setInterval(() => {
+      left--;
+      $('still-playing-count').textContent = left;
+      if (left <= 0) returnToStart('idle');
+    }, 1000);
+  }
+
+  function hideStillPlaying() {
+    clearInterval(stillPlayingTimer);
+    stillPlayingTimer = null;
+    $('still-playing').classList.add('hidden');
+  }
+
+  /** Stop any game, demo or replay without scoring it. */
+  function abandonGame() {
+    if (gameActive && isTrackedGame()) analytics.track('game_abandon', gameSummary());
+    endFeedGame('abandon');
+    playId++;
+    gameActive = false;
+    activeReplay = null;
+    demoMode = false;
+    clearTimeout(timerTimeout);
+    endPause();
+    clearHint();
+    disarmTap();
+  }
+
+  /**
+   * Drop whatever is on screen and get the start page ready for the next
+   * player. `reason` ('quit' or 'idle') closes the player's session.
+   */
+  function returnToStart(reason) {
+    stopAttractLoop();
+    abandonGame();
+    leaveVersus();
+    versusMatch = null;
+    skipLead(reason);
+    if (session) {
+      analytics.track('session_end', { reason, screen: currentScreen, durationMs: Date.now() - session.startedAt, games: session.games });
+      session = null;
+    }
+    closeAdmin();
+    clearTimeout(attractLeaderboardTimer);
+    $('nickname-input').value = '';
+    showNicknameError(null);
+    startBgm();
+    showScreen('screen-attract');
+  }
+
+  function startAttractLoop() {
+    attractLoop = { step: 0, timer: null };
+    closeAdmin();
+    nextAttractPhase();
+  }
+
+  function stopAttractLoop() {
+    if (!attractLoop) return;
+    clearTimeout(attractLoop.timer);
+    clearTimeout(previewTimer);
+    attractLoop = null;
+  }
+
+  function nextAttractPhase() {
+    if (!attractLoop) return;
+    clearTimeout(attractLoop.timer);
+    abandonGame();
+    const phase = ATTRACT_PHASES[attractLoop.step++ % ATTRACT_PHASES.length];
+    let seconds;
+    if (phase === 'demo') {
+      seconds = config.idle.demoSeconds;
+      demoMode = true;
+      gameMode = 'timed';
+      startGame();
+    } else if (phase === 'leaderboard') {
+      seconds = config.leaderboard.windows.length * config.leaderboard.cycleSeconds;
+      showAttractLeaderboard();
+    } else {
+      const images = config.idle.previews;
+      if (images.length === 0) return nextAttractPhase();
+      seconds = images.length * config.idle.previewSeconds;
+      showPreviews(images);
+    }
+    attractLoop.timer = setTimeout(nextAttractPhase, seconds * 1000);
+  }
+
+  /** The autoplayer (bot.js) drives the demo one move at a time until the loop moves on. */
+  async function playDemo() {
+    const taps = config.controls.tapToActivate !== 'off';
+    while (gameActive && demoMode) {
+      await delay(DEMO_MOVE_MS);
+      while (isProcessing && demoMode) await delay(50);
+      if (!gameActive || !demoMode) return;
+      const move = Bot.chooseMove(board, { strategy: config.idle.demoStrategy, rules: RULES, taps });
+      if (!move) continue;
+      if (Engine.isTap(board, move.r1, move.c1, move.r2, move.c2)) await tryTap(move.r1, move.c1);
+      else await trySwap(move.r1, move.c1, move.r2, move.c2);
+    }
+  }
+
+  function showPreviews(images) {
+    let i = 0;
+    const next = () => {
+      if (currentScreen !== 'screen-preview') return;
+      $('preview-img').src = images[i++ % images.length];
+      previewTimer = setTimeout(next, config.idle.previewSeconds * 1000);
+    };
+    showScreen('screen-preview');
+    clearTimeout(previewTimer);
+    next();
+  }
+
+  /* =========================================================
+     STAFF ADMIN PANEL
+     Hold the start-page masthead or the Garnier logo, then enter
+     the staff PIN (see checkAdminPin). Settings are saved as config overrides in
+     localStorage and apply on restart; sound applies at once. The
+     leaderboard server only takes scores played with the floor
+     settings it was told about, so those go to it first.
+     ========================================================= */
+
+  const ADMIN_HOLD_MS = 2000;
+  const PLAY_STATS_KEY = 'mochiPlayStats';
+
+  /*
+   * what staff may change on the floor; everything else stays in config.json.
+   * floor: the replay records it, so the server must know (server/verify.js)
+   */
+  const ADMIN_SETTINGS = [
+    { path: 'gameTime',               label: 'Game time (seconds)',   floor: true },
+    { path: 'board.cols',             label: 'Board columns',         floor: true },
+    { path: 'board.rows',             label: 'Board rows',            floor: true },
+    { path: 'board.numColors',        label: 'Colours in play',       floor: true },
+    { path: 'controls.tapToActivate', label: 'Tap to fire power-ups', floor: true, options: ['tap', 'double', 'off'] },
+    { path: 'rules.swapActivates',    label: 'Swap fires power-ups',  floor: true },
+    { path: 'hints.enabled',          label: 'Idle hints' },
+    { path: 'hints.idleSeconds',      label: 'Hint after (seconds)' },
+    { path: 'leaderboard.size',       label: 'Leaderboard length' },
+    { path: 'leaderboard.eventId',    label: 'Event id' },
+  ];
+
+  let adminPin = null;      // the PIN the panel was unlocked with, for server calls
+  let kioskPin = null;      // AdminPin.createKioskPin(), set in init
+
+  /** { total, days: { "YYYY-MM-DD": count } } of live games on this kiosk. */
+  function loadPlayStats() {
+    try {
+      return JSON.parse(localStorage.getItem(PLAY_STATS_KEY)) || { total: 0, days: {} };
+    } catch (e) {
+      return { total: 0, days: {} };
+    }
+  }
+
+  function recordPlay() {
+    const stats = loadPlayStats();
+    const day = MochiLeaderboard.localDay(Date.now());
+    stats.total++;
+    stats.days[day] = (stats.days[day] || 0) + 1;
+    localStorage.setItem(PLAY_STATS_KEY, JSON.stringify(stats));
+  }
+
+  function addAdminListeners() {
+    document.querySelectorAll('#screen-attract .masthead-img, .play-footer-logo').forEach(el => {
+      el.addEventListener('contextmenu', e => e.preventDefault());
+      onLongPress(el, openAdmin, ADMIN_HOLD_MS);
+    });
+    $('admin-unlock').addEventListener('submit', unlockAdmin);
+    document.querySelectorAll('[data-admin-close]').forEach(btn => btn.addEventListener('click', closeAdmin));
+    $('admin-export').addEventListener('click', exportLeaderboard);
+    $('admin-clear').addEventListener('click', clearLeaderboard);
+    $('admin-register').addEventListener('click', registerKiosk);
+    $('admin-analytics-csv').addEventListener('click', () => exportAnalytics('csv'));
+    $('admin-analytics-json').addEventListener('click', () => exportAnalytics('json'));
+    $('admin-analytics-clear').addEventListener('click', () => {
+      if (!window.confirm('Delete every analytics event kept on this kiosk? Export first if you need them.')) return;
+      analyticsBuffer.clear();
+      renderAdminStatus();
+      showAdminMessage('Analytics cleared.');
+    });
+    $('admin-leads-export').addEventListener('click', exportLeads);
+    $('admin-redeem').addEventListener('submit', redeemPrize);
+    $('admin-prizes-export').addEventListener('click', exportPrizes);
+    $('admin-save').addEventListener('click', saveAdminSettings);
+    $('admin-reset').addEventListener('click', () => {
+      if (!window.confirm('Drop every setting changed here and go back to config.json?')) return;
+      MochiConfig.saveOverrides(localStorage, null);
+      window.location.reload();
+    });
+    $('admin-sound').addEventListener('click', () => setSoundEnabled(!config.sound.enabled));
+    $('admin-restart').addEventListener('click', () => window.location.reload());
+  }
+
+  function openAdmin() {
+    pauseGame('admin');
+    adminPin = null;
+    $('admin-pin-input').value = '';
+    $('admin-unlock').classList.remove('hidden');
+    $('admin-body').classList.add('hidden');
+    showAdminMessage(adminPinSetupMessage());
+    $('admin-overlay').classList.remove('hidden');
+    $('admin-pin-input').focus();
+  }
+
+  function closeAdmin() {
+    adminPin = null;
+    $('admin-overlay').classList.add('hidden');
+  }
+
+  function pinSources(allowSetup) {
+    return { configPin: config.admin.pin, kioskPin, hasServer: !!leaderboard.endpoint, allowSetup };
+  }
+
+  /** What the unlock form says on a kiosk that has no staff PIN yet, else ''. */
+  function adminPinSetupMessage() {
+    if (!AdminPin.needsSetup(pinSources(true))) return '';
+    return kioskPin.canSet
+      ? 'No staff PIN yet: the 4–8 digits you enter now become this kiosk\'s PIN.'
+      : 'No staff PIN: set admin.pin in window.MOCHI_CONFIG, or open the game over https:// or localhost.';
+  }
+
+  /**
+   * Whether `pin` is the staff PIN, as AdminPin.checkStaffPin resolves it;
+   * only the admin panel (`allowSetup`) may take a first PIN.
+   */
+  async function checkAdminPin(pin, allowSetup) {
+    return AdminPin.checkStaffPin(pin, Object.assign({ server: await leaderboard.checkPin(pin) }, pinSources(!!allowSetup)));
+  }
+
+  async function unlockAdmin(e) {
+    e.preventDefault();
+    const pin = $('admin-pin-input').value;
+    const check = await checkAdminPin(pin, true);
+    if (!check.ok) {
+      $('admin-pin-input').value = '';
+      showAdminMessage(AdminPin.needsSetup(pinSources(true)) ? 'A staff PIN is 4–8 digits.' : 'Wrong PIN.');
+      return;
+    }
+    adminPin = pin;
+    $('admin-unlock').classList.add('hidden');
+    $('admin-body').classList.remove('hidden');
+    showAdminMessage(check.firstRun ? 'This kiosk\'s staff PIN is set; it unlocks this panel from now on.' : '');
+    renderAdminStatus();
+    renderAdminSettings();
+  }
+
+  function showAdminMessage(text) {
+    $('admin-message').textContent = text;
+  }
+
+  /** Play counts and kiosk health; the server and outbox rows fill in as they answer. */
+  function renderAdminStatus() {
+    const stats = loadPlayStats();
+    const today = stats.days[MochiLeaderboard.localDay(Date.now())] || 0;
+    const rows = {
+      'Plays today':     String(today),
+      'Plays total':     String(stats.total),
+      'Kiosk':           leaderboard.kioskId,
+      'Event':           leaderboard.eventId,
+      'Server':          leaderboard.endpoint ? 'checking…' : 'none (scores stay on this kiosk)',
+      'Unsynced scores': scoreOutbox ? 'checking…' : '—',
+      'Device key':      leaderboard.endpoint ? 'checking…' : '—',
+      'Analytics':       analyticsBuffer ? plural(analyticsBuffer.events().length, 'event') + ' on this kiosk' : 'not kept on this kiosk',
+      'Leads':           leadOutbox ? 'checking…' : 'form off',
+      'Prizes today':    config.prizes.enabled ? 'checking…' : 'off',
+    };
+    const dl = $('admin-status');
+    dl.replaceChildren();
+    const cells = {};
+    for (const [label, value] of Object.entries(rows)) {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = label;
+      dd.textContent = value;
+      dl.append(dt, dd);
+      cells[label] = dd;
+    }
+    $('admin-sound').textContent = config.sound.enabled ? 'SOUND: ON' : 'SOUND: OFF';
+    ['admin-analytics-csv', 'admin-analytics-json', 'admin-analytics-clear'].forEach(id => { $(id).disabled = !analyticsBuffer; });
+    $('admin-leads-export').disabled = !leadOutbox && !config.leads.endpoint;
+
+    $('admin-register').disabled = !leaderboard.endpoint;
+    deviceKey.then(key => {
+      /* every P-256 SPKI starts the same, so the tail tells keys apart */
+      if (leaderboard.endpoint) cells['Device key'].textContent = key ? '…' + key.publicKey.slice(-12) : 'none — scores go unsigned (needs https or localhost)';
+    });
+    leaderboard.checkServer().then(ok => {
+      if (ok !== null) cells.Server.textContent = `${ok ? 'online' : 'UNREACHABLE'} — ${leaderboard.endpoint}`;
+    });
+    if (scoreOutbox) {
+      scoreOutbox.items().then(items => {
+        const rejected = items.filter(item => item.rejected).length;
+        cells['Unsynced scores'].textContent = `${items.length - rejected} waiting, ${rejected} rejected`;
+      });
+    }
+    if (config.prizes.enabled) {
+      prizes.awards(adminPin).then(({ local, server }) => {
+        cells['Prizes today'].textContent = prizeStockText((server || []).concat(local)) +
+          (prizes.endpoint && !server ? ' (server UNREACHABLE, this kiosk only)' : '');
+      });
+    }
+    if (leadOutbox) {
+      leadOutbox.items().then(items => {
+        cells.Leads.textContent = plural(items.length, 'lead') +
+          (config.leads.endpoint ? ' waiting to upload' : ' on this kiosk (encrypted)');
+      });
+    }
+  }
+
+  function renderAdminSettings() {
+    const form = $('admin-settings');
+    form.replaceChildren();
+    for (const setting of ADMIN_SETTINGS) {
+      const value = MochiConfig.getPath(config, setting.path);
+      let input;
+      if (setting.options) {
+        input = document.createElement('select');
+        for (const option of setting.options) input.add(new Option(option, option, false, option === value));
+      } else {
+        input = document.createElement('input');
+        if (typeof value === 'boolean') {
+          input.type = 'checkbox';
+          input.checked = value;
+        } else {
+          input.type = typeof value === 'number' ? 'number' : 'text';
+          input.value = value;
+        }
+      }
+      input.name = setting.path;
+      const label = document.createElement('label');
+      label.append(setting.label, input);
+      form.appendChild(label);
+    }
+  }
+
+  /** Validate the settings form, tell the server of new floor settings, save what changed as overrides and restart. */
+  async function saveAdminSettings() {
+    const form = $('admin-settings');
+    const overrides = MochiConfig.loadOverrides(localStorage) || {};
+    const floor = {};
+    let floorChanged = false;
+    for (const setting of ADMIN_SETTINGS) {
+      const input = form.elements[setting.path];
+      const value = input.type === 'checkbox' ? input.checked
+                  : input.type === 'number' ? (input.value === '' ? NaN : Number(input.value))
+                  : input.value.trim();
+      const err = MochiConfig.validateSetting(setting.path, value);
+      if (err) {
+        showAdminMessage(`${setting.label} ${err}.`);
+        input.focus();
+        return;
+      }
+      const changed = value !== MochiConfig.getPath(config, setting.path);
+      if (changed) MochiConfig.setPath(overrides, setting.path, value);
+      if (setting.floor) {
+        floor[setting.path] = value;
+        floorChanged = floorChanged || changed;
+      }
+    }
+    if (floorChanged && leaderboard.endpoint) {
+      showAdminMessage('Sending the new settings to the leaderboard server…');
+      if (!(await leaderboard.sendSettings(floor, adminPin))) {
+        showAdminMessage('Not saved: the leaderboard server could not be told, and would refuse scores played with these settings.');
+        return;
+      }
+    }
+    MochiConfig.saveOverrides(localStorage, overrides);
+    window.location.reload();
+  }
+
+  function setSoundEnabled(on) {
+    config.sound.enabled = on;
+    const overrides = MochiConfig.loadOverrides(localStorage) || {};
+    MochiConfig.setPath(overrides, 'sound.enabled', on);
+    MochiConfig.saveOverrides(localStorage, overrides);
+    if (!on) stopBgm();
+    else if (currentScreen !== 'screen-result') startBgm();
+    $('admin-sound').textContent = on ? 'SOUND: ON' : 'SOUND: OFF';
+  }
+
+  /** Download this kiosk's scores, the server's and any queued submissions as one JSON file. */
+  async function exportLeaderboard() {
+    showAdminMessage('Exporting…');
+    const { local, server } = await leaderboard.exportEntries(adminPin);
+    const outbox = scoreOutbox ? await scoreOutbox.items() : [];
+    const day = MochiLeaderboard.localDay(Date.now());
+    downloadJson(`mochi-leaderboard-${leaderboard.kioskId}-${day}.json`, {
+      exportedAt: new Date().toISOString(),
+      kioskId: leaderboard.kioskId,
+      eventId: leaderboard.eventId,
+      local,
+      server,
+      outbox,
+    });
+    showAdminMessage(leaderboard.endpoint && server === null
+      ? 'Exported this kiosk only — the server could not be reached.'
+      : 'Exported.');
+  }
+
+  /** Download the analytics events kept on this kiosk as CSV or JSON. */
+  function exportAnalytics(format) {
+    const events = analyticsBuffer.events();
+    const name = `mochi-analytics-${leaderboard.kioskId}-${MochiLeaderboard.localDay(Date.now())}`;
+    if (format === 'csv') downloadFile(name + '.csv', MochiAnalytics.toCsv(events), 'text/csv');
+    else downloadJson(name + '.json', events);
+    showAdminMessage(`Exported ${plural(events.length, 'event')}.`);
+  }
+
+  /** "Free sample 12/200, Full-size Mochi Bar 3/20" for today's `awards` against stock. */
+  function prizeStockText(awards) {
+    const awarded = Prizes.countAwards(awards, MochiLeaderboard.localDay(Date.now()));
+    return config.prizes.tiers.map(tier =>
+      `${tier.name} ${awarded[tier.id] || 0}/${tier.dailyCap === null ? '∞' : tier.dailyCap}`).join(', ') || 'no tiers';
+  }
+
+  /** Staff: check a player's code and mark it used. */
+  async function redeemPrize(e) {
+    e.preventDefault();
+    const input = $('admin-prize-code');
+    const code = input.value;
+    input.value = '';
+    showAdminMessage('Checking…');
+    const { award, status } = await prizes.redeem(code, Date.now(), adminPin);
+    if (status === 'unknown') {
+      showAdminMessage(prizes.endpoint
+        ? 'No such code — check it was typed right.'
+        : 'No such code on this kiosk — check it was won here.');
+      return;
+    }
+    const tier = config.prizes.tiers.find(t => t.id === award.tier);
+    const what = `${tier ? tier.name : award.tier} for ${award.name} (${award.score})`;
+    if (status === 'already') {
+      const when = new Date(award.redeemedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      showAdminMessage(`ALREADY REDEEMED ${when}: ${what}.`);
+      return;
+    }
+    analytics.track('prize_redeem', { tier: award.tier, waitMs: award.redeemedAt - award.at });
+    showAdminMessage(`Valid — hand over: ${what}.`);
+    renderAdminStatus();
+  }
+
+  /** Download the awards this kiosk made offline and, when it answers, every kiosk's from the server. */
+  async function exportPrizes() {
+    showAdminMessage('Exporting…');
+    const { local, server } = await prizes.awards(adminPin);
+    downloadJson(`mochi-prizes-${leaderboard.kioskId}-${MochiLeaderboard.localDay(Date.now())}.json`, {
+      exportedAt: new Date().toISOString(),
+      kioskId: leaderboard.kioskId,
+      eventId: leaderboard.eventId,
+      tiers: config.prizes.tiers,
+      awards: local,
+      server,
+    });
+    showAdminMessage(`Exported ${plural(local.length, 'award')} from this kiosk` +
+      (server ? ` and ${server.length} from the server.` : prizes.endpoint ? ' (server unreachable).' : '.'));
+  }
+
+  /** Download the leads this kiosk and the server hold, still encrypted; tools/lead-keys.js reads the file. */
+  async function exportLeads() {
+    showAdminMessage('Exporting…');
+    const local = leadOutbox ? (await leadOutbox.items()).map(item => item.payload) : [];
+    const server = config.leads.endpoint
+      ? await Leads.fetchLeads(config.leads.endpoint, adminPin).catch(e => {
+        console.warn('[leads] export from server failed:', e.message);
+        return null;
+      })
+      : null;
+    downloadJson(`mochi-leads-${leaderboard.kioskId}-${MochiLeaderboard.localDay(Date.now())}.json`, {
+      exportedAt: new Date().toISOString(),
+      kioskId: leaderboard.kioskId,
+      eventId: leaderboard.eventId,
+      local,
+      server,
+    });
+    const count = new Set(local.concat(server || []).map(lead => lead.id)).size;
+    showAdminMessage(config.leads.endpoint && server === null
+      ? `Exported ${plural(count, 'lead')} from this kiosk only — the server could not be reached.`
+      : `Exported ${plural(count, 'encrypted lead')}. Decrypt them with tools/lead-keys.js.`);
+  }
+
+  /** Tell a server started with --require-signed to take this kiosk's scores. */
+  async function registerKiosk() {
+    showAdminMessage('Registering…');
+    const ok = await leaderboard.registerDevice(adminPin);
+    showAdminMessage(ok ? `Kiosk ${leaderboard.kioskId} registered with the server.`
+      : 'Could not register — no device key, or the server could not be reached.');
+  }
+
+  async function clearLeaderboard() {
+    const where = leaderboard.endpoint ? 'on this kiosk AND the leaderboard server' : 'on this kiosk';
+    if (!window.confirm(`Clear every score ${where}? Export first if you need them.`)) return;
+    const synced = await leaderboard.clear(adminPin);
+    showAdminMessage(synced ? 'Leaderboard cleared.' : 'Cleared on this kiosk, but the server could not be reached.');
+  }
+
   /* =========================================================
      UTILITIES
      ========================================================= */
 
-  function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+  /* delays in flight, so a pause can hold them and resume with what was left */
+  const pendingDelays = new Set();
+
+  /** Resolve after `ms` of game time; see holdDelays(). */
+  function delay(ms) {
+    return new Promise(resolve => {
+      const d = { resolve, left: ms, since: 0, timer: null };
+      pendingDelays.add(d);
+      if (!paused) runDelay(d);
+    });
+  }
+
+  function runDelay(d) {
+    d.since = performance.now();
+    d.timer = setTimeout(() => {
+      pendingDelays.delete(d);
+      d.resolve();
+    }, d.left);
+  }
+
+  /** Stop every pending delay's clock until releaseDelays(). */
+  function holdDelays() {
+    const now = performance.now();
+    for (const d of pendingDelays) {
+      clearTimeout(d.timer);
+      d.left = Math.max(0, d.left - (now - d.since));
+    }
+  }
+
+  function releaseDelays() {
+    pendingDelays.forEach(runDelay);
+  }
+
+  /** Call fn when `el` is held for `ms` without moving off it. */
+  function onLongPress(el, fn, ms) {
+    let timer = null;
+    const cancel = () => { clearTimeout(timer); timer = null; };
+    el.addEventListener('pointerdown', () => {
+      cancel();
+      timer = setTimeout(() => { timer = null; fn(); }, ms || 800);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => el.addEventListener(type, cancel));
+  }
+
   function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 
+  function plural(n, word) { return `${n} ${word}${n === 1 ? '' : 's'}`; }
+
+  /** Offer `data` as a pretty-printed JSON download. */
+  function downloadJson(filename, data) {
+    downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+  }
+
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   /* =========================================================
      INIT
      ========================================================= */
 
-  function init() {
+  /** Reflect the loaded rules in the static instructions and HUD. */
+  function applyConfigToPage() {
+    const zaps = config.rules.zapChains;
+    const text = {
+      bombRun:    config.rules.bombRun,
+      rainbowRun: config.rules.rainbowRun,
+      zapChains:  zaps.length > 1 ? zaps.slice(0, -1).join(', ') + ', or ' + zaps[zaps.length - 1] : zaps.join(''),
+    };
+    document.querySelectorAll('[data-rule]').forEach(el => {
+      el.textContent = text[el.dataset.rule];
+    });
+    $('timer-display').textContent = GAME_TIME;
+    $('nickname-input').maxLength = config.nickname.maxLength;
+
+    /* decorative mochi on the start and instructions screens */
+    document.querySelectorAll('[data-color]').forEach(el => {
+      const color = config.colors[Number(el.dataset.color) % COLORS.length];
+      el.style.backgroundImage = `url('${color.sprite}')`;
+    });
+  }
+
+  function createAnalytics() {
+    const opts = config.analytics;
+    const sinks = [];
+    if (opts.sinks.includes('console')) sinks.push(MochiAnalytics.createConsoleSink());
+    if (opts.sinks.includes('buffer')) {
+      analyticsBuffer = MochiAnalytics.createBufferSink({ storage: localStorage, size: opts.bufferSize });
+      sinks.push(analyticsBuffer);
+    }
+    if (opts.sinks.includes('http')) {
+      /* batches the server didn't take wait in their own outbox */
+      const http = MochiAnalytics.createHttpSink({
+        endpoint: opts.endpoint,
+        batchSize: opts.batchSize,
+        flushMs: opts.flushSeconds * 1000,
+        outbox: MochiOutbox.createOutbox({ name: 'mochiAnalyticsOutbox', send: batch => http.post(batch) }),
+      });
+      sinks.push(http);
+    }
+    const tracker = MochiAnalytics.createAnalytics({
+      sinks,
+      context: { kioskId: leaderboard.kioskId, eventId: leaderboard.eventId },
+    });
+    /* the buffer and http sinks both hold events back */
+    window.addEventListener('pagehide', () => tracker.flush());
+    return tracker;
+  }
+
+  async function init() {
     gridEl        = $('grid');
     gridContainer = $('grid-container');
+
+    config    = await MochiConfig.loadConfig('config.json');
+    COLS      = config.board.cols;
+    ROWS      = config.board.rows;
+    GAME_TIME = config.gameTime;
+    ANIM      = config.anim;
+    RULES     = MochiConfig.engineRules(config);
+    COLORS    = config.colors.slice(0, RULES.numColors);
+    const spectatorChannel = spectatorChannelFromUrl();
+    if (spectatorChannel) {
+      initSpectator(spectatorChannel);
+      return;
+    }
+    /* scores the server didn't take wait in the outbox until it does */
+    scoreOutbox = config.leaderboard.endpoint ? MochiOutbox.createOutbox({
+      name: 'mochiScoreOutbox',
+      send: entry => leaderboard.post(entry),
+      onChange: updateOutboxStatus,
+    }) : null;
+    deviceKey = config.leaderboard.endpoint ? DeviceKey.loadDeviceKey() : Promise.resolve(null);
+    leaderboard = MochiLeaderboard.createLeaderboard(Object.assign({ outbox: scoreOutbox, deviceKey }, config.leaderboard));
+    kioskPin = AdminPin.createKioskPin();
+    resultWindow = config.leaderboard.windows[0];
+    analytics = createAnalytics();
+    prizes = Prizes.createPrizeClient({
+      endpoint: config.prizes.endpoint,
+      local: Prizes.createPrizeStore(localStorage),
+      deviceKey,
+    });
+    leadOutbox = config.leads.enabled ? createLeadOutbox() : null;
+    spectatorFeed = config.spectator.enabled ? Spectator.createFeed({
+      channel: config.spectator.channel,
+      endpoint: config.spectator.endpoint,
+      onHello: onSpectatorHello,
+    }) : null;
+    applyConfigToPage();
+
     initAudio();
 
     addInputListeners();
@@ -1269,34 +2957,80 @@
     nicknameInput.addEventListener('focus', primeBgmFromNickname, { once: true });
 
     /* attract (start page) → instructions */
-    $('btn-start').addEventListener('click', () => {
-      const input = $('nickname-input').value.trim();
-      playerName = input !== '' ? input : 'Player';
+    const enterGame = (mode) => {
+      const input = $('nickname-input');
+      const check = Nickname.checkNickname(input.value, config.nickname);
+      if (!check.ok && check.reason !== 'empty') {
+        analytics.track('nickname_rejected', { reason: check.reason });
+        showNicknameError(check.reason === 'length'
+          ? `Nicknames can be up to ${config.nickname.maxLength} characters.`
+          : "Let's keep it friendly! Please try another nickname.");
+        return;
+      }
+      showNicknameError(null);
+      playerName = check.ok ? check.name : 'Player';
+      gameMode = mode;
+      session = { startedAt: Date.now(), games: 0 };
+      analytics.track('session_start', { mode });
+      if (mode === 'level') levelIndex = loadLevelProgress(playerName);
       unlockAudio();
       startBgm();
       showScreen('screen-instructions');
+    };
+    $('btn-start').addEventListener('click', () => enterGame('timed'));
+    $('btn-levels').addEventListener('click', () => enterGame('level'));
+    $('btn-levels').classList.toggle('hidden', config.levels.length === 0);
+    $('btn-versus').addEventListener('click', () => enterGame('versus'));
+    $('btn-versus').classList.toggle('hidden', !config.versus.enabled || !config.versus.endpoint);
+    $('btn-scores').addEventListener('click', showAttractLeaderboard);
+
+    /* attract leaderboard → back to the start page */
+    $('screen-leaderboard').addEventListener('click', () => {
+      clearTimeout(attractLeaderboardTimer);
+      showScreen('screen-attract');
     });
 
-    /* instructions → play */
+    /* instructions → play (or the versus lobby) */
+    const play = () => (gameMode === 'versus' ? findOpponent() : startGame());
     $('screen-instructions').addEventListener('click', () => {
       unlockAudio();
-      if (currentScreen === 'screen-instructions') startGame();
+      if (currentScreen === 'screen-instructions') play();
     });
 
     /* result buttons */
     $('btn-play-again').addEventListener('click', (e) => {
       e.stopPropagation();
       unlockAudio();
-      startGame();
+      play();
     });
     $('btn-quit').addEventListener('click', (e) => {
       e.stopPropagation();
       unlockAudio();
-      startBgm();
-      $('nickname-input').value = '';
-      showScreen('screen-attract');
+      returnToStart('quit');
     });
 
+    /* pause */
+    $('btn-pause').addEventListener('click', () => pauseGame('button'));
+    $('btn-resume').addEventListener('click', resumeGame);
+    $('btn-pause-quit').addEventListener('click', () => returnToStart('quit'));
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) pauseGame('hidden');
+    });
+
+    /* versus lobby → start page */
+    $('btn-lobby-cancel').addEventListener('click', () => returnToStart('quit'));
+
+    /* lead capture → result */
+    $('lead-form').addEventListener('submit', submitLead);
+    $('btn-lead-offer').addEventListener('click', () => showLeadForm(() => {
+      $('result-lead').classList.add('hidden');
+      showScreen('screen-result');
+    }));
+    $('btn-lead-skip').addEventListener('click', () => skipLead('skip'));
+
+    addAdminListeners();
+    addIdleListeners();
+
     /* handle resize */
     window.addEventListener('resize', () => {
       if (currentScreen === 'screen-gameplay' && gameActive) {
@@ -0,0 +1,379 @@
+/* =========================================================
+   MOCHI CRUSH — leaderboard client
+   Shared rankings over HTTP (see server/server.js), with this
+   kiosk's localStorage board as the fallback. Loaded as
+   window.MochiLeaderboard in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiLeaderboard = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const STORAGE_KEY = 'mochiLeaderboard';
+  const KIOSK_ID_KEY = 'mochiKioskId';
+  const MAX_NAME_LENGTH = 24;
+  const MAX_ID_LENGTH = 64;
+  const WINDOWS = ['today', 'event', 'all'];
+
+  /*
+   * An entry is { id, name, score, at, day, kioskId, eventId, replay? }:
+   *   id       dedupe id, so a retried submission isn't counted twice
+   *   at       ms timestamp; day is the kiosk's local date "YYYY-MM-DD"
+   *   kioskId  which cabinet it was played on; eventId the activation
+   *   replay   the move log game.js records (see engine.js replayGame);
+   *            the server re-plays it to check the score
+   *   hidden   set by staff (see hide()); hidden entries are never listed
+   * Lists are best first. A time window narrows a list to today's or this
+   * event's entries; "today" rolls over at the kiosk's local midnight.
+   */
+
+  /** Error message for a malformed entry, or null. Shared with the server. */
+  function validateEntry(entry) {
+    if (entry === null || typeof entry !== 'object') return 'entry must be an object';
+    if (typeof entry.name !== 'string' || entry.name.trim() === '') return 'name must be a non-empty string';
+    if (entry.name.length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    if (!Number.isInteger(entry.score) || entry.score < 0) return 'score must be a non-negative integer';
+    for (const key of ['id', 'kioskId', 'eventId']) {
+      const v = entry[key];
+      if (v !== undefined && (typeof v !== 'string' || v === '' || v.length > MAX_ID_LENGTH)) return `${key} must be a string of 1 to ${MAX_ID_LENGTH} characters`;
+    }
+    if (entry.at !== undefined && (!Number.isInteger(entry.at) || entry.at < 0)) return 'at must be a timestamp in ms';
+    if (entry.day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(entry.day)) return 'day must be a YYYY-MM-DD date';
+    if (entry.replay !== undefined && (entry.replay === null || typeof entry.replay !== 'object')) return 'replay must be an object';
+    return null;
+  }
+
+  /** Copy of `list` with `entry` ranked in, keeping the best `size`. Ties keep the earlier score first. */
+  function rankEntries(list, entry, size) {
+    const next = list.concat([entry]);
+    next.sort((a, b) => b.score - a.score);
+    return next.slice(0, size);
+  }
+
+  /** Local calendar date of `ms` as "YYYY-MM-DD". */
+  function localDay(ms) {
+    const d = new Date(ms);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  /** Whether `entry` counts towards `window`; ctx = { day, eventId }. */
+  function inWindow(entry, window, ctx) {
+    if (window === 'today') return entry.day === ctx.day;
+    if (window === 'event') return entry.eventId === ctx.eventId;
+    return true;
+  }
+
+  /** Best `size` visible entries of a best-first list within `window`. */
+  function topEntries(entries, window, ctx, size) {
+    return entries.filter(e => !e.hidden && inWindow(e, window, ctx)).slice(0, size);
+  }
+
+  /**
+   * The entries of a best-first list that some window can still show in its
+   * top `size`: the best of every day, of every event and of all time.
+   * Hidden entries are kept too, so un-hiding one puts it back.
+   */
+  function keepTop(entries, size) {
+    const counts = new Map();
+    const fits = (key) => {
+      const n = counts.get(key) || 0;
+      counts.set(key, n + 1);
+      return n < size;
+    };
+    return entries.filter((e) => {
+      if (e.hidden) return true;
+      /* every key is counted, so each window's tally stays right */
+      const keep = [fits('all'), fits('day:' + e.day), fits('event:' + e.eventId)];
+      return keep.some(Boolean);
+    });
+  }
+
+  /** Random dedupe id; crypto.randomUUID where the browser has it. */
+  function newId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+  }
+
+  /* ---------- local fallback ---------- */
+
+  /**
+   * This kiosk's own scores. Only what can still appear in some window is
+   * kept: the top `size` of today, of this event and of all time.
+   */
+  function createLocalStore(storage, size) {
+    function load() {
+      try {
+        const list = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+      } catch (e) {
+        return [];
+      }
+    }
+    function save(entry, ctx) {
+      const all = rankEntries(load(), entry, Infinity);
+      const keep = new Set();
+      for (const window of WINDOWS) topEntries(all, window, ctx, size).forEach(e => keep.add(e));
+      storage.setItem(STORAGE_KEY, JSON.stringify(all.filter(e => keep.has(e))));
+    }
+    function hide(id) {
+      const list = load();
+      list.forEach(e => { if (e.id === id) e.hidden = true; });
+      storage.setItem(STORAGE_KEY, JSON.stringify(list));
+    }
+    function clear() {
+      storage.removeItem(STORAGE_KEY);
+    }
+    return { load, save, hide, clear };
+  }
+
+  /** Kiosk id from config, or one generated on first run and kept in `storage`. */
+  function resolveKioskId(configured, storage) {
+    if (configured) return configured;
+    let id = storage.getItem(KIOSK_ID_KEY);
+    if (!id) {
+      id = 'kiosk-' + newId().slice(0, 8);
+      storage.setItem(KIOSK_ID_KEY, id);
+    }
+    return id;
+  }
+
+  /* ---------- client ---------- */
+
+  /**
+   * Leaderboard client. opts: { endpoint, size, timeoutMs, eventId, kioskId,
+   * storage, fetch, outbox, deviceKey }. Without an endpoint it is
+   * local-only. deviceKey is MochiDeviceKey.loadDeviceKey()'s promise; when it
+   * resolves to a key, every POST is signed with it. Every score is also
+   * kept in the local board, so an unreachable server degrades to this
+   * kiosk's own top `size` instead of an empty list. A submission
+   * that fails is handed to `outbox` (see outbox.js), which delivers it later
+   * through post(). top() and submit() take a window ('today', 'event' or
+   * 'all'), resolve to a ranked list and never reject.
+   */
+  function createLeaderboard(opts) {
+    opts = opts || {};
+    const size = opts.size || 5;
+    const endpoint = opts.endpoint || null;
+    const timeoutMs = opts.timeoutMs || 4000;
+    const eventId = opts.eventId || 'default';
+    const storage = opts.storage || localStorage;
+    const kioskId = resolveKioskId(opts.kioskId, storage);
+    const fetchFn = opts.fetch || (typeof fetch !== 'undefined' ? fetch.bind(null) : null);
+    const local = createLocalStore(storage, size);
+
+    /* "today" is re-read on every call so a kiosk left running rolls over at midnight */
+    const context = () => ({ day: localDay(Date.now()), eventId });
+
+    function localTop(window) {
+      return topEntries(local.load(), window, context(), size);
+    }
+
+    async function fetchJson(url, method, body, headers) {
+      const text = body ? JSON.stringify(body) : undefined;
+      headers = Object.assign(body ? { 'Content-Type': 'application/json' } : {}, headers);
+      /* the server checks the signature against the exact bytes sent */
+      const deviceKey = body && await opts.deviceKey;
+      if (deviceKey) {
+        headers['X-Mochi-Key'] = deviceKey.publicKey;
+        headers['X-Mochi-Signature'] = await deviceKey.sign(text);
+      }
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchFn(url, {
+          method,
+          headers,
+          body: text,
+          signal: controller.signal,
+          cache: 'no-store',
+        });
+        if (!response.ok) {
+          const err = new Error('HTTP ' + response.status);
+          err.status = response.status;
+          /* a 4xx won't get better on retry, except timeouts and rate limits */
+          err.permanent = response.status >= 400 && response.status < 500 &&
+            response.status !== 408 && response.status !== 429;
+          throw err;
+        }
+        return await response.json();
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    async function request(method, body, window) {
+      const ctx = context();
+      const query = new URLSearchParams({ window: window || 'all', day: ctx.day, event: ctx.eventId, limit: size });
+      const data = await fetchJson(`${endpoint}?${query}`, method, body);
+      if (!data || !Array.isArray(data.entries)) throw new Error('malformed response');
+      return data.entries;
+    }
+
+    /** Staff-only endpoint under `endpoint`; POST when there is a body. */
+    function adminRequest(path, pin, body) {
+      return fetchJson(endpoint + path, body ? 'POST' : 'GET', body, { 'X-Admin-Pin': pin });
+    }
+
+    async function top(window) {
+      if (!endpoint || !fetchFn) return localTop(window);
+      try {
+        return await request('GET', null, window);
+      } catch (e) {
+        console.warn('Leaderboard server unreachable, showing local scores:', e.message);
+        return localTop(window);
+      }
+    }
+
+    /** Record a score ({ name, score, replay? }) and resolve to `window`'s list. */
+    async function submit(entry, window) {
+      const at = Date.now();
+      entry = Object.assign({ id: newId(), at, day: localDay(at), kioskId, eventId }, entry);
+      local.save(entry, context());
+      const localList = localTop(window);
+      if (!endpoint || !fetchFn) return localList;
+      try {
+        return await request('POST', entry, window);
+      } catch (e) {
+        if (!opts.outbox) {
+          console.warn('Leaderboard server unreachable, score kept locally:', e.message);
+        } else {
+          console.warn('Leaderboard submission failed, score queued:', e.message);
+          await opts.outbox.add(entry).catch(err => console.error('[leaderboard] could not queue score:', err));
+        }
+        return localList;
+      }
+    }
+
+    /**
+     * Staff: hide entry `id` here and, with the admin `pin`, on the server.
+     * Resolves to false if the server couldn't be told.
+     */
+    async function hide(id, pin) {
+      local.hide(id);
+      if (!endpoint || !fetchFn) return true;
+      try {
+        await adminRequest('/hide', pin, { id, hidden: true });
+        return true;
+      } catch (e) {
+        console.warn('Could not hide entry on the leaderboard server:', e.message);
+        return false;
+      }
+    }
+
+    /**
+     * Staff: wipe this kiosk's scores and, with the admin `pin`, the server's
+     * (which keeps a backup). Resolves to false if the server couldn't be told.
+     */
+    async function clear(pin) {
+      local.clear();
+      if (!endpoint || !fetchFn) return true;
+      try {
+        await adminRequest('/clear', pin, {});
+        return true;
+      } catch (e) {
+        console.warn('Could not clear the leaderboard server:', e.message);
+        return false;
+      }
+    }
+
+    /**
+     * Staff: every stored entry, hidden ones included, as { local, server }.
+     * server is null when there is no server or it couldn't be reached.
+     */
+    async function exportEntries(pin) {
+      let server = null;
+      if (endpoint && fetchFn) {
+        try {
+          server = (await adminRequest('/export', pin)).entries;
+        } catch (e) {
+          console.warn('Could not export from the leaderboard server:', e.message);
+        }
+      }
+      return { local: local.load(), server };
+    }
+
+    /**
+     * Staff: register this kiosk's device key with the server, for servers
+     * that only take signed scores from known kiosks. Resolves to false when
+     * there is no key or the server couldn't be told.
+     */
+    async function registerDevice(pin) {
+      const deviceKey = await opts.deviceKey;
+      if (!endpoint || !fetchFn || !deviceKey) return false;
+      try {
+        await adminRequest('/devices', pin, { kioskId, publicKey: deviceKey.publicKey });
+        return true;
+      } catch (e) {
+        console.warn('Could not register this kiosk with the leaderboard server:', e.message);
+        return false;
+      }
+    }
+
+    /**
+     * Staff: tell the server the floor settings (server/verify.js) this kiosk
+     * now plays with, so it takes scores played with them. Resolves to false
+     * when there is no server or it couldn't be told.
+     */
+    async function sendSettings(settings, pin) {
+      if (!endpoint || !fetchFn) return false;
+      try {
+        await adminRequest('/settings', pin, { kioskId, settings, at: Date.now() });
+        return true;
+      } catch (e) {
+        console.warn('Could not send this kiosk\'s settings to the leaderboard server:', e.message);
+        return false;
+      }
+    }
+
+    /**
+     * Staff: whether the server takes `pin` — true or false, or null when
+     * there is no server, it can't be reached or it has no PIN set.
+     */
+    async function checkPin(pin) {
+      if (!endpoint || !fetchFn) return null;
+      try {
+        await adminRequest('/admin', pin);
+        return true;
+      } catch (e) {
+        if (e.status === 403) return false;
+        console.warn('Could not check the PIN with the leaderboard server:', e.message);
+        return null;
+      }
+    }
+
+    /** Whether the server answers: true, false, or null when there is none. */
+    async function checkServer() {
+      if (!endpoint || !fetchFn) return null;
+      try {
+        await request('GET', null, 'all');
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /** Raw POST for the outbox: rejects on failure (err.permanent for 4xx). */
+    async function post(entry) {
+      return request('POST', entry);
+    }
+
+    return { top, submit, hide, clear, exportEntries, registerDevice, sendSettings, checkPin, checkServer, post, kioskId, endpoint, eventId };
+  }
+
+  return {
+    STORAGE_KEY,
+    MAX_NAME_LENGTH,
+    WINDOWS,
+    validateEntry,
+    rankEntries,
+    localDay,
+    inWindow,
+    topEntries,
+    keepTop,
+    newId,
+    createLeaderboard,
+  };
+});
@@ -0,0 +1,180 @@
+/* =========================================================
+   MOCHI CRUSH — lead capture
+   Validation, encryption and upload for the optional opt-in
+   form shown after a game (see config.leads). Leads are
+   encrypted on the kiosk with the activation's public key, so
+   neither the kiosk nor server/server.js can read them;
+   tools/lead-keys.js decrypts an export with the private key.
+   Loaded as window.MochiLeads in the browser and via require()
+   in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiLeads = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FIELD_TYPES = ['text', 'email', 'tel', 'consent'];
+  const MAX_VALUE_LENGTH = 200;
+  const ENVELOPE_VERSION = 1;
+  const RSA = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+  /*
+   * A field is { name, label, type, required? } with type one of
+   * FIELD_TYPES; a consent field is a checkbox. A stored lead is
+   *   { id, at, kioskId, eventId, envelope }
+   * where envelope = { v, key, iv, data } (base64): `data` is the
+   * AES-GCM encrypted JSON of { values, name, score }, `key` that AES key
+   * wrapped with the RSA-OAEP public key.
+   */
+
+  /** Error message for a malformed field list from config, or null. */
+  function validateFields(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) return 'must be a non-empty list of fields';
+    const names = new Set();
+    for (const [i, field] of fields.entries()) {
+      if (field === null || typeof field !== 'object') return `[${i}] must be an object`;
+      if (typeof field.name !== 'string' || !/^[a-z][a-zA-Z0-9]*$/.test(field.name)) return `[${i}].name must be a camelCase name`;
+      if (names.has(field.name)) return `[${i}].name "${field.name}" is used twice`;
+      names.add(field.name);
+      if (typeof field.label !== 'string' || field.label === '') return `[${i}].label must be a non-empty string`;
+      if (!FIELD_TYPES.includes(field.type)) return `[${i}].type must be one of ${FIELD_TYPES.join(', ')}`;
+      if (field.required !== undefined && typeof field.required !== 'boolean') return `[${i}].required must be true or false`;
+    }
+    return null;
+  }
+
+  /** Message for one field's value, or null when it is acceptable. */
+  function checkValue(field, value) {
+    if (field.type === 'consent') return field.required && value !== true ? 'Please tick this box to continue.' : null;
+    const text = String(value || '').trim();
+    if (text === '') return field.required ? 'This field is required.' : null;
+    if (text.length > MAX_VALUE_LENGTH) return 'That is too long.';
+    if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text)) return 'Please enter a valid email address.';
+    if (field.type === 'tel') {
+      const digits = text.replace(/\D/g, '');
+      if (!/^[+\d\s().-]+$/.test(text) || digits.length < 7 || digits.length > 15) return 'Please enter a valid phone number.';
+    }
+    return null;
+  }
+
+  /**
+   * Check form `values` against `fields`. Returns { values, errors } with
+   * text trimmed and consents as booleans; errors maps field name → message
+   * and is empty when the lead can be stored.
+   */
+  function validateLead(fields, values) {
+    const clean = {};
+    const errors = {};
+    for (const field of fields) {
+      const raw = values[field.name];
+      clean[field.name] = field.type === 'consent' ? raw === true : String(raw || '').trim();
+      const err = checkValue(field, clean[field.name]);
+      if (err) errors[field.name] = err;
+    }
+    return { values: clean, errors };
+  }
+
+  /* ---------- encryption ---------- */
+
+  function toBase64(bytes) {
+    bytes = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  /** DER bytes of a PEM key, or of bare base64 as pasted into config.json. */
+  function pemBody(pem) {
+    return fromBase64(String(pem).replace(/-----[^-]+-----/g, '').replace(/\s+/g, ''));
+  }
+
+  /**
+   * Encrypt `lead` (any JSON) for the holder of the private key matching
+   * `publicKey` (SPKI, PEM or base64). `subtle` is crypto.subtle.
+   */
+  async function encryptLead(lead, publicKey, subtle) {
+    const rsaKey = await subtle.importKey('spki', pemBody(publicKey), RSA, false, ['wrapKey']);
+    const aesKey = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, new TextEncoder().encode(JSON.stringify(lead)));
+    const key = await subtle.wrapKey('raw', aesKey, rsaKey, RSA);
+    return { v: ENVELOPE_VERSION, key: toBase64(key), iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /** Reverse encryptLead with the private key (PKCS#8, PEM or base64). */
+  async function decryptLead(envelope, privateKey, subtle) {
+    if (!envelope || envelope.v !== ENVELOPE_VERSION) throw new Error('unsupported envelope version');
+    const rsaKey = await subtle.importKey('pkcs8', pemBody(privateKey), RSA, false, ['unwrapKey']);
+    const aesKey = await subtle.unwrapKey('raw', fromBase64(envelope.key), rsaKey, RSA, { name: 'AES-GCM' }, false, ['decrypt']);
+    const data = await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, aesKey, fromBase64(envelope.data));
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  /** Error message for a malformed stored lead, or null. Shared with the server. */
+  function validateStoredLead(lead) {
+    if (lead === null || typeof lead !== 'object') return 'lead must be an object';
+    if (typeof lead.id !== 'string' || lead.id === '' || lead.id.length > 64) return 'id must be a string of 1 to 64 characters';
+    if (!Number.isInteger(lead.at) || lead.at < 0) return 'at must be a timestamp in ms';
+    for (const key of ['kioskId', 'eventId']) {
+      if (lead[key] !== undefined && (typeof lead[key] !== 'string' || lead[key].length > 64)) return `${key} must be a string of up to 64 characters`;
+    }
+    const env = lead.envelope;
+    if (!env || env.v !== ENVELOPE_VERSION || ['key', 'iv', 'data'].some(k => typeof env[k] !== 'string')) return 'envelope is malformed';
+    return null;
+  }
+
+  /* ---------- server ---------- */
+
+  async function request(url, init, opts) {
+    const fetchFn = (opts && opts.fetch) || fetch.bind(null);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), (opts && opts.timeoutMs) || 4000);
+    try {
+      const response = await fetchFn(url, Object.assign({ signal: controller.signal }, init));
+      if (!response.ok) {
+        const err = new Error('HTTP ' + response.status);
+        err.permanent = response.status >= 400 && response.status < 500 &&
+          response.status !== 408 && response.status !== 429;
+        throw err;
+      }
+      return response.json();
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /** POST one stored lead to `endpoint` (for the outbox): rejects on failure, err.permanent for 4xx. */
+  function postLead(endpoint, lead, opts) {
+    return request(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(lead),
+    }, opts);
+  }
+
+  /** Every lead the server holds, still encrypted; rejects when it can't be reached. */
+  async function fetchLeads(endpoint, pin, opts) {
+    const body = await request(endpoint.replace(/\/+$/, '') + '/export', { headers: { 'X-Admin-Pin': pin } }, opts);
+    return body.leads;
+  }
+
+  return {
+    FIELD_TYPES,
+    validateFields,
+    validateLead,
+    encryptLead,
+    decryptLead,
+    validateStoredLead,
+    postLead,
+    fetchLeads,
+  };
+});
@@ -0,0 +1,125 @@
+/* =========================================================
+   MOCHI CRUSH — level mode goals
+   Move-limited levels with objectives, tracked from the event
+   stream MochiEngine.resolveSwap returns. No DOM. Loaded as
+   window.MochiLevels in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+  else root.MochiLevels = factory(root.MochiEngine);
+})(typeof self !== 'undefined' ? self : this, function (Engine) {
+  'use strict';
+
+  /*
+   * A level definition (config.json → "levels") looks like:
+   *   { "name": "Pink Party", "moves": 20, "seed": 7,   // seed optional
+   *     "goals": [ { "type": "score",   "target": 1500 },
+   *                { "type": "clear",   "target": 25, "color": "pink" },
+   *                { "type": "trigger", "target": 3,  "powerUp": "bomb" },
+   *                { "type": "stone",   "target": 4 },      // stones broken
+   *                { "type": "jelly",   "target": 10 } ],   // jelly layers peeled
+   *     "layout": [ "......", "..S...", ... ] }             // optional, see engine.js
+   */
+
+  const GOAL_TYPES = ['score', 'clear', 'trigger', 'stone', 'jelly'];
+  const POWERUP_NAMES = {
+    bomb: Engine.POWERUP_BOMB,
+    rainbow: Engine.POWERUP_LINE,
+    zap: Engine.POWERUP_ZAP,
+  };
+
+  /**
+   * Error message for a malformed level, or null. `colorNames` lists the
+   * colours in play; `board` is config.board, for checking the layout size.
+   */
+  function validateLevel(level, colorNames, board) {
+    if (level === null || typeof level !== 'object') return 'must be an object';
+    if (typeof level.name !== 'string' || level.name === '') return 'name must be a non-empty string';
+    if (!Number.isInteger(level.moves) || level.moves < 1 || level.moves > 200) return 'moves must be an integer from 1 to 200';
+    if (level.seed !== undefined && !(typeof level.seed === 'number' || typeof level.seed === 'string')) return 'seed must be a number or string';
+    if (!Array.isArray(level.goals) || level.goals.length === 0) return 'goals must be a non-empty list';
+    if (level.layout !== undefined) {
+      const err = Engine.validateLayout(level.layout, board.rows, board.cols);
+      if (err) return 'layout ' + err;
+    }
+
+    for (const [i, goal] of level.goals.entries()) {
+      if (!goal || !GOAL_TYPES.includes(goal.type)) return `goals[${i}].type must be one of ${GOAL_TYPES.join(', ')}`;
+      if (!Number.isInteger(goal.target) || goal.target < 1) return `goals[${i}].target must be a positive integer`;
+      if (goal.type === 'clear' && !colorNames.includes(goal.color)) return `goals[${i}].color must be one of ${colorNames.join(', ')}`;
+      if (goal.type === 'trigger' && !(goal.powerUp in POWERUP_NAMES)) return `goals[${i}].powerUp must be one of ${Object.keys(POWERUP_NAMES).join(', ')}`;
+    }
+    return null;
+  }
+
+  /** Fresh progress for a level; `colorNames` maps colour indices to names. */
+  function createProgress(level, colorNames) {
+    return {
+      movesLeft: level.moves,
+      score: 0,
+      goals: level.goals.map(g => ({
+        type: g.type,
+        target: g.target,
+        color: g.color,
+        colorIdx: g.type === 'clear' ? colorNames.indexOf(g.color) : undefined,
+        powerUp: g.powerUp,
+        current: 0,
+      })),
+    };
+  }
+
+  /** Fold one resolved swap's events into `progress` (mutates it). */
+  function trackEvents(progress, events) {
+    for (const ev of events) {
+      if (ev.type === 'score') {
+        progress.score += ev.points;
+      } else if (ev.type === 'destroy') {
+        for (const goal of progress.goals) {
+          if (goal.type !== 'clear') continue;
+          goal.current += ev.colors.filter(col => col === goal.colorIdx).length;
+        }
+      } else if (ev.type === 'activate') {
+        for (const goal of progress.goals) {
+          if (goal.type === 'trigger' && POWERUP_NAMES[goal.powerUp] === ev.powerUp) goal.current++;
+        }
+      } else if (ev.type === 'blocker') {
+        for (const goal of progress.goals) {
+          if (goal.type === 'stone') goal.current += ev.stones.length;
+          if (goal.type === 'jelly') goal.current += ev.jelly.length;
+        }
+      }
+    }
+    for (const goal of progress.goals) {
+      if (goal.type === 'score') goal.current = progress.score;
+    }
+    return progress;
+  }
+
+  function isGoalMet(goal) {
+    return goal.current >= goal.target;
+  }
+
+  function isComplete(progress) {
+    return progress.goals.every(isGoalMet);
+  }
+
+  /** Short HUD label, e.g. "Score", "Pink", "Bombs". */
+  function goalLabel(goal) {
+    if (goal.type === 'score') return 'Score';
+    if (goal.type === 'stone') return 'Stones';
+    if (goal.type === 'jelly') return 'Jelly';
+    if (goal.type === 'clear') return goal.color.charAt(0).toUpperCase() + goal.color.slice(1);
+    return goal.powerUp.charAt(0).toUpperCase() + goal.powerUp.slice(1) + 's';
+  }
+
+  return {
+    GOAL_TYPES,
+    validateLevel,
+    createProgress,
+    trackEvents,
+    isGoalMet,
+    isComplete,
+    goalLabel,
+  };
+});
@@ -0,0 +1,107 @@
+/* =========================================================
+   MOCHI CRUSH — nickname filter
+   Keeps offensive names off a brand kiosk's leaderboard. Names
+   are normalised (case, accents, leetspeak, spacing tricks,
+   stretched letters) before being checked against a blocklist.
+   Loaded as window.MochiNickname in the browser and via
+   require() in Node (the server re-checks every submission).
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiNickname = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /* refused anywhere in a word; extend per activation via config.json → nickname.blocklist */
+  const DEFAULT_BLOCKLIST = [
+    'fuck', 'fck', 'bitch', 'pussy', 'asshole', 'bastard', 'whore', 'jizz',
+    'nigg', 'faggot', 'retard', 'tranny', 'bullshit', 'dipshit', 'horseshit',
+  ];
+
+  /*
+   * Short words that turn up inside ordinary names (Dickinson, Scunthorpe,
+   * Matsushita, Therapist, Fukuoka): refused only as a whole word, alone or
+   * with one of WORD_ENDINGS ("dicks", "shithead").
+   */
+  const DEFAULT_WORD_BLOCKLIST = [
+    'fuk', 'shit', 'cunt', 'dick', 'cock', 'wank', 'twat', 'slut', 'porn',
+    'penis', 'vagina', 'boob', 'rape', 'nazi', 'hitler', 'kkk',
+  ];
+
+  const WORD_ENDINGS = ['s', 'es', 'y', 'ty', 'ed', 'ing', 'head', 'face', 'hole', 'bag'];
+
+  /* ordinary words and names that happen to contain a blocked one */
+  const DEFAULT_ALLOWLIST = ['hancock', 'peacock', 'cockburn', 'dickens', 'dickson', 'grape', 'drape', 'scrape'];
+
+  const LEET = {
+    '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e', '£': 'l', 'ƒ': 'f',
+  };
+
+  /**
+   * Fold a name to the letters a reader would see: lower case, accents
+   * stripped, leetspeak decoded and anything but a–z dropped, so
+   * "F.u c_K" and "5h!t" read as "fuck" and "shit".
+   */
+  function normalize(name) {
+    return String(name)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[0-9@$!|+€£ƒ]/g, ch => LEET[ch])
+      .replace(/[^a-z]/g, '');
+  }
+
+  /** Pattern for a blocked word that also catches stretched letters ("fuuuck"). */
+  function wordPattern(word) {
+    return word.split('').map(ch => ch + '+').join('');
+  }
+
+  /**
+   * Check a nickname. opts: { maxLength, blocklist, allowlist } where the
+   * lists add to the defaults. Returns { ok: true, name } with the trimmed
+   * name, or { ok: false, reason } where reason is 'empty', 'length' or
+   * 'blocked'.
+   * A blocklist word inside any one word of the name is refused, a word
+   * blocklist one only as that whole word. Across the spaces only a run of
+   * whole words is checked ("f u c k", "sh it"), so a blocked word that
+   * merely straddles two ("Bob Oobe") is fine.
+   */
+  function checkNickname(name, opts) {
+    opts = opts || {};
+    const trimmed = String(name).trim().replace(/\s+/g, ' ');
+    if (trimmed === '') return { ok: false, reason: 'empty' };
+    if (opts.maxLength && trimmed.length > opts.maxLength) return { ok: false, reason: 'length' };
+
+    const patterns = list => list.map(normalize).filter(Boolean).map(wordPattern);
+    const blocked = patterns(DEFAULT_BLOCKLIST.concat(opts.blocklist || []));
+    const wordOnly = patterns(DEFAULT_WORD_BLOCKLIST);
+    const allowlist = DEFAULT_ALLOWLIST.concat(opts.allowlist || []).map(normalize).filter(Boolean);
+    const endings = `(${WORD_ENDINGS.join('|')})?`;
+    const anywhere = blocked.map(p => new RegExp(p)).concat(wordOnly.map(p => new RegExp(`^${p}${endings}$`)));
+    const whole = blocked.map(p => new RegExp(`^${p}$`)).concat(wordOnly.map(p => new RegExp(`^${p}${endings}$`)));
+
+    /* allowed words are cut out first so they can't trip a shorter blocked word */
+    const cutAllowed = (text) => {
+      for (const word of allowlist) text = text.split(word).join('.');
+      return text;
+    };
+    const words = trimmed.split(' ').map(normalize).filter(Boolean);
+    if (words.some(word => anywhere.some(re => re.test(cutAllowed(word))))) return { ok: false, reason: 'blocked' };
+    for (let i = 0; i < words.length; i++) {
+      for (let j = i + 2; j <= words.length; j++) {
+        const run = cutAllowed(words.slice(i, j).join(''));
+        if (whole.some(re => re.test(run))) return { ok: false, reason: 'blocked' };
+      }
+    }
+    return { ok: true, name: trimmed };
+  }
+
+  return {
+    DEFAULT_BLOCKLIST,
+    DEFAULT_WORD_BLOCKLIST,
+    normalize,
+    checkNickname,
+  };
+});
@@ -0,0 +1,200 @@
+/* =========================================================
+   MOCHI CRUSH — offline outbox
+   A durable queue for requests that must reach the server
+   eventually (leaderboard scores, analytics, leads). Items
+   live in IndexedDB until delivered, are retried with
+   exponential backoff and flushed again as soon as the
+   browser comes back online.
+   Loaded as window.MochiOutbox in the browser.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiOutbox = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DB_VERSION = 1;
+  const STORE = 'items';
+
+  /*
+   * A queued item is
+   *   { id, payload, createdAt, attempts, nextAt, error?, rejected? }
+   * `id` is the payload's dedupe id, so queueing the same payload twice
+   * keeps one copy and the server can drop repeats of a delivery it has
+   * already stored. `rejected` marks items the server refused outright
+   * (a permanent error): they stay on disk for an operator to export
+   * but are no longer retried or counted as pending.
+   */
+
+  /* ---------- storage backends ---------- */
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openIdb(indexedDB, name) {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    return promisify(request).then(db => {
+      const tx = mode => db.transaction(STORE, mode).objectStore(STORE);
+      return {
+        all: () => promisify(tx('readonly').getAll()),
+        put: item => promisify(tx('readwrite').put(item)),
+        remove: id => promisify(tx('readwrite').delete(id)),
+      };
+    });
+  }
+
+  /* private browsing and old kiosks may have no IndexedDB — keep items in localStorage instead */
+  function openLocal(storage, name) {
+    const load = () => {
+      try { return JSON.parse(storage.getItem(name) || '{}'); } catch (e) { return {}; }
+    };
+    const save = items => storage.setItem(name, JSON.stringify(items));
+    return Promise.resolve({
+      all: async () => Object.values(load()),
+      put: async item => { const items = load(); items[item.id] = item; save(items); },
+      remove: async id => { const items = load(); delete items[id]; save(items); },
+    });
+  }
+
+  /* ---------- outbox ---------- */
+
+  /**
+   * Outbox. opts:
+   *   name       IndexedDB database / localStorage key
+   *   send       payload => Promise; reject with err.permanent = true for
+   *              errors a retry can't fix; without `send` items are only
+   *              kept, for export
+   *   onChange   pendingCount => void, called whenever the count may change
+   *   baseDelayMs, maxDelayMs   retry backoff bounds
+   *   indexedDB, storage        injectable for tests
+   */
+  function createOutbox(opts) {
+    const baseDelayMs = opts.baseDelayMs || 2000;
+    const maxDelayMs = opts.maxDelayMs || 5 * 60 * 1000;
+    const onChange = opts.onChange || (() => {});
+    const idb = opts.indexedDB !== undefined ? opts.indexedDB
+              : typeof indexedDB !== 'undefined' ? indexedDB : null;
+
+    const ready = (idb ? openIdb(idb, opts.name) : Promise.reject(new Error('no IndexedDB')))
+      .catch(e => {
+        console.warn('Outbox falling back to localStorage:', e.message);
+        return openLocal(opts.storage || localStorage, opts.name);
+      });
+
+    let timer = null;
+    let flushing = null;
+    let closed = false;
+
+    async function pending() {
+      const db = await ready;
+      return (await db.all()).filter(item => !item.rejected);
+    }
+
+    async function notify() {
+      onChange((await pending()).length);
+    }
+
+    /**
+     * Queue `payload` (which must carry an `id`). The caller has usually just
+     * failed to send it, so the first retry waits out the base delay.
+     */
+    async function add(payload) {
+      const db = await ready;
+      await db.put({ id: payload.id, payload, createdAt: Date.now(), attempts: 0, nextAt: Date.now() + baseDelayMs });
+      await notify();
+      flush();
+    }
+
+    /**
+     * Deliver everything that is due, oldest first; reschedules itself.
+     * Never rejects: a storage error is logged and the round tried again
+     * after the longest backoff.
+     */
+    function flush() {
+      if (closed) return Promise.resolve();
+      if (!flushing) {
+        flushing = deliverDue()
+          .catch((e) => {
+            console.error(`[outbox] ${opts.name}: could not read or update stored items:`, e);
+            clearTimeout(timer);
+            if (!closed) timer = setTimeout(flush, maxDelayMs);
+          })
+          .finally(() => { flushing = null; });
+      }
+      return flushing;
+    }
+
+    async function deliverDue() {
+      clearTimeout(timer);
+      timer = null;
+      if (!opts.send) return;
+      const db = await ready;
+      const items = (await pending()).sort((a, b) => a.createdAt - b.createdAt);
+      const now = Date.now();
+
+      for (const item of items) {
+        if (item.nextAt > now) continue;
+        try {
+          await opts.send(item.payload);
+          await db.remove(item.id);
+        } catch (e) {
+          item.attempts++;
+          item.error = e.message;
+          if (e.permanent) {
+            item.rejected = true;
+            console.error(`[outbox] ${item.id} rejected by server, kept for export:`, e.message);
+          } else {
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (item.attempts - 1));
+            item.nextAt = Date.now() + delay * (0.75 + Math.random() * 0.5);
+          }
+          await db.put(item);
+        }
+      }
+
+      await notify();
+      const waiting = await pending();
+      if (waiting.length > 0 && !closed) {
+        const next = Math.min(...waiting.map(item => item.nextAt));
+        timer = setTimeout(flush, Math.max(0, next - Date.now()));
+      }
+    }
+
+    /** Stop retrying; what is queued stays stored for the next outbox on `name`. */
+    function close() {
+      closed = true;
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    /** Every stored item, rejected ones included (for export). */
+    async function items() {
+      const db = await ready;
+      return db.all();
+    }
+
+    const logError = e => console.error(`[outbox] ${opts.name}:`, e);
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => {
+        /* connectivity is back: retry now rather than waiting out the backoff */
+        pending().then(waiting => Promise.all(waiting.map(item => {
+          item.nextAt = 0;
+          return ready.then(db => db.put(item));
+        }))).catch(logError).then(flush);
+      });
+    }
+    ready.then(notify).catch(logError).then(flush);
+
+    return { add, flush, items, close, pendingCount: () => pending().then(list => list.length) };
+  }
+
+  return {
+    createOutbox,
+  };
+});
@@ -0,0 +1,269 @@
+/* =========================================================
+   MOCHI CRUSH — prizes
+   Score tiers that win something at the booth (config.prizes),
+   one-time redemption codes and per-tier daily stock. With
+   prizes.endpoint set, server/server.js keeps the stock and the
+   codes, so every kiosk gives out of the same stock and any
+   kiosk redeems any code; without one, or while it can't be
+   reached, a kiosk awards from its own stock and only it can
+   redeem those codes. Loaded as window.MochiPrizes in the
+   browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiPrizes = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const STORE_KEY = 'mochiPrizes';
+  /* 32 letters and digits with 0/O and 1/I left out, so codes read back unambiguously */
+  const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+  const CODE_LENGTH = 8;
+
+  /*
+   * A tier is { id, name, minScore, dailyCap } (dailyCap null = no cap).
+   * An award is { code, tier, name, score, at, day, redeemedAt? } where
+   * `tier` is the tier id and `name` the player's nickname.
+   */
+
+  /** Error message for a malformed tier list from config, or null. */
+  function validateTiers(tiers) {
+    if (!Array.isArray(tiers)) return 'must be a list of tiers';
+    const ids = new Set();
+    const scores = new Set();
+    for (const [i, tier] of tiers.entries()) {
+      if (tier === null || typeof tier !== 'object') return `[${i}] must be an object`;
+      if (typeof tier.id !== 'string' || !/^[a-z0-9-]{1,32}$/.test(tier.id)) return `[${i}].id must be a lowercase slug`;
+      if (ids.has(tier.id)) return `[${i}].id "${tier.id}" is used twice`;
+      ids.add(tier.id);
+      if (typeof tier.name !== 'string' || tier.name === '' || tier.name.length > 40) return `[${i}].name must be a string of 1 to 40 characters`;
+      if (!Number.isInteger(tier.minScore) || tier.minScore < 0) return `[${i}].minScore must be a non-negative integer`;
+      if (scores.has(tier.minScore)) return `[${i}].minScore ${tier.minScore} is used twice`;
+      scores.add(tier.minScore);
+      if (tier.dailyCap !== null && (!Number.isInteger(tier.dailyCap) || tier.dailyCap < 0)) return `[${i}].dailyCap must be a non-negative integer or null`;
+    }
+    return null;
+  }
+
+  /**
+   * The tier `score` wins given `awarded` (tier id → awards today): the best
+   * tier it reaches that still has stock, falling back to lower tiers when
+   * the better ones have run out. Returns { tier } (tier null when the
+   * score reached no tier) with soldOut true when it reached one but every
+   * tier it could fall back to is out of stock.
+   */
+  function pickTier(tiers, score, awarded) {
+    const reached = tiers.filter(tier => score >= tier.minScore).sort((a, b) => b.minScore - a.minScore);
+    const tier = reached.find(t => t.dailyCap === null || (awarded[t.id] || 0) < t.dailyCap) || null;
+    return { tier, soldOut: !tier && reached.length > 0 };
+  }
+
+  /* ---------- codes ---------- */
+
+  /** A fresh code, "XXXX-XXXX". `randomBytes(n)` defaults to crypto.getRandomValues. */
+  function newCode(randomBytes) {
+    const bytes = randomBytes ? randomBytes(CODE_LENGTH) : crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    return code.slice(0, 4) + '-' + code.slice(4);
+  }
+
+  /** What staff typed (or a scanner sent) in the "XXXX-XXXX" form, or null when it can't be a code. */
+  function normalizeCode(text) {
+    const chars = String(text || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+    if (chars.length !== CODE_LENGTH || [...chars].some(c => !CODE_ALPHABET.includes(c))) return null;
+    return chars.slice(0, 4) + '-' + chars.slice(4);
+  }
+
+  /* ---------- award lists ---------- */
+
+  /** tier id → awards in `list` made on `day` ("YYYY-MM-DD"), redeemed or not. */
+  function countAwards(list, day) {
+    const counts = {};
+    for (const award of list) if (award.day === day) counts[award.tier] = (counts[award.tier] || 0) + 1;
+    return counts;
+  }
+
+  /**
+   * Award `game` ({ name, score, at, day }) the tier it wins, adding it to
+   * `list` (every award so far). Stock is taken when the code is given out,
+   * redeemed or not. Returns { award, soldOut } with award null when nothing
+   * was won. Shared with the server.
+   */
+  function addAward(list, tiers, game) {
+    const { tier, soldOut } = pickTier(tiers, game.score, countAwards(list, game.day));
+    if (!tier) return { award: null, soldOut };
+    let code;
+    do code = newCode(); while (list.some(a => a.code === code));
+    const entry = { code, tier: tier.id, name: game.name, score: game.score, at: game.at, day: game.day };
+    list.push(entry);
+    return { award: entry, soldOut: false };
+  }
+
+  /**
+   * Mark the award in `list` for `code` redeemed at `at`. Returns { award,
+   * status }: status 'redeemed', 'already' (award.redeemedAt says when) or
+   * 'unknown' (award null). Shared with the server.
+   */
+  function redeemAward(list, code, at) {
+    const normalized = normalizeCode(code);
+    const entry = normalized && list.find(a => a.code === normalized);
+    if (!entry) return { award: null, status: 'unknown' };
+    if (entry.redeemedAt) return { award: entry, status: 'already' };
+    entry.redeemedAt = at;
+    return { award: entry, status: 'redeemed' };
+  }
+
+  /* ---------- store ---------- */
+
+  /** Awards kept in `storage` (localStorage), one list for every day. */
+  function createPrizeStore(storage) {
+    function awards() {
+      try {
+        const list = JSON.parse(storage.getItem(STORE_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    function save(list) {
+      storage.setItem(STORE_KEY, JSON.stringify(list));
+    }
+
+    function awardedOn(day) {
+      return countAwards(awards(), day);
+    }
+
+    /** See addAward. */
+    function award(tiers, game) {
+      const list = awards();
+      const result = addAward(list, tiers, game);
+      if (result.award) save(list);
+      return result;
+    }
+
+    /** See redeemAward. */
+    function redeem(code, at) {
+      const list = awards();
+      const result = redeemAward(list, code, at);
+      if (result.status === 'redeemed') save(list);
+      return result;
+    }
+
+    return { awards, awardedOn, award, redeem };
+  }
+
+  /* ---------- server ---------- */
+
+  /**
+   * A kiosk's prizes. With `endpoint` (server/server.js's /api/prizes) they
+   * come from the stock every kiosk shares; while it can't be reached, from
+   * `local` (a createPrizeStore), whose codes only this kiosk redeems.
+   * opts: { endpoint, local, fetch, timeoutMs, deviceKey } — deviceKey (a
+   * promise of DeviceKey.loadDeviceKey()) signs awards as it signs scores.
+   * Every method resolves; failures are logged.
+   */
+  function createPrizeClient(opts) {
+    const local = opts.local;
+    const endpoint = opts.endpoint ? opts.endpoint.replace(/\/+$/, '') : null;
+    const fetchFn = opts.fetch || (typeof fetch !== 'undefined' ? fetch.bind(null) : null);
+    const timeoutMs = opts.timeoutMs || 4000;
+    const online = () => !!endpoint && !!fetchFn;
+
+    async function request(path, body, headers) {
+      const text = body ? JSON.stringify(body) : undefined;
+      headers = Object.assign(body ? { 'Content-Type': 'application/json' } : {}, headers);
+      const deviceKey = body && await opts.deviceKey;
+      if (deviceKey) {
+        headers['X-Mochi-Key'] = deviceKey.publicKey;
+        headers['X-Mochi-Signature'] = await deviceKey.sign(text);
+      }
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchFn(endpoint + path, {
+          method: body ? 'POST' : 'GET',
+          headers,
+          body: text,
+          signal: controller.signal,
+          cache: 'no-store',
+        });
+        if (!response.ok) {
+          const err = new Error('HTTP ' + response.status);
+          err.status = response.status;
+          throw err;
+        }
+        return await response.json();
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    /**
+     * Award `game` ({ id, name, score, at, day, replay, kioskId, eventId } —
+     * the server re-plays it as it does a score) the tier it wins. Resolves
+     * to { award, soldOut } as addAward; a game the server refuses wins
+     * nothing.
+     */
+    async function award(tiers, game) {
+      if (!online()) return local.award(tiers, game);
+      try {
+        const result = await request('/award', game);
+        return { award: result.award, soldOut: !!result.soldOut };
+      } catch (e) {
+        if (e.status >= 400 && e.status < 500) {
+          console.warn('Prize refused by the server:', e.message);
+          return { award: null, soldOut: false };
+        }
+        console.warn('Prize server unreachable, awarding from this kiosk\'s stock:', e.message);
+        return local.award(tiers, game);
+      }
+    }
+
+    /** Staff: redeem `code` on the server with the admin `pin`, else among this kiosk's own codes. */
+    async function redeem(code, at, pin) {
+      if (online()) {
+        try {
+          const result = await request('/redeem', { code }, { 'X-Admin-Pin': pin });
+          if (result.status !== 'unknown') return result;
+        } catch (e) {
+          console.warn('Could not redeem on the prize server, checking this kiosk\'s codes:', e.message);
+        }
+      }
+      return local.redeem(code, at);
+    }
+
+    /**
+     * Staff: every award as { local, server }; server is null when there is
+     * no server or it couldn't be reached.
+     */
+    async function awards(pin) {
+      let server = null;
+      if (online()) {
+        try {
+          server = (await request('/export', null, { 'X-Admin-Pin': pin })).awards;
+        } catch (e) {
+          console.warn('Could not export from the prize server:', e.message);
+        }
+      }
+      return { local: local.awards(), server };
+    }
+
+    return { award, redeem, awards, endpoint };
+  }
+
+  return {
+    STORE_KEY,
+    validateTiers,
+    pickTier,
+    newCode,
+    normalizeCode,
+    countAwards,
+    addAward,
+    redeemAward,
+    createPrizeStore,
+    createPrizeClient,
+  };
+});
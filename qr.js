@@ -0,0 +1,315 @@
+/* =========================================================
+   MOCHI CRUSH — QR codes
+   A small QR code encoder (byte mode, error correction level
+   M, versions 1–10) so prize codes render on the kiosk with
+   no network and no library. Loaded as window.MochiQR in the
+   browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiQR = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /* level M, indexed by version (1-based) */
+  const ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+  const ECC_BLOCKS    = [-1,  1,  1,  1,  2,  2,  4,  4,  4,  5,  5];
+  const MAX_VERSION = ECC_PER_BLOCK.length - 1;
+  const FORMAT_BITS_M = 0;
+
+  /* ---------- Reed-Solomon over GF(256) ---------- */
+
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+  }
+
+  /* ---------- capacity ---------- */
+
+  /** Modules left for data and ECC once the function patterns are drawn. */
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[version] * ECC_BLOCKS[version];
+  }
+
+  function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  /* ---------- codewords ---------- */
+
+  function dataBits(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0x4, 4);   // byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+
+    const capacity = dataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    return codewords;
+  }
+
+  /** Split into blocks, append each block's ECC and interleave. */
+  function withEcc(data, version) {
+    const numBlocks = ECC_BLOCKS[version];
+    const eccLen = ECC_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(eccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        /* the padding byte of short blocks is skipped */
+        if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  /* ---------- matrix ---------- */
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+  ];
+
+  function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    return { version, size, modules, reserved, set };
+  }
+
+  function drawFunctionPatterns(m) {
+    const { size, set } = m;
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx, y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const align = alignmentPositions(m.version, size);
+    const last = align.length - 1;
+    align.forEach((cx, i) => align.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;   // finder corners
+      for (let dy = -2; dy <= 2; dy++)
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }));
+    drawFormatBits(m, 0);   // reserves the area; redrawn once the mask is chosen
+    drawVersion(m);
+  }
+
+  function drawFormatBits(m, mask) {
+    const { size, set } = m;
+    const data = FORMAT_BITS_M << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = (data << 10 | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  function drawVersion(m) {
+    if (m.version < 7) return;
+    let rem = m.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = m.version << 12 | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = m.size - 11 + i % 3, b = Math.floor(i / 3);
+      m.set(a, b, dark);
+      m.set(b, a, dark);
+    }
+  }
+
+  /** Zigzag the codewords up and down the two-module columns, right to left. */
+  function drawCodewords(m, codewords) {
+    const { size, modules, reserved } = m;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;   // skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if (reserved[y][x] || i >= codewords.length * 8) continue;
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+
+  function applyMask(m, mask) {
+    for (let y = 0; y < m.size; y++)
+      for (let x = 0; x < m.size; x++)
+        if (!m.reserved[y][x] && MASKS[mask](x, y)) m.modules[y][x] = !m.modules[y][x];
+  }
+
+  /* ---------- mask choice ---------- */
+
+  const FINDER_LIKE = ['10111010000', '00001011101'];
+
+  function penalty(m) {
+    const { size, modules } = m;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i].map(Number).join(''));
+      lines.push(modules.map(row => Number(row[i])).join(''));
+    }
+    let score = 0;
+    for (const line of lines) {
+      for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+      for (const pattern of FINDER_LIKE) {
+        for (let at = line.indexOf(pattern); at >= 0; at = line.indexOf(pattern, at + 1)) score += 40;
+      }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  /* ---------- public ---------- */
+
+  /**
+   * Encode `text` (as UTF-8) in the smallest version that fits. Returns
+   * { size, modules } with modules[y][x] true for dark; throws when the
+   * text is too long for version 10.
+   */
+  function encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version <= MAX_VERSION && bytes.length + (version < 10 ? 2 : 3) > dataCodewords(version)) version++;
+    if (version > MAX_VERSION) throw new Error('text too long for a QR code');
+
+    const m = createMatrix(version);
+    drawFunctionPatterns(m);
+    drawCodewords(m, withEcc(dataBits(bytes, version), version));
+
+    let best = 0, bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      applyMask(m, mask);
+      drawFormatBits(m, mask);
+      const p = penalty(m);
+      if (p < bestPenalty) {
+        best = mask;
+        bestPenalty = p;
+      }
+      applyMask(m, mask);   // XOR again to undo
+    }
+    applyMask(m, best);
+    drawFormatBits(m, best);
+    return { size: m.size, modules: m.modules };
+  }
+
+  /** SVG path data drawing the dark modules of `qr` as unit squares, offset by `margin`. */
+  function svgPath(qr, margin) {
+    const parts = [];
+    qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }));
+    return parts.join('');
+  }
+
+  return {
+    encode,
+    svgPath,
+  };
+});
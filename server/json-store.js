@@ -0,0 +1,62 @@
+/* =========================================================
+   MOCHI CRUSH — JSON file storage for the local server
+   One JSON document per file, read once and written back
+   atomically (temp file + rename) so a kiosk losing power
+   mid-write never leaves a truncated file behind.
+   ========================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store backed by `file`, holding `initial` until something is saved.
+ * read() returns the cached document; update(fn) applies fn to it, persists
+ * the result and resolves to it; archive() copies the document as it stands
+ * to "<name>.<timestamp>.json" beside `file` and resolves to that path.
+ * Writes are queued so they never interleave.
+ */
+function createJsonStore(file, initial) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[store] ${file} unreadable, starting empty:`, e.message);
+    data = JSON.parse(JSON.stringify(initial));
+  }
+
+  let queue = Promise.resolve();
+
+  async function write(doc, target) {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const tmp = target + '.tmp';
+    await fs.promises.writeFile(tmp, JSON.stringify(doc, null, 2));
+    await fs.promises.rename(tmp, target);
+  }
+
+  function read() {
+    return data;
+  }
+
+  function update(fn) {
+    const result = queue.then(() => {
+      data = fn(data);
+      return write(data, file).then(() => data);
+    });
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function archive() {
+    const ext = path.extname(file);
+    const target = `${file.slice(0, file.length - ext.length)}.${Date.now()}${ext}`;
+    const result = queue.then(() => write(data, target)).then(() => target);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { read, update, archive };
+}
+
+module.exports = { createJsonStore };
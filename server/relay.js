@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/* =========================================================
+   MOCHI CRUSH — kiosk relays
+   WebSocket relays between kiosks and other screens on the LAN.
+   Node built-ins only. server.js serves both; to run them alone:
+
+     node server/relay.js [--port 8090]
+
+   ws://<host>:8090/ws/versus
+   Pairs kiosks for head-to-head races (see versus.js). Two
+   kiosks that join the same room are matched, dealt one seed
+   and the first joiner's board setup, and each hears the
+   other's score as it changes; when both have finished (or one
+   has quit or dropped) both are told who won. The relay only
+   passes scores along — the leaderboard server still re-plays
+   every score posted to it. Point config.json → versus.endpoint
+   here on both kiosks.
+
+   ws://<host>:8090/ws/spectate?channel=booth&role=kiosk|spectator
+   Passes a kiosk's live game to the wall screens following its
+   channel (see spectator.js), and their hellos back to it. A
+   message Spectator.validateMessage refuses goes no further. One
+   kiosk per channel: a kiosk that reconnects replaces the old
+   link. Point config.json → spectator.endpoint here.
+   ========================================================= */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { acceptWebSocket, routeUpgrades } = require('./websocket.js');
+const Versus = require('../versus.js');
+const Spectator = require('../spectator.js');
+
+const VERSUS_PATH = '/ws/versus';
+const SPECTATOR_PATH = '/ws/spectate';
+/* the countdown both kiosks show between the pairing and the first move */
+const START_DELAY_MS = 3000;
+/* both games start together, so the other one can only run on for the
+   time bonus it earned; past that plus this slack it has forfeited */
+const FINISH_GRACE_SECONDS = 15;
+
+/* ---------- versus ---------- */
+
+/**
+ * Versus pairing. Returns { handleUpgrade(req, socket, head), matches() } —
+ * hand it the HTTP server's 'upgrade' events for VERSUS_PATH; matches()
+ * counts the races in progress.
+ */
+function createVersusRelay() {
+  const waiting = new Map();   // room → player waiting for an opponent
+  const running = new Set();
+
+  /*
+   * A player is { conn, name, room, setup, match, score, finished, gone };
+   * a match is { id, players: [first, second], timer }.
+   */
+
+  const send = (player, msg) => player.conn.send(JSON.stringify(msg));
+  const opponentOf = player => player.match.players.find(p => p !== player);
+
+  function join(player, msg) {
+    if (player.room) return send(player, { type: 'error', message: 'already joined' });
+    const err = Versus.validateJoin(msg);
+    if (err) return send(player, { type: 'error', message: err });
+    Object.assign(player, { room: msg.room, name: msg.name.trim(), setup: msg.setup });
+
+    const other = waiting.get(msg.room);
+    if (!other) {
+      waiting.set(msg.room, player);
+      return send(player, { type: 'waiting' });
+    }
+    waiting.delete(msg.room);
+    const match = {
+      id: crypto.randomBytes(6).toString('hex'),
+      seed: crypto.randomBytes(4).readUInt32BE(0),
+      players: [other, player],
+      timer: null,
+    };
+    running.add(match);
+    for (const p of match.players) {
+      p.match = match;
+      send(p, {
+        type: 'start',
+        matchId: match.id,
+        seed: match.seed,
+        setup: other.setup,
+        opponent: { name: opponentOf(p).name },
+        startsInMs: START_DELAY_MS,
+      });
+    }
+    console.log(`[relay] match ${match.id} in room ${msg.room}: ${other.name} vs ${player.name}`);
+  }
+
+  function progress(player, msg) {
+    if (!player.match || player.finished) return;
+    const err = Versus.validateProgress(msg);
+    if (err) return send(player, { type: 'error', message: err });
+    player.score = msg.score;
+    const other = opponentOf(player);
+    if (other.gone) return;
+    send(other, msg.grid === undefined
+      ? { type: 'opponent', score: msg.score }
+      : { type: 'opponent', score: msg.score, grid: msg.grid });
+  }
+
+  function finish(player, msg) {
+    if (!player.match || player.finished) return;
+    const err = Versus.validateProgress(msg);
+    if (err) return send(player, { type: 'error', message: err });
+    player.score = msg.score;
+    player.finished = true;
+    const match = player.match;
+    const other = opponentOf(player);
+    if (!other.gone) send(other, { type: 'opponent', score: msg.score, finished: true });
+    if (other.finished || other.gone) {
+      settle(match);
+    } else if (!match.timer) {
+      /* a kiosk that froze without closing its socket can't hold the other one hostage */
+      const bonus = match.players[0].setup.timeBonus;
+      const extra = bonus.enabled ? bonus.maxSeconds : 0;
+      match.timer = setTimeout(() => settle(match), (extra + FINISH_GRACE_SECONDS) * 1000);
+    }
+  }
+
+  /** Tell whoever is still connected how the match ended, and retire it. */
+  function settle(match) {
+    clearTimeout(match.timer);
+    running.delete(match);
+    for (const p of match.players) {
+      const other = opponentOf(p);
+      const theirs = other.finished ? other.score : null;
+      if (!p.gone) {
+        send(p, {
+          type: 'result',
+          outcome: p.finished ? Versus.matchOutcome(p.score, theirs) : 'lose',
+          you: { name: p.name, score: p.score },
+          opponent: { name: other.name, score: theirs },
+          forfeit: theirs === null,
+        });
+      }
+    }
+    const [a, b] = match.players;
+    console.log(`[relay] match ${match.id}: ${a.name} ${a.finished ? a.score : '-'}, ${b.name} ${b.finished ? b.score : '-'}`);
+    match.players.forEach(p => { p.match = null; });
+  }
+
+  function leave(player) {
+    player.gone = true;
+    if (waiting.get(player.room) === player) waiting.delete(player.room);
+    const match = player.match;
+    if (!match || player.finished) return;
+    const other = opponentOf(player);
+    if (other.gone) {
+      settle(match);
+      return;
+    }
+    send(other, { type: 'opponent_left' });
+    if (other.finished) settle(match);
+  }
+
+  function handleUpgrade(req, socket, head) {
+    const player = { conn: null, name: null, room: null, setup: null, match: null, score: 0, finished: false, gone: false };
+    player.conn = acceptWebSocket(req, socket, head, {
+      text(text) {
+        let msg;
+        try {
+          msg = JSON.parse(text);
+        } catch (e) {
+          return send(player, { type: 'error', message: 'messages must be JSON' });
+        }
+        if (msg === null || typeof msg !== 'object') return send(player, { type: 'error', message: 'messages must be objects' });
+        if (msg.type === 'join') join(player, msg);
+        else if (msg.type === 'progress') progress(player, msg);
+        else if (msg.type === 'finish') finish(player, msg);
+        else send(player, { type: 'error', message: `unknown message type ${msg.type}` });
+      },
+      close: () => leave(player),
+    });
+  }
+
+  return { handleUpgrade, matches: () => running.size };
+}
+
+/* ---------- spectator ---------- */
+
+/**
+ * Spectator fan-out. Returns { handleUpgrade(req, socket, head),
+ * spectators(channel) } for SPECTATOR_PATH. A kiosk's valid messages are
+ * passed on as they came to every screen on its channel (a bad one is
+ * answered with an error); a screen's only message, hello, goes to the kiosk.
+ */
+function createSpectatorRelay() {
+  const channels = new Map();   // channel → { kiosk, screens: Set }
+
+  function channelFor(name) {
+    if (!channels.has(name)) channels.set(name, { kiosk: null, screens: new Set() });
+    return channels.get(name);
+  }
+
+  function forget(name, ch) {
+    if (!ch.kiosk && ch.screens.size === 0) channels.delete(name);
+  }
+
+  function handleUpgrade(req, socket, head) {
+    const q = new URL(req.url, 'http://localhost').searchParams;
+    const name = q.get('channel') || '';
+    const role = q.get('role');
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(name) || (role !== 'kiosk' && role !== 'spectator')) {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const ch = channelFor(name);
+
+    if (role === 'kiosk') {
+      const conn = acceptWebSocket(req, socket, head, {
+        text(text) {
+          let msg;
+          try {
+            msg = JSON.parse(text);
+          } catch (e) {
+            return conn.send(JSON.stringify({ type: 'error', message: 'messages must be JSON' }));
+          }
+          const err = Spectator.validateMessage(msg);
+          if (err) return conn.send(JSON.stringify({ type: 'error', message: err }));
+          ch.screens.forEach(screen => screen.send(text));
+        },
+        close() {
+          if (ch.kiosk === conn) ch.kiosk = null;
+          forget(name, ch);
+        },
+      });
+      if (!conn) return;
+      if (ch.kiosk) ch.kiosk.close(4000, 'replaced by a newer kiosk connection');
+      ch.kiosk = conn;
+      /* screens already watching missed whatever happened while it was away */
+      if (ch.screens.size > 0) conn.send(JSON.stringify({ type: 'hello' }));
+      return;
+    }
+
+    const conn = acceptWebSocket(req, socket, head, {
+      text(text) {
+        let msg;
+        try {
+          msg = JSON.parse(text);
+        } catch (e) {
+          return;
+        }
+        if (ch.kiosk && msg && msg.type === 'hello') ch.kiosk.send(JSON.stringify({ type: 'hello' }));
+      },
+      close() {
+        ch.screens.delete(conn);
+        forget(name, ch);
+      },
+    });
+    if (conn) ch.screens.add(conn);
+  }
+
+  return {
+    handleUpgrade,
+    spectators: name => (channels.has(name) ? channels.get(name).screens.size : 0),
+  };
+}
+
+/** The upgrade routes for server.js and the standalone relay. */
+function relayRoutes() {
+  return {
+    [VERSUS_PATH]: createVersusRelay().handleUpgrade,
+    [SPECTATOR_PATH]: createSpectatorRelay().handleUpgrade,
+  };
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const at = argv.indexOf('--port');
+  const port = Number(at >= 0 ? argv[at + 1] : process.env.PORT || 8090);
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end(`Mochi Crush relays: connect a WebSocket to ${VERSUS_PATH} or ${SPECTATOR_PATH}\n`);
+  });
+  routeUpgrades(server, relayRoutes()).listen(port, () => {
+    console.log(`Mochi Crush relays on ws://localhost:${port}${VERSUS_PATH} and ${SPECTATOR_PATH}`);
+  });
+}
+
+module.exports = { createVersusRelay, createSpectatorRelay, relayRoutes, VERSUS_PATH, SPECTATOR_PATH, START_DELAY_MS };
@@ -0,0 +1,708 @@
+#!/usr/bin/env node
+/* =========================================================
+   MOCHI CRUSH — local leaderboard server
+   Serves the game and a small JSON API so several kiosks at one
+   activation share a leaderboard. Node built-ins only:
+
+     node server/server.js [--port 8080] [--data server/data] [--admin-pin 2468]
+                           [--config config.json] [--require-signed]
+
+   then point config.json → leaderboard.endpoint at
+   http://<host>:8080/api/leaderboard on every kiosk.
+
+   API
+     GET  /api/leaderboard?window=today&day=2026-10-19&event=expo&limit=5
+                                           → { entries }
+     POST /api/leaderboard?<same query>  { id?, name, score, at?, day?,
+                                           kioskId?, eventId?, replay? }
+                                           → { entries, rank }
+   window is today | event | all (default all); day and event say
+   which day/event the kiosk means, since its clock is the one the
+   player sees. rank is the new score's 1-based position in the
+   returned list, or null when it didn't make it. Re-posting an id
+   that is already stored answers as if it were new but adds nothing.
+   Only the best 100 of every day, every event and all time are kept
+   (what a window can list), so the board stays small however long
+   the activation runs.
+
+   Scores must come with their replay. The server re-plays it (see
+   verify.js) against --config, whose scoring rules the kiosks must
+   share, and answers 422 when the replay doesn't earn the score, is
+   played faster than the board animates or runs longer than its
+   game time plus the time bonus its moves earned under the config.
+   Its game time, board size, colours and power-up controls must be
+   the config's too, or what staff last set for that kiosk:
+
+     POST /api/leaderboard/settings { kioskId, settings, at? }
+                                             X-Admin-Pin: <pin>
+                                           → { ok }
+   which the admin panel sends when staff save new settings (see
+   verify.js FLOOR_SETTINGS for the keys). A kiosk's changes are
+   kept in floors.json with the kiosk time they took effect, so a
+   score it queued before a change still verifies after. Rejected
+   posts are kept in rejected.ndjson in the data dir for review.
+
+   Kiosks sign each POST with their device key (see device-key.js)
+   in X-Mochi-Key / X-Mochi-Signature. A kiosk's first signed score
+   pins its key in devices.json and later posts for that kiosk id
+   must carry the same key. Kiosks served over plain http from
+   another host have no WebCrypto and post unsigned; start with
+   --require-signed (or MOCHI_REQUIRE_SIGNED=1) to refuse those and
+   any kiosk staff haven't registered:
+
+     POST /api/leaderboard/devices { kioskId, publicKey }
+                                             X-Admin-Pin: <pin>
+                                           → { ok }
+   which the admin panel's REGISTER KIOSK button sends.
+
+     GET  /api/leaderboard/admin              X-Admin-Pin: <pin>
+                                           → { ok }
+     POST /api/leaderboard/hide { id, hidden }   X-Admin-Pin: <pin>
+                                           → { ok }
+     GET  /api/leaderboard/export             X-Admin-Pin: <pin>
+                                           → { entries }
+     POST /api/leaderboard/clear  {}         X-Admin-Pin: <pin>
+                                           → { ok, backup }
+   The kiosks' admin panel unlocks with whatever PIN the first
+   accepts (403 otherwise). Staff hide (or un-hide) a stored entry,
+   download every entry (hidden ones included) or wipe the board;
+   clearing first saves the old board as leaderboard.<timestamp>.json
+   in the data dir. These only work when the server is started with
+   --admin-pin (or MOCHI_ADMIN_PIN); without one, /admin answers 404
+   and kiosks fall back to their own admin.pin.
+
+     POST /api/analytics  { id, events }     → { ok }
+     GET  /api/analytics/export?format=csv   X-Admin-Pin: <pin>
+                                           → every event, as CSV or JSON
+   Kiosks post analytics batches (see analytics.js); they are
+   appended to analytics.ndjson in the data dir, one event per line.
+   A batch id seen before is acknowledged without storing it again;
+   the ids stored so far are kept in analytics-batches.ndjson so this
+   holds across server restarts.
+
+     POST /api/leads  { id, at, kioskId?, eventId?, envelope }
+                                           → { ok }
+     GET  /api/leads/export                  X-Admin-Pin: <pin>
+                                           → { leads }
+   Opt-in form leads (see leads.js), appended to leads.ndjson. They
+   arrive encrypted for the activation's key and stay that way;
+   decrypt an export with tools/lead-keys.js.
+
+     POST /api/prizes/award  { id, name, score, at?, day?, kioskId?,
+                               eventId?, replay }
+                                           → { award, soldOut }
+     POST /api/prizes/redeem { code }        X-Admin-Pin: <pin>
+                                           → { award, status }
+     GET  /api/prizes/export                 X-Admin-Pin: <pin>
+                                           → { awards }
+   With config.json → prizes.endpoint pointing at /api/prizes, the
+   kiosks give prizes (see prizes.js) out of one stock kept in
+   prizes.json, so any kiosk's admin panel redeems any code. A game
+   is re-played and signed as a score is; award is null when it won
+   nothing, its id asked again answers the same, and another game
+   from the same replay seed is refused (409). status is redeemed,
+   already or unknown.
+
+     ws://<host>:8080/ws/versus
+     ws://<host>:8080/ws/spectate?channel=booth&role=kiosk|spectator
+   The kiosk relays (see relay.js): point config.json →
+   versus.endpoint at the first to race two kiosks head to head,
+   and spectator.endpoint at the second for wall screens on the
+   LAN.
+   ========================================================= */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./json-store.js');
+const Leaderboard = require('../leaderboard.js');
+const Nickname = require('../nickname.js');
+const Analytics = require('../analytics.js');
+const Leads = require('../leads.js');
+const Prizes = require('../prizes.js');
+const MochiConfig = require('../config.js');
+const DeviceKey = require('../device-key.js');
+const { verifyEntry, floorSettings, validateFloor } = require('./verify.js');
+const { routeUpgrades } = require('./websocket.js');
+const Relay = require('./relay.js');
+
+const crypto = require('crypto');
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 1024 * 1024;   // replays of long sessions run to a few hundred KB
+const MAX_LIMIT = 100;
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.svg':  'image/svg+xml',
+  '.mp3':  'audio/mpeg',
+  '.wav':  'audio/wav',
+  '.woff2': 'font/woff2',
+};
+
+/* only the game itself is public — never the server, its data, the tools, keys or dotfiles */
+const PRIVATE_PATHS = [/^\/(server|tools)(\/|$)/, /(^|\/)\./, /\.pem$/i];
+
+/* ---------- helpers ---------- */
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new HttpError(400, 'body must be JSON');
+  }
+}
+
+async function readJsonBody(req) {
+  return parseJson(await readBody(req));
+}
+
+/** Constant-time PIN check; always false when no PIN is configured. */
+function checkPin(req, adminPin) {
+  const given = Buffer.from(String(req.headers['x-admin-pin'] || ''));
+  const expected = Buffer.from(String(adminPin || ''));
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/* `--flag value`, or a bare `--flag` (true) when no value follows */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)$/.exec(argv[i]);
+    if (m) args[m[1]] = i + 1 < argv.length && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+/** The activation's config.json, resolved as a kiosk would; the reference replays are checked against. */
+function loadReferenceConfig(file) {
+  const { config, errors } = MochiConfig.resolveConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+  errors.forEach(err => console.warn(`[server] ${path.basename(file)}: ${err}`));
+  if (config.admin.pin !== null) {
+    console.warn(`[server] ${path.basename(file)} sets admin.pin, which anyone on the LAN can read; use --admin-pin instead`);
+  }
+  return config;
+}
+
+/* ---------- leaderboard API ---------- */
+
+/** Window, day/event context and list length a leaderboard request asks for. */
+function parseWindowQuery(url) {
+  const q = url.searchParams;
+  const window = q.get('window') || 'all';
+  if (!Leaderboard.WINDOWS.includes(window)) throw new HttpError(400, `window must be one of ${Leaderboard.WINDOWS.join(', ')}`);
+  return {
+    window,
+    ctx: { day: q.get('day') || Leaderboard.localDay(Date.now()), eventId: q.get('event') || 'default' },
+    limit: Math.min(Number(q.get('limit')) || 5, MAX_LIMIT),
+  };
+}
+
+/**
+ * The accepted scores any window can still list, best first (see
+ * Leaderboard.keepTop); narrowed to a window only when served.
+ * opts: { adminPin, devices, floors, rejected, reference } — the device and
+ * floor settings registries, the log of rejected posts and what replays
+ * are checked against.
+ */
+function createLeaderboardApi(store, opts) {
+  const adminPin = opts.adminPin;
+
+  function ranked() {
+    return store.read().entries;
+  }
+
+  async function reject(body, reason) {
+    console.warn(`[server] score ${body.score} from ${body.kioskId || 'unknown kiosk'} rejected: ${reason}`);
+    await opts.rejected.append([{ at: Date.now(), reason, entry: body }])
+      .catch(e => console.error('[server] could not log a rejected score:', e));
+    throw new HttpError(422, 'score rejected: ' + reason);
+  }
+
+  return {
+    'GET /api/leaderboard': async (req, url) => {
+      const { window, ctx, limit } = parseWindowQuery(url);
+      return { entries: Leaderboard.topEntries(ranked(), window, ctx, limit) };
+    },
+
+    'POST /api/leaderboard': async (req, url) => {
+      const text = await readBody(req);
+      const body = parseJson(text);
+      const err = Leaderboard.validateEntry(body);
+      if (err) throw new HttpError(400, err);
+      const { blocklist, allowlist } = (opts.reference && opts.reference.nickname) || {};
+      if (!Nickname.checkNickname(body.name, { blocklist, allowlist }).ok) throw new HttpError(400, 'name not allowed');
+      await opts.devices.check(req, body.kioskId, text);
+
+      const { window, ctx, limit } = parseWindowQuery(url);
+      /* a kiosk retrying from its outbox may deliver the same score twice */
+      let entry = body.id !== undefined && ranked().find(e => e.id === body.id);
+      if (!entry) {
+        const at = body.at !== undefined ? body.at : Date.now();
+        const reason = verifyEntry(body, opts.reference, opts.floors.allowed(body.kioskId, at));
+        if (reason) await reject(body, reason);
+        entry = {
+          id: body.id,
+          name: body.name.trim(),
+          score: body.score,
+          at,
+          day: body.day || Leaderboard.localDay(at),
+          kioskId: body.kioskId,
+          eventId: body.eventId || 'default',
+        };
+        entry.replay = body.replay;
+        await store.update(doc => {
+          doc.entries = Leaderboard.keepTop(Leaderboard.rankEntries(doc.entries, entry, Infinity), MAX_LIMIT);
+          return doc;
+        });
+      }
+      const entries = Leaderboard.topEntries(ranked(), window, ctx, limit);
+      const pos = entries.indexOf(entry);
+      return { entries, rank: pos >= 0 ? pos + 1 : null };
+    },
+
+    'GET /api/leaderboard/admin': async (req) => {
+      if (!adminPin) throw new HttpError(404, 'no admin pin set');
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      return { ok: true };
+    },
+
+    'POST /api/leaderboard/hide': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      const body = await readJsonBody(req);
+      if (!body || typeof body.id !== 'string') throw new HttpError(400, 'id must be a string');
+      if (!ranked().some(e => e.id === body.id)) throw new HttpError(404, 'no such entry');
+      await store.update(doc => {
+        doc.entries.forEach(e => { if (e.id === body.id) e.hidden = body.hidden !== false; });
+        return doc;
+      });
+      return { ok: true };
+    },
+
+    'GET /api/leaderboard/export': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      return { entries: ranked() };
+    },
+
+    'POST /api/leaderboard/clear': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      const backup = await store.archive();
+      await store.update(doc => {
+        doc.entries = [];
+        return doc;
+      });
+      console.log(`[server] leaderboard cleared, previous board saved to ${backup}`);
+      return { ok: true, backup: path.basename(backup) };
+    },
+  };
+}
+
+/* ---------- device keys ---------- */
+
+/**
+ * Kiosk id → the public key its posts are signed with, kept in `store`.
+ * Unless requireSigned is set, a kiosk's first signed post pins its key and
+ * unsigned posts from kiosks with no key pinned are still taken.
+ */
+function createDeviceRegistry(store, adminPin, requireSigned) {
+  /** Reject a post whose signature doesn't match what is known of `kioskId`. */
+  async function check(req, kioskId, text) {
+    const publicKey = req.headers['x-mochi-key'];
+    const signature = req.headers['x-mochi-signature'];
+    const known = kioskId !== undefined ? store.read().devices[kioskId] : undefined;
+    if (!signature) {
+      if (requireSigned || known) throw new HttpError(401, 'signature required');
+      return;
+    }
+    if (kioskId === undefined) throw new HttpError(400, 'signed posts need a kioskId');
+    if (known && known.publicKey !== publicKey) throw new HttpError(401, `kiosk ${kioskId} signs with a different key`);
+    if (!known && requireSigned) throw new HttpError(401, `kiosk ${kioskId} is not registered`);
+    if (!(await DeviceKey.verifySignature(publicKey, signature, text, crypto.webcrypto.subtle))) throw new HttpError(401, 'bad signature');
+    if (!known) await register(kioskId, publicKey);
+  }
+
+  function register(kioskId, publicKey) {
+    return store.update(doc => {
+      doc.devices[kioskId] = { publicKey, since: Date.now() };
+      return doc;
+    });
+  }
+
+  const routes = {
+    'POST /api/leaderboard/devices': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      const body = await readJsonBody(req);
+      if (!body || typeof body.kioskId !== 'string' || body.kioskId === '' || body.kioskId.length > 64) throw new HttpError(400, 'kioskId must be a string of 1 to 64 characters');
+      let key;
+      try {
+        key = crypto.createPublicKey({ key: Buffer.from(String(body.publicKey), 'base64'), format: 'der', type: 'spki' });
+      } catch (e) {
+        throw new HttpError(400, 'publicKey must be a base64 SPKI key');
+      }
+      if (key.asymmetricKeyType !== 'ec') throw new HttpError(400, 'publicKey must be an ECDSA P-256 key');
+      await register(body.kioskId, body.publicKey);
+      console.log(`[server] kiosk ${body.kioskId} registered`);
+      return { ok: true };
+    },
+  };
+
+  return { check, routes };
+}
+
+/* ---------- floor settings ---------- */
+
+/**
+ * Kiosk id → the floor settings (see verify.js) staff gave it, oldest first
+ * as { since, settings }, kept in `store`; a kiosk staff never changed
+ * plays with the reference config's.
+ */
+function createFloorRegistry(store, reference, adminPin) {
+  /** Floor settings a game `kioskId` played at `at` (kiosk time) may have used, newest last. */
+  function allowed(kioskId, at) {
+    const changes = (kioskId !== undefined && store.read().kiosks[kioskId]) || [];
+    /* the settings in effect at `at`, and every change since in case the kiosk's clock is ahead */
+    let i = changes.length;
+    while (i > 0 && changes[i - 1].since > at) i--;
+    const floors = changes.slice(Math.max(0, i - 1)).map(change => change.settings);
+    if (i === 0) floors.unshift(floorSettings(reference));
+    return floors;
+  }
+
+  const routes = {
+    'POST /api/leaderboard/settings': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      const body = await readJsonBody(req);
+      if (!body || typeof body.kioskId !== 'string' || body.kioskId === '' || body.kioskId.length > 64) throw new HttpError(400, 'kioskId must be a string of 1 to 64 characters');
+      const err = validateFloor(body.settings, reference);
+      if (err) throw new HttpError(400, err);
+      if (body.at !== undefined && (!Number.isInteger(body.at) || body.at < 0)) throw new HttpError(400, 'at must be a timestamp in ms');
+      const since = body.at !== undefined ? body.at : Date.now();
+      await store.update(doc => {
+        const changes = (doc.kiosks[body.kioskId] || []).filter(change => change.since < since);
+        doc.kiosks[body.kioskId] = changes.concat([{ since, settings: body.settings }]);
+        return doc;
+      });
+      console.log(`[server] kiosk ${body.kioskId} floor settings: ${JSON.stringify(body.settings)}`);
+      return { ok: true };
+    },
+  };
+
+  return { allowed, routes };
+}
+
+/* ---------- append-only logs ---------- */
+
+/** An NDJSON file of records, one per line; appends are queued so lines never interleave. */
+function createNdjsonLog(file) {
+  let writes = Promise.resolve();
+
+  function append(records) {
+    const result = writes.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, records.map(record => JSON.stringify(record) + '\n').join(''));
+    });
+    writes = result.catch(() => {});
+    return result;
+  }
+
+  async function readAll() {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  return { append, readAll };
+}
+
+/* ---------- analytics API ---------- */
+
+function createAnalyticsApi(log, batchLog, adminPin) {
+  /* batch ids already stored, read back from batchLog on first use */
+  let seen = null;
+
+  return {
+    'POST /api/analytics': async (req) => {
+      const body = await readJsonBody(req);
+      if (!body || typeof body.id !== 'string' || !Array.isArray(body.events)) throw new HttpError(400, 'expected { id, events }');
+      if (body.events.length > Analytics.MAX_BATCH) throw new HttpError(400, `at most ${Analytics.MAX_BATCH} events per batch`);
+      for (const event of body.events) {
+        const err = Analytics.validateEvent(event);
+        if (err) throw new HttpError(400, err);
+      }
+      /* an outbox retry may resend a batch whose answer was lost */
+      if (!seen) {
+        seen = batchLog.readAll().then(batches => new Set(batches.map(batch => batch.id)));
+        seen.catch(() => { seen = null; });   // try reading the file again next time
+      }
+      const ids = await seen;
+      if (!ids.has(body.id)) {
+        ids.add(body.id);
+        try {
+          await log.append(body.events);
+        } catch (e) {
+          ids.delete(body.id);   // let the kiosk's retry store it
+          throw e;
+        }
+        await batchLog.append([{ id: body.id }]);
+      }
+      return { ok: true };
+    },
+
+    'GET /api/analytics/export': async (req, url, res) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      const events = await log.readAll();
+      if (url.searchParams.get('format') !== 'csv') return { events };
+      res.writeHead(200, { 'Content-Type': 'text/csv; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(Analytics.toCsv(events));
+    },
+  };
+}
+
+/* ---------- leads API ---------- */
+
+function createLeadsApi(log, adminPin) {
+  /* ids already stored, so an outbox retry never writes a lead twice */
+  let seen = null;
+
+  return {
+    'POST /api/leads': async (req) => {
+      const body = await readJsonBody(req);
+      const err = Leads.validateStoredLead(body);
+      if (err) throw new HttpError(400, err);
+      if (!seen) {
+        seen = log.readAll().then(leads => new Set(leads.map(lead => lead.id)));
+        seen.catch(() => { seen = null; });   // try reading the file again next time
+      }
+      const ids = await seen;
+      if (!ids.has(body.id)) {
+        ids.add(body.id);
+        const { id, at, kioskId, eventId, envelope } = body;
+        await log.append([{ id, at, kioskId, eventId, envelope }]);
+      }
+      return { ok: true };
+    },
+
+    'GET /api/leads/export': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      return { leads: await log.readAll() };
+    },
+  };
+}
+
+/* ---------- prizes API ---------- */
+
+/**
+ * The prize stock every kiosk gives out of, and the codes any kiosk can
+ * redeem, kept in `store` (see prizes.js). opts: { adminPin, devices,
+ * floors, reference } — a game wins only if its replay earns its score, as
+ * for the leaderboard, and the tiers are the reference config's.
+ */
+function createPrizesApi(store, opts) {
+  const adminPin = opts.adminPin;
+  const awards = () => store.read().awards;
+
+  return {
+    'POST /api/prizes/award': async (req) => {
+      const prizes = opts.reference.prizes;
+      if (!prizes.enabled) throw new HttpError(404, 'prizes are off in config.json');
+      const text = await readBody(req);
+      const body = parseJson(text);
+      const err = Leaderboard.validateEntry(body);
+      if (err) throw new HttpError(400, err);
+      if (body.id === undefined) throw new HttpError(400, 'id must be a string');
+      await opts.devices.check(req, body.kioskId, text);
+
+      /* a kiosk that lost the answer asks again and gets the same code */
+      const known = awards().find(a => a.id === body.id);
+      if (known) return { award: known.award, soldOut: known.soldOut };
+      const at = body.at !== undefined ? body.at : Date.now();
+      const reason = verifyEntry(body, opts.reference, opts.floors.allowed(body.kioskId, at));
+      if (reason) throw new HttpError(422, 'game rejected: ' + reason);
+      if (awards().some(a => a.seed === body.replay.seed)) throw new HttpError(409, 'this game has already won');
+
+      const game = { name: body.name.trim(), score: body.score, at, day: body.day || Leaderboard.localDay(at) };
+      let result;
+      await store.update(doc => {
+        /* every game asked about is kept, so its id and seed are known next time */
+        const list = doc.awards.map(a => a.award).filter(Boolean);
+        result = Prizes.addAward(list, prizes.tiers, game);
+        doc.awards.push({
+          id: body.id,
+          seed: body.replay.seed,
+          kioskId: body.kioskId,
+          eventId: body.eventId || 'default',
+          award: result.award,
+          soldOut: result.soldOut,
+        });
+        return doc;
+      });
+      if (result.award) console.log(`[server] ${result.award.tier} prize ${result.award.code} for ${game.name} on ${body.kioskId || 'unknown kiosk'}`);
+      return result;
+    },
+
+    'POST /api/prizes/redeem': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      const body = await readJsonBody(req);
+      if (!body || typeof body.code !== 'string') throw new HttpError(400, 'code must be a string');
+      let result;
+      await store.update(doc => {
+        result = Prizes.redeemAward(doc.awards.map(a => a.award).filter(Boolean), body.code, Date.now());
+        return doc;
+      });
+      return result;
+    },
+
+    'GET /api/prizes/export': async (req) => {
+      if (!checkPin(req, adminPin)) throw new HttpError(403, 'admin pin required');
+      return { awards: awards().filter(a => a.award).map(a => Object.assign({ kioskId: a.kioskId, eventId: a.eventId }, a.award)) };
+    },
+  };
+}
+
+/* ---------- static files ---------- */
+
+async function serveStatic(req, res, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (e) {
+    throw new HttpError(400, 'malformed path');
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+  if (PRIVATE_PATHS.some(re => re.test(pathname))) throw new HttpError(404, 'not found');
+
+  const file = path.join(ROOT, path.normalize(pathname));
+  if (!file.startsWith(ROOT + path.sep)) throw new HttpError(404, 'not found');
+
+  let data;
+  try {
+    data = await fs.promises.readFile(file);
+  } catch (e) {
+    throw new HttpError(404, 'not found');
+  }
+  res.writeHead(200, { 'Content-Type': MIME[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+  res.end(req.method === 'HEAD' ? undefined : data);
+}
+
+/* ---------- server ---------- */
+
+/**
+ * Build the HTTP server. opts: { dataDir, adminPin, config, requireSigned }
+ * — config is the resolved reference config (default: the repo's
+ * config.json). Call .listen() on the result.
+ */
+function createServer(opts) {
+  const dataDir = path.resolve(opts.dataDir);
+  const reference = opts.config || loadReferenceConfig(path.join(ROOT, 'config.json'));
+  const devices = createDeviceRegistry(
+    createJsonStore(path.join(dataDir, 'devices.json'), { devices: {} }), opts.adminPin, !!opts.requireSigned);
+  const floors = createFloorRegistry(createJsonStore(path.join(dataDir, 'floors.json'), { kiosks: {} }), reference, opts.adminPin);
+  const routes = Object.assign({},
+    createLeaderboardApi(createJsonStore(path.join(dataDir, 'leaderboard.json'), { entries: [] }), {
+      adminPin: opts.adminPin,
+      devices,
+      floors,
+      rejected: createNdjsonLog(path.join(dataDir, 'rejected.ndjson')),
+      reference,
+    }),
+    devices.routes,
+    floors.routes,
+    createAnalyticsApi(
+      createNdjsonLog(path.join(dataDir, 'analytics.ndjson')),
+      createNdjsonLog(path.join(dataDir, 'analytics-batches.ndjson')),
+      opts.adminPin),
+    createLeadsApi(createNdjsonLog(path.join(dataDir, 'leads.ndjson')), opts.adminPin),
+    createPrizesApi(createJsonStore(path.join(dataDir, 'prizes.json'), { awards: [] }), {
+      adminPin: opts.adminPin,
+      devices,
+      floors,
+      reference,
+    }));
+
+  const server = http.createServer(async (req, res) => {
+    /* kiosks may load the game from file:// or another host */
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Pin, X-Mochi-Key, X-Mochi-Signature');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (route) {
+        /* a route that answers in another format writes `res` itself */
+        const body = await route(req, url, res);
+        if (!res.headersSent) sendJson(res, 200, body);
+      } else if (url.pathname.startsWith('/api/')) {
+        throw new HttpError(404, 'no such endpoint');
+      } else if (req.method === 'GET' || req.method === 'HEAD') {
+        await serveStatic(req, res, url);
+      } else {
+        throw new HttpError(405, 'method not allowed');
+      }
+    } catch (e) {
+      if (!(e instanceof HttpError)) console.error('[server]', e);
+      if (!res.headersSent) sendJson(res, e.status || 500, { error: e.status ? e.message : 'internal error' });
+    }
+  });
+  return routeUpgrades(server, Relay.relayRoutes());
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.PORT || 8080);
+  const dataDir = args.data || process.env.MOCHI_DATA_DIR || path.join(__dirname, 'data');
+  const adminPin = args['admin-pin'] || process.env.MOCHI_ADMIN_PIN || null;
+  const config = loadReferenceConfig(path.resolve(args.config || path.join(ROOT, 'config.json')));
+  const requireSigned = args['require-signed'] === true || process.env.MOCHI_REQUIRE_SIGNED === '1';
+  createServer({ dataDir, adminPin, config, requireSigned }).listen(port, () => {
+    console.log(`Mochi Crush server on http://localhost:${port} (data in ${path.resolve(dataDir)})`);
+  });
+}
+
+module.exports = { createServer, HttpError, readJsonBody, sendJson };
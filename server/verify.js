@@ -0,0 +1,164 @@
+/* =========================================================
+   MOCHI CRUSH — score verification
+   Re-plays a submitted game from its seed and move log with the
+   engine's rules and checks that it earns the claimed score, at
+   a pace the kiosk's animations allow, within the game time
+   plus whatever time bonus its moves earned.
+   The reference is the server's own config.json: every scoring rule
+   must match it, and so must what staff may change on the floor
+   (board size, colours, swap and tap power-ups, game time) unless
+   staff sent the kiosk's new settings to the server (see
+   server.js), in which case they must match those.
+   ========================================================= */
+
+'use strict';
+
+const Engine = require('../engine.js');
+const Bot = require('../bot.js');
+const MochiConfig = require('../config.js');
+
+const MAX_MOVES = 2000;
+/* timers fire a little late, so the last move may land just after the countdown ends */
+const TIMER_GRACE_MS = 1500;
+/* share of a move's estimated playback that must pass before the next one */
+const PACE_TOLERANCE = 0.8;
+
+/*
+ * Settings the admin panel can change that shape the game a replay records:
+ * what the replay says (rules resolved by the engine), and what a kiosk set
+ * to `value` records when that differs from the value itself.
+ */
+const FLOOR_SETTINGS = {
+  'gameTime':               { replayed: (replay, rules, time) => time },
+  'board.rows':             { replayed: replay => replay.rows },
+  'board.cols':             { replayed: replay => replay.cols },
+  'board.numColors':        { replayed: (replay, rules) => rules.numColors },
+  'rules.swapActivates':    { replayed: (replay, rules) => rules.swapActivates },
+  'controls.tapToActivate': { replayed: (replay, rules) => rules.tapActivates, recorded: value => value !== 'off' },
+};
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** `config`'s floor settings, config path → value. */
+function floorSettings(config) {
+  const settings = {};
+  for (const key of Object.keys(FLOOR_SETTINGS)) settings[key] = MochiConfig.getPath(config, key);
+  return settings;
+}
+
+/** Error message when `settings` aren't floor settings a kiosk on `reference` could run with, or null. */
+function validateFloor(settings, reference) {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) return 'settings must be an object';
+  for (const key of Object.keys(settings)) if (!FLOOR_SETTINGS[key]) return `${key} is not a floor setting`;
+  for (const key of Object.keys(FLOOR_SETTINGS)) {
+    const err = MochiConfig.validateSetting(key, settings[key]);
+    if (err) return `${key} ${err}`;
+  }
+  if (settings['board.numColors'] > reference.colors.length) return 'board.numColors exceeds the colours in config.json';
+  return null;
+}
+
+/**
+ * Error message when the replay's floor settings are none of `floors` (lists
+ * of floor settings, newest last), or null.
+ */
+function checkFloor(replay, time, floors) {
+  const rules = Engine.resolveRules(replay.rules);
+  const newest = floors[floors.length - 1];
+  const matches = settings => Object.entries(FLOOR_SETTINGS).every(([key, { replayed, recorded }]) =>
+    replayed(replay, rules, time) === (recorded ? recorded(settings[key]) : settings[key]));
+  if (floors.some(matches)) return null;
+  for (const [key, { replayed, recorded }] of Object.entries(FLOOR_SETTINGS)) {
+    const want = recorded ? recorded(newest[key]) : newest[key];
+    const got = replayed(replay, rules, time);
+    if (got !== want) return `${key} ${JSON.stringify(got)} differs from the kiosk's settings (${JSON.stringify(want)})`;
+  }
+  return 'floor settings differ from the kiosk\'s';
+}
+
+/** Error message when the replay can't describe a game on this activation's board, or null. */
+function checkSetup(replay, reference, time, floors) {
+  if (replay.v !== 1) return 'unsupported replay version';
+  if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xffffffff) return 'seed must be a 32-bit unsigned integer';
+  if (replay.rules === null || typeof replay.rules !== 'object') return 'rules must be an object';
+  /* engine-only rule that follows controls.tapToActivate, so config.json has no entry for it */
+  if (replay.rules.tapActivates !== undefined && typeof replay.rules.tapActivates !== 'boolean') return 'rules.tapActivates must be true or false';
+
+  const floorErr = checkFloor(replay, time, floors);
+  if (floorErr) return floorErr;
+  for (const key of Object.keys(reference.rules)) {
+    if (key !== 'swapActivates' && !sameJson(replay.rules[key], reference.rules[key])) return `rules.${key} differs from config.json`;
+  }
+  if (!sameJson(replay.layout || null, reference.board.layout)) return 'board layout differs from config.json';
+  if (replay.layout && Engine.validateLayout(replay.layout, replay.rows, replay.cols)) return 'board layout does not fit the board';
+
+  if (!Array.isArray(replay.moves) || replay.moves.length > MAX_MOVES) return `moves must be a list of at most ${MAX_MOVES}`;
+  let last = 0;
+  for (const [i, move] of replay.moves.entries()) {
+    if (!Array.isArray(move) || move.length !== 5 || !move.every(Number.isInteger)) return `move ${i + 1} is malformed`;
+    if (move[0] < last) return `move ${i + 1} is out of order`;
+    last = move[0];
+  }
+  return null;
+}
+
+/**
+ * Scores the last move may have left on screen: game.js stops playing a
+ * move's events at the next match round once the timer has run out, so the
+ * game can end with only some of its cascade counted.
+ */
+function partialScores(events) {
+  const scores = [];
+  let sum = 0;
+  for (const ev of events) {
+    if (ev.type === 'match' || ev.type === 'combo') scores.push(sum);
+    else if (ev.type === 'score') sum += ev.points;
+  }
+  scores.push(sum);
+  return scores;
+}
+
+/**
+ * Why leaderboard `entry` can't be trusted, or null when its replay earns
+ * its score. `reference` is the server's resolved config; `floors` the
+ * floor settings (see floorSettings) the kiosk may have played with,
+ * default config.json's. A replay without `time` is taken to be
+ * config.json's gameTime; the time bonus it earned (reference timeBonus)
+ * extends that as the moves earn it.
+ */
+function verifyEntry(entry, reference, floors) {
+  const replay = entry.replay;
+  if (!replay) return 'replay required';
+  const time = replay.time !== undefined ? replay.time : reference.gameTime;
+  const setupErr = checkSetup(replay, reference, time, floors || [floorSettings(reference)]);
+  if (setupErr) return setupErr;
+
+  const played = [];
+  Engine.replayGame(replay, { onMove: (move, result, isSwap) => played.push({ move, result, isSwap }) });
+
+  const bonus = reference.timeBonus.enabled ? reference.timeBonus : null;
+  let bonusSeconds = 0;
+  let earliest = 0;
+  for (const [i, { move, result, isSwap }] of played.entries()) {
+    if (!result) return `move ${i + 1} is not a swap of neighbours or a tap`;
+    if (move[0] > (time + bonusSeconds) * 1000 + TIMER_GRACE_MS) return `move ${i + 1} was made after the game ended`;
+    if (move[0] < earliest) return `move ${i + 1} came faster than the board can animate`;
+    const ms = result.valid
+      ? Bot.playbackMs(result.events, reference.anim, isSwap)
+      : isSwap ? 2 * (reference.anim.swap + 20) : 0;   // an invalid swap slides there and back
+    earliest = move[0] + PACE_TOLERANCE * ms;
+    if (bonus && result.valid) {
+      const earned = result.events.reduce((sum, ev) => sum + Engine.eventTimeBonus(ev, bonus), 0);
+      bonusSeconds = Math.min(bonus.maxSeconds, bonusSeconds + earned);
+    }
+  }
+
+  const valid = played.filter(p => p.result.valid);
+  const last = valid.pop();
+  const before = valid.reduce((sum, p) => sum + p.result.score, 0);
+  const possible = last ? partialScores(last.result.events).map(s => before + s) : [0];
+  if (!possible.includes(entry.score)) return `score ${entry.score} does not match the replay (${possible[possible.length - 1]})`;
+  return null;
+}
+
+module.exports = { verifyEntry, floorSettings, validateFloor, partialScores, TIMER_GRACE_MS, PACE_TOLERANCE };
@@ -0,0 +1,193 @@
+/* =========================================================
+   MOCHI CRUSH — WebSocket connections for the local server
+   Just enough of RFC 6455 for the kiosk relays: the upgrade
+   handshake, unfragmented text frames, ping/pong and close.
+   Kiosk messages are a few hundred bytes of JSON, so anything
+   fragmented or large is refused rather than reassembled.
+   Node built-ins only.
+   ========================================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const PING_MS = 20000;
+
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/* ---------- framing ---------- */
+
+/** Error that closes the connection with close `code`. */
+function protocolError(code, message) {
+  const err = new Error(message);
+  err.closeCode = code;
+  return err;
+}
+
+/** One unmasked, final frame (servers never mask). */
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * The first complete frame at the start of `buf` as { opcode, payload,
+ * length } (length = bytes it took), or null when more bytes are needed.
+ * Throws (err.closeCode set) for frames this server won't take.
+ */
+function decodeFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    const big = buf.readBigUInt64BE(2);
+    len = big > BigInt(MAX_PAYLOAD_BYTES) ? Infinity : Number(big);
+    offset = 10;
+  }
+  if (!masked) throw protocolError(1002, 'client frames must be masked');
+  if (!fin || opcode === 0) throw protocolError(1003, 'fragmented messages are not supported');
+  if (len > MAX_PAYLOAD_BYTES) throw protocolError(1009, 'message too big');
+  if (buf.length < offset + 4 + len) return null;
+
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { opcode, payload, length: offset + 4 + len };
+}
+
+/* ---------- connections ---------- */
+
+function refuse(socket, status, reason) {
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+}
+
+/**
+ * Finish the upgrade of `req` (from the HTTP server's 'upgrade' event) on
+ * `socket` and return the connection, or null when it wasn't a WebSocket
+ * handshake (the socket is answered 400 and closed). handlers: { text(str),
+ * close() } — close fires once, however the connection ends. The
+ * connection is { send(str), close(code?, reason?), remoteAddress }.
+ * Peers that stop answering pings are dropped.
+ */
+function acceptWebSocket(req, socket, head, handlers) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.method !== 'GET' || String(req.headers.upgrade).toLowerCase() !== 'websocket' ||
+      req.headers['sec-websocket-version'] !== '13' || !key) {
+    refuse(socket, 400, 'Bad Request');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  let buffered = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+  let open = true;
+  let awaitingPong = false;
+
+  const write = (opcode, payload) => {
+    if (open && !socket.destroyed) socket.write(encodeFrame(opcode, payload));
+  };
+
+  function close(code, reason) {
+    if (!open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code || 1000, 0);
+    write(OP_CLOSE, Buffer.concat([payload, Buffer.from(reason || '')]));
+    finish();
+    socket.end();
+  }
+
+  function finish() {
+    if (!open) return;
+    open = false;
+    clearInterval(pinger);
+    handlers.close();
+  }
+
+  const pinger = setInterval(() => {
+    if (awaitingPong) {
+      socket.destroy();
+      return;
+    }
+    awaitingPong = true;
+    write(OP_PING, Buffer.alloc(0));
+  }, PING_MS);
+
+  function onData(chunk) {
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+    while (open) {
+      let frame;
+      try {
+        frame = decodeFrame(buffered);
+      } catch (e) {
+        close(e.closeCode, e.message);
+        return;
+      }
+      if (!frame) return;
+      buffered = buffered.subarray(frame.length);
+      if (frame.opcode === OP_TEXT) handlers.text(frame.payload.toString('utf8'));
+      else if (frame.opcode === OP_PING) write(OP_PONG, frame.payload);
+      else if (frame.opcode === OP_PONG) awaitingPong = false;
+      else if (frame.opcode === OP_CLOSE) close(1000);
+      else close(1003, 'only text messages are supported');
+    }
+  }
+
+  socket.on('data', onData);
+  /* the HTTP server's sockets stay half-open, so a peer that hangs up has to be answered */
+  socket.on('end', () => {
+    finish();
+    socket.end();
+  });
+  socket.on('close', finish);
+  socket.on('error', () => socket.destroy());
+  if (buffered.length) process.nextTick(() => onData(Buffer.alloc(0)));
+
+  return {
+    send: text => write(OP_TEXT, Buffer.from(text, 'utf8')),
+    close,
+    remoteAddress: socket.remoteAddress,
+  };
+}
+
+/**
+ * Hand `server`'s WebSocket upgrades to `routes` (pathname →
+ * handleUpgrade(req, socket, head)); any other path is refused.
+ */
+function routeUpgrades(server, routes) {
+  server.on('upgrade', (req, socket, head) => {
+    const route = routes[new URL(req.url, 'http://localhost').pathname];
+    if (route) route(req, socket, head);
+    else socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+  });
+  return server;
+}
+
+module.exports = { acceptWebSocket, routeUpgrades, encodeFrame, decodeFrame, MAX_PAYLOAD_BYTES };
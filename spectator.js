@@ -0,0 +1,234 @@
+/* =========================================================
+   MOCHI CRUSH — spectator feed
+   A kiosk publishes the game being played to wall screens
+   (index.html?spectator): over a BroadcastChannel to screens on
+   the same machine and, with an endpoint, over a WebSocket
+   through the server (server/relay.js) to screens on the LAN.
+   Only the seed, the moves and the clock travel; a screen
+   re-plays the moves on its own board, so it checks every
+   message first (validateMessage). Loaded as
+   window.MochiSpectator in the browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'), require('./config.js'));
+  else root.MochiSpectator = factory(root.MochiEngine, root.MochiConfig);
+})(typeof self !== 'undefined' ? self : this, function (Engine, MochiConfig) {
+  'use strict';
+
+  const CHANNEL_PREFIX = 'mochi-spectator:';
+  const RECONNECT_MS = [1000, 2000, 5000, 10000];
+  const MAX_NAME_LENGTH = 24;
+  const MAX_ID_LENGTH = 64;
+  const MAX_MOVES = 2000;
+
+  /*
+   * Messages from the kiosk all carry the game's `gameId`:
+   *   game    { name, mode, opponent?, seed, rows, cols, rules, time, layout,
+   *             moves, clock, paused }
+   *           when a game starts, and again whenever a screen says hello,
+   *           with every move so far so a screen can join mid-game
+   *   move    { move }                       [t, r1, c1, r2, c2] as in the replay log
+   *   clock   { label, value, pct, urgent }  the HUD timer as the kiosk draws it
+   *   pause, resume {}
+   *   end     { score, reason }              reason 'over', or 'abandon' when nobody finished
+   * and from a screen:
+   *   hello   {}                             asks for the game in progress, if any
+   */
+
+  const isMove = m => Array.isArray(m) && m.length === 5 && m.every(Number.isInteger);
+  const isText = (v, max) => typeof v === 'string' && v.length <= max;
+
+  /** Error message for `rules` that the admin panel or config.json could not have set, or null. */
+  function validateRules(rules) {
+    if (rules === null || typeof rules !== 'object') return 'rules must be an object';
+    for (const [key, value] of Object.entries(rules)) {
+      if (key === 'tapActivates') {
+        if (typeof value !== 'boolean') return 'rules.tapActivates must be true or false';
+        continue;
+      }
+      const path = key === 'numColors' ? 'board.numColors' : `rules.${key}`;
+      const nested = value !== null && typeof value === 'object' && !Array.isArray(value);
+      for (const [name, v] of nested ? Object.entries(value) : [[null, value]]) {
+        const err = MochiConfig.validateSetting(name ? `${path}.${name}` : path, v);
+        if (err) return `${name ? `${path}.${name}` : path} ${err}`;
+      }
+    }
+    return null;
+  }
+
+  /** Error message for a malformed `game` message, or null. */
+  function validateGame(msg) {
+    if (!isText(msg.name, MAX_NAME_LENGTH)) return `name must be a string of at most ${MAX_NAME_LENGTH} characters`;
+    if (!isText(msg.mode, 16)) return 'mode must be a string';
+    if (msg.opponent !== undefined && !isText(msg.opponent, MAX_NAME_LENGTH)) return 'opponent must be a name';
+    if (!Number.isInteger(msg.seed) || msg.seed < 0 || msg.seed > 0xffffffff) return 'seed must be a 32-bit unsigned integer';
+    for (const [key, value] of [['board.rows', msg.rows], ['board.cols', msg.cols], ['gameTime', msg.time]]) {
+      const err = MochiConfig.validateSetting(key, value);
+      if (err) return `${key} ${err}`;
+    }
+    const rulesErr = validateRules(msg.rules);
+    if (rulesErr) return rulesErr;
+    if (msg.layout !== null && msg.layout !== undefined) {
+      const err = Engine.validateLayout(msg.layout, msg.rows, msg.cols);
+      if (err) return `layout ${err}`;
+    }
+    const bonus = msg.timeBonus;
+    if (bonus === null || typeof bonus !== 'object' ||
+        MochiConfig.validateSetting('timeBonus.enabled', bonus.enabled) ||
+        MochiConfig.validateSetting('timeBonus.maxSeconds', bonus.maxSeconds)) {
+      return 'timeBonus must be a time bonus config';
+    }
+    if (!Array.isArray(msg.moves) || msg.moves.length > MAX_MOVES || !msg.moves.every(isMove)) {
+      return `moves must be a list of at most ${MAX_MOVES} moves`;
+    }
+    if (msg.clock !== null && msg.clock !== undefined && validateClock(msg.clock)) return 'clock must be a clock';
+    if (typeof msg.paused !== 'boolean') return 'paused must be true or false';
+    return null;
+  }
+
+  function validateClock(clock) {
+    if (clock === null || typeof clock !== 'object' || !isText(clock.label, 16) || !Number.isFinite(clock.value) ||
+        !Number.isFinite(clock.pct) || typeof clock.urgent !== 'boolean') {
+      return 'clock must have a label, value, pct and urgent';
+    }
+    return null;
+  }
+
+  /**
+   * Error message for anything but a well-formed message from a kiosk, or
+   * null; a screen re-plays `game` and `move` on a board of its own, so
+   * their sizes and rules must be ones a kiosk could have been set to.
+   */
+  function validateMessage(msg) {
+    if (msg === null || typeof msg !== 'object') return 'messages must be objects';
+    if (msg.type === 'hello') return null;
+    if (!isText(msg.gameId, MAX_ID_LENGTH) || msg.gameId === '') return 'gameId must be a string';
+    switch (msg.type) {
+      case 'game': return validateGame(msg);
+      case 'move': return isMove(msg.move) ? null : 'move must be [t, r1, c1, r2, c2]';
+      case 'clock': return validateClock(msg);
+      case 'pause':
+      case 'resume': return null;
+      case 'end':
+        if (!Number.isInteger(msg.score) || msg.score < 0) return 'score must be a non-negative integer';
+        return msg.reason === 'over' || msg.reason === 'abandon' ? null : "reason must be 'over' or 'abandon'";
+      default: return `unknown message type ${msg.type}`;
+    }
+  }
+
+  /**
+   * A WebSocket to `url` that reconnects after drops, backing off. Calls
+   * onOpen() on every (re)connect and onMessage(msg) per JSON message;
+   * anything else is ignored.
+   * Returns { send(msg), close() }; sends while disconnected are dropped.
+   */
+  function socketLink(url, onOpen, onMessage, WebSocketImpl) {
+    let socket = null;
+    let closed = false;
+    let failures = 0;
+    let retryTimer = null;
+
+    function connect() {
+      socket = new WebSocketImpl(url);
+      socket.onopen = () => {
+        failures = 0;
+        onOpen();
+      };
+      socket.onmessage = (e) => {
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch (err) {
+          return;
+        }
+        onMessage(msg);
+      };
+      socket.onclose = () => {
+        if (closed) return;
+        retryTimer = setTimeout(connect, RECONNECT_MS[Math.min(failures++, RECONNECT_MS.length - 1)]);
+      };
+    }
+    connect();
+
+    return {
+      send(msg) {
+        if (socket.readyState === 1) socket.send(JSON.stringify(msg));
+      },
+      close() {
+        closed = true;
+        clearTimeout(retryTimer);
+        socket.close();
+      },
+    };
+  }
+
+  function socketUrl(endpoint, channel, role) {
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}channel=${encodeURIComponent(channel)}&role=${role}`;
+  }
+
+  /* ---------- kiosk ---------- */
+
+  /**
+   * The kiosk's side. opts: { channel, endpoint, onHello(), BroadcastChannel,
+   * WebSocket }. Publishes on the BroadcastChannel where the browser has one
+   * and, when `endpoint` (a ws:// URL) is set, through the relay too.
+   * onHello fires when a screen asks for the game in progress.
+   * Returns { publish(msg), close() }.
+   */
+  function createFeed(opts) {
+    const BroadcastChannelImpl = opts.BroadcastChannel || (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+    const onMessage = msg => { if (msg && msg.type === 'hello') opts.onHello(); };
+    const links = [];
+    if (BroadcastChannelImpl) {
+      const bc = new BroadcastChannelImpl(CHANNEL_PREFIX + opts.channel);
+      bc.onmessage = e => onMessage(e.data);
+      links.push({ send: msg => bc.postMessage(msg), close: () => bc.close() });
+    }
+    if (opts.endpoint) {
+      links.push(socketLink(socketUrl(opts.endpoint, opts.channel, 'kiosk'), () => {}, onMessage,
+        opts.WebSocket || WebSocket));
+    }
+    return {
+      publish: msg => links.forEach(link => link.send(msg)),
+      close: () => links.forEach(link => link.close()),
+    };
+  }
+
+  /* ---------- wall screen ---------- */
+
+  /**
+   * A wall screen's side. opts: { channel, endpoint, onMessage(msg),
+   * BroadcastChannel, WebSocket }. Listens through the relay when there is
+   * an endpoint, otherwise on this machine's BroadcastChannel — never both,
+   * so no message arrives twice. Says hello on every (re)connect. Only
+   * messages validateMessage passes reach onMessage, hellos excepted.
+   * Returns { hello(), close() }.
+   */
+  function subscribe(opts) {
+    let link;
+    const hello = () => link.send({ type: 'hello' });
+    const onMessage = (msg) => {
+      if (!validateMessage(msg) && msg.type !== 'hello') opts.onMessage(msg);
+    };
+    if (opts.endpoint) {
+      link = socketLink(socketUrl(opts.endpoint, opts.channel, 'spectator'), () => hello(), onMessage,
+        opts.WebSocket || WebSocket);
+    } else {
+      const BroadcastChannelImpl = opts.BroadcastChannel || BroadcastChannel;
+      const bc = new BroadcastChannelImpl(CHANNEL_PREFIX + opts.channel);
+      bc.onmessage = e => onMessage(e.data);
+      link = { send: msg => bc.postMessage(msg), close: () => bc.close() };
+      hello();
+    }
+    return { hello, close: () => link.close() };
+  }
+
+  return {
+    CHANNEL_PREFIX,
+    validateGame,
+    validateMessage,
+    createFeed,
+    subscribe,
+  };
+});
@@ -0,0 +1,70 @@
+/* Which PIN opens the staff admin panel, with and without a server. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { webcrypto } = require('crypto');
+const AdminPin = require('../admin-pin.js');
+const { memoryStorage } = require('./helpers.js');
+
+function makeKioskPin(storage) {
+  return AdminPin.createKioskPin({ storage: storage || memoryStorage(), crypto: webcrypto });
+}
+
+test('the server\'s answer wins and a PIN it accepts is remembered for offline', async () => {
+  const kioskPin = makeKioskPin();
+  const sources = { configPin: null, kioskPin, hasServer: true, allowSetup: true };
+  assert.deepEqual(await AdminPin.checkStaffPin('1234', Object.assign({ server: false }, sources)), { ok: false, firstRun: false });
+  assert.equal(kioskPin.isSet(), false);
+
+  assert.deepEqual(await AdminPin.checkStaffPin('1234', Object.assign({ server: true }, sources)), { ok: true, firstRun: false });
+  assert.equal(kioskPin.isSet(), true);
+  assert.equal((await AdminPin.checkStaffPin('1234', Object.assign({ server: null }, sources))).ok, true);
+  assert.equal((await AdminPin.checkStaffPin('9999', Object.assign({ server: null }, sources))).ok, false);
+});
+
+test('a server that cannot be reached leaves no way to set a first PIN', async () => {
+  const sources = { server: null, configPin: null, kioskPin: makeKioskPin(), hasServer: true, allowSetup: true };
+  assert.equal(AdminPin.needsSetup(sources), false);
+  assert.equal((await AdminPin.checkStaffPin('1234', sources)).ok, false);
+});
+
+test('a configured PIN opens the panel when no server answers', async () => {
+  const kioskPin = makeKioskPin();
+  const sources = { server: null, configPin: '2468', kioskPin, hasServer: false, allowSetup: true };
+  assert.equal(AdminPin.needsSetup(sources), false);
+  assert.equal((await AdminPin.checkStaffPin('2468', sources)).ok, true);
+  assert.equal((await AdminPin.checkStaffPin('1357', sources)).ok, false);
+  assert.equal(kioskPin.isSet(), false);
+});
+
+test('a kiosk with no server and no PIN takes the first one entered, kept hashed', async () => {
+  const storage = memoryStorage();
+  const sources = { server: null, configPin: null, kioskPin: makeKioskPin(storage), hasServer: false };
+  assert.equal(AdminPin.needsSetup(sources), true);
+
+  /* only the admin panel may set it, and only to 4–8 digits */
+  assert.equal((await AdminPin.checkStaffPin('1234', sources)).ok, false);
+  const setup = Object.assign({ allowSetup: true }, sources);
+  assert.equal((await AdminPin.checkStaffPin('12ab', setup)).ok, false);
+  assert.deepEqual(await AdminPin.checkStaffPin('1234', setup), { ok: true, firstRun: true });
+
+  const saved = storage.getItem(AdminPin.STORAGE_KEY);
+  assert.doesNotMatch(saved, /1234/);
+  assert.equal(AdminPin.needsSetup(setup), false);
+  assert.deepEqual(await AdminPin.checkStaffPin('1234', setup), { ok: true, firstRun: false });
+  assert.equal((await AdminPin.checkStaffPin('4321', setup)).ok, false);
+
+  /* a restart reads the same PIN back */
+  const again = Object.assign({}, setup, { kioskPin: makeKioskPin(storage) });
+  assert.equal((await AdminPin.checkStaffPin('1234', again)).ok, true);
+});
+
+test('without WebCrypto a kiosk PIN can be neither set nor checked', async () => {
+  const kioskPin = AdminPin.createKioskPin({ storage: memoryStorage(), crypto: {} });
+  assert.equal(kioskPin.canSet, false);
+  const sources = { server: null, configPin: null, kioskPin, hasServer: false, allowSetup: true };
+  assert.equal((await AdminPin.checkStaffPin('1234', sources)).ok, false);
+  assert.equal(kioskPin.isSet(), false);
+});
@@ -0,0 +1,140 @@
+/* Analytics: the tracker, its sinks and the CSV export. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Analytics = require('../analytics.js');
+const { memoryStorage } = require('./helpers.js');
+
+const event = (n, extra) => Object.assign({ id: 'p-' + n, type: 'screen_view', at: 1000 + n }, extra);
+
+/** `storage` whose setItem calls are counted in `.saves`. */
+function countingStorage(quota) {
+  const storage = memoryStorage(quota);
+  const setItem = storage.setItem;
+  storage.saves = 0;
+  storage.setItem = (key, value) => {
+    storage.saves++;
+    return setItem(key, value);
+  };
+  return storage;
+}
+
+test('validateEvent wants a snake_case type and a timestamp', () => {
+  assert.equal(Analytics.validateEvent({ type: 'game_end', at: 5 }), null);
+  assert.match(Analytics.validateEvent([]), /object/);
+  assert.match(Analytics.validateEvent({ type: 'Game End', at: 5 }), /type/);
+  assert.match(Analytics.validateEvent({ type: 'game_end', at: -1 }), /at/);
+});
+
+test('track stamps the context on every event, and one failing sink does not stop the rest', (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const got = [];
+  const analytics = Analytics.createAnalytics({
+    sinks: [{ write() { throw new Error('broken'); } }, { write: e => got.push(e) }],
+    context: { kioskId: 'k1', eventId: 'expo' },
+  });
+  const first = analytics.track('game_start', { mode: 'timed' });
+  analytics.track('game_end', { score: 10 });
+  assert.equal(got.length, 2);
+  assert.deepEqual([got[0].type, got[0].kioskId, got[0].eventId, got[0].mode], ['game_start', 'k1', 'expo', 'timed']);
+  assert.equal(first, got[0]);
+  assert.notEqual(got[0].id, got[1].id);
+  assert.equal(Analytics.validateEvent(got[1]), null);
+  assert.equal(errors.mock.callCount(), 2);
+});
+
+test('the buffer saves its events in batches and keeps only the newest', () => {
+  const storage = countingStorage();
+  const buffer = Analytics.createBufferSink({ storage, size: 25, batchSize: 10 });
+  for (let i = 1; i <= 9; i++) buffer.write(event(i));
+  assert.equal(storage.saves, 0);
+  assert.equal(buffer.events().length, 9);
+  buffer.write(event(10));
+  assert.equal(storage.saves, 1);
+  assert.equal(JSON.parse(storage.getItem(Analytics.BUFFER_KEY)).length, 10);
+
+  for (let i = 11; i <= 30; i++) buffer.write(event(i));
+  assert.equal(storage.saves, 3);
+  const kept = JSON.parse(storage.getItem(Analytics.BUFFER_KEY));
+  assert.deepEqual([kept.length, kept[0].id, kept[24].id], [25, 'p-6', 'p-30']);
+
+  /* a new page picks up where the last one saved */
+  assert.equal(Analytics.createBufferSink({ storage, size: 25 }).events().length, 25);
+  buffer.clear();
+  assert.deepEqual(buffer.events(), []);
+  assert.equal(storage.getItem(Analytics.BUFFER_KEY), null);
+});
+
+test('unsaved buffer events are saved on flush or after flushMs', async () => {
+  const storage = countingStorage();
+  const buffer = Analytics.createBufferSink({ storage, batchSize: 100, flushMs: 10 });
+  buffer.write(event(1));
+  buffer.flush();
+  assert.equal(storage.saves, 1);
+  buffer.flush();
+  assert.equal(storage.saves, 1);
+
+  buffer.write(event(2));
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(storage.saves, 2);
+  assert.equal(JSON.parse(storage.getItem(Analytics.BUFFER_KEY)).length, 2);
+});
+
+test('a full storage costs the buffer its oldest events, not the other stores', () => {
+  const storage = memoryStorage(4000);
+  storage.setItem('mochiLeaderboard', 'x'.repeat(1500));
+  const buffer = Analytics.createBufferSink({ storage, size: 1000, batchSize: 1 });
+  for (let i = 1; i <= 60; i++) buffer.write(event(i, { screen: 'screen-result' }));
+  assert.equal(storage.getItem('mochiLeaderboard').length, 1500);
+  const kept = JSON.parse(storage.getItem(Analytics.BUFFER_KEY));
+  assert.ok(kept.length > 0 && kept.length < 60);
+  assert.equal(kept[kept.length - 1].id, 'p-60');
+  /* there is still room for the rest of the kiosk to write */
+  storage.setItem('mochiPlayStats', 'y'.repeat(200));
+});
+
+test('the http sink posts full batches and hands undelivered ones to its outbox', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const posted = [];
+  let status = 200;
+  const queued = [];
+  const sink = Analytics.createHttpSink({
+    endpoint: 'http://lb/api/analytics',
+    batchSize: 2,
+    flushMs: 10000,
+    fetch: async (url, init) => {
+      posted.push(JSON.parse(init.body));
+      return { ok: status < 400, status };
+    },
+    outbox: { add: async batch => { queued.push(batch); } },
+  });
+  sink.write(event(1));
+  assert.equal(posted.length, 0);
+  sink.write(event(2));
+  await sink.flush();
+  assert.deepEqual(posted.map(b => b.events.length), [2]);
+  assert.equal(posted[0].id, 'batch-p-1');
+
+  status = 503;
+  sink.write(event(3));
+  await sink.flush();
+  assert.deepEqual(queued.map(b => b.id), ['batch-p-3']);
+  await assert.rejects(sink.post({ id: 'b', events: [] }), err => err.permanent === false);
+  status = 400;
+  await assert.rejects(sink.post({ id: 'b', events: [] }), err => err.permanent === true);
+});
+
+test('toCsv flattens events into one column per key and defuses formulas', () => {
+  const csv = Analytics.toCsv([
+    { type: 'game_end', fired: { bomb: 2 }, seeds: [1, 2] },
+    { type: 'screen_view', screen: '=HYPERLINK("x")', note: 'a,b' },
+  ]);
+  assert.equal(csv, [
+    'type,fired.bomb,seeds,screen,note',
+    'game_end,2,1 2,,',
+    'screen_view,,,"\'=HYPERLINK(""x"")","a,b"',
+    '',
+  ].join('\r\n'));
+});
@@ -0,0 +1,90 @@
+/* The autoplayer: picking moves, pacing playback and headless games. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Engine = require('../engine.js');
+const Bot = require('../bot.js');
+const MochiConfig = require('../config.js');
+
+const anim = MochiConfig.DEFAULTS.anim;
+
+function boardOf(grid) {
+  const blank = () => grid.map(row => row.map(() => Engine.POWERUP_NONE));
+  return { rows: grid.length, cols: grid[0].length, numColors: 4, grid, powerUps: blank(), jelly: blank() };
+}
+
+/* the swap at (0,2)/(1,2) lines up five; every other move starts with three */
+const FIVE_IN_A_ROW = [[0, 0, 1, 0, 0], [2, 3, 0, 3, 2], [1, 2, 3, 1, 3], [3, 1, 2, 2, 1]];
+const rules = { numColors: 4 };
+const sameMove = (a, b) => a.r1 === b.r1 && a.c1 === b.c1 && a.r2 === b.r2 && a.c2 === b.c2;
+
+test('greedy takes the move that scores most with the refills it will see', () => {
+  const board = boardOf(FIVE_IN_A_ROW);
+  for (const seed of [1, 2, 3, 4, 5]) {
+    /* chooseMove draws one seed from the bot's rng for the refills of every candidate */
+    const move = Bot.chooseMove(board, { rules, rng: () => seed });
+    const scoreOf = m => Engine.resolveSwap(board, m.r1, m.c1, m.r2, m.c2, { rng: Engine.createRng(seed), rules: Engine.resolveRules(rules) }).score;
+    const best = Math.max(...Engine.findMoves(board, Engine.resolveRules(rules)).map(scoreOf));
+    assert.equal(scoreOf(move), best, `seed ${seed}`);
+  }
+});
+
+test('every strategy picks a legal move, the same one for the same rng', () => {
+  const board = boardOf(FIVE_IN_A_ROW);
+  const legal = Bot.candidateMoves(board, Engine.resolveRules(rules), false);
+  for (const strategy of Bot.STRATEGIES) {
+    const pick = () => Bot.chooseMove(board, { strategy, rules, rng: Engine.createRng(7) });
+    const move = pick();
+    assert.ok(legal.some(m => sameMove(m, move)), strategy);
+    assert.deepEqual(pick(), move, strategy);
+  }
+  assert.throws(() => Bot.chooseMove(board, { strategy: 'psychic', rules }), /unknown strategy/);
+});
+
+test('no move on the board is null, and taps on power-ups are offered only when allowed', () => {
+  const stuck = boardOf([[0, 1, 0, 1], [2, 3, 2, 3], [0, 1, 0, 1], [2, 3, 2, 3]]);
+  assert.equal(Bot.chooseMove(stuck, { rules }), null);
+
+  stuck.powerUps[1][1] = Engine.POWERUP_BOMB;
+  const taps = Bot.candidateMoves(stuck, Engine.resolveRules(rules), true);
+  assert.deepEqual(taps.map(m => [m.r1, m.c1, m.r2, m.c2]), [[1, 1, 1, 1]]);
+  assert.deepEqual(Bot.candidateMoves(stuck, Engine.resolveRules(rules), false), []);
+  const move = Bot.chooseMove(stuck, { rules, taps: true, rng: Engine.createRng(1) });
+  assert.deepEqual([move.r1, move.c1, move.r2, move.c2], [1, 1, 1, 1]);
+});
+
+test('playbackMs adds up the swap, pops, power-up effects and falls', () => {
+  assert.equal(Bot.playbackMs([], anim, true), anim.swap + 20);
+  assert.equal(Bot.playbackMs([], anim, false), 0);
+  const events = [
+    { type: 'match' }, { type: 'destroy' }, { type: 'fall' },
+    { type: 'match' }, { type: 'activate' }, { type: 'destroy' }, { type: 'fall' },
+  ];
+  const fall = anim.fall + 60 + anim.cascade;
+  assert.equal(Bot.playbackMs(events, anim, true), anim.swap + 20 + anim.pop + fall + anim.powerup + anim.pop + fall);
+  assert.equal(Bot.playbackMs([{ type: 'combo', kind: 'bombStorm' }], anim, false), anim.powerup);
+});
+
+test('simulateGame is repeatable from its seeds and runs for its time', () => {
+  const play = extra => Bot.simulateGame(Object.assign({
+    seed: 11, rows: 8, cols: 6, rules: { numColors: 5 }, timeMs: 20000, thinkMs: 400, anim, botSeed: 3,
+  }, extra));
+  const game = play();
+  assert.ok(game.moves > 0);
+  assert.ok(game.score > 0);
+  assert.deepEqual(play(), game);
+  assert.ok(play({ timeMs: 60000 }).moves > game.moves);
+  assert.ok(play({ thinkMs: 3000 }).moves < game.moves);
+});
+
+test('a time bonus lets a simulated game run on', () => {
+  const play = timeBonus => Bot.simulateGame({
+    seed: 5, rows: 8, cols: 6, rules: { numColors: 4 }, timeMs: 20000, thinkMs: 400, anim, botSeed: 1, timeBonus,
+  });
+  const bonus = { enabled: true, powerUps: { bomb: 5, line: 5, zap: 5 }, chains: {}, maxSeconds: 30 };
+  const plain = play(null);
+  assert.ok(plain.spawned.bomb + plain.spawned.line + plain.spawned.zap > 0, 'the game needs power-ups to earn time');
+  assert.ok(play(bonus).moves > plain.moves);
+});
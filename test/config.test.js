@@ -0,0 +1,52 @@
+/* Config layering and validation. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MochiConfig = require('../config.js');
+
+test('config.json resolves without errors', () => {
+  const { errors } = MochiConfig.resolveConfig(require('../config.json'));
+  assert.deepEqual(errors, []);
+});
+
+test('config.json keeps the built-in animation timings the verifier paces replays by', () => {
+  const { config } = MochiConfig.resolveConfig(require('../config.json'));
+  assert.deepEqual(config.anim, MochiConfig.DEFAULTS.anim);
+  assert.equal(config.anim.spawn, 200);
+});
+
+test('later layers win and bad values fall back to the default', () => {
+  const { config, errors } = MochiConfig.resolveConfig(
+    { gameTime: 45, anim: { swap: 300 } },
+    { gameTime: 30, board: { cols: 'wide' } });
+  assert.equal(config.gameTime, 30);
+  assert.equal(config.anim.swap, 300);
+  assert.equal(config.board.cols, MochiConfig.DEFAULTS.board.cols);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /board\.cols/);
+});
+
+test('validateSetting checks one value against the schema', () => {
+  assert.equal(MochiConfig.validateSetting('board.numColors', 5), null);
+  assert.notEqual(MochiConfig.validateSetting('board.numColors', 9), null);
+  assert.notEqual(MochiConfig.validateSetting('controls.tapToActivate', 'twice'), null);
+  assert.equal(MochiConfig.validateSetting('no.such.setting', 1), 'is not a setting');
+});
+
+test('engineRules carries the board colours into the rules', () => {
+  const { config } = MochiConfig.resolveConfig({});
+  const rules = MochiConfig.engineRules(config);
+  assert.equal(rules.numColors, config.board.numColors);
+  assert.deepEqual(rules.zapChains, config.rules.zapChains);
+  rules.zapChains.push(99);
+  assert.notDeepEqual(rules.zapChains, config.rules.zapChains);
+});
+
+test('engineRules lets taps fire power-ups unless the tap control is off', () => {
+  const rules = on => MochiConfig.engineRules(MochiConfig.resolveConfig({ controls: { tapToActivate: on } }).config);
+  assert.equal(rules('tap').tapActivates, true);
+  assert.equal(rules('double').tapActivates, true);
+  assert.equal(rules('off').tapActivates, false);
+});
@@ -0,0 +1,46 @@
+/* Device keys: one per kiosk, kept across reloads, and signatures only its holder makes. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { webcrypto } = require('crypto');
+const DeviceKey = require('../device-key.js');
+const { memoryStorage } = require('./helpers.js');
+
+const { subtle } = webcrypto;
+
+/* Node has no IndexedDB, so these keys take the localStorage path */
+function loadKey(storage) {
+  return DeviceKey.loadDeviceKey({ indexedDB: null, storage, subtle });
+}
+
+test('a kiosk keeps the same key across reloads', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const storage = memoryStorage();
+  const key = await loadKey(storage);
+  assert.match(key.publicKey, /^[A-Za-z0-9+/]+=*$/);
+  assert.equal((await loadKey(storage)).publicKey, key.publicKey);
+  assert.notEqual((await loadKey(memoryStorage())).publicKey, key.publicKey);
+  assert.match(warn.mock.calls[0].arguments[0], /localStorage/);
+});
+
+test('a signature checks out only for its own key and text', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const key = await loadKey(memoryStorage());
+  const other = await loadKey(memoryStorage());
+  const text = JSON.stringify({ name: 'Ann', score: 1200 });
+  const signature = await key.sign(text);
+  assert.equal(await DeviceKey.verifySignature(key.publicKey, signature, text, subtle), true);
+  assert.equal(await DeviceKey.verifySignature(key.publicKey, signature, text.replace('1200', '9999'), subtle), false);
+  assert.equal(await DeviceKey.verifySignature(other.publicKey, signature, text, subtle), false);
+  assert.equal(await DeviceKey.verifySignature('not a key', signature, text, subtle), false);
+});
+
+test('a kiosk whose WebCrypto fails posts unsigned rather than not at all', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+  const broken = { generateKey: async () => { throw new Error('no curve'); } };
+  assert.equal(await DeviceKey.loadDeviceKey({ indexedDB: null, storage: memoryStorage(), subtle: broken }), null);
+  assert.equal(error.mock.callCount(), 1);
+});
@@ -0,0 +1,178 @@
+/* The headless engine: boards, matches and swaps without a DOM. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Engine = require('../engine.js');
+const { recordGame } = require('./helpers.js');
+
+function boardOf(grid) {
+  const blank = () => grid.map(row => row.map(() => Engine.POWERUP_NONE));
+  return { rows: grid.length, cols: grid[0].length, numColors: 4, grid, powerUps: blank(), jelly: blank() };
+}
+
+test('createBoard deals a match-free board with a move on it', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const board = Engine.createBoard(8, 6, { rng: Engine.createRng(seed) });
+    assert.equal(board.grid.length, 8);
+    assert.ok(board.grid.every(row => row.length === 6 && row.every(v => v >= 0 && v < 3)));
+    assert.equal(Engine.findMatches(board).size, 0);
+    assert.ok(Engine.findMoves(board).length > 0);
+  }
+});
+
+test('findMatches reports every cell of a run of three or more', () => {
+  const board = boardOf([[0, 0, 0, 1], [1, 2, 3, 1], [2, 3, 2, 1]]);
+  assert.deepEqual([...Engine.findMatches(board)].sort((a, b) => a - b), [0, 1, 2, 3, 7, 11]);
+});
+
+test('resolveSwap refuses a swap that matches nothing and leaves the board alone', () => {
+  const board = boardOf([[0, 1, 0, 1], [2, 3, 2, 3], [0, 1, 0, 1], [2, 3, 2, 3]]);
+  const before = Engine.cloneBoard(board);
+  const result = Engine.resolveSwap(board, 0, 0, 0, 1, { rng: Engine.createRng(1) });
+  assert.equal(result.valid, false);
+  assert.equal(result.score, 0);
+  assert.deepEqual(result.events, []);
+  assert.deepEqual(board, before);
+});
+
+test('resolveSwap clears a match, scores it and refills without touching its input', () => {
+  const board = boardOf([[0, 1, 0, 0], [2, 3, 2, 3], [1, 2, 3, 1], [3, 1, 2, 2]]);
+  const before = Engine.cloneBoard(board);
+  const result = Engine.resolveSwap(board, 0, 0, 0, 1, { rng: Engine.createRng(1) });
+  assert.equal(result.valid, true);
+  assert.ok(result.score >= 30);
+  assert.ok(result.chain >= 1);
+  const types = result.events.map(ev => ev.type);
+  for (const type of ['match', 'score', 'destroy', 'fall']) assert.ok(types.includes(type), type);
+  assert.deepEqual(board, before);
+  assert.ok(result.board.grid.every(row => row.every(v => v >= 0)));
+  assert.equal(Engine.findMatches(result.board).size, 0);
+});
+
+test('isAdjacentSwap and isTap tell moves apart', () => {
+  const board = boardOf([[0, 1], [2, 3]]);
+  assert.equal(Engine.isAdjacentSwap(board, 0, 0, 0, 1), true);
+  assert.equal(Engine.isAdjacentSwap(board, 0, 0, 1, 1), false);
+  assert.equal(Engine.isTap(board, 1, 1, 1, 1), true);
+  assert.equal(Engine.isTap(board, 0, 0, 0, 1), false);
+});
+
+test('createRng repeats its sequence for the same seed', () => {
+  const draw = rng => Array.from({ length: 20 }, () => rng(1000));
+  assert.deepEqual(draw(Engine.createRng(42)), draw(Engine.createRng(42)));
+  assert.notDeepEqual(draw(Engine.createRng(42)), draw(Engine.createRng(43)));
+  assert.equal(Engine.createRng('daily-2026-10-19').seed, Engine.normalizeSeed('daily-2026-10-19'));
+  assert.equal(Engine.normalizeSeed('123'), 123);
+  assert.equal(Engine.normalizeSeed(-1), 0xffffffff);
+});
+
+test('the same seed deals the same board and the same refills', () => {
+  const play = (seed) => {
+    const rng = Engine.createRng(seed);
+    const board = Engine.createBoard(8, 6, { rng });
+    const [move] = Engine.findMoves(board);
+    return Engine.resolveSwap(board, move.r1, move.c1, move.r2, move.c2, { rng });
+  };
+  assert.deepEqual(play(7), play(7));
+});
+
+test('replayGame re-plays a recorded game to the same board and score', () => {
+  const game = recordGame({ seed: 99, until: 20000 });
+  assert.ok(game.replay.moves.length > 5);
+  const result = Engine.replayGame(game.replay);
+  assert.equal(result.score, game.score);
+  assert.deepEqual(result.board, game.board);
+  assert.equal(result.validMoves, game.replay.moves.length);
+});
+
+test('replayGame skips malformed moves and stops at the time limit', () => {
+  const game = recordGame({ seed: 5, until: 8000 });
+  const moves = game.replay.moves;
+  const bad = Object.assign({}, game.replay, { moves: [[100, 0, 0, 5, 5]].concat(moves) });
+  const played = [];
+  const result = Engine.replayGame(bad, { onMove: (move, res) => played.push(res) });
+  assert.equal(played[0], null);
+  assert.equal(result.moves, moves.length + 1);
+  assert.equal(result.score, game.score);
+
+  const cut = Engine.replayGame(game.replay, { timeLimitMs: moves[2][0] });
+  assert.equal(cut.moves, 3);
+});
+
+test('validateLayout checks shape, characters and room for a move', () => {
+  assert.equal(Engine.validateLayout(['....', '.S..', '..1.'], 3, 4), null);
+  assert.match(Engine.validateLayout(['....', '....'], 3, 4), /must list 3 rows/);
+  assert.match(Engine.validateLayout(['....', '.x..', '....'], 3, 4), /may only use/);
+  assert.match(Engine.validateLayout(['SSS.', 'SS..', '....'], 3, 4), /more than a third stone/);
+  assert.match(Engine.validateLayout(['S..', '.S.', '..S'], 3, 3), /no room for a move/);
+});
+
+test('createBoard and shuffleBoard leave no match and at least one move around blockers', () => {
+  const layout = ['......', '.S..S.', '......', '..11..', '..22..', '......', '.S..S.', '......'];
+  for (let seed = 1; seed <= 50; seed++) {
+    const rng = Engine.createRng(seed);
+    const board = Engine.createBoard(8, 6, { rng, numColors: 3, layout });
+    assert.equal(board.grid[1][1], Engine.STONE);
+    assert.equal(board.jelly[4][2], 2);
+    Engine.shuffleBoard(board, rng);
+    assert.equal(Engine.findMatches(board).size, 0);
+    assert.ok(Engine.hasValidMoves(board));
+    assert.equal(board.grid[1][1], Engine.STONE);
+    assert.equal(board.jelly[4][2], 2);
+  }
+});
+
+test('shuffleBoard finishes on boards that rarely roll a move', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const board = Engine.createBoard(3, 3, { rng: Engine.createRng(seed), numColors: 3 });
+    assert.equal(Engine.findMatches(board).size, 0);
+    assert.ok(Engine.hasValidMoves(board));
+  }
+});
+
+test('a match next to a stone breaks it and a match on jelly peels a layer', () => {
+  const board = boardOf([[0, 1, 0, 0], [2, Engine.STONE, 2, 3], [1, 2, 3, 1], [3, 1, 2, 2]]);
+  board.jelly[0][2] = 1;
+  const result = Engine.resolveSwap(board, 0, 0, 0, 1, { rng: Engine.createRng(1) });
+  const blocker = result.events.find(ev => ev.type === 'blocker');
+  assert.ok(blocker);
+  assert.ok(blocker.stones.includes(5));
+  assert.ok(blocker.jelly.includes(2));
+  assert.equal(result.board.jelly[0][2], 0);
+});
+
+test('swapping two power-ups sets off their combo even without a match', () => {
+  const board = boardOf([[0, 1, 0, 1], [2, 3, 2, 3], [0, 1, 0, 1], [2, 3, 2, 3]]);
+  board.powerUps[1][1] = Engine.POWERUP_BOMB;
+  board.powerUps[1][2] = Engine.POWERUP_BOMB;
+  assert.equal(Engine.comboKind(Engine.POWERUP_BOMB, Engine.POWERUP_LINE), 'cross');
+  const result = Engine.resolveSwap(board, 1, 1, 1, 2, { rng: Engine.createRng(3) });
+  assert.equal(result.valid, true);
+  const combo = result.events.find(ev => ev.type === 'combo');
+  assert.equal(combo.kind, 'blast');
+  assert.equal(combo.chain, 1);
+  assert.ok(result.score > 0);
+});
+
+test('resolveTap sets off a power-up and refuses a plain mochi', () => {
+  const board = boardOf([[0, 1, 0, 1], [2, 3, 2, 3], [0, 1, 0, 1], [2, 3, 2, 3]]);
+  assert.equal(Engine.resolveTap(board, 1, 1, { rng: Engine.createRng(1) }).valid, false);
+  board.powerUps[1][1] = Engine.POWERUP_BOMB;
+  const result = Engine.resolveTap(board, 1, 1, { rng: Engine.createRng(1) });
+  assert.equal(result.valid, true);
+  assert.equal(result.events[0].type, 'activate');
+  assert.ok(result.score > 0);
+});
+
+test('a power-up counts as a move when the rules let it be fired', () => {
+  const board = boardOf([[0, 1, 0, 1], [2, 3, 2, 3], [0, 1, 0, 1], [2, 3, 2, 3]]);
+  assert.equal(Engine.hasValidMoves(board), false);
+  board.powerUps[1][1] = Engine.POWERUP_BOMB;
+  assert.equal(Engine.hasValidMoves(board), true);
+  assert.equal(Engine.hasValidMoves(board, { tapActivates: false }), false);
+  assert.equal(Engine.hasValidMoves(board, { tapActivates: false, swapActivates: true }), true);
+  assert.equal(Engine.findMoves(board).length, 0);
+  assert.equal(Engine.findMoves(board, { swapActivates: true }).length, 4);
+});
@@ -0,0 +1,257 @@
+/* Shared test fixtures. */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Engine = require('../engine.js');
+
+/**
+ * Play the best swap Engine.findMoves offers, move after move, and return
+ * the replay game.js would record plus the score it earned. opts: { seed,
+ * rows, cols, rules, layout, time, until(ms), pace(result, isSwap) } —
+ * moves stop once their timestamp reaches `until`; pace is how long each
+ * one takes to play out (default 1 s).
+ */
+function recordGame(opts) {
+  const rules = Engine.resolveRules(opts.rules);
+  const rng = Engine.createRng(opts.seed);
+  const rows = opts.rows || 8;
+  const cols = opts.cols || 6;
+  let board = Engine.createBoard(rows, cols, { rng, numColors: rules.numColors, layout: opts.layout });
+  const pace = opts.pace || (() => 1000);
+  const moves = [];
+  let score = 0;
+  for (let t = 500; t < (opts.until || 10000);) {
+    const [move] = Engine.findMoves(board, rules);
+    if (!move) break;
+    const result = Engine.resolveSwap(board, move.r1, move.c1, move.r2, move.c2, { rng, rules });
+    moves.push([t, move.r1, move.c1, move.r2, move.c2]);
+    board = result.board;
+    score += result.score;
+    t += pace(result, true);
+  }
+  const replay = { v: 1, seed: rng.seed, rows, cols, rules: opts.rules || {}, moves };
+  if (opts.time !== undefined) replay.time = opts.time;
+  if (opts.layout) replay.layout = opts.layout;
+  return { replay, score, board };
+}
+
+/** A localStorage stand-in; `quota` (characters) makes setItem throw once it is full. */
+function memoryStorage(quota) {
+  const items = new Map();
+  const used = () => [...items.values()].reduce((sum, v) => sum + v.length, 0);
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      value = String(value);
+      const old = items.has(key) ? items.get(key).length : 0;
+      if (quota !== undefined && used() - old + value.length > quota) {
+        const err = new Error('quota exceeded');
+        err.name = 'QuotaExceededError';
+        throw err;
+      }
+      items.set(key, value);
+    },
+    removeItem: key => items.delete(key),
+    get length() { return items.size; },
+  };
+}
+
+/** A fresh temporary directory, removed when the test ends. */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mochi-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/* close `server` when the test ends, with every connection it took — upgraded WebSockets included */
+function closeWhenDone(t, server) {
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  t.after(() => new Promise((resolve) => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(resolve);
+  }));
+}
+
+/**
+ * Start server/server.js on a free port with its data in a temporary
+ * directory; it is closed when the test ends. Resolves to { url, dataDir,
+ * server }.
+ */
+async function startServer(t, opts) {
+  const { createServer } = require('../server/server.js');
+  const dataDir = (opts && opts.dataDir) || tempDir(t);
+  const server = createServer(Object.assign({ dataDir }, opts));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  closeWhenDone(t, server);
+  return { url: `http://127.0.0.1:${server.address().port}`, dataDir, server };
+}
+
+/** fetch() a JSON endpoint; resolves to { status, body }. */
+async function request(url, opts) {
+  opts = opts || {};
+  const response = await fetch(url, {
+    method: opts.method || (opts.body ? 'POST' : 'GET'),
+    headers: Object.assign(opts.body ? { 'Content-Type': 'application/json' } : {}, opts.headers),
+    body: opts.body ? JSON.stringify(opts.body) : undefined,
+  });
+  const text = await response.text();
+  let body = text;
+  try { body = JSON.parse(text); } catch (e) { /* not JSON */ }
+  return { status: response.status, body };
+}
+
+/**
+ * A leaderboard entry whose replay earns its score under `reference` (a
+ * resolved config), played at the pace the kiosk animates.
+ */
+function honestEntry(reference, seed, extra) {
+  const Bot = require('../bot.js');
+  const MochiConfig = require('../config.js');
+  const game = recordGame({
+    seed,
+    rows: reference.board.rows,
+    cols: reference.board.cols,
+    layout: reference.board.layout,
+    rules: MochiConfig.engineRules(reference),
+    time: reference.gameTime,
+    until: reference.gameTime * 1000,
+    pace: (result, isSwap) => Bot.playbackMs(result.events, reference.anim, isSwap) + 150,
+  });
+  return Object.assign({ name: 'Ann', score: game.score, replay: game.replay }, extra);
+}
+
+/** A client frame: masked, as RFC 6455 requires, and final unless `fin` is false. */
+function clientFrame(opcode, payload, fin) {
+  const crypto = require('crypto');
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0, 0x80 | len]);
+  } else if (len < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = (fin === false ? 0 : 0x80) | opcode;
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.from(payload);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i & 3];
+  return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Open a WebSocket to `url` (ws://host:port/path) with a bare TCP socket,
+ * since Node 20 has no WebSocket client; it is closed when the test ends.
+ * Resolves once the server accepts to { accept, send(msg), sendFrame(opcode,
+ * payload, fin), next(ms), closed, close() } — accept is the
+ * Sec-WebSocket-Accept it answered, send takes an object (sent as JSON) or
+ * a string, next resolves to the next text message (parsed when it is
+ * JSON) or rejects after `ms`, and closed resolves to the server's close
+ * code (null when it just hung up). Rejects with the status line when the
+ * upgrade is refused.
+ */
+function connectWebSocket(t, url, key) {
+  const net = require('net');
+  const { hostname, port, pathname, search } = new URL(url);
+  key = key || require('crypto').randomBytes(16).toString('base64');
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port), hostname);
+    t.after(() => socket.destroy());
+    let buffered = Buffer.alloc(0);
+    let client = null;
+    let closeCode = null;
+    const messages = [];
+    const waiters = [];
+    let onClosed;
+    const closed = new Promise(r => { onClosed = r; });
+
+    function readFrame() {
+      if (buffered.length < 2) return null;
+      let len = buffered[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffered.length < 4) return null;
+        len = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffered.length < 10) return null;
+        len = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (buffered.length < offset + len) return null;
+      const frame = { opcode: buffered[0] & 0x0f, payload: buffered.subarray(offset, offset + len) };
+      buffered = buffered.subarray(offset + len);
+      return frame;
+    }
+
+    function deliver(text) {
+      let msg = text;
+      try { msg = JSON.parse(text); } catch (e) { /* not JSON */ }
+      if (waiters.length) waiters.shift()(msg);
+      else messages.push(msg);
+    }
+
+    socket.on('connect', () => socket.write(`GET ${pathname}${search} HTTP/1.1\r\nHost: ${hostname}:${port}\r\n` +
+      `Upgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: ${key}\r\nSec-WebSocket-Version: 13\r\n\r\n`));
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      if (!client) {
+        const end = buffered.indexOf('\r\n\r\n');
+        if (end < 0) return;
+        const head = buffered.subarray(0, end).toString();
+        buffered = buffered.subarray(end + 4);
+        if (!/^HTTP\/1\.1 101/.test(head)) {
+          socket.destroy();
+          reject(new Error(head.split('\r\n')[0]));
+          return;
+        }
+        client = {
+          accept: (/^sec-websocket-accept: (.*)$/im.exec(head) || [])[1],
+          send: msg => socket.write(clientFrame(0x1, Buffer.from(typeof msg === 'string' ? msg : JSON.stringify(msg)))),
+          sendFrame: (opcode, payload, fin) => socket.write(clientFrame(opcode, payload, fin)),
+          next(ms) {
+            if (messages.length) return Promise.resolve(messages.shift());
+            return new Promise((res, rej) => {
+              const timer = setTimeout(() => {
+                waiters.splice(waiters.indexOf(done), 1);
+                rej(new Error('no message'));
+              }, ms || 2000);
+              const done = (msg) => {
+                clearTimeout(timer);
+                res(msg);
+              };
+              waiters.push(done);
+            });
+          },
+          closed,
+          close: () => socket.destroy(),
+        };
+        resolve(client);
+      }
+      let frame;
+      while ((frame = readFrame())) {
+        if (frame.opcode === 0x1) deliver(frame.payload.toString('utf8'));
+        else if (frame.opcode === 0x9) socket.write(clientFrame(0xa, frame.payload));
+        else if (frame.opcode === 0x8) {
+          closeCode = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+          socket.end();
+        }
+      }
+    });
+    socket.on('close', () => onClosed(closeCode));
+    socket.on('error', reject);
+  });
+}
+
+module.exports = { recordGame, memoryStorage, tempDir, closeWhenDone, startServer, request, honestEntry, clientFrame, connectWebSocket };
@@ -0,0 +1,158 @@
+/* The leaderboard client and the ranking helpers it shares with the server. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Leaderboard = require('../leaderboard.js');
+const { memoryStorage } = require('./helpers.js');
+
+/** A fetch stand-in answering with `respond(url, init)` → { status, body }. */
+function fakeFetch(respond) {
+  const calls = [];
+  const fn = async (url, init) => {
+    calls.push({ url, init, body: init.body && JSON.parse(init.body) });
+    const { status, body } = await respond(url, init);
+    return { ok: status < 400, status, json: async () => body };
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+test('validateEntry refuses malformed entries', () => {
+  assert.equal(Leaderboard.validateEntry({ name: 'Ann', score: 10 }), null);
+  assert.match(Leaderboard.validateEntry({ name: ' ', score: 10 }), /name/);
+  assert.match(Leaderboard.validateEntry({ name: 'x'.repeat(25), score: 10 }), /at most 24/);
+  assert.match(Leaderboard.validateEntry({ name: 'Ann', score: 1.5 }), /score/);
+  assert.match(Leaderboard.validateEntry({ name: 'Ann', score: 1, id: '' }), /id/);
+  assert.match(Leaderboard.validateEntry({ name: 'Ann', score: 1, day: '19/10/2026' }), /day/);
+  assert.match(Leaderboard.validateEntry({ name: 'Ann', score: 1, replay: null }), /replay/);
+});
+
+test('rankEntries keeps the best and lets an earlier tie stay ahead', () => {
+  const list = [{ id: 'a', score: 50 }, { id: 'b', score: 30 }];
+  assert.deepEqual(Leaderboard.rankEntries(list, { id: 'c', score: 30 }, 3).map(e => e.id), ['a', 'b', 'c']);
+  assert.deepEqual(Leaderboard.rankEntries(list, { id: 'd', score: 60 }, 2).map(e => e.id), ['d', 'a']);
+});
+
+test('keepTop keeps the best of every day, event and all time, and hidden entries', () => {
+  const entry = (id, score, day, eventId, hidden) => ({ id, score, day, eventId, hidden });
+  const list = [
+    entry('a', 90, 'd1', 'e1'),
+    entry('h', 85, 'd1', 'e1', true),
+    entry('b', 80, 'd1', 'e1'),
+    entry('c', 70, 'd2', 'e1'),
+    entry('d', 60, 'd1', 'e2'),
+    entry('e', 50, 'd1', 'e1'),
+  ];
+  assert.deepEqual(Leaderboard.keepTop(list, 1).map(e => e.id), ['a', 'h', 'c', 'd']);
+  assert.deepEqual(Leaderboard.keepTop(list, 2).map(e => e.id), ['a', 'h', 'b', 'c', 'd']);
+});
+
+test('without an endpoint scores stay on this kiosk', async () => {
+  const storage = memoryStorage();
+  const board = Leaderboard.createLeaderboard({ storage, size: 2, kioskId: 'k1' });
+  await board.submit({ name: 'Ann', score: 10 });
+  await board.submit({ name: 'Bob', score: 30 });
+  const list = await board.submit({ name: 'Cy', score: 20 });
+  assert.deepEqual(list.map(e => e.name), ['Bob', 'Cy']);
+  assert.equal(list[0].kioskId, 'k1');
+  assert.deepEqual((await board.top()).map(e => e.score), [30, 20]);
+  assert.equal(JSON.parse(storage.getItem(Leaderboard.STORAGE_KEY)).length, 2);
+});
+
+test('a kiosk id is generated once and remembered', () => {
+  const storage = memoryStorage();
+  const first = Leaderboard.createLeaderboard({ storage }).kioskId;
+  assert.match(first, /^kiosk-/);
+  assert.equal(Leaderboard.createLeaderboard({ storage }).kioskId, first);
+});
+
+test('scores go to the server, and to the outbox when it cannot be reached', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let up = true;
+  const fetch = fakeFetch((url, init) => {
+    if (!up) throw new Error('offline');
+    return { status: 200, body: { entries: init.body ? [JSON.parse(init.body)] : [] } };
+  });
+  const queued = [];
+  const board = Leaderboard.createLeaderboard({
+    storage: memoryStorage(), endpoint: 'http://lb/api/leaderboard', fetch, eventId: 'expo',
+    outbox: { add: async entry => { queued.push(entry); } },
+  });
+
+  const list = await board.submit({ name: 'Ann', score: 10 }, 'today');
+  assert.equal(list[0].name, 'Ann');
+  const call = fetch.calls[0];
+  assert.equal(call.init.method, 'POST');
+  assert.match(call.url, /^http:\/\/lb\/api\/leaderboard\?window=today&day=\d{4}-\d{2}-\d{2}&event=expo&limit=5$/);
+  assert.equal(call.body.eventId, 'expo');
+  assert.ok(call.body.id);
+
+  up = false;
+  const offline = await board.submit({ name: 'Bob', score: 20 });
+  assert.deepEqual(offline.map(e => e.name), ['Bob', 'Ann']);
+  assert.deepEqual(queued.map(e => e.name), ['Bob']);
+  assert.deepEqual((await board.top()).map(e => e.name), ['Bob', 'Ann']);
+});
+
+test('post() marks client errors as permanent for the outbox', async () => {
+  const board = Leaderboard.createLeaderboard({
+    storage: memoryStorage(), endpoint: 'http://lb/api/leaderboard',
+    fetch: fakeFetch(() => ({ status: 422, body: { error: 'score rejected' } })),
+  });
+  await assert.rejects(board.post({ id: 'x', name: 'Ann', score: 1 }), err => err.permanent === true && err.status === 422);
+
+  const busy = Leaderboard.createLeaderboard({
+    storage: memoryStorage(), endpoint: 'http://lb/api/leaderboard',
+    fetch: fakeFetch(() => ({ status: 429, body: {} })),
+  });
+  await assert.rejects(busy.post({ id: 'y', name: 'Ann', score: 1 }), err => err.permanent === false);
+});
+
+test('staff settings go to the server with the PIN, and say when it could not be told', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let status = 200;
+  const fetch = fakeFetch(() => ({ status, body: { ok: status === 200 } }));
+  const board = Leaderboard.createLeaderboard({ storage: memoryStorage(), endpoint: 'http://lb/api/leaderboard', fetch, kioskId: 'k1' });
+  const settings = { gameTime: 60 };
+  assert.equal(await board.sendSettings(settings, '2468'), true);
+  const call = fetch.calls[0];
+  assert.equal(call.url, 'http://lb/api/leaderboard/settings');
+  assert.equal(call.init.headers['X-Admin-Pin'], '2468');
+  assert.deepEqual([call.body.kioskId, call.body.settings], ['k1', settings]);
+  status = 403;
+  assert.equal(await board.sendSettings(settings, '0000'), false);
+  assert.equal(await Leaderboard.createLeaderboard({ storage: memoryStorage() }).sendSettings(settings, '2468'), false);
+});
+
+test('time windows narrow a list to today or this event', () => {
+  const list = [
+    { id: 'a', score: 90, day: '2026-10-18', eventId: 'expo' },
+    { id: 'b', score: 80, day: '2026-10-19', eventId: 'fair' },
+    { id: 'c', score: 70, day: '2026-10-19', eventId: 'expo', hidden: true },
+    { id: 'd', score: 60, day: '2026-10-19', eventId: 'expo' },
+  ];
+  const ctx = { day: '2026-10-19', eventId: 'expo' };
+  const ids = (window, size) => Leaderboard.topEntries(list, window, ctx, size || 5).map(e => e.id);
+  assert.deepEqual(ids('today'), ['b', 'd']);
+  assert.deepEqual(ids('event'), ['a', 'd']);
+  assert.deepEqual(ids('all'), ['a', 'b', 'd']);
+  assert.deepEqual(ids('all', 1), ['a']);
+});
+
+test('localDay is the kiosk\'s calendar date', () => {
+  assert.equal(Leaderboard.localDay(new Date(2026, 0, 5, 23, 59).getTime()), '2026-01-05');
+  assert.equal(Leaderboard.localDay(new Date(2026, 0, 6, 0, 0).getTime()), '2026-01-06');
+});
+
+test('the local board keeps what each window can still show', async () => {
+  const storage = memoryStorage();
+  const board = Leaderboard.createLeaderboard({ storage, size: 1, eventId: 'expo' });
+  const old = { id: 'old', name: 'Old', score: 100, at: 1, day: '2000-01-01', kioskId: 'k', eventId: 'other' };
+  storage.setItem(Leaderboard.STORAGE_KEY, JSON.stringify([old]));
+  await board.submit({ name: 'Ann', score: 10 });
+  assert.deepEqual((await board.top('today')).map(e => e.name), ['Ann']);
+  assert.deepEqual((await board.top('event')).map(e => e.name), ['Ann']);
+  assert.deepEqual((await board.top('all')).map(e => e.name), ['Old']);
+});
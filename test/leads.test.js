@@ -0,0 +1,73 @@
+/* Lead capture: form validation, encryption and the stored envelope. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Leads = require('../leads.js');
+const MochiConfig = require('../config.js');
+
+const fields = MochiConfig.DEFAULTS.leads.fields;
+const { subtle } = crypto.webcrypto;
+
+function keyPair() {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+}
+
+test('validateFields checks the form config', () => {
+  assert.equal(Leads.validateFields(fields), null);
+  assert.match(Leads.validateFields([]), /non-empty/);
+  assert.match(Leads.validateFields([{ name: 'Email', label: 'Email', type: 'email' }]), /camelCase/);
+  assert.match(Leads.validateFields([{ name: 'a', label: 'A', type: 'text' }, { name: 'a', label: 'B', type: 'text' }]), /used twice/);
+  assert.match(Leads.validateFields([{ name: 'a', label: 'A', type: 'date' }]), /type/);
+});
+
+test('validateLead trims what was typed and explains what is missing or wrong', () => {
+  const ok = Leads.validateLead(fields, { email: '  ann@example.com ', phone: '', marketing: false, privacy: true });
+  assert.deepEqual(ok.errors, {});
+  assert.deepEqual(ok.values, { email: 'ann@example.com', phone: '', marketing: false, privacy: true });
+
+  const bad = Leads.validateLead(fields, { email: 'ann@', phone: '12', privacy: 'yes' });
+  assert.deepEqual(Object.keys(bad.errors).sort(), ['email', 'phone', 'privacy']);
+  assert.equal(bad.values.privacy, false);
+  assert.equal(Leads.validateLead(fields, { email: '', privacy: true }).errors.email, 'This field is required.');
+  assert.deepEqual(Leads.validateLead(fields, { email: 'a@b.co', phone: '+44 (0)20 7946-0018', privacy: true }).errors, {});
+});
+
+test('a lead encrypted with the public key opens only with its private key', async () => {
+  const keys = keyPair();
+  const lead = { values: { email: 'ann@example.com' }, name: 'Ann', score: 1200 };
+  const envelope = await Leads.encryptLead(lead, keys.publicKey, subtle);
+  assert.equal(envelope.v, 1);
+  assert.doesNotMatch(JSON.stringify(envelope), /ann@example/);
+  assert.deepEqual(await Leads.decryptLead(envelope, keys.privateKey, subtle), lead);
+  await assert.rejects(Leads.decryptLead(envelope, keyPair().privateKey, subtle));
+  await assert.rejects(Leads.decryptLead(Object.assign({}, envelope, { v: 2 }), keys.privateKey, subtle), /version/);
+});
+
+test('validateStoredLead accepts only a well-formed envelope', () => {
+  const lead = { id: 'lead-1', at: 5, kioskId: 'k1', envelope: { v: 1, key: 'a', iv: 'b', data: 'c' } };
+  assert.equal(Leads.validateStoredLead(lead), null);
+  assert.match(Leads.validateStoredLead(Object.assign({}, lead, { id: '' })), /id/);
+  assert.match(Leads.validateStoredLead(Object.assign({}, lead, { at: 'now' })), /at/);
+  assert.match(Leads.validateStoredLead(Object.assign({}, lead, { eventId: 7 })), /eventId/);
+  assert.match(Leads.validateStoredLead(Object.assign({}, lead, { envelope: { v: 1, key: 'a' } })), /envelope/);
+});
+
+test('postLead marks refusals as permanent and fetchLeads sends the PIN', async () => {
+  const calls = [];
+  const fetch = status => async (url, init) => {
+    calls.push({ url, init });
+    return { ok: status < 400, status, json: async () => ({ leads: ['x'] }) };
+  };
+  await assert.rejects(Leads.postLead('http://lb/api/leads', { id: 'l' }, { fetch: fetch(400) }), err => err.permanent === true);
+  await assert.rejects(Leads.postLead('http://lb/api/leads', { id: 'l' }, { fetch: fetch(503) }), err => err.permanent === false);
+  assert.deepEqual(await Leads.fetchLeads('http://lb/api/leads/', '2468', { fetch: fetch(200) }), ['x']);
+  assert.equal(calls[2].url, 'http://lb/api/leads/export');
+  assert.equal(calls[2].init.headers['X-Admin-Pin'], '2468');
+});
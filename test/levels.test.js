@@ -0,0 +1,64 @@
+/* Level mode: definitions and goal tracking from engine events. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Engine = require('../engine.js');
+const Levels = require('../levels.js');
+const MochiConfig = require('../config.js');
+
+const COLORS = ['pink', 'mint', 'lemon'];
+const BOARD = { rows: 8, cols: 6 };
+
+const level = {
+  name: 'Pink Party',
+  moves: 20,
+  goals: [
+    { type: 'score', target: 100 },
+    { type: 'clear', target: 4, color: 'pink' },
+    { type: 'trigger', target: 1, powerUp: 'bomb' },
+    { type: 'stone', target: 1 },
+    { type: 'jelly', target: 2 },
+  ],
+};
+
+test('the levels shipped in config.json are valid', () => {
+  const { config } = MochiConfig.resolveConfig(require('../config.json'));
+  const names = config.colors.map(c => c.name);
+  for (const def of config.levels) assert.equal(Levels.validateLevel(def, names, config.board), null, def.name);
+});
+
+test('validateLevel names what is wrong', () => {
+  assert.equal(Levels.validateLevel(level, COLORS, BOARD), null);
+  assert.match(Levels.validateLevel(Object.assign({}, level, { moves: 0 }), COLORS, BOARD), /moves/);
+  assert.match(Levels.validateLevel(Object.assign({}, level, { goals: [] }), COLORS, BOARD), /goals/);
+  assert.match(Levels.validateLevel(Object.assign({}, level, { goals: [{ type: 'clear', target: 3, color: 'blue' }] }), COLORS, BOARD), /color/);
+  assert.match(Levels.validateLevel(Object.assign({}, level, { goals: [{ type: 'trigger', target: 3, powerUp: 'nuke' }] }), COLORS, BOARD), /powerUp/);
+  assert.match(Levels.validateLevel(Object.assign({}, level, { layout: ['......'] }), COLORS, BOARD), /^layout/);
+});
+
+test('trackEvents counts every goal from a move\'s events', () => {
+  const progress = Levels.createProgress(level, COLORS);
+  Levels.trackEvents(progress, [
+    { type: 'score', chain: 1, points: 60 },
+    { type: 'destroy', chain: 1, cells: [0, 1, 2], colors: [0, 0, 1] },
+    { type: 'activate', chain: 1, row: 0, col: 0, powerUp: Engine.POWERUP_BOMB },
+    { type: 'blocker', chain: 1, stones: [5], jelly: [6, 7] },
+  ]);
+  assert.deepEqual(progress.goals.map(g => g.current), [60, 2, 1, 1, 2]);
+  assert.equal(Levels.isComplete(progress), false);
+
+  Levels.trackEvents(progress, [
+    { type: 'score', chain: 1, points: 45 },
+    { type: 'destroy', chain: 1, cells: [3, 4], colors: [0, 0] },
+  ]);
+  assert.equal(progress.score, 105);
+  assert.ok(progress.goals.every(Levels.isGoalMet));
+  assert.equal(Levels.isComplete(progress), true);
+});
+
+test('goalLabel gives the HUD names', () => {
+  const labels = Levels.createProgress(level, COLORS).goals.map(Levels.goalLabel);
+  assert.deepEqual(labels, ['Score', 'Pink', 'Bombs', 'Stones', 'Jelly']);
+});
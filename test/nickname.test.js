@@ -0,0 +1,45 @@
+/* Nickname filter: blocked words, disguises and the names it must let through. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Nickname = require('../nickname.js');
+
+const ok = (name, opts) => Nickname.checkNickname(name, opts).ok;
+
+test('trims and length-checks names', () => {
+  assert.deepEqual(Nickname.checkNickname('  Ann   Lee '), { ok: true, name: 'Ann Lee' });
+  assert.deepEqual(Nickname.checkNickname('   '), { ok: false, reason: 'empty' });
+  assert.deepEqual(Nickname.checkNickname('Bartholomew', { maxLength: 10 }), { ok: false, reason: 'length' });
+  assert.equal(ok('Bartholomew', { maxLength: 12 }), true);
+});
+
+test('blocks disguised words', () => {
+  for (const name of ['fuck', 'FUUUCK', '5h!t', 'F.u c_K', 'f u c k', 'sh it', 'Big fuckface']) {
+    assert.deepEqual(Nickname.checkNickname(name), { ok: false, reason: 'blocked' }, name);
+  }
+});
+
+test('lets through names that only contain a blocked word by accident', () => {
+  for (const name of ['Hancock', 'Peacock', 'Dickens', 'Bob Oobe', 'Grape Ape']) {
+    assert.equal(ok(name, { maxLength: 20 }), true, name);
+  }
+});
+
+test('adds the configured lists to the defaults', () => {
+  assert.equal(ok('Zorg'), true);
+  assert.equal(ok('Zorg', { blocklist: ['zorg'] }), false);
+  assert.equal(ok('Mr Zorg', { blocklist: ['zorg'] }), false);
+  assert.equal(ok('Zorgon', { blocklist: ['zorg'], allowlist: ['zorgon'] }), true);
+  assert.equal(ok('fuck', { blocklist: ['zorg'] }), false);
+});
+
+test('short words are only refused as a whole word', () => {
+  for (const name of ['Dickinson', 'Scunthorpe', 'Matsushita', 'Therapist', 'Fukuoka', 'Cockburn', 'Penistone']) {
+    assert.equal(ok(name, { maxLength: 20 }), true, name);
+  }
+  for (const name of ['dick', 'D1CKS', 'shithead', 'Mr Cunt', 'sh1tty', 'b u l l s h i t']) {
+    assert.equal(ok(name, { maxLength: 20 }), false, name);
+  }
+});
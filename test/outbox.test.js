@@ -0,0 +1,99 @@
+/* The offline outbox, on its localStorage backend. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Outbox = require('../outbox.js');
+const { memoryStorage } = require('./helpers.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** An outbox with no IndexedDB, fast retries and `send`; counts are recorded. */
+function makeOutbox(t, opts) {
+  t.mock.method(console, 'warn', () => {});
+  const counts = [];
+  const outbox = Outbox.createOutbox(Object.assign({
+    name: 'test-outbox',
+    indexedDB: null,
+    storage: memoryStorage(),
+    baseDelayMs: 5,
+    maxDelayMs: 20,
+    onChange: n => counts.push(n),
+  }, opts));
+  t.after(() => outbox.close());
+  return { outbox, counts };
+}
+
+test('queued items are delivered and removed', async (t) => {
+  const sent = [];
+  const { outbox, counts } = makeOutbox(t, { send: async payload => { sent.push(payload.id); } });
+  await outbox.add({ id: 'a', score: 1 });
+  await outbox.add({ id: 'b', score: 2 });
+  await wait(30);
+  await outbox.flush();
+  assert.deepEqual(sent, ['a', 'b']);
+  assert.equal(await outbox.pendingCount(), 0);
+  assert.equal(counts[counts.length - 1], 0);
+});
+
+test('a failed delivery is retried until it goes through', async (t) => {
+  let failures = 2;
+  const sent = [];
+  const { outbox } = makeOutbox(t, {
+    send: async (payload) => {
+      if (failures-- > 0) throw new Error('offline');
+      sent.push(payload.id);
+    },
+  });
+  await outbox.add({ id: 'a' });
+  for (let i = 0; i < 20 && sent.length === 0; i++) await wait(10);
+  assert.deepEqual(sent, ['a']);
+  assert.equal(await outbox.pendingCount(), 0);
+});
+
+test('an item the server refuses is kept for export but not retried', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  let attempts = 0;
+  const { outbox } = makeOutbox(t, {
+    send: async () => {
+      attempts++;
+      const err = new Error('HTTP 422');
+      err.permanent = true;
+      throw err;
+    },
+  });
+  await outbox.add({ id: 'a' });
+  await wait(30);
+  await outbox.flush();
+  assert.equal(attempts, 1);
+  assert.equal(await outbox.pendingCount(), 0);
+  const [item] = await outbox.items();
+  assert.equal(item.rejected, true);
+  assert.equal(item.error, 'HTTP 422');
+});
+
+test('the same payload queued twice is kept once', async (t) => {
+  const { outbox } = makeOutbox(t, {});
+  await outbox.add({ id: 'a', score: 1 });
+  await outbox.add({ id: 'a', score: 1 });
+  assert.equal((await outbox.items()).length, 1);
+});
+
+test('a storage failure is logged rather than left unhandled', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const unhandled = [];
+  const onUnhandled = e => unhandled.push(e);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  const full = memoryStorage();
+  full.setItem('test-outbox', JSON.stringify({ a: { id: 'a', payload: { id: 'a' }, createdAt: 0, attempts: 0, nextAt: 0 } }));
+  full.setItem = () => { throw new Error('quota exceeded'); };
+  const { outbox } = makeOutbox(t, { storage: full, send: async () => {} });
+  await assert.rejects(outbox.add({ id: 'b' }), /quota exceeded/);
+  await wait(10);
+  await outbox.flush();
+  assert.deepEqual(unhandled, []);
+  assert.ok(errors.mock.calls.some(call => /could not read or update/.test(call.arguments[0])));
+});
@@ -0,0 +1,139 @@
+/* Prizes: tiers, codes, a kiosk's own stock and the server's. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Prizes = require('../prizes.js');
+const { memoryStorage } = require('./helpers.js');
+
+const tiers = [
+  { id: 'sample', name: 'Free sample', minScore: 100, dailyCap: 2 },
+  { id: 'fullsize', name: 'Full-size bar', minScore: 500, dailyCap: 1 },
+];
+const game = (score, extra) => Object.assign({ name: 'Ann', score, at: 1000, day: '2026-10-19' }, extra);
+
+test('validateTiers checks ids, scores and caps', () => {
+  assert.equal(Prizes.validateTiers(tiers), null);
+  assert.equal(Prizes.validateTiers([]), null);
+  assert.match(Prizes.validateTiers({}), /list/);
+  assert.match(Prizes.validateTiers([tiers[0], tiers[0]]), /used twice/);
+  assert.match(Prizes.validateTiers([Object.assign({}, tiers[0], { id: 'Free Sample' })]), /slug/);
+  assert.match(Prizes.validateTiers([Object.assign({}, tiers[0], { minScore: -1 })]), /minScore/);
+  assert.match(Prizes.validateTiers([Object.assign({}, tiers[0], { dailyCap: 1.5 })]), /dailyCap/);
+});
+
+test('pickTier gives the best tier in stock and falls back to the ones below', () => {
+  assert.deepEqual(Prizes.pickTier(tiers, 50, {}), { tier: null, soldOut: false });
+  assert.equal(Prizes.pickTier(tiers, 800, {}).tier.id, 'fullsize');
+  assert.equal(Prizes.pickTier(tiers, 800, { fullsize: 1 }).tier.id, 'sample');
+  assert.deepEqual(Prizes.pickTier(tiers, 800, { fullsize: 1, sample: 2 }), { tier: null, soldOut: true });
+  assert.equal(Prizes.pickTier([Object.assign({}, tiers[0], { dailyCap: null })], 100, { sample: 1e6 }).tier.id, 'sample');
+});
+
+test('codes are read back however staff type them', () => {
+  const code = Prizes.newCode(n => new Uint8Array(n).map((_, i) => i * 7));
+  assert.match(code, /^[2-9A-Z]{4}-[2-9A-Z]{4}$/);
+  assert.equal(Prizes.normalizeCode(' ' + code.toLowerCase().replace('-', ' ') + ' '), code);
+  assert.equal(Prizes.normalizeCode('ABCD-EFG'), null);
+  assert.equal(Prizes.normalizeCode('ABCD-EFG1'), null, 'ambiguous characters are never in a code');
+  assert.notEqual(Prizes.newCode(), Prizes.newCode());
+});
+
+test('a kiosk store takes stock per day and redeems each code once', () => {
+  const storage = memoryStorage();
+  const store = Prizes.createPrizeStore(storage);
+  assert.equal(store.award(tiers, game(50)).award, null);
+  const first = store.award(tiers, game(800)).award;
+  assert.equal(first.tier, 'fullsize');
+  assert.equal(store.award(tiers, game(900)).award.tier, 'sample');
+  store.award(tiers, game(120));
+  assert.deepEqual(store.award(tiers, game(130)), { award: null, soldOut: true });
+  assert.equal(store.award(tiers, game(130, { day: '2026-10-20' })).award.tier, 'sample');
+  assert.deepEqual(store.awardedOn('2026-10-19'), { fullsize: 1, sample: 2 });
+
+  const again = Prizes.createPrizeStore(storage);
+  assert.equal(again.redeem(first.code.toLowerCase(), 5000).status, 'redeemed');
+  const twice = again.redeem(first.code, 6000);
+  assert.deepEqual([twice.status, twice.award.redeemedAt], ['already', 5000]);
+  assert.deepEqual(again.redeem('2222-2222', 7000), { award: null, status: 'unknown' });
+
+  storage.setItem(Prizes.STORE_KEY, '{broken');
+  assert.deepEqual(Prizes.createPrizeStore(storage).awards(), []);
+});
+
+/** fetch() standing in for the server: `answer(path, init)` gives { status, body }, or throws. */
+function fakeFetch(answer) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const path = url.replace('http://lb/api/prizes', '');
+    calls.push({ path, init });
+    const { status, body } = await answer(path, init);
+    return { ok: status < 400, status, json: async () => body };
+  };
+  return { fetch, calls };
+}
+
+test('with a server the award is the server\'s, signed like a score', async () => {
+  const local = Prizes.createPrizeStore(memoryStorage());
+  const award = { code: 'ABCD-EFGH', tier: 'sample', name: 'Ann', score: 120, at: 1000, day: '2026-10-19' };
+  const { fetch, calls } = fakeFetch(async () => ({ status: 200, body: { award, soldOut: false } }));
+  const deviceKey = Promise.resolve({ publicKey: 'PUB', sign: async text => 'sig:' + text.length });
+  const prizes = Prizes.createPrizeClient({ endpoint: 'http://lb/api/prizes/', local, fetch, deviceKey });
+
+  assert.deepEqual(await prizes.award(tiers, game(120, { id: 'g1' })), { award, soldOut: false });
+  assert.equal(calls[0].path, '/award');
+  assert.equal(calls[0].init.headers['X-Mochi-Key'], 'PUB');
+  assert.equal(calls[0].init.headers['X-Mochi-Signature'], 'sig:' + calls[0].init.body.length);
+  assert.deepEqual(local.awards(), []);
+});
+
+test('a server that refuses the game awards nothing; one that is down leaves it to the kiosk', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const local = Prizes.createPrizeStore(memoryStorage());
+  let status = 422;
+  const { fetch } = fakeFetch(async () => {
+    if (status === 0) throw new TypeError('fetch failed');
+    return { status, body: { error: 'nope' } };
+  });
+  const prizes = Prizes.createPrizeClient({ endpoint: 'http://lb/api/prizes', local, fetch });
+  assert.deepEqual(await prizes.award(tiers, game(800)), { award: null, soldOut: false });
+  status = 503;
+  assert.equal((await prizes.award(tiers, game(800))).award.tier, 'fullsize');
+  status = 0;
+  assert.equal((await prizes.award(tiers, game(800))).award.tier, 'sample');
+  assert.equal(local.awards().length, 2);
+});
+
+test('staff redeem on the server first, then among the codes this kiosk gave offline', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const local = Prizes.createPrizeStore(memoryStorage());
+  const offline = local.award(tiers, game(120)).award;
+  const onServer = { code: 'ABCD-EFGH', tier: 'sample', name: 'Bo', score: 150, at: 1000, day: '2026-10-19' };
+  let down = false;
+  const { fetch, calls } = fakeFetch(async (path, init) => {
+    if (down) throw new TypeError('fetch failed');
+    if (path === '/export') return { status: 200, body: { awards: [onServer] } };
+    const code = Prizes.normalizeCode(JSON.parse(init.body).code);
+    return { status: 200, body: code === onServer.code ? { award: onServer, status: 'redeemed' } : { award: null, status: 'unknown' } };
+  });
+  const prizes = Prizes.createPrizeClient({ endpoint: 'http://lb/api/prizes', local, fetch });
+
+  assert.equal((await prizes.redeem('abcd efgh', 5000, '2468')).status, 'redeemed');
+  assert.equal(calls[0].init.headers['X-Admin-Pin'], '2468');
+  assert.equal((await prizes.redeem(offline.code, 5000, '2468')).status, 'redeemed');
+  assert.deepEqual(await prizes.awards('2468'), { local: local.awards(), server: [onServer] });
+
+  down = true;
+  assert.equal((await prizes.redeem(offline.code, 6000, '2468')).status, 'already');
+  assert.equal((await prizes.redeem(onServer.code, 6000, '2468')).status, 'unknown');
+  assert.equal((await prizes.awards('2468')).server, null);
+});
+
+test('without an endpoint the client is the kiosk\'s own store', async () => {
+  const local = Prizes.createPrizeStore(memoryStorage());
+  const prizes = Prizes.createPrizeClient({ endpoint: null, local, fetch: () => assert.fail('no server to ask') });
+  const { award } = await prizes.award(tiers, game(120));
+  assert.equal((await prizes.redeem(award.code, 5000)).status, 'redeemed');
+  assert.deepEqual(await prizes.awards(), { local: local.awards(), server: null });
+});
@@ -0,0 +1,150 @@
+/* server/relay.js over real WebSockets: versus pairing and results, and the spectator channels. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MochiConfig = require('../config.js');
+const { startServer, connectWebSocket } = require('./helpers.js');
+
+const reference = MochiConfig.resolveConfig(require('../config.json')).config;
+const setup = { rows: 8, cols: 6, rules: { numColors: 5 }, time: 45, timeBonus: { enabled: false, maxSeconds: 0 } };
+
+/** The relay's ws:// base URL on a fresh server. */
+async function relayUrl(t) {
+  t.mock.method(console, 'log', () => {});
+  const { url } = await startServer(t, { config: reference });
+  return url.replace(/^http/, 'ws');
+}
+
+/** Two kiosks paired in `room`; resolves to [first, second] with their start messages read. */
+async function pair(t, base, room) {
+  const first = await connectWebSocket(t, base + '/ws/versus');
+  first.send({ type: 'join', room, name: 'Ann', setup });
+  assert.deepEqual(await first.next(), { type: 'waiting' });
+  const second = await connectWebSocket(t, base + '/ws/versus');
+  second.send({ type: 'join', room, name: 'Bo', setup: Object.assign({}, setup, { time: 60 }) });
+  first.start = await first.next();
+  second.start = await second.next();
+  return [first, second];
+}
+
+test('two kiosks in one room race the same seed on the first one\'s setup', async (t) => {
+  const base = await relayUrl(t);
+  const [ann, bo] = await pair(t, base, 'booth');
+  assert.equal(ann.start.type, 'start');
+  assert.equal(ann.start.seed, bo.start.seed);
+  assert.equal(ann.start.matchId, bo.start.matchId);
+  assert.deepEqual([ann.start.setup, bo.start.setup], [setup, setup]);
+  assert.deepEqual([ann.start.opponent.name, bo.start.opponent.name], ['Bo', 'Ann']);
+
+  /* another room is another race */
+  const cy = await connectWebSocket(t, base + '/ws/versus');
+  cy.send({ type: 'join', room: 'stage', name: 'Cy', setup });
+  assert.deepEqual(await cy.next(), { type: 'waiting' });
+});
+
+test('scores pass between the two, and both hear the result once both finish', async (t) => {
+  const base = await relayUrl(t);
+  const [ann, bo] = await pair(t, base, 'booth');
+  ann.send({ type: 'progress', score: 40, grid: '01/23' });
+  assert.deepEqual(await bo.next(), { type: 'opponent', score: 40, grid: '01/23' });
+  bo.send({ type: 'progress', score: -3 });
+  assert.equal((await bo.next()).type, 'error');
+
+  ann.send({ type: 'finish', score: 150 });
+  assert.deepEqual(await bo.next(), { type: 'opponent', score: 150, finished: true });
+  bo.send({ type: 'finish', score: 90 });
+  assert.deepEqual(await ann.next(), { type: 'opponent', score: 90, finished: true });
+  const [annResult, boResult] = [await ann.next(), await bo.next()];
+  assert.deepEqual(annResult, {
+    type: 'result', outcome: 'win', you: { name: 'Ann', score: 150 }, opponent: { name: 'Bo', score: 90 }, forfeit: false,
+  });
+  assert.deepEqual([boResult.outcome, boResult.forfeit], ['lose', false]);
+});
+
+test('a kiosk that drops out forfeits to the one still playing', async (t) => {
+  const base = await relayUrl(t);
+  const [ann, bo] = await pair(t, base, 'booth');
+  bo.close();
+  assert.deepEqual(await ann.next(), { type: 'opponent_left' });
+  ann.send({ type: 'finish', score: 10 });
+  const result = await ann.next();
+  assert.deepEqual([result.outcome, result.forfeit, result.opponent.score], ['win', true, null]);
+
+  /* the room is free again */
+  const cy = await connectWebSocket(t, base + '/ws/versus');
+  cy.send({ type: 'join', room: 'booth', name: 'Cy', setup });
+  assert.deepEqual(await cy.next(), { type: 'waiting' });
+});
+
+test('malformed, unknown and repeated messages are answered with an error', async (t) => {
+  const base = await relayUrl(t);
+  const ws = await connectWebSocket(t, base + '/ws/versus');
+  ws.send('{oops');
+  assert.deepEqual(await ws.next(), { type: 'error', message: 'messages must be JSON' });
+  ws.send({ type: 'dance' });
+  assert.match((await ws.next()).message, /unknown message type/);
+  ws.send({ type: 'join', room: 'booth', name: '', setup });
+  assert.match((await ws.next()).message, /name/);
+  ws.send({ type: 'join', room: 'booth', name: 'Ann', setup });
+  assert.equal((await ws.next()).type, 'waiting');
+  ws.send({ type: 'join', room: 'booth', name: 'Ann', setup });
+  assert.deepEqual(await ws.next(), { type: 'error', message: 'already joined' });
+  /* progress before a match is ignored */
+  ws.send({ type: 'progress', score: 5 });
+  await assert.rejects(ws.next(200), /no message/);
+});
+
+/** A `game` message a kiosk on the reference config could send. */
+function gameMessage(extra) {
+  return Object.assign({
+    type: 'game', gameId: 'g1', name: 'Ann', mode: 'timed', seed: 42,
+    rows: reference.board.rows, cols: reference.board.cols, rules: MochiConfig.engineRules(reference),
+    time: reference.gameTime, layout: reference.board.layout, timeBonus: reference.timeBonus,
+    moves: [], clock: null, paused: false,
+  }, extra);
+}
+
+test('a kiosk\'s valid messages reach the screens on its channel, and their hellos reach it', async (t) => {
+  const base = await relayUrl(t);
+  const spectate = (channel, role) => connectWebSocket(t, `${base}/ws/spectate?channel=${channel}&role=${role}`);
+  const kiosk = await spectate('booth', 'kiosk');
+  const screen = await spectate('booth', 'spectator');
+  const elsewhere = await spectate('stage', 'spectator');
+
+  screen.send({ type: 'hello', extra: 'dropped' });
+  assert.deepEqual(await kiosk.next(), { type: 'hello' });
+  screen.send({ type: 'game', gameId: 'fake' });
+  screen.send('{oops');
+
+  kiosk.send(gameMessage());
+  assert.deepEqual(await screen.next(), gameMessage());
+  kiosk.send(gameMessage({ rows: 500 }));
+  assert.match((await kiosk.next()).message, /rows/);
+  kiosk.send('{oops');
+  assert.deepEqual(await kiosk.next(), { type: 'error', message: 'messages must be JSON' });
+  kiosk.send({ type: 'end', gameId: 'g1', score: 10, reason: 'over' });
+  assert.deepEqual(await screen.next(), { type: 'end', gameId: 'g1', score: 10, reason: 'over' });
+  await assert.rejects(elsewhere.next(200), /no message/);
+  await assert.rejects(kiosk.next(200), /no message/, 'only a screen\'s hello goes to the kiosk');
+});
+
+test('a kiosk that reconnects replaces its old link and hears the screens already watching', async (t) => {
+  const base = await relayUrl(t);
+  const url = `${base}/ws/spectate?channel=booth&role=`;
+  const old = await connectWebSocket(t, url + 'kiosk');
+  const screen = await connectWebSocket(t, url + 'spectator');
+  const kiosk = await connectWebSocket(t, url + 'kiosk');
+  assert.equal(await old.closed, 4000);
+  assert.deepEqual(await kiosk.next(), { type: 'hello' });
+  kiosk.send({ type: 'pause', gameId: 'g1' });
+  assert.deepEqual(await screen.next(), { type: 'pause', gameId: 'g1' });
+});
+
+test('a spectator link needs a channel name and a role', async (t) => {
+  const base = await relayUrl(t);
+  await assert.rejects(connectWebSocket(t, `${base}/ws/spectate?channel=booth&role=admin`), /400/);
+  await assert.rejects(connectWebSocket(t, `${base}/ws/spectate?channel=../etc&role=kiosk`), /400/);
+  await assert.rejects(connectWebSocket(t, `${base}/ws/spectate?role=kiosk`), /400/);
+});
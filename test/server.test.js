@@ -0,0 +1,266 @@
+/* server/server.js over HTTP: the leaderboard, analytics, leads and prizes APIs and static files. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MochiConfig = require('../config.js');
+const DeviceKey = require('../device-key.js');
+const { floorSettings } = require('../server/verify.js');
+const { startServer, request, honestEntry, tempDir, memoryStorage } = require('./helpers.js');
+
+const reference = MochiConfig.resolveConfig(require('../config.json')).config;
+
+/* Node has no IndexedDB, so device keys here are kept in a memory storage */
+function loadKey(storage) {
+  return DeviceKey.loadDeviceKey({ indexedDB: null, storage, subtle: require('crypto').webcrypto.subtle });
+}
+
+test('a verified score is stored and ranked', async (t) => {
+  const { url, dataDir } = await startServer(t, { config: reference });
+  assert.deepEqual((await request(`${url}/api/leaderboard`)).body, { entries: [] });
+
+  const entry = honestEntry(reference, 1, { id: 'a1' });
+  const posted = await request(`${url}/api/leaderboard`, { body: entry });
+  assert.equal(posted.status, 200);
+  assert.equal(posted.body.rank, 1);
+  assert.equal(posted.body.entries[0].score, entry.score);
+  assert.equal(posted.body.entries[0].name, 'Ann');
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8'));
+  assert.equal(stored.entries.length, 1);
+  assert.equal(stored.entries[0].id, 'a1');
+});
+
+test('a re-posted id is answered without being stored twice', async (t) => {
+  const { url } = await startServer(t, { config: reference });
+  const entry = honestEntry(reference, 2, { id: 'dup' });
+  await request(`${url}/api/leaderboard`, { body: entry });
+  const again = await request(`${url}/api/leaderboard`, { body: entry });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.rank, 1);
+  assert.equal(again.body.entries.length, 1);
+});
+
+test('malformed posts, rude names and unearned scores are refused', async (t) => {
+  const { url, dataDir } = await startServer(t, { config: reference });
+  const entry = honestEntry(reference, 3);
+  assert.equal((await request(`${url}/api/leaderboard`, { body: Object.assign({}, entry, { score: -1 }) })).status, 400);
+  assert.equal((await request(`${url}/api/leaderboard`, { body: Object.assign({}, entry, { name: 'fuck' }) })).status, 400);
+  assert.equal((await request(`${url}/api/leaderboard?window=week`)).status, 400);
+  assert.equal((await request(`${url}/api/leaderboard`, { method: 'POST', body: null })).status, 400);
+
+  t.mock.method(console, 'warn', () => {});
+  const cheat = await request(`${url}/api/leaderboard`, { body: Object.assign({}, entry, { score: entry.score + 500 }) });
+  assert.equal(cheat.status, 422);
+  assert.match(cheat.body.error, /does not match the replay/);
+  const rejected = fs.readFileSync(path.join(dataDir, 'rejected.ndjson'), 'utf8').trim().split('\n');
+  assert.equal(rejected.length, 1);
+  assert.equal((await request(`${url}/api/leaderboard`)).body.entries.length, 0);
+});
+
+test('only what a window can still list is kept on disk', async (t) => {
+  const dataDir = tempDir(t);
+  const day = '2026-10-19';
+  const entries = Array.from({ length: 150 }, (_, i) => ({
+    id: 'old' + i, name: 'Old', score: 100000 - i, at: 1, day, kioskId: 'k', eventId: 'default',
+  }));
+  fs.writeFileSync(path.join(dataDir, 'leaderboard.json'), JSON.stringify({ entries }));
+  const { url } = await startServer(t, { config: reference, dataDir });
+
+  const posted = await request(`${url}/api/leaderboard?window=today&day=2026-10-20&limit=100`, { body: honestEntry(reference, 4, { id: 'new', day: '2026-10-20' }) });
+  assert.equal(posted.status, 200);
+  assert.equal(posted.body.rank, 1);
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8')).entries;
+  /* the new score is in no all-time or event top 100, but it leads its own day */
+  assert.equal(stored.length, 101);
+  assert.ok(stored.some(e => e.id === 'new'));
+  assert.ok(!stored.some(e => e.id === 'old100'));
+});
+
+test('the game is served but the server, tools, keys and dotfiles are not', async (t) => {
+  const { url } = await startServer(t, { config: reference });
+  const index = await fetch(`${url}/`);
+  assert.equal(index.status, 200);
+  assert.match(index.headers.get('content-type'), /text\/html/);
+  await index.text();
+  for (const hidden of ['/server/server.js', '/tools/lead-keys.js', '/lead-private.pem', '/.git/config', '/%2e%2e/etc/passwd']) {
+    const res = await fetch(url + hidden);
+    await res.text();
+    assert.equal(res.status, 404, hidden);
+  }
+  assert.equal((await request(`${url}/api/nope`)).status, 404);
+  assert.equal((await request(`${url}/index.html`, { method: 'DELETE' })).status, 405);
+});
+
+test('windows list today\'s and this event\'s scores as the kiosk dates them', async (t) => {
+  const { url } = await startServer(t, { config: reference });
+  const post = (seed, day, event) => request(`${url}/api/leaderboard?event=${event}`, {
+    body: honestEntry(reference, seed, { day, eventId: event }),
+  });
+  await post(5, '2026-10-18', 'expo');
+  await post(6, '2026-10-19', 'fair');
+  await post(7, '2026-10-19', 'expo');
+  const list = async query => (await request(`${url}/api/leaderboard?${query}`)).body.entries.map(e => `${e.day} ${e.eventId}`).sort();
+  assert.deepEqual(await list('window=today&day=2026-10-19'), ['2026-10-19 expo', '2026-10-19 fair']);
+  assert.deepEqual(await list('window=event&event=expo'), ['2026-10-18 expo', '2026-10-19 expo']);
+  assert.equal((await list('window=all')).length, 3);
+  assert.equal((await list('window=all&limit=1')).length, 1);
+});
+
+test('staff routes need the admin PIN', async (t) => {
+  const { url } = await startServer(t, { config: reference, adminPin: '2468' });
+  const pin = { 'X-Admin-Pin': '2468' };
+  await request(`${url}/api/leaderboard`, { body: honestEntry(reference, 8, { id: 'h1' }) });
+
+  assert.equal((await request(`${url}/api/leaderboard/admin`, { headers: { 'X-Admin-Pin': '1357' } })).status, 403);
+  assert.deepEqual((await request(`${url}/api/leaderboard/admin`, { headers: pin })).body, { ok: true });
+  assert.equal((await request(`${url}/api/leaderboard/export`)).status, 403);
+  assert.equal((await request(`${url}/api/leaderboard/hide`, { body: { id: 'h1' } })).status, 403);
+
+  assert.equal((await request(`${url}/api/leaderboard/hide`, { body: { id: 'nope' }, headers: pin })).status, 404);
+  assert.equal((await request(`${url}/api/leaderboard/hide`, { body: { id: 'h1' }, headers: pin })).status, 200);
+  assert.equal((await request(`${url}/api/leaderboard`)).body.entries.length, 0);
+  assert.equal((await request(`${url}/api/leaderboard/export`, { headers: pin })).body.entries[0].hidden, true);
+
+  t.mock.method(console, 'log', () => {});
+  const cleared = await request(`${url}/api/leaderboard/clear`, { method: 'POST', headers: pin });
+  assert.equal(cleared.status, 200);
+  assert.ok(cleared.body.backup);
+  assert.deepEqual((await request(`${url}/api/leaderboard/export`, { headers: pin })).body.entries, []);
+});
+
+test('a server started without a PIN has no staff routes to unlock', async (t) => {
+  const { url } = await startServer(t, { config: reference });
+  assert.equal((await request(`${url}/api/leaderboard/admin`, { headers: { 'X-Admin-Pin': '' } })).status, 404);
+  assert.equal((await request(`${url}/api/leaderboard/export`)).status, 403);
+});
+
+test('scores must be played with config.json\'s settings or those staff sent for the kiosk', async (t) => {
+  const { url, dataDir } = await startServer(t, { config: reference, adminPin: '2468' });
+  const longer = Object.assign({}, reference, { gameTime: reference.gameTime + 15 });
+  const post = (config, seed, extra) => request(`${url}/api/leaderboard`, { body: honestEntry(config, seed, Object.assign({ id: 'f' + seed }, extra)) });
+  const settings = Object.assign(floorSettings(reference), { gameTime: longer.gameTime });
+  const send = (body, headers) => request(`${url}/api/leaderboard/settings`, { body, headers });
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+
+  assert.equal((await post(longer, 1, { kioskId: 'k1', at: 2000 })).status, 422);
+  assert.equal((await send({ kioskId: 'k1', settings, at: 1000 })).status, 403);
+  assert.equal((await send({ kioskId: 'k1', settings: Object.assign({}, settings, { gameTime: 5000 }) }, { 'X-Admin-Pin': '2468' })).status, 400);
+  assert.equal((await send({ kioskId: 'k1', settings, at: 1000 }, { 'X-Admin-Pin': '2468' })).status, 200);
+  assert.ok(fs.existsSync(path.join(dataDir, 'floors.json')));
+
+  assert.equal((await post(longer, 2, { kioskId: 'k1', at: 2000 })).status, 200);
+  assert.equal((await post(longer, 3, { kioskId: 'k2', at: 2000 })).status, 422, 'other kiosks keep config.json\'s');
+  /* a score k1 queued before the change still counts; one played after with the old settings doesn't */
+  assert.equal((await post(reference, 4, { kioskId: 'k1', at: 500 })).status, 200);
+  assert.equal((await post(reference, 5, { kioskId: 'k1', at: 3000 })).status, 422);
+});
+
+test('a kiosk\'s first signed score pins its key', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { url } = await startServer(t, { config: reference });
+  const [key, other] = [await loadKey(memoryStorage()), await loadKey(memoryStorage())];
+  const post = async (entry, signer, signature) => {
+    const headers = signer ? { 'X-Mochi-Key': signer.publicKey, 'X-Mochi-Signature': signature || await signer.sign(JSON.stringify(entry)) } : {};
+    return (await request(`${url}/api/leaderboard`, { body: entry, headers })).status;
+  };
+  assert.equal(await post(honestEntry(reference, 1, { kioskId: 'k1' }), key), 200);
+  assert.equal(await post(honestEntry(reference, 2, { kioskId: 'k1' })), 401);
+  assert.equal(await post(honestEntry(reference, 3, { kioskId: 'k1' }), other), 401);
+  assert.equal(await post(honestEntry(reference, 4, { kioskId: 'k1' }), key, await key.sign('something else')), 401);
+  assert.equal(await post(honestEntry(reference, 5), key), 400, 'a signature names its kiosk');
+  assert.equal(await post(honestEntry(reference, 6, { kioskId: 'k2' })), 200, 'unsigned kiosks are still taken');
+});
+
+test('with --require-signed only kiosks staff registered may post', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  const { url } = await startServer(t, { config: reference, adminPin: '2468', requireSigned: true });
+  const key = await loadKey(memoryStorage());
+  const entry = honestEntry(reference, 1, { kioskId: 'k1' });
+  const signed = async () => request(`${url}/api/leaderboard`, {
+    body: entry,
+    headers: { 'X-Mochi-Key': key.publicKey, 'X-Mochi-Signature': await key.sign(JSON.stringify(entry)) },
+  });
+  assert.equal((await request(`${url}/api/leaderboard`, { body: entry })).status, 401);
+  assert.equal((await signed()).status, 401);
+
+  const register = (body, headers) => request(`${url}/api/leaderboard/devices`, { body, headers });
+  assert.equal((await register({ kioskId: 'k1', publicKey: key.publicKey })).status, 403);
+  assert.equal((await register({ kioskId: 'k1', publicKey: 'bm90IGEga2V5' }, { 'X-Admin-Pin': '2468' })).status, 400);
+  assert.equal((await register({ kioskId: 'k1', publicKey: key.publicKey }, { 'X-Admin-Pin': '2468' })).status, 200);
+  assert.equal((await signed()).status, 200);
+});
+
+test('analytics batches are stored once, even when resent after a restart', async (t) => {
+  const dataDir = tempDir(t);
+  const pin = { 'X-Admin-Pin': '2468' };
+  const batch = { id: 'batch-p-1', events: [{ id: 'p-1', type: 'game_end', at: 1, fired: { bomb: 1 } }] };
+  const first = await startServer(t, { config: reference, dataDir, adminPin: '2468' });
+  assert.equal((await request(`${first.url}/api/analytics`, { body: batch })).status, 200);
+  assert.equal((await request(`${first.url}/api/analytics`, { body: batch })).status, 200);
+
+  const second = await startServer(t, { config: reference, dataDir, adminPin: '2468' });
+  assert.equal((await request(`${second.url}/api/analytics`, { body: batch })).status, 200);
+  assert.equal((await request(`${second.url}/api/analytics`, { body: { id: 'b2', events: [{ type: 'Bad', at: 1 }] } })).status, 400);
+  assert.equal((await request(`${second.url}/api/analytics`, { body: { events: [] } })).status, 400);
+
+  assert.equal((await request(`${second.url}/api/analytics/export`)).status, 403);
+  assert.deepEqual((await request(`${second.url}/api/analytics/export`, { headers: pin })).body.events, batch.events);
+  const csv = await request(`${second.url}/api/analytics/export?format=csv`, { headers: pin });
+  assert.equal(csv.body, 'id,type,at,fired.bomb\r\np-1,game_end,1,1\r\n');
+});
+
+test('leads are stored once, still encrypted, and exported only with the PIN', async (t) => {
+  const { url, dataDir } = await startServer(t, { config: reference, adminPin: '2468' });
+  const lead = { id: 'lead-1', at: 5, kioskId: 'k1', eventId: 'expo', envelope: { v: 1, key: 'a', iv: 'b', data: 'c' }, extra: 'dropped' };
+  assert.equal((await request(`${url}/api/leads`, { body: lead })).status, 200);
+  assert.equal((await request(`${url}/api/leads`, { body: lead })).status, 200);
+  assert.equal((await request(`${url}/api/leads`, { body: Object.assign({}, lead, { envelope: null }) })).status, 400);
+
+  assert.equal((await request(`${url}/api/leads/export`)).status, 403);
+  const { leads } = (await request(`${url}/api/leads/export`, { headers: { 'X-Admin-Pin': '2468' } })).body;
+  assert.deepEqual(leads, [{ id: 'lead-1', at: 5, kioskId: 'k1', eventId: 'expo', envelope: lead.envelope }]);
+  assert.ok(fs.existsSync(path.join(dataDir, 'leads.ndjson')));
+});
+
+test('every kiosk gives prizes out of one stock, and any of them redeems a code', async (t) => {
+  const json = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf8'));
+  json.prizes = { enabled: true, tiers: [{ id: 'sample', name: 'Free sample', minScore: 1, dailyCap: 2 }] };
+  const config = MochiConfig.resolveConfig(json).config;
+  const { url, dataDir } = await startServer(t, { config, adminPin: '2468' });
+  const award = (seed, extra) => request(`${url}/api/prizes/award`, {
+    body: honestEntry(config, seed, Object.assign({ id: 'p' + seed, day: '2026-10-19' }, extra)),
+  });
+
+  const first = await award(1, { kioskId: 'k1' });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.award.tier, 'sample');
+  assert.deepEqual((await award(1, { kioskId: 'k1' })).body, first.body, 'an id asked again gets the same code');
+  assert.equal((await award(1, { id: 'other', kioskId: 'k2' })).status, 409);
+  assert.equal((await award(2, { kioskId: 'k2' })).body.award.tier, 'sample');
+  assert.deepEqual((await award(3, { kioskId: 'k3' })).body, { award: null, soldOut: true });
+  assert.equal((await award(4, { score: 999999 })).status, 422);
+  assert.equal((await request(`${url}/api/prizes/award`, { body: honestEntry(config, 5) })).status, 400);
+
+  const pin = { 'X-Admin-Pin': '2468' };
+  const redeem = code => request(`${url}/api/prizes/redeem`, { body: { code }, headers: pin });
+  assert.equal((await request(`${url}/api/prizes/redeem`, { body: { code: first.body.award.code } })).status, 403);
+  assert.equal((await redeem(first.body.award.code.toLowerCase())).body.status, 'redeemed');
+  assert.equal((await redeem(first.body.award.code)).body.status, 'already');
+  assert.deepEqual((await redeem('2222-2222')).body, { award: null, status: 'unknown' });
+
+  assert.equal((await request(`${url}/api/prizes/export`)).status, 403);
+  const { awards } = (await request(`${url}/api/prizes/export`, { headers: pin })).body;
+  assert.deepEqual(awards.map(a => [a.kioskId, a.tier, !!a.redeemedAt]), [['k1', 'sample', true], ['k2', 'sample', false]]);
+  assert.ok(fs.existsSync(path.join(dataDir, 'prizes.json')));
+});
+
+test('a server whose config has prizes off gives none', async (t) => {
+  const { url } = await startServer(t, { config: reference });
+  assert.equal((await request(`${url}/api/prizes/award`, { body: honestEntry(reference, 1, { id: 'p1' }) })).status, 404);
+});
@@ -0,0 +1,163 @@
+/* The spectator feed: what a wall screen will re-play, and how it hears it. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Spectator = require('../spectator.js');
+const MochiConfig = require('../config.js');
+
+const reference = MochiConfig.resolveConfig(require('../config.json')).config;
+
+/** A `game` message as game.js publishes it, with `extra` on top. */
+function gameMessage(extra) {
+  return Object.assign({
+    type: 'game',
+    gameId: 'g1',
+    name: 'Ann',
+    mode: 'timed',
+    seed: 42,
+    rows: reference.board.rows,
+    cols: reference.board.cols,
+    rules: MochiConfig.engineRules(reference),
+    time: reference.gameTime,
+    layout: reference.board.layout,
+    timeBonus: reference.timeBonus,
+    moves: [[500, 0, 0, 0, 1]],
+    clock: null,
+    paused: false,
+  }, extra);
+}
+
+test('a game a kiosk could be playing passes', () => {
+  assert.equal(Spectator.validateMessage(JSON.parse(JSON.stringify(gameMessage()))), null);
+  const { rows, cols } = reference.board;
+  const layout = Array.from({ length: rows }, (_, r) => (r === 0 ? 'S' : '').padEnd(cols, '.'));
+  assert.equal(Spectator.validateMessage(gameMessage({ layout })), null);
+  assert.equal(Spectator.validateMessage(gameMessage({ clock: { label: 'TIME', value: 30, pct: 50, urgent: false } })), null);
+});
+
+test('a game no kiosk could be set to is refused', () => {
+  const bad = {
+    rows: 1000,
+    cols: 0,
+    time: 100000,
+    seed: -1,
+    name: 'x'.repeat(100),
+    rules: Object.assign(MochiConfig.engineRules(reference), { numColors: 99 }),
+    layout: ['SSSSSS'],
+    moves: [['a', 0, 0, 0, 1]],
+    timeBonus: null,
+    clock: { label: 'TIME' },
+  };
+  for (const [key, value] of Object.entries(bad)) {
+    assert.notEqual(Spectator.validateMessage(gameMessage({ [key]: value })), null, key);
+  }
+  const rules = extra => gameMessage({ rules: Object.assign(MochiConfig.engineRules(reference), extra) });
+  assert.match(Spectator.validateMessage(rules({ pointsPerCell: 1e9 })), /rules\.pointsPerCell/);
+  assert.match(Spectator.validateMessage(rules({ comboMultipliers: { blast: 'lots' } })), /rules\.comboMultipliers\.blast/);
+  assert.match(Spectator.validateMessage(rules({ tapActivates: 'yes' })), /tapActivates/);
+  assert.match(Spectator.validateMessage(rules({ teleport: true })), /rules\.teleport/);
+});
+
+test('other kiosk messages are checked by type', () => {
+  assert.equal(Spectator.validateMessage({ type: 'hello' }), null);
+  assert.equal(Spectator.validateMessage({ type: 'move', gameId: 'g1', move: [900, 1, 1, 1, 2] }), null);
+  assert.equal(Spectator.validateMessage({ type: 'pause', gameId: 'g1' }), null);
+  assert.equal(Spectator.validateMessage({ type: 'end', gameId: 'g1', score: 120, reason: 'over' }), null);
+  assert.notEqual(Spectator.validateMessage({ type: 'move', gameId: 'g1', move: [900, 1, 1] }), null);
+  assert.notEqual(Spectator.validateMessage({ type: 'move', move: [900, 1, 1, 1, 2] }), null);
+  assert.notEqual(Spectator.validateMessage({ type: 'end', gameId: 'g1', score: -5, reason: 'over' }), null);
+  assert.notEqual(Spectator.validateMessage({ type: 'clock', gameId: 'g1', label: 'TIME', value: 'soon', pct: 1, urgent: false }), null);
+  assert.notEqual(Spectator.validateMessage({ type: 'explode', gameId: 'g1' }), null);
+  assert.notEqual(Spectator.validateMessage(null), null);
+});
+
+/** A WebSocket stand-in; every one made is in `sockets`. */
+function fakeSockets() {
+  const sockets = [];
+  class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 1;
+      this.sent = [];
+      sockets.push(this);
+    }
+    send(text) { this.sent.push(JSON.parse(text)); }
+    close() {}
+  }
+  return { sockets, FakeSocket };
+}
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms || 10));
+
+test('a screen hears only well-formed messages, and malformed JSON is dropped quietly', (t) => {
+  const { sockets, FakeSocket } = fakeSockets();
+  const heard = [];
+  const link = Spectator.subscribe({ channel: 'booth', endpoint: 'ws://relay/ws/spectate', onMessage: msg => heard.push(msg), WebSocket: FakeSocket });
+  const [socket] = sockets;
+  assert.match(socket.url, /channel=booth&role=spectator$/);
+  socket.onopen();
+  assert.deepEqual(socket.sent, [{ type: 'hello' }]);
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  socket.onmessage({ data: '{not json' });
+  socket.onmessage({ data: JSON.stringify(gameMessage({ rows: 500 })) });
+  socket.onmessage({ data: JSON.stringify({ type: 'hello' }) });
+  socket.onmessage({ data: JSON.stringify(gameMessage()) });
+  assert.equal(warn.mock.callCount(), 0);
+  assert.deepEqual(heard.map(m => m.type), ['game']);
+  link.close();
+});
+
+test('on one machine a kiosk\'s feed reaches its screens, and their hello reaches the kiosk', async () => {
+  let hellos = 0;
+  const feed = Spectator.createFeed({ channel: 'bc-test', onHello: () => hellos++ });
+  const heard = [];
+  const screen = Spectator.subscribe({ channel: 'bc-test', onMessage: msg => heard.push(msg) });
+  const other = Spectator.subscribe({ channel: 'elsewhere', onMessage: msg => heard.push(msg) });
+  await tick();
+  assert.equal(hellos, 1, 'a screen says hello as it starts');
+
+  feed.publish(gameMessage());
+  feed.publish(gameMessage({ rows: 500 }));
+  feed.publish({ type: 'move', gameId: 'g1', move: [900, 1, 1, 1, 2] });
+  await tick();
+  assert.deepEqual(heard.map(m => m.type), ['game', 'move']);
+  screen.hello();
+  await tick();
+  assert.equal(hellos, 2);
+  [feed, screen, other].forEach(link => link.close());
+});
+
+test('with a relay the feed goes through it as well, and a dropped link reconnects and says hello again', async () => {
+  const { sockets, FakeSocket } = fakeSockets();
+  const posted = [];
+  class FakeChannel {
+    postMessage(msg) { posted.push(msg); }
+    close() {}
+  }
+  let hellos = 0;
+  const feed = Spectator.createFeed({
+    channel: 'booth', endpoint: 'ws://relay/ws/spectate', onHello: () => hellos++, BroadcastChannel: FakeChannel, WebSocket: FakeSocket,
+  });
+  assert.match(sockets[0].url, /channel=booth&role=kiosk$/);
+  feed.publish({ type: 'pause', gameId: 'g1' });
+  assert.deepEqual([posted, sockets[0].sent], [[{ type: 'pause', gameId: 'g1' }], [{ type: 'pause', gameId: 'g1' }]]);
+  sockets[0].onmessage({ data: '{"type":"hello"}' });
+  assert.equal(hellos, 1);
+  feed.close();
+
+  const screen = Spectator.subscribe({ channel: 'booth', endpoint: 'ws://relay/ws/spectate', onMessage() {}, WebSocket: FakeSocket });
+  const first = sockets[1];
+  first.onopen();
+  first.onclose();
+  await tick(1100);
+  assert.equal(sockets.length, 3, 'the screen reconnects after a second');
+  sockets[2].onopen();
+  assert.deepEqual(sockets[2].sent, [{ type: 'hello' }]);
+  screen.close();
+  sockets[2].onclose();
+  await tick(1100);
+  assert.equal(sockets.length, 3, 'a closed link stays closed');
+});
@@ -0,0 +1,114 @@
+/* Score verification: a bot game recorded as a kiosk would is re-played to its own score, on the kiosk's settings. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Engine = require('../engine.js');
+const Bot = require('../bot.js');
+const MochiConfig = require('../config.js');
+const { verifyEntry, floorSettings, validateFloor } = require('../server/verify.js');
+
+const reference = MochiConfig.resolveConfig(require('../config.json')).config;
+
+/** Play a greedy game at animation pace and return the entry game.js would submit. */
+function playGame(seed) {
+  const rules = MochiConfig.engineRules(reference);
+  const rng = Engine.createRng(seed);
+  const botRng = Engine.createRng(seed + 1);
+  const { rows, cols, layout } = reference.board;
+  let board = Engine.createBoard(rows, cols, { rng, numColors: rules.numColors, layout });
+  const moves = [];
+  let score = 0;
+  let t = 500;
+  while (t < reference.gameTime * 1000) {
+    const move = Bot.chooseMove(board, { rules, taps: true, rng: botRng });
+    if (!move) break;
+    const isSwap = !Engine.isTap(board, move.r1, move.c1, move.r2, move.c2);
+    const result = isSwap
+      ? Engine.resolveSwap(board, move.r1, move.c1, move.r2, move.c2, { rng, rules })
+      : Engine.resolveTap(board, move.r1, move.c1, { rng, rules });
+    moves.push([t, move.r1, move.c1, move.r2, move.c2]);
+    board = result.board;
+    score += result.score;
+    t += Bot.playbackMs(result.events, reference.anim, isSwap) + 200;
+  }
+  const replay = { v: 1, seed, rows, cols, rules, time: reference.gameTime, moves };
+  if (layout) replay.layout = layout;
+  return { name: 'Bot', score, replay };
+}
+
+test('replayGame reproduces a recorded game exactly', () => {
+  const entry = playGame(1234);
+  assert.ok(entry.replay.moves.length > 0);
+  const first = Engine.replayGame(entry.replay);
+  const second = Engine.replayGame(entry.replay);
+  assert.equal(first.score, entry.score);
+  assert.deepEqual(second.board, first.board);
+});
+
+test('verifyEntry accepts an honest game', () => {
+  for (const seed of [1, 2, 3]) {
+    assert.equal(verifyEntry(playGame(seed), reference), null);
+  }
+});
+
+test('verifyEntry rejects a score the replay does not earn', () => {
+  const entry = playGame(7);
+  entry.score += 10;
+  assert.match(verifyEntry(entry, reference), /does not match the replay/);
+});
+
+test('verifyEntry rejects moves faster than the board animates', () => {
+  const entry = playGame(8);
+  entry.replay.moves = entry.replay.moves.map((move, i) => [i].concat(move.slice(1)));
+  assert.match(verifyEntry(entry, reference), /faster than the board can animate/);
+});
+
+test('verifyEntry rejects changed scoring rules', () => {
+  const entry = playGame(9);
+  entry.replay.rules = Object.assign({}, entry.replay.rules, { pointsPerCell: 1000 });
+  assert.match(verifyEntry(entry, reference), /rules.pointsPerCell differs/);
+  assert.equal(verifyEntry({ score: 0 }, reference), 'replay required');
+});
+
+test('verifyEntry wants the floor settings config.json sets, however the schema would allow others', () => {
+  const changes = {
+    time: 600,
+    rows: reference.board.rows + 1,
+    cols: reference.board.cols - 1,
+    rules: Object.assign({}, playGame(10).replay.rules, { numColors: reference.board.numColors + 1 }),
+  };
+  for (const [key, value] of Object.entries(changes)) {
+    const entry = playGame(10);
+    entry.replay[key] = value;
+    assert.match(verifyEntry(entry, reference), /differs from the kiosk's settings/, key);
+  }
+  for (const rule of ['swapActivates', 'tapActivates']) {
+    const entry = playGame(10);
+    entry.replay.rules = Object.assign({}, entry.replay.rules, { [rule]: !entry.replay.rules[rule] });
+    assert.match(verifyEntry(entry, reference), /differs from the kiosk's settings/, rule);
+  }
+});
+
+test('verifyEntry takes the floor settings staff set instead', () => {
+  const entry = playGame(11);
+  entry.replay.time = reference.gameTime + 15;
+  const settings = Object.assign(floorSettings(reference), { gameTime: reference.gameTime + 15 });
+  assert.equal(verifyEntry(entry, reference, [settings]), null);
+  assert.equal(verifyEntry(entry, reference, [floorSettings(reference), settings]), null);
+  assert.match(verifyEntry(entry, reference, [floorSettings(reference)]), /gameTime .* differs/);
+});
+
+test('validateFloor checks every floor setting against the schema and the colours', () => {
+  const settings = floorSettings(reference);
+  assert.equal(validateFloor(settings, reference), null);
+  assert.match(validateFloor(null, reference), /object/);
+  assert.match(validateFloor(Object.assign({}, settings, { gameTime: 601 }), reference), /gameTime/);
+  assert.match(validateFloor(Object.assign({}, settings, { 'hints.enabled': true }), reference), /not a floor setting/);
+  assert.match(validateFloor(Object.assign({}, settings, { 'controls.tapToActivate': 'hold' }), reference), /tapToActivate/);
+  const missing = Object.assign({}, settings);
+  delete missing['board.rows'];
+  assert.match(validateFloor(missing, reference), /board\.rows/);
+  assert.match(validateFloor(Object.assign({}, settings, { 'board.numColors': reference.colors.length + 1 }), reference), /colours/);
+});
@@ -0,0 +1,88 @@
+/* Versus races: the messages kiosks send, who won, the mini-board and the kiosk's link. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Versus = require('../versus.js');
+
+const setup = { rows: 8, cols: 6, rules: { numColors: 5 }, time: 45, timeBonus: { enabled: true, maxSeconds: 20 } };
+const join = extra => Object.assign({ type: 'join', room: 'booth', name: 'Ann', setup }, extra);
+
+test('validateJoin wants a room, a name and a board setup', () => {
+  assert.equal(Versus.validateJoin(join()), null);
+  assert.match(Versus.validateJoin(join({ room: 'main stage' })), /room/);
+  assert.match(Versus.validateJoin(join({ room: 'x'.repeat(Versus.MAX_ROOM_LENGTH + 1) })), /room/);
+  assert.match(Versus.validateJoin(join({ name: '   ' })), /name/);
+  assert.match(Versus.validateJoin(join({ name: 'x'.repeat(Versus.MAX_NAME_LENGTH + 1) })), /name/);
+  assert.match(Versus.validateJoin(join({ setup: null })), /setup must be/);
+  assert.match(Versus.validateJoin(join({ setup: Object.assign({}, setup, { rows: 100 }) })), /board size/);
+  assert.match(Versus.validateJoin(join({ setup: Object.assign({}, setup, { time: 0 }) })), /setup.time/);
+  assert.match(Versus.validateJoin(join({ setup: Object.assign({}, setup, { rules: 'fast' }) })), /setup.rules/);
+  assert.match(Versus.validateJoin(join({ setup: Object.assign({}, setup, { timeBonus: { enabled: true, maxSeconds: 9999 } }) })), /timeBonus/);
+});
+
+test('validateProgress wants a score and at most a board\'s worth of grid', () => {
+  assert.equal(Versus.validateProgress({ score: 120 }), null);
+  assert.equal(Versus.validateProgress({ score: 0, grid: '012/345' }), null);
+  assert.match(Versus.validateProgress({ score: -1 }), /score/);
+  assert.match(Versus.validateProgress({ score: 1.5 }), /score/);
+  assert.match(Versus.validateProgress({ score: 1, grid: 'x'.repeat(1000) }), /grid/);
+  assert.match(Versus.validateProgress({ score: 1, grid: [0, 1] }), /grid/);
+});
+
+test('matchOutcome: the higher score wins, and an opponent who never finished forfeits', () => {
+  assert.equal(Versus.matchOutcome(200, 100), 'win');
+  assert.equal(Versus.matchOutcome(100, 200), 'lose');
+  assert.equal(Versus.matchOutcome(150, 150), 'draw');
+  assert.equal(Versus.matchOutcome(0, null), 'win');
+});
+
+test('a packed board unpacks to the same colours, gaps and stones', () => {
+  const grid = [[0, 1, -1], [-2, 4, 2]];
+  const packed = Versus.packGrid(grid);
+  assert.equal(packed, '01./#42');
+  assert.deepEqual(Versus.unpackGrid(packed), grid);
+});
+
+test('joinRoom joins on open, hands on relay messages and reports a dropped link once', () => {
+  const sockets = [];
+  class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      sockets.push(this);
+    }
+    send(text) { this.sent.push(JSON.parse(text)); }
+    close() { this.onclose(); }
+  }
+  const heard = [];
+  let closes = 0;
+  const link = Versus.joinRoom({
+    endpoint: 'ws://relay/ws/versus', room: 'booth', name: 'Ann', kioskId: 'k1', setup,
+    onMessage: msg => heard.push(msg), onClose: () => closes++, WebSocket: FakeSocket,
+  });
+  const [socket] = sockets;
+  link.progress(10);
+  assert.deepEqual(socket.sent, [], 'nothing is sent before the socket opens');
+
+  socket.readyState = 1;
+  socket.onopen();
+  assert.deepEqual(socket.sent[0], { type: 'join', room: 'booth', name: 'Ann', kioskId: 'k1', setup });
+  link.progress(40, '01/23');
+  link.finish(90);
+  assert.deepEqual(socket.sent.slice(1), [{ type: 'progress', score: 40, grid: '01/23' }, { type: 'finish', score: 90 }]);
+
+  socket.onmessage({ data: '{"type":"waiting"}' });
+  socket.onmessage({ data: 'not json' });
+  socket.onmessage({ data: '{"score":5}' });
+  assert.deepEqual(heard, [{ type: 'waiting' }]);
+  socket.onclose();
+  socket.onclose();
+  assert.equal(closes, 1);
+
+  const again = Versus.joinRoom({ endpoint: 'ws://relay/ws/versus', room: 'booth', name: 'Bo', setup, onMessage() {}, onClose: () => closes++, WebSocket: FakeSocket });
+  again.leave();
+  assert.equal(closes, 1, 'leaving is not a dropped link');
+});
@@ -0,0 +1,100 @@
+/* server/websocket.js: frames, the upgrade handshake and what a connection refuses. */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('../server/websocket.js');
+const { clientFrame, connectWebSocket, closeWhenDone } = require('./helpers.js');
+
+test('encodeFrame picks the length field a payload needs', () => {
+  const short = WebSocket.encodeFrame(0x1, Buffer.from('hi'));
+  assert.deepEqual([...short], [0x81, 2, 0x68, 0x69]);
+  const medium = WebSocket.encodeFrame(0x1, Buffer.alloc(300));
+  assert.deepEqual([medium[1], medium.readUInt16BE(2), medium.length], [126, 300, 304]);
+  const long = WebSocket.encodeFrame(0x1, Buffer.alloc(70000));
+  assert.deepEqual([long[1], Number(long.readBigUInt64BE(2)), long.length], [127, 70000, 70010]);
+});
+
+test('decodeFrame unmasks a whole client frame and waits for the rest of a partial one', () => {
+  const frame = clientFrame(0x1, Buffer.from('{"type":"hello"}'));
+  assert.equal(WebSocket.decodeFrame(frame.subarray(0, 1)), null);
+  assert.equal(WebSocket.decodeFrame(frame.subarray(0, frame.length - 1)), null);
+  const two = Buffer.concat([frame, clientFrame(0x9, Buffer.alloc(0))]);
+  const first = WebSocket.decodeFrame(two);
+  assert.deepEqual([first.opcode, first.payload.toString(), first.length], [0x1, '{"type":"hello"}', frame.length]);
+  assert.equal(WebSocket.decodeFrame(two.subarray(first.length)).opcode, 0x9);
+  assert.equal(WebSocket.decodeFrame(clientFrame(0x1, Buffer.alloc(1000))).payload.length, 1000);
+});
+
+test('decodeFrame refuses unmasked, fragmented and oversized frames', () => {
+  const code = buf => {
+    try {
+      WebSocket.decodeFrame(buf);
+    } catch (e) {
+      return e.closeCode;
+    }
+    return null;
+  };
+  assert.equal(code(WebSocket.encodeFrame(0x1, Buffer.from('hi'))), 1002);
+  assert.equal(code(clientFrame(0x1, Buffer.from('hi'), false)), 1003);
+  assert.equal(code(clientFrame(0x0, Buffer.from('hi'))), 1003);
+  assert.equal(code(clientFrame(0x1, Buffer.alloc(WebSocket.MAX_PAYLOAD_BYTES + 1)).subarray(0, 14)), 1009);
+});
+
+/** An HTTP server whose /echo upgrades echo text back; resolves to its ws:// base URL. */
+async function echoServer(t) {
+  const server = http.createServer((req, res) => res.end());
+  WebSocket.routeUpgrades(server, {
+    '/echo': (req, socket, head) => {
+      const conn = WebSocket.acceptWebSocket(req, socket, head, {
+        text: text => conn.send(text),
+        close() {},
+      });
+    },
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  closeWhenDone(t, server);
+  return `ws://127.0.0.1:${server.address().port}`;
+}
+
+test('the handshake answers the RFC 6455 accept key, and text is echoed both ways', async (t) => {
+  const base = await echoServer(t);
+  const ws = await connectWebSocket(t, base + '/echo', 'dGhlIHNhbXBsZSBub25jZQ==');
+  assert.equal(ws.accept, 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  ws.send({ type: 'hello', name: 'Zoë' });
+  assert.deepEqual(await ws.next(), { type: 'hello', name: 'Zoë' });
+  ws.send('x'.repeat(5000));
+  assert.equal((await ws.next()).length, 5000);
+  ws.close();
+});
+
+test('unknown paths are refused, and so is an upgrade that is not a WebSocket', async (t) => {
+  const base = await echoServer(t);
+  await assert.rejects(connectWebSocket(t, base + '/nowhere'), /404/);
+  const { port } = new URL(base);
+  const answer = await new Promise((resolve, reject) => {
+    const req = http.request({ port, path: '/echo', headers: { Connection: 'Upgrade', Upgrade: 'websocket' } });
+    req.on('upgrade', () => reject(new Error('upgraded')));
+    req.on('response', res => resolve(res.statusCode));
+    req.on('error', reject);
+    req.end();
+  });
+  assert.equal(answer, 400);
+});
+
+test('a connection closes on a close frame, and on a frame it will not take', async (t) => {
+  const base = await echoServer(t);
+  const polite = await connectWebSocket(t, base + '/echo');
+  polite.sendFrame(0x8, Buffer.from([0x03, 0xe8]));
+  assert.equal(await polite.closed, 1000);
+
+  const binary = await connectWebSocket(t, base + '/echo');
+  binary.sendFrame(0x2, Buffer.from([1, 2, 3]));
+  assert.equal(await binary.closed, 1003);
+
+  const fragmented = await connectWebSocket(t, base + '/echo');
+  fragmented.sendFrame(0x1, Buffer.from('hel'), false);
+  assert.equal(await fragmented.closed, 1003);
+});
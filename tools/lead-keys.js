@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/* =========================================================
+   MOCHI CRUSH — lead keys
+   Makes the key pair for the opt-in form and reads leads back.
+   Kiosks only ever hold the public key, so keep the private
+   one off them and out of the repo. Node built-ins only:
+
+     node tools/lead-keys.js generate [--out ~/mochi-lead-private.pem]
+     node tools/lead-keys.js decrypt --key ~/mochi-lead-private.pem
+                                     <export.json>... [--csv]
+
+   generate   writes the private key (to the home directory unless
+              --out says otherwise, never anywhere server.js would
+              serve it) and prints the public key to paste into
+              config.json → leads.publicKey
+   decrypt    reads admin-panel exports, GET /api/leads/export
+              answers or server/data/leads.ndjson, and prints
+              every lead once as JSON (or CSV with --csv)
+   ========================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Leads = require('../leads.js');
+const Analytics = require('../analytics.js');
+
+/* ---------- arguments ---------- */
+
+function parseArgs(argv) {
+  const args = { command: argv[0], out: path.join(os.homedir(), 'mochi-lead-private.pem'), key: null, files: [], csv: false };
+  for (let i = 1; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    if (flag === '--out') args.out = value();
+    else if (flag === '--key') args.key = value();
+    else if (flag === '--csv') args.csv = true;
+    else if (flag.startsWith('--')) throw new Error(`unknown option ${flag}`);
+    else args.files.push(flag);
+  }
+  if (args.command !== 'generate' && args.command !== 'decrypt') throw new Error('expected "generate" or "decrypt"');
+  if (args.command === 'decrypt' && !args.key) throw new Error('decrypt needs --key');
+  if (args.command === 'decrypt' && args.files.length === 0) throw new Error('decrypt needs at least one export file');
+  return args;
+}
+
+/* ---------- generate ---------- */
+
+function generate(args) {
+  if (fs.existsSync(args.out)) throw new Error(`${args.out} already exists; refusing to overwrite a key leads may be encrypted with`);
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 3072,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  fs.writeFileSync(args.out, privateKey, { mode: 0o600 });
+  console.log(`Private key written to ${args.out} — keep it safe, lost keys mean lost leads.\n`);
+  console.log('Put this in config.json → leads.publicKey:\n');
+  console.log(publicKey.toString('base64'));
+}
+
+/* ---------- decrypt ---------- */
+
+/** Stored leads in any export format: kiosk { local, server }, server { leads } or NDJSON. */
+function readLeads(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+  if (Array.isArray(doc)) return doc;
+  return [].concat(doc.leads || [], doc.local || [], doc.server || []);
+}
+
+async function decrypt(args) {
+  const privateKey = fs.readFileSync(args.key, 'utf8');
+  const byId = new Map();
+  for (const file of args.files) {
+    for (const lead of readLeads(file)) if (!Leads.validateStoredLead(lead)) byId.set(lead.id, lead);
+  }
+
+  const rows = [];
+  let failed = 0;
+  for (const lead of byId.values()) {
+    try {
+      const plain = await Leads.decryptLead(lead.envelope, privateKey, crypto.webcrypto.subtle);
+      rows.push(Object.assign({
+        id: lead.id,
+        at: new Date(lead.at).toISOString(),
+        kioskId: lead.kioskId,
+        eventId: lead.eventId,
+        name: plain.name,
+        score: plain.score,
+      }, plain.values));
+    } catch (e) {
+      failed++;
+      console.error(`lead-keys: could not decrypt ${lead.id} (${e.message || 'wrong key?'})`);
+    }
+  }
+  rows.sort((a, b) => a.at.localeCompare(b.at));
+  process.stdout.write(args.csv ? Analytics.toCsv(rows) : JSON.stringify(rows, null, 2) + '\n');
+  console.error(`lead-keys: ${rows.length} leads decrypted${failed ? `, ${failed} failed` : ''}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === 'generate') generate(args);
+  else await decrypt(args);
+}
+
+main().catch(e => {
+  console.error('lead-keys: ' + e.message);
+  process.exit(1);
+});
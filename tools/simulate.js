@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/* =========================================================
+   MOCHI CRUSH — balance simulator
+   Plays thousands of timed games with the autoplayer (bot.js)
+   under the real engine rules and reports score distributions,
+   so settings like gameTime or rules.zapChains can be argued
+   with numbers. Node built-ins only:
+
+     node tools/simulate.js [--games 1000] [--strategy greedy]
+                            [--config config.json] [--set path=value]
+                            [--think-ms 1000] [--seed 1] [--json]
+
+   --strategy   greedy | lookahead | random | all
+   --config     may repeat, to compare config files side by side
+   --set        overrides one setting in every config, e.g.
+                --set gameTime=30 --set rules.zapChains=6,10,14
+   --think-ms   time a player spends per move on top of the
+                animations (those come from config.anim)
+   --seed       first game seed; game i uses seed + i, so two runs
+                with the same seed play the same boards
+   ========================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const MochiConfig = require('../config.js');
+const Bot = require('../bot.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/* ---------- arguments ---------- */
+
+function parseArgs(argv) {
+  const args = { games: 1000, strategy: 'greedy', configs: [], sets: [], thinkMs: 1000, seed: 1, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    if (flag === '--games') args.games = Number(value());
+    else if (flag === '--strategy') args.strategy = value();
+    else if (flag === '--config') args.configs.push(value());
+    else if (flag === '--set') args.sets.push(value());
+    else if (flag === '--think-ms') args.thinkMs = Number(value());
+    else if (flag === '--seed') args.seed = Number(value());
+    else if (flag === '--json') args.json = true;
+    else throw new Error(`unknown option ${flag}`);
+  }
+  if (!Number.isInteger(args.games) || args.games < 1) throw new Error('--games must be a positive integer');
+  if (!Number.isFinite(args.thinkMs) || args.thinkMs < 0) throw new Error('--think-ms must be a non-negative number');
+  if (!Number.isInteger(args.seed)) throw new Error('--seed must be an integer');
+  if (args.strategy !== 'all' && !Bot.STRATEGIES.includes(args.strategy)) {
+    throw new Error(`--strategy must be one of ${Bot.STRATEGIES.join(', ')} or all`);
+  }
+  if (args.configs.length === 0) args.configs.push(path.join(ROOT, 'config.json'));
+  return args;
+}
+
+/** "30" → 30, "true" → true, "6,10,14" → [6, 10, 14], anything else stays a string. */
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    if (/^-?[\d.]+(,-?[\d.]+)+$/.test(text)) return text.split(',').map(Number);
+    return text;
+  }
+}
+
+/** Resolve one config file plus the --set overrides, refusing anything invalid. */
+function loadConfig(file, sets) {
+  const overrides = {};
+  for (const set of sets) {
+    const eq = set.indexOf('=');
+    if (eq < 1) throw new Error(`--set ${set}: expected path=value`);
+    MochiConfig.setPath(overrides, set.slice(0, eq), parseValue(set.slice(eq + 1)));
+  }
+  const { config, errors } = MochiConfig.resolveConfig(JSON.parse(fs.readFileSync(file, 'utf8')), overrides);
+  if (errors.length > 0) throw new Error(`${file}:\n  ${errors.join('\n  ')}`);
+  return config;
+}
+
+/* ---------- statistics ---------- */
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function summarize(games, config) {
+  const scores = games.map(g => g.score).sort((a, b) => a - b);
+  const m = mean(scores);
+  const perGame = key => kind => mean(games.map(g => g[key][kind]));
+  const spawned = perGame('spawned');
+  return {
+    games: games.length,
+    score: {
+      mean: Math.round(m),
+      sd: Math.round(Math.sqrt(mean(scores.map(s => (s - m) ** 2)))),
+      min: scores[0],
+      p10: percentile(scores, 10),
+      p50: percentile(scores, 50),
+      p90: percentile(scores, 90),
+      max: scores[scores.length - 1],
+    },
+    movesPerGame: +mean(games.map(g => g.moves)).toFixed(1),
+    powerUpsPerGame: { bomb: +spawned('bomb').toFixed(2), line: +spawned('line').toFixed(2), zap: +spawned('zap').toFixed(2) },
+    /* share of games where some move's cascade reached each zap threshold */
+    zapChainReached: Object.fromEntries(config.rules.zapChains.map(n =>
+      [n, +(games.filter(g => g.maxChain >= n).length / games.length).toFixed(3)])),
+    histogram: histogram(scores, 10),
+  };
+}
+
+function histogram(sorted, buckets) {
+  const lo = sorted[0], hi = sorted[sorted.length - 1];
+  const width = Math.max(1, Math.ceil((hi - lo + 1) / buckets));
+  const counts = Array(buckets).fill(0);
+  for (const s of sorted) counts[Math.min(buckets - 1, Math.floor((s - lo) / width))]++;
+  return counts.map((count, i) => ({ from: lo + i * width, to: lo + (i + 1) * width - 1, count }));
+}
+
+/* ---------- report ---------- */
+
+function printReport(label, strategy, args, config, summary) {
+  const s = summary.score;
+  console.log(`\n${label} — ${strategy}, ${summary.games} games of ${config.gameTime}s${config.timeBonus.enabled ? ` (+${config.timeBonus.maxSeconds}s bonus max)` : ''}, zapChains ${config.rules.zapChains.join('/')}, think ${args.thinkMs}ms`);
+  console.log(`  score   mean ${s.mean} ± ${s.sd}   min ${s.min}  p10 ${s.p10}  median ${s.p50}  p90 ${s.p90}  max ${s.max}`);
+  const pu = summary.powerUpsPerGame;
+  console.log(`  moves/game ${summary.movesPerGame}   power-ups/game  bomb ${pu.bomb}  rainbow ${pu.line}  zap ${pu.zap}`);
+  console.log('  zap chain reached in ' + Object.entries(summary.zapChainReached)
+    .map(([n, share]) => `${n}: ${(share * 100).toFixed(1)}%`).join('   '));
+  const peak = Math.max(...summary.histogram.map(b => b.count));
+  for (const b of summary.histogram) {
+    const bar = '#'.repeat(Math.round(b.count / peak * 40));
+    console.log(`  ${String(b.from).padStart(7)}–${String(b.to).padEnd(7)} ${bar} ${b.count}`);
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const strategies = args.strategy === 'all' ? Bot.STRATEGIES : [args.strategy];
+  const results = [];
+
+  for (const file of args.configs) {
+    const config = loadConfig(file, args.sets);
+    for (const strategy of strategies) {
+      const games = [];
+      for (let i = 0; i < args.games; i++) {
+        games.push(Bot.simulateGame({
+          seed: args.seed + i,
+          rows: config.board.rows,
+          cols: config.board.cols,
+          layout: config.board.layout,
+          rules: MochiConfig.engineRules(config),
+          strategy,
+          taps: config.controls.tapToActivate !== 'off',
+          timeMs: config.gameTime * 1000,
+          timeBonus: config.timeBonus,
+          thinkMs: args.thinkMs,
+          anim: config.anim,
+        }));
+      }
+      const summary = summarize(games, config);
+      results.push({ config: path.relative(process.cwd(), file), strategy, summary });
+      if (!args.json) printReport(path.relative(process.cwd(), file), strategy, args, config, summary);
+    }
+  }
+  if (args.json) console.log(JSON.stringify(results, null, 2));
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('simulate: ' + e.message);
+  process.exit(1);
+}
@@ -0,0 +1,155 @@
+/* =========================================================
+   MOCHI CRUSH — versus
+   Head-to-head races between two kiosks. Both join the same
+   room on the relay (server/relay.js), which pairs them, deals
+   one seed and board setup to both and passes each one's live
+   score (and board) to the other; when both have finished it
+   tells both who won. Loaded as window.MochiVersus in the
+   browser and via require() in Node.
+   ========================================================= */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MochiVersus = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MAX_NAME_LENGTH = 24;
+  const MAX_ROOM_LENGTH = 32;
+  const MAX_GRID_CELLS = 14 * 12;
+
+  /*
+   * Messages are JSON objects with a `type`. A kiosk sends:
+   *   join      { room, name, kioskId?, setup }   setup = { rows, cols, rules, time, layout?, timeBonus }
+   *   progress  { score, grid? }                   grid as packGrid() gives it
+   *   finish    { score }
+   * and hears from the relay:
+   *   waiting   {}                                 no one else in the room yet
+   *   start     { matchId, seed, setup, opponent: { name }, startsInMs }
+   *             both kiosks play `seed` on the first joiner's setup
+   *   opponent  { score, grid?, finished? }
+   *   opponent_left {}                             the other kiosk quit or dropped
+   *   result    { outcome, you: { name, score }, opponent: { name, score }, forfeit }
+   *             outcome 'win', 'lose' or 'draw'; forfeit when the
+   *             opponent never finished (opponent.score is then null)
+   *   error     { message }
+   * Closing the socket leaves the room, or forfeits a running match.
+   */
+
+  /* ---------- validation (shared with the relay) ---------- */
+
+  const isScore = v => Number.isInteger(v) && v >= 0;
+
+  /** Error message for a malformed join message, or null. */
+  function validateJoin(msg) {
+    if (typeof msg.room !== 'string' || !/^[A-Za-z0-9_-]+$/.test(msg.room) || msg.room.length > MAX_ROOM_LENGTH) {
+      return `room must be 1 to ${MAX_ROOM_LENGTH} letters, digits, - or _`;
+    }
+    if (typeof msg.name !== 'string' || msg.name.trim() === '' || msg.name.length > MAX_NAME_LENGTH) {
+      return `name must be a string of 1 to ${MAX_NAME_LENGTH} characters`;
+    }
+    const setup = msg.setup;
+    if (setup === null || typeof setup !== 'object') return 'setup must be an object';
+    if (!Number.isInteger(setup.rows) || !Number.isInteger(setup.cols) || setup.rows * setup.cols > MAX_GRID_CELLS) {
+      return 'setup.rows and setup.cols must be a board size';
+    }
+    if (!Number.isInteger(setup.time) || setup.time <= 0) return 'setup.time must be a number of seconds';
+    if (setup.rules === null || typeof setup.rules !== 'object') return 'setup.rules must be an object';
+    const bonus = setup.timeBonus;
+    if (bonus === null || typeof bonus !== 'object' || typeof bonus.enabled !== 'boolean' ||
+        !Number.isInteger(bonus.maxSeconds) || bonus.maxSeconds < 0 || bonus.maxSeconds > 600) {
+      return 'setup.timeBonus must be a time bonus config';
+    }
+    return null;
+  }
+
+  /** Error message for a malformed progress or finish message, or null. */
+  function validateProgress(msg) {
+    if (!isScore(msg.score)) return 'score must be a non-negative integer';
+    if (msg.grid !== undefined && (typeof msg.grid !== 'string' || msg.grid.length > MAX_GRID_CELLS * 2)) {
+      return 'grid must be a packed board';
+    }
+    return null;
+  }
+
+  /** 'win', 'lose' or 'draw' for `mine` against `theirs`; an opponent without a score (null) forfeits. */
+  function matchOutcome(mine, theirs) {
+    if (theirs === null || mine > theirs) return 'win';
+    return mine < theirs ? 'lose' : 'draw';
+  }
+
+  /* ---------- mini-board ---------- */
+
+  /*
+   * A board is sent as its rows joined by "/", one character per cell: the
+   * colour index, "." for an empty cell or "#" for a stone.
+   */
+
+  function packGrid(grid) {
+    return grid.map(row => row.map(v => v >= 0 ? String(v) : v === -2 ? '#' : '.').join('')).join('/');
+  }
+
+  /** [row][col] of colour index, -1 (empty) or -2 (stone). */
+  function unpackGrid(text) {
+    return text.split('/').map(row => [...row].map(ch => ch === '#' ? -2 : ch === '.' ? -1 : Number(ch)));
+  }
+
+  /* ---------- client ---------- */
+
+  /**
+   * Join `opts.room` on the relay at `opts.endpoint` (a ws:// URL). opts:
+   * { endpoint, room, name, kioskId, setup, onMessage(msg), onClose(), WebSocket }.
+   * onMessage gets every relay message above; onClose fires once if the
+   * connection ends before leave() — a relay that can't be reached included.
+   * Returns { progress(score, grid?), finish(score), leave() }.
+   */
+  function joinRoom(opts) {
+    const WebSocketImpl = opts.WebSocket || WebSocket;
+    const socket = new WebSocketImpl(opts.endpoint);
+    let left = false;
+
+    const send = msg => {
+      if (socket.readyState === 1) socket.send(JSON.stringify(msg));
+    };
+
+    socket.onopen = () => send({ type: 'join', room: opts.room, name: opts.name, kioskId: opts.kioskId, setup: opts.setup });
+    socket.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      if (!left && msg && typeof msg.type === 'string') opts.onMessage(msg);
+    };
+    socket.onclose = () => {
+      if (left) return;
+      left = true;
+      opts.onClose();
+    };
+
+    return {
+      progress(score, grid) {
+        send(grid === undefined ? { type: 'progress', score } : { type: 'progress', score, grid });
+      },
+      finish(score) {
+        send({ type: 'finish', score });
+      },
+      leave() {
+        left = true;
+        socket.close();
+      },
+    };
+  }
+
+  return {
+    MAX_NAME_LENGTH,
+    MAX_ROOM_LENGTH,
+    validateJoin,
+    validateProgress,
+    matchOutcome,
+    packGrid,
+    unpackGrid,
+    joinRoom,
+  };
+});